@@ -16,6 +16,7 @@ const AdminCLI = require('../utils/admin-cli');
 const watchLocales = require('../utils/watch-locales');
 const JsonOutput = require('../utils/json-output');
 const SetupEnforcer = require('../utils/setup-enforcer');
+const { getFormatManager } = require('../utils/format-manager');
 
 // Ensure setup is complete before running
 (async () => {
@@ -34,6 +35,7 @@ const PROJECT_ROOT = process.cwd();
 class I18nAnalyzer {
   constructor(config = {}) {
     this.config = config;
+    this.formatManager = getFormatManager();
     
     // Don't set defaults here - let getUnifiedConfig handle it
     // This ensures we use the configuration from settings files
@@ -157,19 +159,20 @@ class I18nAnalyzer {
       const directories = items
         .filter(item => item.isDirectory())
         .map(item => item.name)
-        .filter(name => name !== 'node_modules' && !name.startsWith('.') && name !== this.config.sourceLanguage);
+        .filter(name => name !== 'node_modules' && !name.startsWith('.') && name !== this.config.sourceLanguage)
+        .filter(name => this.formatManager.isLocaleDirectory(name));
       
-      // Check for monolith files (language.json files)
+      // Check for monolith files (language.json, language.yml, ...)
       const files = items
-        .filter(item => item.isFile() && item.name.endsWith('.json'))
+        .filter(item => item.isFile() && this.formatManager.isSupportedFile(item.name) && !this.formatManager.isCatalogFile(item.name))
         .map(item => item.name);
       
       // Add directories as languages
       languages.push(...directories);
       
-      // Add monolith files as languages (without .json extension)
+      // Add monolith files as languages (without their extension)
       const monolithLanguages = files
-        .map(file => file.replace('.json', ''))
+        .map(file => this.formatManager.stripExtension(file))
         .filter(lang => !languages.includes(lang) && lang !== this.config.sourceLanguage);
       languages.push(...monolithLanguages);
       
@@ -179,12 +182,12 @@ class I18nAnalyzer {
         try {
           const dirItems = SecurityUtils.safeReaddirSync(dirPath, process.cwd(), { withFileTypes: true });
           if (dirItems) {
-            const jsonFiles = dirItems
-              .filter(item => item.isFile() && item.name.endsWith('.json'))
-              .map(item => item.name.replace('.json', ''));
+            const localeFiles = dirItems
+              .filter(item => item.isFile() && this.formatManager.isSupportedFile(item.name))
+              .map(item => this.formatManager.stripExtension(item.name));
             
-            // If directory contains JSON files, it's likely a language directory
-            if (jsonFiles.length > 0) {
+            // If directory contains locale files, it's likely a language directory
+            if (localeFiles.length > 0) {
               if (!languages.includes(dir)) {
                 languages.push(dir);
               }
@@ -202,7 +205,38 @@ class I18nAnalyzer {
     }
   }
 
-  // Get all JSON files from a language directory
+  // Find a monolith locale file (en.json, en.yml, ...) for a language
+  getMonolithFile(language) {
+    for (const ext of this.formatManager.getExtensions()) {
+      const languageFile = path.resolve(this.sourceDir, `${language}${ext}`);
+      const languageFileStat = SecurityUtils.safeStatSync(languageFile, this.sourceDir);
+      if (languageFileStat && languageFileStat.isFile()) {
+        return languageFile;
+      }
+    }
+    return null;
+  }
+
+  // Resolve the path of a file returned by getLanguageFiles() for a language
+  resolveLanguageFilePath(language, fileName) {
+    const sourceMonolith = this.getMonolithFile(this.config.sourceLanguage);
+    if (sourceMonolith && fileName === path.basename(sourceMonolith)) {
+      return this.getMonolithFile(language) ||
+        path.resolve(this.sourceDir, `${language}${path.extname(sourceMonolith)}`);
+    }
+    return path.join(this.sourceDir, language, fileName);
+  }
+
+  // Parse a locale file with the adapter registered for its extension
+  parseLocaleFile(content, filePath, language) {
+    try {
+      return this.formatManager.parse(content, filePath, { language });
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Get all locale files from a language directory
   getLanguageFiles(language) {
     if (!this.sourceDir) {
       console.warn('Source directory not set');
@@ -210,12 +244,11 @@ class I18nAnalyzer {
     }
     
     const languageDir = path.resolve(this.sourceDir, language);
-    const languageFile = path.resolve(this.sourceDir, `${language}.json`);
     const files = [];
     
     // Handle monolith file structure
-    const languageFileStat = SecurityUtils.safeStatSync(languageFile, this.sourceDir);
-    if (languageFileStat && languageFileStat.isFile()) {
+    const languageFile = this.getMonolithFile(language);
+    if (languageFile) {
       return [path.basename(languageFile)];
     }
     
@@ -242,7 +275,7 @@ class I18nAnalyzer {
             if (item.isDirectory() && !item.name.startsWith('.') && item.name !== 'node_modules') {
               // Recursively search subdirectories
               results.push(...findJsonFiles(fullPath));
-            } else if (item.isFile() && item.name.endsWith('.json')) {
+            } else if (item.isFile() && this.formatManager.isSupportedFile(item.name)) {
               // Check exclusion patterns
               const relativePath = path.relative(this.sourceDir, fullPath);
               const shouldExclude = (this.config.excludeFiles || []).some(pattern => {
@@ -285,10 +318,11 @@ class I18nAnalyzer {
             for (const item of items) {
               if (item.isDirectory() && !item.name.startsWith('.') && item.name !== 'node_modules') {
                 const namespaceDir = path.join(searchDir, item.name);
-                const namespaceFile = path.join(namespaceDir, `${language}.json`);
+                const namespaceFile = this.formatManager.getExtensions()
+                  .map(ext => path.join(namespaceDir, `${language}${ext}`))
+                  .find(file => SecurityUtils.safeExistsSync(file, this.sourceDir));
                 
-                const namespaceFileExists = SecurityUtils.safeExistsSync(namespaceFile, this.sourceDir);
-                if (namespaceFileExists) {
+                if (namespaceFile) {
                   results.push(path.relative(path.join(this.sourceDir, item.name), namespaceFile));
                 }
               }
@@ -479,8 +513,8 @@ class I18nAnalyzer {
       const sourceFilePath = path.join(this.config.sourceLanguage, fileName);
       const targetFilePath = path.join(language, fileName);
       
-      const sourceFullPath = path.join(this.sourceDir, sourceFilePath);
-      const targetFullPath = path.join(this.sourceDir, targetFilePath);
+      const sourceFullPath = this.resolveLanguageFilePath(this.config.sourceLanguage, fileName);
+      const targetFullPath = this.resolveLanguageFilePath(language, fileName);
       
       const sourceExists = SecurityUtils.safeExistsSync(sourceFullPath, this.sourceDir);
       if (!sourceExists) {
@@ -497,10 +531,10 @@ class I18nAnalyzer {
           };
           continue;
         }
-        sourceContent = SecurityUtils.safeParseJSON(sourceFileContent);
+        sourceContent = this.parseLocaleFile(sourceFileContent, sourceFullPath, this.config.sourceLanguage);
         if (!sourceContent) {
           analysis.files[fileName] = {
-            error: `Failed to parse source file: Invalid JSON format`
+            error: `Failed to parse source file: Invalid ${path.extname(sourceFullPath).slice(1).toUpperCase()} format`
           };
           continue;
         }
@@ -529,7 +563,7 @@ try {
       continue;
     }
     
-    const parsed = SecurityUtils.safeParseJSON(targetFileContent);
+    const parsed = this.parseLocaleFile(targetFileContent, targetFullPath, language);
     if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
       analysis.files[fileName] = {
         error: `Invalid structure in target file: must be a plain object (not array/null/type)`
@@ -0,0 +1,329 @@
+#!/usr/bin/env node
+
+/**
+ * I18NTK BUILD SCRIPT
+ *
+ * Compiles the locale files into bundles for production: one JSON or ES
+ * module file per language and per namespace, with flattened keys, ICU and
+ * plural messages parsed ahead of time and NOT_TRANSLATED placeholders
+ * removed. With --inline-fallbacks the keys a language lacks are copied from
+ * its fallback languages. File names carry a content hash, and
+ * i18ntk-manifest.json lists them; point the runtime's baseDir (or
+ * createManifestLoader in browsers) at the output directory.
+ *
+ * Entry points (--entry=mobile:src/mobile or `build.entries` in the config)
+ * get a build of their own under <output>/<entry>, with only the keys their
+ * source files use plus the `build.dynamicKeys` / --keep patterns for keys
+ * computed at runtime.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const SecurityUtils = require('../utils/security');
+const { loadTranslations, t } = require('../utils/i18n-helper');
+const { getUnifiedConfig, parseCommonArgs, displayHelp } = require('../utils/config-helper');
+const JsonOutput = require('../utils/json-output');
+const SetupEnforcer = require('../utils/setup-enforcer');
+const { I18nAnalyzer } = require('./i18ntk-analyze');
+const I18nUsageAnalyzer = require('./i18ntk-usage');
+const { detectFramework, FRAMEWORKS } = require('../utils/framework-detector');
+const { buildBundles, FORMATS } = require('../utils/bundle-builder');
+const { createKeyFilter, DEFAULT_TRANSLATION_PATTERNS } = require('../utils/key-usage');
+const { MANIFEST_FILE } = require('../runtime/bundle');
+
+// Ensure setup is complete before running
+(async () => {
+  try {
+    await SetupEnforcer.checkSetupCompleteAsync();
+  } catch (error) {
+    console.error('Setup check failed:', error.message);
+    process.exit(1);
+  }
+})();
+
+loadTranslations('en', path.resolve(__dirname, '..', 'resources', 'i18n', 'ui-locales'));
+
+const DEFAULT_OUTPUT = 'i18ntk-build';
+const KEEP_PATTERN_RE = /^[\w\-.:\/*]+$/;
+
+class I18nBuilder {
+  constructor(config = {}) {
+    this.config = config;
+    this.analyzer = null;
+  }
+
+  async initialize() {
+    try {
+      const args = this.parseArgs();
+      if (args.help) {
+        displayHelp('i18ntk-build', {
+          'output': `Directory for the bundles and manifest (default: ./${DEFAULT_OUTPUT})`,
+          'format': `Bundle format: ${FORMATS.join(' or ')} (default: json)`,
+          'languages': 'Comma-separated languages to build (default: all)',
+          'inline-fallbacks': 'Copy keys a language lacks from the built languages it falls back to',
+          'entry': 'name:path[,path] - build only the keys these source files use into <output>/<name> (repeatable)',
+          'keep': 'Comma-separated key patterns to keep in entry builds, e.g. status.*'
+        });
+        process.exit(0);
+      }
+
+      const baseConfig = await getUnifiedConfig('build', args);
+      this.config = { ...baseConfig, ...(this.config || {}) };
+
+      const uiLanguage = (this.config && this.config.uiLanguage) || 'en';
+      loadTranslations(uiLanguage, path.resolve(__dirname, '..', 'resources', 'i18n', 'ui-locales'));
+
+      this.sourceDir = this.config.sourceDir;
+
+      const { validateSourceDir } = require('../utils/config-helper');
+      validateSourceDir(this.sourceDir, 'i18ntk-build');
+
+      // Read the locale tree exactly the way analyze does
+      this.analyzer = new I18nAnalyzer(this.config);
+      this.analyzer.sourceDir = this.sourceDir;
+      this.analyzer.sourceLanguageDir = path.join(this.sourceDir, this.config.sourceLanguage);
+    } catch (error) {
+      console.error(`Fatal build error: ${error.message}`);
+      throw error;
+    }
+  }
+
+  parseArgs() {
+    try {
+      const args = process.argv.slice(2);
+      const parsed = parseCommonArgs(args);
+
+      args.forEach(arg => {
+        if (arg.startsWith('--')) {
+          const [key, value] = arg.substring(2).split('=');
+          const sanitizedKey = SecurityUtils.sanitizeInput(key);
+          const sanitizedValue = value ? SecurityUtils.sanitizeInput(value) : true;
+
+          if (sanitizedKey === 'output') {
+            parsed.output = sanitizedValue;
+          } else if (sanitizedKey === 'format') {
+            parsed.format = sanitizedValue;
+          } else if (sanitizedKey === 'languages') {
+            parsed.languages = typeof sanitizedValue === 'string'
+              ? sanitizedValue.split(',').map(lang => lang.trim()).filter(Boolean)
+              : [];
+          } else if (sanitizedKey === 'inline-fallbacks') {
+            parsed.inlineFallbacks = true;
+          } else if (sanitizedKey === 'entry' && typeof sanitizedValue === 'string' && sanitizedValue.includes(':')) {
+            const index = sanitizedValue.indexOf(':');
+            parsed.entries = parsed.entries || {};
+            parsed.entries[sanitizedValue.slice(0, index)] = sanitizedValue.slice(index + 1).split(',').filter(Boolean);
+          } else if (sanitizedKey === 'keep' && value) {
+            // `*` is not kept by sanitizeInput, so patterns are checked as a whole
+            parsed.keep = value.split(',').map(pattern => pattern.trim()).filter(pattern => KEEP_PATTERN_RE.test(pattern));
+          } else if (sanitizedKey === 'json') {
+            parsed.json = true;
+          }
+        }
+      });
+
+      return parsed;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Locale files of a language with their namespace: the file's path inside
+  // the language folder, or null for a single-file language
+  collectFiles(language) {
+    const formatManager = this.analyzer.formatManager;
+    const monolith = this.analyzer.getMonolithFile(language);
+    const files = [];
+
+    for (const fileName of this.analyzer.getLanguageFiles(language)) {
+      const filePath = monolith || path.join(this.sourceDir, language, fileName);
+      const content = SecurityUtils.safeReadFileSync(filePath, process.cwd(), 'utf8');
+      const data = content === null ? null : this.analyzer.parseLocaleFile(content, filePath, language);
+      if (!data) {
+        console.warn(t('build.couldNotParse', { file: filePath }));
+        continue;
+      }
+      files.push({
+        namespace: monolith ? null : formatManager.stripExtension(fileName).split(path.sep).join('/'),
+        data,
+        flatKeys: formatManager.hasFlatKeys(filePath)
+      });
+    }
+
+    return files;
+  }
+
+  // Bundles of the previous build that this one no longer writes
+  removeStaleFiles(outputDir, files) {
+    const manifestPath = path.join(outputDir, MANIFEST_FILE);
+    if (!SecurityUtils.safeExistsSync(manifestPath, process.cwd())) return 0;
+
+    let previous;
+    try {
+      previous = JSON.parse(SecurityUtils.safeReadFileSync(manifestPath, process.cwd(), 'utf8'));
+    } catch (_) {
+      return 0;
+    }
+
+    const current = new Set(files.map(file => file.path));
+    let removed = 0;
+    for (const entry of Object.values((previous && previous.languages) || {})) {
+      for (const file of [entry.file, ...Object.values(entry.namespaces || {})]) {
+        if (!file || current.has(file)) continue;
+        const filePath = SecurityUtils.validatePath(path.join(outputDir, file), outputDir);
+        if (filePath && fs.existsSync(filePath)) {
+          fs.unlinkSync(filePath);
+          removed++;
+        }
+      }
+    }
+    return removed;
+  }
+
+  // Translation keys the source files under `paths` use, with the
+  // extractor and patterns of `i18ntk usage`
+  async collectUsedKeys(paths) {
+    const projectRoot = path.resolve(this.config.projectRoot || process.cwd());
+    if (!this.translationPatterns) {
+      const detected = await detectFramework(projectRoot).catch(() => null);
+      this.translationPatterns = Array.isArray(this.config.translationPatterns)
+        ? this.config.translationPatterns
+        : [...DEFAULT_TRANSLATION_PATTERNS, ...((detected && FRAMEWORKS[detected.id] && FRAMEWORKS[detected.id].patterns) || [])];
+    }
+
+    const usage = new I18nUsageAnalyzer({ ...this.config, translationPatterns: this.translationPatterns });
+    usage.i18nDir = this.sourceDir;
+    const keys = new Set();
+    let files = 0;
+    for (const entryPath of paths) {
+      const target = path.resolve(projectRoot, entryPath);
+      const stat = SecurityUtils.safeStatSync(target, process.cwd());
+      const sourceFiles = stat && stat.isFile() ? [target] : await usage.getAllFiles(target);
+      for (const file of sourceFiles) {
+        usage.extractKeysFromFile(file).forEach(key => keys.add(key));
+        files++;
+      }
+    }
+    return { keys, files };
+  }
+
+  // Write a build, removing the bundles of the previous one it replaces
+  writeBuild(outputDir, files) {
+    const removed = this.removeStaleFiles(outputDir, files);
+    for (const file of files) {
+      const filePath = path.join(outputDir, file.path);
+      SecurityUtils.safeMkdirSync(path.dirname(filePath), process.cwd(), { recursive: true });
+      SecurityUtils.safeWriteFileSync(filePath, file.content, process.cwd(), 'utf8');
+    }
+    return removed;
+  }
+
+  async build(args) {
+    const sourceLanguage = this.config.sourceLanguage;
+    const outputDir = path.resolve(this.config.projectRoot || process.cwd(), args.output || DEFAULT_OUTPUT);
+    const languages = [sourceLanguage, ...this.analyzer.getAvailableLanguages()]
+      .filter(lang => !args.languages || !args.languages.length || args.languages.includes(lang));
+
+    const sources = {};
+    for (const language of languages) {
+      sources[language] = this.collectFiles(language);
+    }
+
+    const buildConfig = this.config.build || {};
+    const options = {
+      sourceLanguage,
+      format: typeof args.format === 'string' ? args.format : 'json',
+      inlineFallbacks: Boolean(args.inlineFallbacks),
+      fallbacks: this.config.fallbacks,
+      markers: this.config.notTranslatedMarkers || [this.config.notTranslatedMarker || 'NOT_TRANSLATED']
+    };
+
+    const entries = args.entries || buildConfig.entries;
+    if (!entries || !Object.keys(entries).length) {
+      const { files, manifest, stats } = buildBundles(sources, options);
+      const removed = args.dryRun ? 0 : this.writeBuild(outputDir, files);
+      return { outputDir, files: files.length, removed, manifest, ...stats };
+    }
+
+    const allowlist = [...(buildConfig.dynamicKeys || []), ...(args.keep || [])];
+    const results = [];
+    for (const [entry, paths] of Object.entries(entries)) {
+      // The name becomes a directory under the output
+      if (!/^[\w-]+$/.test(entry)) {
+        throw new Error(`Invalid entry name '${entry}': use letters, digits, '-' and '_'`);
+      }
+      const used = await this.collectUsedKeys([].concat(paths));
+      const { keep, dynamic } = createKeyFilter(used.keys, allowlist);
+      const { files, manifest, stats } = buildBundles(sources, { ...options, entry, keep });
+      const entryDir = path.join(outputDir, entry);
+      const removed = args.dryRun ? 0 : this.writeBuild(entryDir, files);
+      results.push({ entry, outputDir: entryDir, sourceFiles: used.files, files: files.length, removed, dynamic, manifest, ...stats });
+    }
+    return { outputDir, entries: results };
+  }
+
+  async run(options = {}) {
+    await this.initialize();
+    const args = this.parseArgs();
+
+    if (!args.json) {
+      console.log(t('build.starting', { dir: this.sourceDir }));
+    }
+
+    let result;
+    try {
+      result = await this.build(args);
+    } catch (error) {
+      if (args.json) {
+        new JsonOutput('build').outputError(error);
+        return { success: false, error: error.message };
+      }
+      console.error(t('build.failed', { error: error.message }));
+      throw error;
+    }
+
+    if (args.json) {
+      const jsonOutput = new JsonOutput('build');
+      jsonOutput.setStatus('ok');
+      jsonOutput.setStats(result);
+      jsonOutput.output();
+    } else if (result.entries) {
+      for (const entry of result.entries) {
+        console.log(t('build.entryBuilt', {
+          entry: entry.entry,
+          keys: entry.keys,
+          shaken: entry.shaken,
+          sourceFiles: entry.sourceFiles,
+          dir: entry.outputDir
+        }));
+        if (entry.dynamic.length) {
+          console.warn(t('build.dynamicKeys', { entry: entry.entry, count: entry.dynamic.length, keys: entry.dynamic.slice(0, 5).join(', ') }));
+        }
+      }
+    } else {
+      console.log(t('build.built', {
+        languages: result.languages,
+        files: result.files,
+        dir: result.outputDir
+      }));
+      console.log(t('build.summary', {
+        keys: result.keys,
+        stripped: result.stripped,
+        inlined: result.inlined,
+        removed: result.removed
+      }));
+    }
+
+    return { success: true, ...result };
+  }
+}
+
+module.exports = I18nBuilder;
+
+if (require.main === module) {
+  const builder = new I18nBuilder();
+  builder.run().catch(error => {
+    console.error('I18n Build failed:', error.message);
+    process.exit(1);
+  });
+}
@@ -9,6 +9,7 @@
  *   node i18ntk-complete.js
  *   node i18ntk-complete.js --auto-translate
  *   node i18ntk-complete.js --source-dir=./src/i18n/locales
+ *   node i18ntk-complete.js --missing-keys=./i18ntk-reports/missing-keys.json
  */
 
 
@@ -18,6 +19,7 @@ const { getUnifiedConfig, parseCommonArgs, displayHelp } = require('../utils/con
 const { loadTranslations, t } = require('../utils/i18n-helper');
 const { getGlobalReadline, closeGlobalReadline } = require('../utils/cli');
 const SetupEnforcer = require('../utils/setup-enforcer');
+const { getFormatManager } = require('../utils/format-manager');
 
 // Ensure setup is complete before running
 (async () => {
@@ -39,6 +41,7 @@ class I18nCompletionTool {
     this.sourceDir = null;
     this.sourceLanguageDir = null;
     this.rl = null;
+    this.formatManager = getFormatManager();
     
     // Initialize UI i18n for console messages
     const UIi18n = require('./i18ntk-ui');
@@ -52,7 +55,8 @@ class I18nCompletionTool {
       if (args.help) {
         displayHelp('i18ntk-complete', {
           'auto-translate': 'Enable automatic translation suggestions',
-          'dry-run': 'Preview changes without applying them'
+          'dry-run': 'Preview changes without applying them',
+          'missing-keys': 'Also add the keys listed in a usage or runtime missing-keys JSON report'
         });
         process.exit(0);
       }
@@ -107,6 +111,8 @@ class I18nCompletionTool {
           parsed.dryRun = true;
         } else if (key === 'no-prompt') {
           parsed.noPrompt = true;
+        } else if (key === 'missing-keys') {
+          parsed.missingKeys = value;
         }
       }
     });
@@ -120,23 +126,24 @@ class I18nCompletionTool {
       throw new Error(`Source directory not found: ${this.sourceDir}`);
     }
     
-    // Check for monolith JSON files (en.json, es.json, etc.)
+    // Check for monolith locale files (en.json, es.yml, etc.)
     const files = SecurityUtils.safeReaddirSync(this.sourceDir, this.config.projectRoot);
     const languages = files
-      .filter(file => file.endsWith('.json'))
-      .map(file => path.basename(file, '.json'));
+      .filter(file => this.formatManager.isSupportedFile(file) && !this.formatManager.isCatalogFile(file))
+      .map(file => this.formatManager.stripExtension(file));
     
     // Also check for directory-based structure for backward compatibility
-    const directories = fs.readdirSync(this.sourceDir)
+    const directories = files
       .filter(item => {
         const itemPath = path.join(this.sourceDir, item);
-        return SecurityUtils.safeStatSync(itemPath, this.config.projectRoot).isDirectory();
+        return SecurityUtils.safeStatSync(itemPath, this.config.projectRoot).isDirectory() &&
+          this.formatManager.isLocaleDirectory(item);
       });
     
     return [...new Set([...languages, ...directories])];
   }
 
-  // Get all JSON files from a language directory
+  // Get all locale files from a language directory
   getLanguageFiles(language) {
     const languageDir = path.join(this.sourceDir, language);
     
@@ -144,20 +151,48 @@ class I18nCompletionTool {
       return [];
     }
     
-    return SecurityUtils.safeReaddirSync(languageDir, this.config.projectRoot)
+    const files = SecurityUtils.safeReaddirSync(languageDir, this.config.projectRoot)
       .filter(file => {
-        return file.endsWith('.json') && 
+        return this.formatManager.isSupportedFile(file) && 
                !this.config.excludeFiles.includes(file);
       });
+
+    // gettext catalogs live in <language>/LC_MESSAGES (Django, Flask-Babel)
+    const messagesDir = path.join(languageDir, 'LC_MESSAGES');
+    if (SecurityUtils.safeExistsSync(messagesDir, this.config.projectRoot)) {
+      (SecurityUtils.safeReaddirSync(messagesDir, this.config.projectRoot) || [])
+        .filter(file => this.formatManager.isSupportedFile(file) && !this.config.excludeFiles.includes(file))
+        .forEach(file => files.push(path.join('LC_MESSAGES', file)));
+    }
+
+    return files;
+  }
+
+  // Extension used for new files: follow the source language files, default to JSON
+  getLocaleExtension() {
+    const sourceFiles = this.getLanguageFiles(this.config.sourceLanguage);
+    return sourceFiles.length > 0 ? path.extname(sourceFiles[0]) : '.json';
+  }
+
+  // Parse a locale file with the adapter registered for its extension
+  parseLocaleFile(content, filePath, language) {
+    return this.formatManager.parse(content, filePath, { language });
   }
 
   // Parse key path and determine which file it belongs to
   parseKeyPath(keyPath) {
+    const ext = this.localeExtension || '.json';
+
+    // Keys found by comparing files stay in the file they were found in
+    if (this.keyFiles && this.keyFiles.has(keyPath)) {
+      return this.keyFiles.get(keyPath)[0];
+    }
+
     // Handle namespace:key format (e.g., "reportGenerator:reportTypes.prospects")
     if (keyPath.includes(':')) {
       const [namespace, key] = keyPath.split(':', 2);
       return {
-        file: `${namespace}.json`,
+        file: `${namespace}${ext}`,
         key: key
       };
     }
@@ -167,14 +202,14 @@ class I18nCompletionTool {
     const parts = keyPathStr.split('.');
     if (parts.length > 1) {
       return {
-        file: `${parts[0]}.json`,
+        file: `${parts[0]}${ext}`,
         key: parts.slice(1).join('.')
       };
     }
     
-    // Default to common.json for simple keys
+    // Default to the common file for simple keys
     return {
-      file: 'common.json',
+      file: `common${ext}`,
       key: keyPath
     };
   }
@@ -216,36 +251,66 @@ class I18nCompletionTool {
   addMissingKeysToLanguage(language, missingKeys, dryRun = false) {
     const languageDir = path.join(this.sourceDir, language);
     const changes = [];
+    this.localeExtension = this.getLocaleExtension();
     
     // Group keys by file
     const keysByFile = {};
     
     missingKeys.forEach(keyPath => {
-      const { file, key } = this.parseKeyPath(keyPath);
-      if (!keysByFile[file]) {
-        keysByFile[file] = [];
-      }
-      keysByFile[file].push({ keyPath, key });
+      // A msgid can be in several catalogs of a language (django.po, djangojs.po)
+      const locations = this.keyFiles && this.keyFiles.has(keyPath)
+        ? this.keyFiles.get(keyPath)
+        : [this.parseKeyPath(keyPath)];
+      locations.forEach(({ file, key }) => {
+        if (!keysByFile[file]) {
+          keysByFile[file] = [];
+        }
+        keysByFile[file].push({ keyPath, key });
+      });
     });
     
     // Process each file
     for (const [fileName, keys] of Object.entries(keysByFile)) {
       const filePath = path.join(languageDir, fileName);
+      const flatKeys = this.formatManager.hasFlatKeys(filePath);
+      const sourceFilePath = path.join(this.sourceLanguageDir, fileName);
       let fileContent = {};
+      let originalContent = null;
+      let pluralCount = null;
+      let sourceContent = null;
+      let sourceData = {};
+
+      // The source file orders new keys; flat catalogs also copy plural forms,
+      // comments and references from it
+      if (SecurityUtils.safeExistsSync(sourceFilePath, this.config.projectRoot)) {
+        try {
+          sourceContent = SecurityUtils.safeReadFileSync(sourceFilePath, this.config.projectRoot, 'utf8');
+          sourceData = this.parseLocaleFile(sourceContent, sourceFilePath, this.config.sourceLanguage);
+        } catch (error) {
+          sourceContent = null;
+        }
+      }
       
       // Load existing file or create new
       if (SecurityUtils.safeExistsSync(filePath, this.config.projectRoot)) {
         try {
-          fileContent = JSON.parse(SecurityUtils.safeReadFileSync(filePath, this.config.projectRoot, 'utf8'));
+          originalContent = SecurityUtils.safeReadFileSync(filePath, this.config.projectRoot, 'utf8');
+          fileContent = this.parseLocaleFile(originalContent, filePath, language);
+          // gettext catalogs name their number of plural forms in the header
+          const format = this.formatManager.getFormatForFile(filePath);
+          if (format && typeof format.pluralFormCount === 'function') {
+            pluralCount = format.pluralFormCount(originalContent);
+          }
         } catch (error) {
           console.warn(t("completeTranslations.warning_could_not_parse_filepa", { filePath })); ;
           fileContent = {};
         }
       } else {
         // Create directory if it doesn't exist
-        if (!SecurityUtils.safeExistsSync(languageDir, this.config.projectRoot)) {
+        const fileDir = path.dirname(filePath);
+        if (!SecurityUtils.safeExistsSync(fileDir, this.config.projectRoot)) {
           if (!dryRun) {
-            SecurityUtils.safeMkdirSync(languageDir, this.config.projectRoot, { recursive: true });
+            SecurityUtils.safeMkdirSync(fileDir, this.config.projectRoot, { recursive: true });
           }
         }
       }
@@ -254,7 +319,21 @@ class I18nCompletionTool {
       let fileChanged = false;
       keys.forEach(({ keyPath, key }) => {
         // Check if key already exists
-        if (!this.hasNestedKey(fileContent, key)) {
+        if (flatKeys) {
+          if (!Object.prototype.hasOwnProperty.call(fileContent, key)) {
+            const value = this.generateCatalogValue(key, sourceData[key], language, filePath, pluralCount);
+
+            fileContent[key] = value;
+            fileChanged = true;
+
+            changes.push({
+              file: fileName,
+              key: keyPath,
+              value,
+              action: 'added'
+            });
+          }
+        } else if (!this.hasNestedKey(fileContent, key)) {
           const value = this.generateTranslationValue(keyPath, language);
           
           this.setNestedValue(fileContent, key, value);
@@ -271,7 +350,12 @@ class I18nCompletionTool {
       
       // Save file
       if (fileChanged && !dryRun) {
-        SecurityUtils.safeWriteFileSync(filePath, JSON.stringify(fileContent, null, 2), this.config.projectRoot, 'utf8');
+        const serialized = this.formatManager.serialize(fileContent, filePath, {
+          language,
+          original: originalContent,
+          template: sourceContent
+        });
+        SecurityUtils.safeWriteFileSync(filePath, serialized, this.config.projectRoot, 'utf8');
       }
     }
     
@@ -292,6 +376,30 @@ class I18nCompletionTool {
     return this.config.notTranslatedMarker || 'NOT_TRANSLATED';
   }
 
+  // Generate a value for a flat catalog entry: the msgid is already the source text.
+  // Plural arrays get `pluralCount` forms when the target catalog names its count
+  generateCatalogValue(key, sourceValue, language, filePath, pluralCount = null) {
+    const marker = this.config.notTranslatedMarker || 'NOT_TRANSLATED';
+    const separatorIndex = key.indexOf('\u0004');
+    const msgid = separatorIndex === -1 ? key : key.slice(separatorIndex + 1);
+    const value = language === this.config.sourceLanguage ? msgid : marker;
+
+    // Formats with structured entries (.stringsdict) know which parts to copy
+    const format = filePath ? this.formatManager.getFormatForFile(filePath) : null;
+    if (format && typeof format.untranslatedValue === 'function') {
+      return format.untranslatedValue(sourceValue, value);
+    }
+
+    if (Array.isArray(sourceValue)) {
+      return Array.from({ length: pluralCount || sourceValue.length }, () => value);
+    }
+    if (sourceValue && typeof sourceValue === 'object') {
+      // Android <plurals>: one entry per quantity
+      return Object.keys(sourceValue).reduce((result, quantity) => ({ ...result, [quantity]: value }), {});
+    }
+    return value;
+  }
+
   // Generate a readable value from a key path
   generateValueFromKey(keyPath) {
     // Extract the last part of the key (after dots and colons)
@@ -329,6 +437,7 @@ class I18nCompletionTool {
   getMissingKeysFromComparison() {
     const sourceFiles = this.getLanguageFiles(this.config.sourceLanguage);
     const missingKeys = [];
+    this.keyFiles = new Map();
     
     if (!SecurityUtils.safeExistsSync(this.sourceLanguageDir, this.config.projectRoot)) {
       console.log(t("complete.sourceLanguageNotFound", { sourceLanguage: this.config.sourceLanguage }));
@@ -340,8 +449,17 @@ class I18nCompletionTool {
       const sourceFilePath = path.join(this.sourceLanguageDir, fileName);
       
       try {
-        const sourceContent = SecurityUtils.safeParseJSON(SecurityUtils.safeReadFileSync(sourceFilePath, this.config.projectRoot, 'utf8'));
-        const sourceKeys = this.getAllKeys(sourceContent);
+        const sourceContent = this.parseLocaleFile(SecurityUtils.safeReadFileSync(sourceFilePath, this.config.projectRoot, 'utf8'), sourceFilePath, this.config.sourceLanguage);
+        // Flat catalogs keep structured values (plural arrays and objects) under one key
+        const flatKeys = this.formatManager.hasFlatKeys(sourceFilePath);
+        const sourceKeys = flatKeys ? Object.keys(sourceContent) : this.getAllKeys(sourceContent);
+        // Nested keys are reported with their file as namespace (messages.auth.failed)
+        const namespace = this.formatManager.stripExtension(fileName).split(path.sep).join('/');
+        const keyPathFor = key => (flatKeys ? key : `${namespace}.${key}`);
+        sourceKeys.forEach(key => {
+          const keyPath = keyPathFor(key);
+          this.keyFiles.set(keyPath, [...(this.keyFiles.get(keyPath) || []), { file: fileName, key }]);
+        });
         
         // Check all other languages
         const languages = this.getAvailableLanguages();
@@ -353,8 +471,8 @@ class I18nCompletionTool {
           
           if (SecurityUtils.safeExistsSync(targetFilePath, this.config.projectRoot)) {
             try {
-              const targetContent = SecurityUtils.safeParseJSON(SecurityUtils.safeReadFileSync(targetFilePath, this.config.projectRoot, 'utf8'));
-              targetKeys = this.getAllKeys(targetContent);
+              const targetContent = this.parseLocaleFile(SecurityUtils.safeReadFileSync(targetFilePath, this.config.projectRoot, 'utf8'), targetFilePath, language);
+              targetKeys = flatKeys ? Object.keys(targetContent) : this.getAllKeys(targetContent);
             } catch (error) {
               console.warn(t("complete.couldNotParseTarget", { file: targetFilePath }));
             }
@@ -362,7 +480,7 @@ class I18nCompletionTool {
           
           // Find keys missing in target language
           const missingInTarget = sourceKeys.filter(key => !targetKeys.includes(key));
-          missingKeys.push(...missingInTarget);
+          missingKeys.push(...missingInTarget.map(keyPathFor));
         }
       } catch (error) {
         console.warn(t("complete.couldNotParseSource", { file: sourceFilePath }));
@@ -375,6 +493,28 @@ class I18nCompletionTool {
     return uniqueMissingKeys;
   }
 
+  // Keys from a JSON report with a `missingKeys` array, such as the one the
+  // runtime's missing-key collector writes
+  readMissingKeysReport(file) {
+    const projectRoot = this.config.projectRoot || process.cwd();
+    // SecurityUtils only accepts paths relative to the project
+    const reportPath = path.relative(projectRoot, path.resolve(projectRoot, file));
+    try {
+      const content = SecurityUtils.safeReadFileSync(reportPath, projectRoot, 'utf8');
+      if (content === null) throw new Error('file not found or outside the project');
+      const report = JSON.parse(content);
+      const keys = (Array.isArray(report.missingKeys) ? report.missingKeys : [])
+        .map(entry => (entry && typeof entry === 'object' ? entry.key : entry))
+        .filter(key => typeof key === 'string' && key.trim());
+      const uniqueKeys = [...new Set(keys)];
+      console.log(t("complete.missingKeysFromReport", { count: uniqueKeys.length, file }));
+      return uniqueKeys;
+    } catch (error) {
+      console.warn(t("complete.missingKeysReportUnreadable", { file, error: error.message }));
+      return [];
+    }
+  }
+
   // Generate completion report
   async generateReport(changes, languages) {
     const projectRoot = this.config.projectRoot || process.cwd();
@@ -488,13 +628,18 @@ class I18nCompletionTool {
       console.log(t("complete.languages", { languages: languages.join(', ') }));
       
       // Get missing keys by comparing source language with others
-      const missingKeys = this.getMissingKeysFromComparison();
+      let missingKeys = this.getMissingKeysFromComparison();
+      // Reported keys may be missing from the source language as well
+      const reportedKeys = args.missingKeys ? this.readMissingKeysReport(args.missingKeys) : [];
+      missingKeys = [...new Set([...missingKeys, ...reportedKeys])];
       console.log(t("complete.addingMissingKeys"));
       
       let totalChanges = 0;
       
-      // Process all languages except source language
-      const targetLanguages = languages.filter(lang => lang !== this.config.sourceLanguage);
+      // Process all languages except the source, which only needs reported keys
+      const targetLanguages = reportedKeys.length
+        ? [this.config.sourceLanguage, ...languages.filter(lang => lang !== this.config.sourceLanguage)]
+        : languages.filter(lang => lang !== this.config.sourceLanguage);
       const allChanges = [];
       for (const language of targetLanguages) {
         console.log(t("complete.processing", { language }));
@@ -4,6 +4,7 @@ const fs = require('fs');
 const path = require('path');
 const { getUnifiedConfig, parseCommonArgs, displayHelp } = require('../utils/config-helper');
 const SetupEnforcer = require('../utils/setup-enforcer');
+const { getFormatManager } = require('../utils/format-manager');
 
 // Ensure setup is complete before running
 (async () => {
@@ -99,19 +100,70 @@ function compareTypes(src, tgt, prefix = '', issues = []) {
     exitCode = Math.max(exitCode, ExitCodes.CONFIG_ERROR);
   }
 
+  const formatManager = getFormatManager();
   const sourceLang = config.sourceLanguage || 'en';
   const languages = config.defaultLanguages || [];
   const srcDir = path.join(config.i18nDir, sourceLang);
-  const srcFiles = SecurityUtils.safeExistsSync(srcDir) ? fs.readdirSync(srcDir).filter(f => f.endsWith('.json')) : [];
+  const srcFiles = SecurityUtils.safeExistsSync(srcDir) ? fs.readdirSync(srcDir).filter(f => formatManager.isSupportedFile(f)) : [];
+
+  // Monolith locale files (en.json, active.en.toml, ...) sit in i18nDir itself
+  const findLocaleFile = lang => formatManager.getExtensions()
+    .map(ext => path.join(config.i18nDir, `${lang}${ext}`))
+    .find(file => SecurityUtils.safeExistsSync(file) && fs.statSync(file).isFile());
+  const srcMonolith = findLocaleFile(sourceLang);
+
+  const checkFiles = (srcPath, tgtPath, lang, label) => {
+    const srcContent = SecurityUtils.safeReadFileSync(srcPath, path.dirname(srcPath), 'utf8');
+    const tgtContent = SecurityUtils.safeReadFileSync(tgtPath, path.dirname(tgtPath), 'utf8');
+    if (hasBOM(srcContent) || hasBOM(tgtContent)) {
+      issues.push(`BOM detected in ${label}`);
+      exitCode = Math.max(exitCode, ExitCodes.CONFIG_ERROR);
+    }
+    const formatName = formatManager.getFormatForFile(tgtPath).name.toUpperCase();
+    let srcJson, tgtJson;
+    try {
+      srcJson = formatManager.parse(srcContent, srcPath, { language: sourceLang });
+    } catch (e) {
+      issues.push(`Invalid ${formatName} in source ${path.basename(srcPath)}: ${e.message}`);
+      exitCode = Math.max(exitCode, ExitCodes.CONFIG_ERROR);
+      return;
+    }
+    try {
+      tgtJson = formatManager.parse(tgtContent, tgtPath, { language: lang });
+    } catch (e) {
+      issues.push(`Invalid ${formatName} in ${label}: ${e.message}`);
+      exitCode = Math.max(exitCode, ExitCodes.CONFIG_ERROR);
+      return;
+    }
+    // Plural objects, Android <plurals> and go-i18n one/other tables all read as { one, other }
+    const srcPlurals = collectPluralKeys(srcJson);
+    const tgtPlurals = collectPluralKeys(tgtJson);
+    for (const key of srcPlurals) {
+      if (!tgtPlurals.has(key)) {
+        issues.push(`Inconsistent plural forms in ${label}: missing ${key}`);
+        exitCode = Math.max(exitCode, ExitCodes.CONFIG_ERROR);
+      }
+    }
+    const typeMismatches = compareTypes(srcJson, tgtJson);
+    typeMismatches.forEach(k => {
+      issues.push(`Type mismatch for key ${k} in ${label}`);
+      exitCode = Math.max(exitCode, ExitCodes.CONFIG_ERROR);
+    });
+  };
 
   for (const lang of languages) {
     const langDir = path.join(config.i18nDir, lang);
     if (!SecurityUtils.safeExistsSync(langDir)) {
+      const tgtMonolith = srcMonolith && findLocaleFile(lang);
+      if (tgtMonolith) {
+        checkFiles(srcMonolith, tgtMonolith, lang, path.basename(tgtMonolith));
+        continue;
+      }
       issues.push(`Missing locale directory: ${lang}`);
       exitCode = Math.max(exitCode, ExitCodes.CONFIG_ERROR);
       continue;
     }
-    const files = fs.readdirSync(langDir).filter(f => f.endsWith('.json'));
+    const files = fs.readdirSync(langDir).filter(f => formatManager.isSupportedFile(f));
     for (const file of files) {
       if (!srcFiles.includes(file)) {
         issues.push(`Dangling namespace file: ${lang}/${file}`);
@@ -120,40 +172,7 @@ function compareTypes(src, tgt, prefix = '', issues = []) {
       const srcPath = path.join(srcDir, file);
       const tgtPath = path.join(langDir, file);
       if (!SecurityUtils.safeExistsSync(srcPath) || !SecurityUtils.safeExistsSync(tgtPath)) continue;
-      const srcContent = SecurityUtils.safeReadFileSync(srcPath, path.dirname(srcPath), 'utf8');
-      const tgtContent = SecurityUtils.safeReadFileSync(tgtPath, path.dirname(tgtPath), 'utf8');
-      if (hasBOM(srcContent) || hasBOM(tgtContent)) {
-        issues.push(`BOM detected in ${lang}/${file}`);
-        exitCode = Math.max(exitCode, ExitCodes.CONFIG_ERROR);
-      }
-      let srcJson, tgtJson;
-      try {
-        srcJson = JSON.parse(srcContent.replace(/^\uFEFF/, ''));
-      } catch (e) {
-        issues.push(`Invalid JSON in source ${file}: ${e.message}`);
-        exitCode = Math.max(exitCode, ExitCodes.CONFIG_ERROR);
-        continue;
-      }
-      try {
-        tgtJson = JSON.parse(tgtContent.replace(/^\uFEFF/, ''));
-      } catch (e) {
-        issues.push(`Invalid JSON in ${lang}/${file}: ${e.message}`);
-        exitCode = Math.max(exitCode, ExitCodes.CONFIG_ERROR);
-        continue;
-      }
-      const srcPlurals = collectPluralKeys(srcJson);
-      const tgtPlurals = collectPluralKeys(tgtJson);
-      for (const key of srcPlurals) {
-        if (!tgtPlurals.has(key)) {
-          issues.push(`Inconsistent plural forms in ${lang}/${file}: missing ${key}`);
-          exitCode = Math.max(exitCode, ExitCodes.CONFIG_ERROR);
-        }
-      }
-      const typeMismatches = compareTypes(srcJson, tgtJson);
-      typeMismatches.forEach(k => {
-        issues.push(`Type mismatch for key ${k} in ${lang}/${file}`);
-        exitCode = Math.max(exitCode, ExitCodes.CONFIG_ERROR);
-      });
+      checkFiles(srcPath, tgtPath, lang, `${lang}/${file}`);
     }
   }
 
@@ -0,0 +1,303 @@
+#!/usr/bin/env node
+
+/**
+ * I18NTK EXPORT SCRIPT
+ *
+ * Exports source and target translations as XLIFF 1.2 / 2.0 so they can be
+ * handed to translators working in CAT tools, or as a single CSV/TSV sheet
+ * (one row per key, one column per language) for spreadsheet reviews. One
+ * XLIFF file is written per target language; see i18ntk-import for merging
+ * the results back. Plural forms and string arrays are exported as one unit
+ * per form (`files[one]`, `colors[0]`).
+ */
+
+const path = require('path');
+const SecurityUtils = require('../utils/security');
+const { loadTranslations, t } = require('../utils/i18n-helper');
+const { getUnifiedConfig, parseCommonArgs, displayHelp } = require('../utils/config-helper');
+const JsonOutput = require('../utils/json-output');
+const SetupEnforcer = require('../utils/setup-enforcer');
+const { I18nAnalyzer } = require('./i18ntk-analyze');
+const { buildXliff, flattenUnits, isTranslatedValue, parseFormKey } = require('../utils/xliff');
+const { stringifyCsv, delimiterFor } = require('../utils/csv');
+
+// Ensure setup is complete before running
+(async () => {
+  try {
+    await SetupEnforcer.checkSetupCompleteAsync();
+  } catch (error) {
+    console.error('Setup check failed:', error.message);
+    process.exit(1);
+  }
+})();
+
+loadTranslations('en', path.resolve(__dirname, '..', 'resources', 'i18n', 'ui-locales'));
+
+const EXPORT_FORMATS = ['xliff', 'csv', 'tsv'];
+const SHEET_FORMATS = ['csv', 'tsv'];
+
+class I18nExporter {
+  constructor(config = {}) {
+    this.config = config;
+    this.analyzer = null;
+    // Source keys whose values hold no text to translate (file:key)
+    this.skippedKeys = new Set();
+  }
+
+  async initialize() {
+    try {
+      const args = this.parseArgs();
+      if (args.help) {
+        displayHelp('i18ntk-export', {
+          'format': 'Export format: xliff, csv or tsv (default: xliff)',
+          'xliff-version': 'XLIFF version: 1.2 or 2.0 (default: 1.2)',
+          'languages': 'Comma separated list of target languages to export',
+          'output': 'Directory for the exported files (default: ./i18ntk-export)'
+        });
+        process.exit(0);
+      }
+
+      const baseConfig = await getUnifiedConfig('export', args);
+      this.config = { ...baseConfig, ...(this.config || {}) };
+
+      const uiLanguage = (this.config && this.config.uiLanguage) || 'en';
+      loadTranslations(uiLanguage, path.resolve(__dirname, '..', 'resources', 'i18n', 'ui-locales'));
+
+      this.sourceDir = this.config.sourceDir;
+
+      const { validateSourceDir } = require('../utils/config-helper');
+      validateSourceDir(this.sourceDir, 'i18ntk-export');
+
+      // Read the locale trees exactly the way analyze does
+      this.analyzer = new I18nAnalyzer(this.config);
+      this.analyzer.sourceDir = this.sourceDir;
+      this.analyzer.sourceLanguageDir = path.join(this.sourceDir, this.config.sourceLanguage);
+    } catch (error) {
+      console.error(`Fatal export error: ${error.message}`);
+      throw error;
+    }
+  }
+
+  parseArgs() {
+    try {
+      const args = process.argv.slice(2);
+      const parsed = parseCommonArgs(args);
+
+      args.forEach(arg => {
+        if (arg.startsWith('--')) {
+          const [key, value] = arg.substring(2).split('=');
+          const sanitizedKey = SecurityUtils.sanitizeInput(key);
+          const sanitizedValue = value ? SecurityUtils.sanitizeInput(value) : true;
+
+          if (sanitizedKey === 'format') {
+            parsed.format = sanitizedValue;
+          } else if (sanitizedKey === 'xliff-version') {
+            parsed.xliffVersion = sanitizedValue;
+          } else if (sanitizedKey === 'languages') {
+            parsed.languages = sanitizedValue.split(',').map(l => l.trim()).filter(Boolean);
+          } else if (sanitizedKey === 'output') {
+            parsed.output = sanitizedValue;
+          } else if (sanitizedKey === 'json') {
+            parsed.json = true;
+          }
+        }
+      });
+
+      return parsed;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Units of a source file; keys it cannot export are recorded as skipped
+  flattenSource(data, flatKeys, fileName) {
+    const skipped = new Set();
+    const units = flattenUnits(data, flatKeys, skipped);
+    skipped.forEach(key => this.skippedKeys.add(`${fileName.split(path.sep).join('/')}:${key}`));
+    return units;
+  }
+
+  readLocaleFile(filePath, language) {
+    if (!SecurityUtils.safeExistsSync(filePath, process.cwd())) {
+      return null;
+    }
+    const content = SecurityUtils.safeReadFileSync(filePath, process.cwd(), 'utf8');
+    return content === null ? null : this.analyzer.parseLocaleFile(content, filePath, language);
+  }
+
+  // Build the XLIFF file entries for one target language
+  collectFiles(language) {
+    const sourceLanguage = this.config.sourceLanguage;
+    const marker = this.config.notTranslatedMarker || 'NOT_TRANSLATED';
+    const formatManager = this.analyzer.formatManager;
+    const files = [];
+
+    for (const fileName of this.analyzer.getLanguageFiles(sourceLanguage)) {
+      const sourcePath = this.analyzer.resolveLanguageFilePath(sourceLanguage, fileName);
+      const targetPath = this.analyzer.resolveLanguageFilePath(language, fileName);
+      const flatKeys = formatManager.hasFlatKeys(sourcePath);
+
+      const sourceData = this.readLocaleFile(sourcePath, sourceLanguage);
+      if (!sourceData) {
+        console.warn(t('export.couldNotParse', { file: sourcePath }));
+        continue;
+      }
+      const targetValues = flattenUnits(this.readLocaleFile(targetPath, language), flatKeys);
+
+      const units = [];
+      this.flattenSource(sourceData, flatKeys, fileName).forEach((source, key) => {
+        const target = targetValues.get(key);
+        const translated = isTranslatedValue(target, marker);
+        units.push({
+          key,
+          source,
+          target: translated ? target : '',
+          state: translated ? 'translated' : 'needs-translation'
+        });
+      });
+
+      files.push({ original: fileName.split(path.sep).join('/'), units });
+    }
+
+    return files;
+  }
+
+  // Translator notes of a source file; a plural form falls back to its message
+  readDescriptions(filePath) {
+    const content = SecurityUtils.safeReadFileSync(filePath, process.cwd(), 'utf8');
+    if (content === null) {
+      return {};
+    }
+    try {
+      return this.analyzer.formatManager.getDescriptions(content, filePath);
+    } catch (error) {
+      return {};
+    }
+  }
+
+  // Build the spreadsheet rows: file, key, description, source, languages..., status
+  collectRows(languages) {
+    const sourceLanguage = this.config.sourceLanguage;
+    const marker = this.config.notTranslatedMarker || 'NOT_TRANSLATED';
+    const formatManager = this.analyzer.formatManager;
+    const rows = [['file', 'key', 'description', sourceLanguage, ...languages, 'status']];
+    const stats = languages.map(language => ({ language, units: 0, needsTranslation: 0 }));
+
+    for (const fileName of this.analyzer.getLanguageFiles(sourceLanguage)) {
+      const sourcePath = this.analyzer.resolveLanguageFilePath(sourceLanguage, fileName);
+      const flatKeys = formatManager.hasFlatKeys(sourcePath);
+
+      const sourceData = this.readLocaleFile(sourcePath, sourceLanguage);
+      if (!sourceData) {
+        console.warn(t('export.couldNotParse', { file: sourcePath }));
+        continue;
+      }
+      const descriptions = this.readDescriptions(sourcePath);
+      const targets = languages.map(language =>
+        flattenUnits(this.readLocaleFile(this.analyzer.resolveLanguageFilePath(language, fileName), language), flatKeys));
+
+      this.flattenSource(sourceData, flatKeys, fileName).forEach((source, key) => {
+        // A plural form (`files[one]`) shares the note of its message
+        const form = descriptions[key] === undefined ? parseFormKey(key) : null;
+        const noteKey = form ? form.key : key;
+        const parentKey = noteKey.includes('.') ? noteKey.slice(0, noteKey.lastIndexOf('.')) : null;
+        const description = descriptions[noteKey] !== undefined ? descriptions[noteKey] : (descriptions[parentKey] || '');
+        const pending = [];
+        const cells = targets.map((values, index) => {
+          const target = values.get(key);
+          const translated = isTranslatedValue(target, marker);
+          stats[index].units++;
+          if (!translated) {
+            stats[index].needsTranslation++;
+            pending.push(languages[index]);
+          }
+          return translated ? target : '';
+        });
+        const status = pending.length ? `needs-translation (${pending.join(', ')})` : 'translated';
+        rows.push([fileName.split(path.sep).join('/'), key, description, source, ...cells, status]);
+      });
+    }
+
+    return { rows, stats };
+  }
+
+  async run(options = {}) {
+    await this.initialize();
+    const args = this.parseArgs();
+    const format = String(args.format || 'xliff').toLowerCase();
+
+    if (!EXPORT_FORMATS.includes(format)) {
+      throw new Error(t('export.unsupportedFormat', { format, formats: EXPORT_FORMATS.join(', ') }));
+    }
+
+    const outputDir = path.resolve(this.config.projectRoot || process.cwd(), args.output || 'i18ntk-export');
+    const languages = (args.languages && args.languages.length ? args.languages : this.analyzer.getAvailableLanguages())
+      .filter(language => language !== this.config.sourceLanguage);
+    const results = [];
+
+    if (!args.json) {
+      console.log(t('export.starting', { format: format.toUpperCase(), count: languages.length }));
+    }
+
+    if (SHEET_FORMATS.includes(format)) {
+      // One sheet for every language, with a BOM so Excel reads it as UTF-8
+      const { rows, stats } = this.collectRows(languages);
+      const outputPath = path.join(outputDir, `translations.${format}`);
+      if (!args.dryRun) {
+        const content = stringifyCsv(rows, { delimiter: delimiterFor(format) });
+        SecurityUtils.safeWriteFileSync(outputPath, content, process.cwd(), 'utf8');
+      }
+      stats.forEach(stat => {
+        results.push({ ...stat, file: outputPath });
+        if (!args.json) {
+          console.log(t('export.languageExported', { language: stat.language, file: outputPath, units: stat.units, pending: stat.needsTranslation }));
+        }
+      });
+    } else {
+      for (const language of languages) {
+        const files = this.collectFiles(language);
+        const units = files.reduce((sum, file) => sum + file.units.length, 0);
+        const pending = files.reduce((sum, file) => sum + file.units.filter(unit => unit.state === 'needs-translation').length, 0);
+        const outputPath = path.join(outputDir, `${language}.xlf`);
+
+        const content = buildXliff({
+          version: args.xliffVersion || '1.2',
+          sourceLanguage: this.config.sourceLanguage,
+          targetLanguage: language,
+          files
+        });
+
+        if (!args.dryRun) {
+          SecurityUtils.safeWriteFileSync(outputPath, content, process.cwd(), 'utf8');
+        }
+        results.push({ language, file: outputPath, units, needsTranslation: pending });
+
+        if (!args.json) {
+          console.log(t('export.languageExported', { language, file: outputPath, units, pending }));
+        }
+      }
+    }
+
+    const skipped = Array.from(this.skippedKeys);
+    if (args.json) {
+      const jsonOutput = new JsonOutput('export');
+      jsonOutput.setStatus('ok');
+      jsonOutput.setStats({ languages: results.length, files: results, skipped });
+      jsonOutput.output();
+    } else if (skipped.length) {
+      console.warn(t('export.skippedValues', { count: skipped.length, keys: skipped.slice(0, 10).join(', ') }));
+    }
+
+    return { success: true, results, skipped };
+  }
+}
+
+module.exports = I18nExporter;
+
+if (require.main === module) {
+  const exporter = new I18nExporter();
+  exporter.run().catch(error => {
+    console.error('I18n Export failed:', error.message);
+    process.exit(1);
+  });
+}
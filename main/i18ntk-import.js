@@ -0,0 +1,350 @@
+#!/usr/bin/env node
+
+/**
+ * I18NTK IMPORT SCRIPT
+ *
+ * Merges translated units from XLIFF 1.2 / 2.0 files (as produced by
+ * i18ntk-export and returned by CAT tools) back into the locale files.
+ * Only units in a translated state are written; every other key is left
+ * untouched. CSV/TSV sheets from `export --format=csv` are merged the same
+ * way: every non-empty language cell that differs from the locale file is
+ * written back. Keys the source file does not have are skipped, and plural
+ * form units (`files[one]`) are set inside their message.
+ */
+
+const path = require('path');
+const SecurityUtils = require('../utils/security');
+const { loadTranslations, t } = require('../utils/i18n-helper');
+const { getUnifiedConfig, parseCommonArgs, displayHelp } = require('../utils/config-helper');
+const JsonOutput = require('../utils/json-output');
+const SetupEnforcer = require('../utils/setup-enforcer');
+const { I18nAnalyzer } = require('./i18ntk-analyze');
+const { parseXliff, isTranslatedUnit, flattenUnits, parseFormKey } = require('../utils/xliff');
+const { parseCsv, delimiterFor, CsvError } = require('../utils/csv');
+
+// Columns of an exported sheet that are not languages
+const SHEET_COLUMNS = ['file', 'key', 'description', 'status'];
+
+// Locale codes as they appear in folder and file names (de, pt-BR, zh_Hant)
+const LOCALE_CODE = /^[A-Za-z]{2,3}(?:[-_][A-Za-z0-9]+)*$/;
+
+// Ensure setup is complete before running
+(async () => {
+  try {
+    await SetupEnforcer.checkSetupCompleteAsync();
+  } catch (error) {
+    console.error('Setup check failed:', error.message);
+    process.exit(1);
+  }
+})();
+
+loadTranslations('en', path.resolve(__dirname, '..', 'resources', 'i18n', 'ui-locales'));
+
+class I18nImporter {
+  constructor(config = {}) {
+    this.config = config;
+    this.analyzer = null;
+  }
+
+  async initialize() {
+    try {
+      const args = this.parseArgs();
+      if (args.help) {
+        displayHelp('i18ntk-import', {
+          'file': 'XLIFF, CSV or TSV file to import (or pass the path as the first argument)',
+          'language': 'Target language (default: the target language in the file, or every language column of a sheet)'
+        });
+        process.exit(0);
+      }
+
+      const baseConfig = await getUnifiedConfig('import', args);
+      this.config = { ...baseConfig, ...(this.config || {}) };
+
+      const uiLanguage = (this.config && this.config.uiLanguage) || 'en';
+      loadTranslations(uiLanguage, path.resolve(__dirname, '..', 'resources', 'i18n', 'ui-locales'));
+
+      this.sourceDir = this.config.sourceDir;
+
+      const { validateSourceDir } = require('../utils/config-helper');
+      validateSourceDir(this.sourceDir, 'i18ntk-import');
+
+      this.analyzer = new I18nAnalyzer(this.config);
+      this.analyzer.sourceDir = this.sourceDir;
+      this.analyzer.sourceLanguageDir = path.join(this.sourceDir, this.config.sourceLanguage);
+    } catch (error) {
+      console.error(`Fatal import error: ${error.message}`);
+      throw error;
+    }
+  }
+
+  parseArgs() {
+    try {
+      const args = process.argv.slice(2);
+      const parsed = parseCommonArgs(args);
+      parsed.files = [];
+
+      args.forEach(arg => {
+        if (arg.startsWith('--')) {
+          const [key, value] = arg.substring(2).split('=');
+          const sanitizedKey = SecurityUtils.sanitizeInput(key);
+          const sanitizedValue = value ? SecurityUtils.sanitizeInput(value) : true;
+
+          if (sanitizedKey === 'file') {
+            parsed.files.push(sanitizedValue);
+          } else if (sanitizedKey === 'language') {
+            parsed.language = sanitizedValue;
+          } else if (sanitizedKey === 'json') {
+            parsed.json = true;
+          }
+        } else if (/\.(xlf|xliff|csv|tsv)$/i.test(arg)) {
+          parsed.files.push(arg);
+        }
+      });
+
+      return parsed;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Set a value using the key layout of the target file
+  setValue(obj, key, value, flatKeys) {
+    if (flatKeys) {
+      obj[key] = value;
+      return;
+    }
+    const keys = key.split('.');
+    let current = obj;
+    for (let i = 0; i < keys.length - 1; i++) {
+      if (!current[keys[i]] || typeof current[keys[i]] !== 'object') {
+        current[keys[i]] = {};
+      }
+      current = current[keys[i]];
+    }
+    current[keys[keys.length - 1]] = value;
+  }
+
+  getValue(obj, key, flatKeys) {
+    if (flatKeys) {
+      return obj[key];
+    }
+    return key.split('.').reduce((current, part) => (current && typeof current === 'object' ? current[part] : undefined), obj);
+  }
+
+  // Set one form of a plural or array value, keeping the others. A value the
+  // target lacks starts from the shape of the source value.
+  setForm(data, { key, form }, text, flatKeys, sourceValue) {
+    const current = this.getValue(data, key, flatKeys);
+    const index = /^\d+$/.test(form) ? Number(form) : form;
+    const base = current && typeof current === 'object' ? current : sourceValue;
+    let forms;
+    if (Array.isArray(base)) {
+      forms = base === current ? base.slice() : base.map(() => '');
+    } else if (base && typeof base === 'object') {
+      forms = base === current ? { ...base } : Object.keys(base).reduce((result, name) => ({ ...result, [name]: '' }), {});
+    } else {
+      forms = typeof index === 'number' ? [] : {};
+    }
+    if (forms[index] === text) {
+      return false;
+    }
+    forms[index] = text;
+    if (Array.isArray(forms)) {
+      for (let i = 0; i < forms.length; i++) {
+        if (forms[i] === undefined) forms[i] = '';
+      }
+    }
+    this.setValue(data, key, forms, flatKeys);
+    return true;
+  }
+
+  // The source version of a locale file, which decides the keys a unit may have
+  readSourceFile(fileName) {
+    const sourcePath = this.analyzer.resolveLanguageFilePath(this.config.sourceLanguage, fileName);
+    if (!SecurityUtils.safeExistsSync(sourcePath, process.cwd())) {
+      return null;
+    }
+    const content = SecurityUtils.safeReadFileSync(sourcePath, process.cwd(), 'utf8');
+    const data = content === null ? null : this.analyzer.parseLocaleFile(content, sourcePath, this.config.sourceLanguage);
+    return data ? { content, data } : null;
+  }
+
+  // Merge the translated units of one XLIFF <file> into its locale file
+  importFile(file, language, dryRun) {
+    const marker = this.config.notTranslatedMarker || 'NOT_TRANSLATED';
+    const fileName = file.original.split('/').join(path.sep);
+    const targetPath = this.analyzer.resolveLanguageFilePath(language, fileName);
+    const formatManager = this.analyzer.formatManager;
+    const flatKeys = formatManager.hasFlatKeys(targetPath);
+    const result = { file: fileName, updated: 0, skipped: 0 };
+
+    let original = null;
+    let data = {};
+    if (SecurityUtils.safeExistsSync(targetPath, process.cwd())) {
+      original = SecurityUtils.safeReadFileSync(targetPath, process.cwd(), 'utf8');
+      data = this.analyzer.parseLocaleFile(original, targetPath, language);
+      if (!data) {
+        throw new Error(t('import.couldNotParse', { file: targetPath }));
+      }
+    }
+
+    const source = this.readSourceFile(fileName);
+    const sourceUnits = source ? flattenUnits(source.data, flatKeys) : null;
+
+    file.units.forEach(unit => {
+      if (!unit.key || !isTranslatedUnit(unit, marker) || (sourceUnits && !sourceUnits.has(unit.key))) {
+        result.skipped++;
+        return;
+      }
+      const shape = source ? source.data : data;
+      const form = this.getValue(shape, unit.key, flatKeys) === undefined ? parseFormKey(unit.key) : null;
+      if (form) {
+        if (this.setForm(data, form, unit.target, flatKeys, source && this.getValue(source.data, form.key, flatKeys))) {
+          result.updated++;
+        }
+      } else if (this.getValue(data, unit.key, flatKeys) !== unit.target) {
+        this.setValue(data, unit.key, unit.target, flatKeys);
+        result.updated++;
+      }
+    });
+
+    if (result.updated > 0 && !dryRun) {
+      // The source file is the template for entries new to the target (PO plurals)
+      const content = formatManager.serialize(data, targetPath, { language, original, template: source && source.content });
+      SecurityUtils.safeWriteFileSync(targetPath, content, process.cwd(), 'utf8');
+    }
+
+    return result;
+  }
+
+  // Locale files of the source language, with '/' separators as in exports
+  getSourceFiles() {
+    return new Set(this.analyzer.getLanguageFiles(this.config.sourceLanguage).map(name => name.split(path.sep).join('/')));
+  }
+
+  // The <file> elements of an XLIFF document with their target language. Every
+  // file is checked before any is imported, so a bad one never writes anywhere.
+  readXliff(content, xliffPath, onlyLanguage) {
+    const sourceFiles = this.getSourceFiles();
+    return parseXliff(content).files.map(file => {
+      const language = onlyLanguage || file.targetLanguage;
+      if (!language) {
+        throw new Error(t('import.missingLanguage', { file: xliffPath }));
+      }
+      if (!LOCALE_CODE.test(language)) {
+        throw new Error(t('import.invalidLanguage', { language, file: xliffPath }));
+      }
+      if (language === this.config.sourceLanguage) {
+        throw new Error(t('import.sourceLanguageTarget', { language }));
+      }
+      if (!sourceFiles.has(file.original)) {
+        throw new Error(t('import.unknownFile', { file: file.original, source: xliffPath }));
+      }
+      return { language, file };
+    });
+  }
+
+  // Turn an exported sheet into XLIFF-like files per language. The header is
+  // checked first so a renamed or misspelled column never writes anywhere.
+  readSheet(content, sheetPath, onlyLanguage) {
+    const rows = parseCsv(content, { delimiter: delimiterFor(sheetPath) })
+      .filter(row => !(row.length === 1 && row[0] === ''));
+    if (rows.length === 0) {
+      throw new CsvError(t('import.sheetEmpty', { file: sheetPath }));
+    }
+
+    const header = rows[0].map(name => name.trim());
+    const sourceLanguage = this.config.sourceLanguage;
+    const known = new Set([sourceLanguage, ...this.analyzer.getAvailableLanguages()]);
+    header.forEach((name, index) => {
+      if (header.indexOf(name) !== index) {
+        throw new CsvError(t('import.sheetDuplicateColumn', { column: name }), rows[0].line);
+      }
+      if (!SHEET_COLUMNS.includes(name) && !known.has(name)) {
+        throw new CsvError(t('import.sheetUnknownColumn', { column: name }), rows[0].line);
+      }
+    });
+    ['file', 'key', sourceLanguage].forEach(name => {
+      if (!header.includes(name)) {
+        throw new CsvError(t('import.sheetMissingColumn', { column: name }), rows[0].line);
+      }
+    });
+
+    const fileColumn = header.indexOf('file');
+    const keyColumn = header.indexOf('key');
+    const languages = header.filter(name => !SHEET_COLUMNS.includes(name) && (!onlyLanguage || name === onlyLanguage));
+    const sourceFiles = this.getSourceFiles();
+    const files = new Map();
+
+    rows.slice(1).forEach(row => {
+      if (row.length !== header.length) {
+        throw new CsvError(t('import.sheetCellCount', { expected: header.length, actual: row.length }), row.line);
+      }
+      const original = row[fileColumn];
+      if (!sourceFiles.has(original)) {
+        throw new CsvError(t('import.sheetUnknownFile', { file: original }), row.line);
+      }
+      languages.forEach(language => {
+        const id = `${language}:${original}`;
+        if (!files.has(id)) {
+          files.set(id, { language, file: { original, units: [] } });
+        }
+        files.get(id).file.units.push({ key: row[keyColumn], target: row[header.indexOf(language)], state: 'translated' });
+      });
+    });
+
+    return Array.from(files.values());
+  }
+
+  async run(options = {}) {
+    await this.initialize();
+    const args = this.parseArgs();
+
+    if (args.files.length === 0) {
+      throw new Error(t('import.noFiles'));
+    }
+
+    const results = [];
+    for (const xliffPath of args.files) {
+      const content = SecurityUtils.safeReadFileSync(xliffPath, process.cwd(), 'utf8');
+      if (content === null) {
+        throw new Error(t('import.couldNotRead', { file: xliffPath }));
+      }
+
+      // Sheets carry the source column too, so copy edits are merged as well
+      const files = /\.(csv|tsv)$/i.test(xliffPath)
+        ? this.readSheet(content, xliffPath, args.language)
+        : this.readXliff(content, xliffPath, args.language);
+      for (const { language, file } of files) {
+        const result = { language, ...this.importFile(file, language, args.dryRun) };
+        results.push(result);
+
+        if (!args.json) {
+          console.log(t('import.fileImported', result));
+        }
+      }
+    }
+
+    const updated = results.reduce((sum, result) => sum + result.updated, 0);
+    if (args.json) {
+      const jsonOutput = new JsonOutput('import');
+      jsonOutput.setStatus('ok');
+      jsonOutput.setStats({ updated, files: results });
+      jsonOutput.output();
+    } else {
+      console.log(t('import.completed', { count: updated }));
+    }
+
+    return { success: true, updated, results };
+  }
+}
+
+module.exports = I18nImporter;
+
+if (require.main === module) {
+  const importer = new I18nImporter();
+  importer.run().catch(error => {
+    console.error('I18n Import failed:', error.message);
+    process.exit(1);
+  });
+}
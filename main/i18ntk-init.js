@@ -19,7 +19,7 @@ const SecurityUtils = require('../utils/security');
 const AdminAuth = require('../utils/admin-auth');
 const { loadTranslations, t } = require('../utils/i18n-helper');
 const { detectFramework } = require('../utils/framework-detector');
-const { getFormatAdapter } = require('../utils/format-manager');
+const { getFormatAdapter, getFormatManager } = require('../utils/format-manager');
 // Ensure UIi18n is available for this initializer class
 const UIi18n = require('./i18ntk-ui');
 loadTranslations();
@@ -575,7 +575,7 @@ class I18nInitializer {
   }
 
   // Create or update a language file securely (supports single/modular)
-  async createLanguageFile(sourceFile, targetLanguage, sourceContent) {
+  async createLanguageFile(sourceFile, targetLanguage, sourceContent, sourceText = null) {
     try {
       const sourceFilePath = path.join(this.sourceLanguageDir, sourceFile);
       let targetFilePath;
@@ -609,11 +609,12 @@ class I18nInitializer {
       }
       
       let targetContent;
+      let existingContent = null;
       
       // If target file exists, preserve existing translations
       if (SecurityUtils.safeExistsSync(validatedTargetPath)) {
         try {
-          const existingContent = await SecurityUtils.safeReadFile(validatedTargetPath, process.cwd());
+          existingContent = await SecurityUtils.safeReadFile(validatedTargetPath, process.cwd());
           if (existingContent) {
             targetContent = this.mergeTranslations(sourceContent, this.format.read(existingContent), targetLanguage);
           } else {
@@ -628,8 +629,13 @@ class I18nInitializer {
         targetContent = this.markWithCountryCode(sourceContent, targetLanguage);
       }
       
-      // Write the file securely
-      const success = await SecurityUtils.safeWriteFile(validatedTargetPath, this.format.serialize(targetContent), process.cwd());
+      // Write the file securely, keeping the layout of an existing file
+      const serialized = getFormatManager().serialize(targetContent, validatedTargetPath, {
+        language: targetLanguage,
+        original: existingContent,
+        template: sourceText
+      });
+      const success = await SecurityUtils.safeWriteFile(validatedTargetPath, serialized, process.cwd());
       
       if (!success) {
         SecurityUtils.logSecurityEvent('Failed to write language file', 'error', { file: validatedTargetPath });
@@ -923,7 +929,7 @@ class I18nInitializer {
         
         const sourceContent = this.format.read(sourceContentRaw);
         
-        const targetFilePath = await this.createLanguageFile(sourceFile, targetLanguage, sourceContent);
+        const targetFilePath = await this.createLanguageFile(sourceFile, targetLanguage, sourceContent, sourceContentRaw);
         
         // Get stats for this file
         const targetContentRaw = await SecurityUtils.safeReadFile(targetFilePath, process.cwd());
@@ -19,6 +19,8 @@ const SecurityUtils = require(path.join(__dirname, '../utils/security'));
 const { getConfig, saveConfig } = require(path.join(__dirname, '../utils/config-helper'));
 const I18nHelper = require(path.join(__dirname, '../utils/i18n-helper'));
 const SetupEnforcer = require(path.join(__dirname, '../utils/setup-enforcer'));
+const propertiesFormat = require(path.join(__dirname, '../utils/formats/properties'));
+const androidFormat = require(path.join(__dirname, '../utils/formats/android'));
 const { program } = require('commander');
 
 (async () => {
@@ -127,40 +129,20 @@ class JavaI18nManager {
       }
     }
     
-    // Process XML files (Android)
+    // Process string resources (Android) and resource bundles through the format adapters
     const xmlFiles = this.findFiles(sourceDir, '.xml');
     for (const file of xmlFiles) {
-      if (file.includes('strings.xml')) {
-        const content = SecurityUtils.safeWriteFileSync(file, 'utf8', path.dirname(file));
-        const stringPatterns = [
-          /<string name="([^"]+)"/g,
-          /<string-array name="([^"]+)"/g,
-          /<plurals name="([^"]+)"/g
-        ];
-        
-        for (const pattern of stringPatterns) {
-          let match;
-          while ((match = pattern.exec(content)) !== null) {
-            translations.add(match[1]);
-          }
-        }
+      if (androidFormat.matches(path.basename(file))) {
+        const content = SecurityUtils.safeReadFileSync(file, process.cwd(), 'utf8');
+        this.collectResourceKeys(file, content, androidFormat, translations);
       }
     }
     
-    // Process properties files
     const propertiesFiles = this.findFiles(sourceDir, '.properties');
     for (const file of propertiesFiles) {
       if (file.includes('messages') || file.includes('i18n')) {
-        const content = SecurityUtils.safeWriteFileSync(file, 'utf8');
-        const lines = content.split('\n');
-        
-        for (const line of lines) {
-          const trimmed = line.trim();
-          if (trimmed && !trimmed.startsWith('#') && trimmed.includes('=')) {
-            const key = trimmed.split('=')[0].trim();
-            translations.add(key);
-          }
-        }
+        const content = SecurityUtils.safeReadFileSync(file, process.cwd(), 'utf8');
+        this.collectResourceKeys(file, content, propertiesFormat, translations);
       }
     }
     
@@ -172,6 +154,20 @@ class JavaI18nManager {
     };
   }
 
+  // Add the keys of a resource file, non-translatable Android strings included
+  collectResourceKeys(file, content, format, translations) {
+    if (content === null) return;
+    try {
+      if (format === androidFormat) {
+        format.parseResources(content).entries.forEach(entry => translations.add(entry.name));
+      } else {
+        Object.keys(format.read(content)).forEach(key => translations.add(key));
+      }
+    } catch (error) {
+      console.warn(I18nHelper.t('java.couldNotParse', { file, error: error.message }));
+    }
+  }
+
   async createLocaleStructure(outputDir, languages = ['en'], framework = 'standard-java') {
     const localesDir = path.join(outputDir, 'locales');
     
@@ -181,25 +177,30 @@ class JavaI18nManager {
       
       if (framework === 'android') {
         // Android string resources
-        SecurityUtils.safeWriteFileSync(path.join(langDir, 'strings.xml'), `<?xml version="1.0" encoding="utf-8"?>`, path.dirname(path.join(langDir, 'strings.xml')));
-<resources>
-    <string name="app_name">My App</string>
-    <string name="hello">Hello, World!</string>
-    <string name="items_count">%d items</string>
-    
-    <plurals name="items">
-        <item quantity="one">%d item</item>
-        <item quantity="other">%d items</item>
-    </plurals>
-</resources>
-        
-        // JSON format
-        SecurityUtils.safeWriteFileSync(path.join(langDir, 'messages.json'), JSON.stringify({
-          app: { name: "My Application" },
-          hello: { message: "Hello, World!" },
-          items: { count: "{0} items" }
-        }, null, 2));
+        const stringsPath = path.join(langDir, 'strings.xml');
+        SecurityUtils.safeWriteFileSync(stringsPath, androidFormat.serialize({
+          app_name: 'My App',
+          hello: 'Hello, World!',
+          items_count: '%d items',
+          items: { one: '%d item', other: '%d items' }
+        }), process.cwd());
+      } else {
+        // Java ResourceBundle / Spring MessageSource
+        const propertiesPath = path.join(langDir, 'messages.properties');
+        SecurityUtils.safeWriteFileSync(propertiesPath, propertiesFormat.serialize({
+          'app.name': 'My Application',
+          'hello.message': 'Hello, World!',
+          'items.count': '{0} items'
+        }), process.cwd());
       }
+      
+      // JSON format
+      const jsonPath = path.join(langDir, 'messages.json');
+      SecurityUtils.safeWriteFileSync(jsonPath, JSON.stringify({
+        app: { name: "My Application" },
+        hello: { message: "Hello, World!" },
+        items: { count: "{0} items" }
+      }, null, 2), process.cwd());
     }
     
     return localesDir;
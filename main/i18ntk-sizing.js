@@ -39,6 +39,7 @@ const SecurityUtils = require('../utils/security');
 const { getUnifiedConfig } = require('../utils/config-helper');
 const { getGlobalReadline, closeGlobalReadline } = require('../utils/cli');
 const SetupEnforcer = require('../utils/setup-enforcer');
+const { getFormatManager } = require('../utils/format-manager');
 
 // Ensure setup is complete before running
 (async () => {
@@ -80,6 +81,7 @@ class I18nSizingAnalyzer {
     this.format = options.format || 'table';
     this.outputReport = options.outputReport || false;
     this.rl = null;
+    this.formatManager = getFormatManager();
     
     // Initialize i18n with UI language from config
     const uiLanguage = options.uiLanguage || config.uiLanguage || 'en';
@@ -131,23 +133,23 @@ class I18nSizingAnalyzer {
       if (!stat) continue;
       
       if (stat.isDirectory()) {
-        // This is a language directory, combine all JSON files
+        // This is a language directory, combine all locale files
         const langFiles = SecurityUtils.safeReaddirSync(itemPath)
-          .filter(file => file.endsWith('.json'))
+          .filter(file => this.formatManager.isSupportedFile(file))
           .map(file => SecurityUtils.validatePath(path.join(itemPath, file), process.cwd()))
           .filter(file => file !== null);
         
         if (langFiles.length > 0) {
           files.push({
             language: item,
-            file: `${item}/*.json`,
+            file: `${item}/*`,
             path: itemPath,
             files: langFiles
           });
         }
-      } else if (item.endsWith('.json')) {
-        // Direct JSON file in root
-        const lang = path.basename(item, '.json');
+      } else if (this.formatManager.isSupportedFile(item)) {
+        // Direct locale file in root (en.json, de.yml, ...)
+        const lang = this.formatManager.stripExtension(item);
         files.push({
           language: lang,
           file: item,
@@ -227,19 +229,19 @@ class I18nSizingAnalyzer {
         let combinedContent = {};
         
         if (langFiles) {
-          // Handle nested directory structure - combine all JSON files
+          // Handle nested directory structure - combine all locale files
           langFiles.forEach(langFile => {
             const rawContent = SecurityUtils.safeReadFileSync(langFile, process.cwd(), 'utf8');
-            const fileContent = SecurityUtils.safeParseJSON(rawContent);
+            const fileContent = this.parseLocaleFile(rawContent, langFile, language);
             if (fileContent) {
-              const fileName = path.basename(langFile, '.json');
+              const fileName = this.formatManager.stripExtension(path.basename(langFile));
               combinedContent[fileName] = fileContent;
             }
           });
         } else {
           // Handle single file structure
           const rawContent = SecurityUtils.safeReadFileSync(filePath, process.cwd(), 'utf8');
-          combinedContent = SecurityUtils.safeParseJSON(rawContent) || {};
+          combinedContent = this.parseLocaleFile(rawContent, filePath, language) || {};
         }
         
         const analysis = this.analyzeTranslationObject(combinedContent, '');
@@ -271,6 +273,15 @@ class I18nSizingAnalyzer {
     });
   }
 
+  // Parse a locale file with the adapter registered for its extension
+  parseLocaleFile(content, filePath, language) {
+    try {
+      return this.formatManager.parse(content, filePath, { language });
+    } catch (error) {
+      return null;
+    }
+  }
+
   // Recursively analyze translation object
   analyzeTranslationObject(obj, prefix = '') {
     let keyCount = 0;
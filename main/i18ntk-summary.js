@@ -8,6 +8,7 @@ const SecurityUtils = require('../utils/security');
 const AdminCLI = require('../utils/admin-cli');
 const { getGlobalReadline, closeGlobalReadline } = require('../utils/cli');
 const SetupEnforcer = require('../utils/setup-enforcer');
+const { getFormatManager } = require('../utils/format-manager');
 
 // Ensure setup is complete before running
 (async () => {
@@ -116,11 +117,12 @@ class I18nSummaryReporter {
       return [];
     }
 
-    // Check for monolith JSON files (en.json, es.json, etc.)
+    // Check for monolith locale files (en.json, es.yml, etc.)
+    const formatManager = getFormatManager();
     const files = SecurityUtils.safeReaddirSync(this.config.sourceDir, this.config.sourceDir) || [];
     const languages = files
-      .filter(file => file.endsWith('.json'))
-      .map(file => path.basename(file, '.json'));
+      .filter(file => formatManager.isSupportedFile(file) && !formatManager.isCatalogFile(file))
+      .map(file => formatManager.stripExtension(file));
     
     // Also check for directory-based structure for backward compatibility
     const directories = fs.readdirSync(this.config.sourceDir)
@@ -143,9 +145,13 @@ class I18nSummaryReporter {
       return [];
     }
 
-    return SecurityUtils.safeReaddirSync(languageDir, this.config.sourceDir) || []
+    // Locale formats plus any extensions configured in `supportedExtensions`
+    // (.js/.ts modules are read by extractKeysFromFile)
+    const formatManager = getFormatManager();
+    const supportedExtensions = this.config.supportedExtensions || [];
+    return (SecurityUtils.safeReaddirSync(languageDir, this.config.sourceDir) || [])
       .filter(file => {
-        return this.config.supportedExtensions.some(ext => file.endsWith(ext)) &&
+        return (formatManager.isSupportedFile(file) || supportedExtensions.some(ext => file.endsWith(ext))) &&
                !this.config.excludeFiles.includes(file);
       })
       .sort();
@@ -203,8 +209,9 @@ class I18nSummaryReporter {
         return [];
       }
       
-      if (filePath.endsWith('.json')) {
-        const data = JSON.parse(content);
+      const formatManager = getFormatManager();
+      if (formatManager.isSupportedFile(filePath)) {
+        const data = formatManager.parse(content, filePath, { language: this.getFileLanguage(filePath) });
         return this.extractKeysFromObject(data);
       } else if (filePath.endsWith('.js') || filePath.endsWith('.ts') || filePath.endsWith('.py')) {
         // Basic extraction for JS/TS files (assumes export default or module.exports)
@@ -237,6 +244,21 @@ class I18nSummaryReporter {
     }
   }
 
+  // Language of a locale file, from its folder (de/common.yml) or its name (de.yml)
+  getFileLanguage(filePath) {
+    const relative = path.relative(this.config.sourceDir, filePath).split(path.sep);
+    return relative.length > 1 ? relative[0] : getFormatManager().stripExtension(relative[0]);
+  }
+
+  // Parse a locale file, returning null when it is not valid for its format
+  parseLocaleFile(content, filePath) {
+    try {
+      return getFormatManager().parse(content, filePath, { language: this.getFileLanguage(filePath) });
+    } catch (error) {
+      return null;
+    }
+  }
+
   // Extract keys recursively from an object
   extractKeysFromObject(obj, prefix = '') {
     const keys = [];
@@ -262,8 +284,8 @@ class I18nSummaryReporter {
       const trimmedContent = content.trim();
       if (!trimmedContent) return true;
       
-      if (filePath.endsWith('.json')) {
-        const data = SecurityUtils.safeParseJSON(trimmedContent);
+      if (getFormatManager().isSupportedFile(filePath)) {
+        const data = this.parseLocaleFile(trimmedContent, filePath);
         if (!data) return true;
         return Object.keys(data).length === 0;
       }
@@ -280,8 +302,8 @@ class I18nSummaryReporter {
       const content = await SecurityUtils.safeReadFile(filePath, this.config.sourceDir);
       if (!content) return true;
       
-      if (filePath.endsWith('.json')) {
-        const parsed = SecurityUtils.safeParseJSON(content);
+      if (getFormatManager().isSupportedFile(filePath)) {
+        const parsed = this.parseLocaleFile(content, filePath);
         if (!parsed) return true;
       }
       
@@ -297,9 +319,9 @@ class I18nSummaryReporter {
       const content = await SecurityUtils.safeReadFile(filePath, this.config.sourceDir);
       if (!content) return [];
       
-      if (filePath.endsWith('.json')) {
-        // Parse the JSON and check for actual duplicate keys using full path
-        const data = SecurityUtils.safeParseJSON(content);
+      if (getFormatManager().isSupportedFile(filePath)) {
+        // Parse the file and check for actual duplicate keys using full path
+        const data = this.parseLocaleFile(content, filePath);
         if (!data) return [];
         
         // Get all keys with full path
@@ -0,0 +1,197 @@
+#!/usr/bin/env node
+
+/**
+ * I18NTK TYPES SCRIPT
+ *
+ * Generates a TypeScript declaration file from the source-language locale
+ * files: the valid keys per namespace and the interpolation parameters each
+ * key needs. It fills in the runtime's TranslationRegistry, so typos such as
+ * t('setings.title') and missing parameters fail type-checking. With --watch
+ * the file is regenerated as locale files change.
+ */
+
+const path = require('path');
+const SecurityUtils = require('../utils/security');
+const { loadTranslations, t } = require('../utils/i18n-helper');
+const { getUnifiedConfig, parseCommonArgs, displayHelp } = require('../utils/config-helper');
+const JsonOutput = require('../utils/json-output');
+const SetupEnforcer = require('../utils/setup-enforcer');
+const watchLocales = require('../utils/watch-locales');
+const { I18nAnalyzer } = require('./i18ntk-analyze');
+const { buildKeyTypes } = require('../utils/key-types');
+
+// Ensure setup is complete before running
+(async () => {
+  try {
+    await SetupEnforcer.checkSetupCompleteAsync();
+  } catch (error) {
+    console.error('Setup check failed:', error.message);
+    process.exit(1);
+  }
+})();
+
+loadTranslations('en', path.resolve(__dirname, '..', 'resources', 'i18n', 'ui-locales'));
+
+const DEFAULT_OUTPUT = 'i18ntk-keys.d.ts';
+
+class I18nTypesGenerator {
+  constructor(config = {}) {
+    this.config = config;
+    this.analyzer = null;
+    this.lastContent = null;
+  }
+
+  async initialize() {
+    try {
+      const args = this.parseArgs();
+      if (args.help) {
+        displayHelp('i18ntk-types', {
+          'output': `Declaration file to write (default: ./${DEFAULT_OUTPUT})`,
+          'module': 'Module whose TranslationRegistry is filled in (default: i18ntk/runtime/core)',
+          'watch': 'Regenerate the file when locale files change'
+        });
+        process.exit(0);
+      }
+
+      const baseConfig = await getUnifiedConfig('types', args);
+      this.config = { ...baseConfig, ...(this.config || {}) };
+
+      const uiLanguage = (this.config && this.config.uiLanguage) || 'en';
+      loadTranslations(uiLanguage, path.resolve(__dirname, '..', 'resources', 'i18n', 'ui-locales'));
+
+      this.sourceDir = this.config.sourceDir;
+
+      const { validateSourceDir } = require('../utils/config-helper');
+      validateSourceDir(this.sourceDir, 'i18ntk-types');
+
+      // Read the source locale tree exactly the way analyze does
+      this.analyzer = new I18nAnalyzer(this.config);
+      this.analyzer.sourceDir = this.sourceDir;
+      this.analyzer.sourceLanguageDir = path.join(this.sourceDir, this.config.sourceLanguage);
+    } catch (error) {
+      console.error(`Fatal types error: ${error.message}`);
+      throw error;
+    }
+  }
+
+  parseArgs() {
+    try {
+      const args = process.argv.slice(2);
+      const parsed = parseCommonArgs(args);
+
+      args.forEach(arg => {
+        if (arg.startsWith('--')) {
+          const [key, value] = arg.substring(2).split('=');
+          const sanitizedKey = SecurityUtils.sanitizeInput(key);
+          const sanitizedValue = value ? SecurityUtils.sanitizeInput(value) : true;
+
+          if (sanitizedKey === 'output') {
+            parsed.output = sanitizedValue;
+          } else if (sanitizedKey === 'module') {
+            parsed.module = sanitizedValue;
+          } else if (sanitizedKey === 'watch') {
+            parsed.watch = true;
+          } else if (sanitizedKey === 'json') {
+            parsed.json = true;
+          }
+        }
+      });
+
+      return parsed;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Source files with their namespace: the file's path inside a language
+  // folder, or null for a single-file language
+  collectFiles() {
+    const sourceLanguage = this.config.sourceLanguage;
+    const formatManager = this.analyzer.formatManager;
+    const monolith = this.analyzer.getMonolithFile(sourceLanguage);
+    const files = [];
+
+    for (const fileName of this.analyzer.getLanguageFiles(sourceLanguage)) {
+      const filePath = this.analyzer.resolveLanguageFilePath(sourceLanguage, fileName);
+      const content = SecurityUtils.safeReadFileSync(filePath, process.cwd(), 'utf8');
+      const data = content === null ? null : this.analyzer.parseLocaleFile(content, filePath, sourceLanguage);
+      if (!data) {
+        console.warn(t('types.couldNotParse', { file: filePath }));
+        continue;
+      }
+      const isMonolith = monolith && fileName === path.basename(monolith);
+      files.push({
+        namespace: isMonolith ? null : formatManager.stripExtension(fileName).split(path.sep).join('/'),
+        data,
+        flatKeys: formatManager.hasFlatKeys(filePath)
+      });
+    }
+
+    return files;
+  }
+
+  // Build and write the declaration file; unchanged output is not rewritten
+  generate(args) {
+    const outputPath = path.resolve(this.config.projectRoot || process.cwd(), args.output || DEFAULT_OUTPUT);
+    const { content, keys, namespaces } = buildKeyTypes(this.collectFiles(), {
+      language: this.config.sourceLanguage,
+      moduleName: typeof args.module === 'string' ? args.module : undefined
+    });
+    const existing = this.lastContent !== null || !SecurityUtils.safeExistsSync(outputPath, process.cwd())
+      ? this.lastContent
+      : SecurityUtils.safeReadFileSync(outputPath, process.cwd(), 'utf8');
+    const changed = content !== existing;
+
+    if (changed && !args.dryRun) {
+      SecurityUtils.safeWriteFileSync(outputPath, content, process.cwd(), 'utf8');
+    }
+    this.lastContent = content;
+
+    if (!args.json) {
+      console.log(changed
+        ? t('types.generated', { file: outputPath, keys, namespaces })
+        : t('types.unchanged', { file: outputPath }));
+    }
+    return { file: outputPath, keys, namespaces, changed };
+  }
+
+  async run(options = {}) {
+    await this.initialize();
+    const args = this.parseArgs();
+
+    if (!args.json) {
+      console.log(t('types.starting', { language: this.config.sourceLanguage }));
+    }
+    const result = this.generate(args);
+
+    if (args.json) {
+      const jsonOutput = new JsonOutput('types');
+      jsonOutput.setStatus('ok');
+      jsonOutput.setStats(result);
+      jsonOutput.output();
+    }
+
+    if (args.watch) {
+      this.stopWatching = watchLocales(this.sourceDir, () => {
+        try {
+          this.generate(args);
+        } catch (error) {
+          console.error(t('types.failed', { error: error.message }));
+        }
+      }, { debounce: 100, silent: true, extensions: this.analyzer.formatManager.getExtensions() });
+      console.log(t('types.watching', { dir: this.sourceDir }));
+    }
+
+    return { success: true, ...result };
+  }
+}
+
+module.exports = I18nTypesGenerator;
+
+if (require.main === module) {
+  const generator = new I18nTypesGenerator();
+  generator.run().catch(error => {
+    console.error('I18n Types failed:', error.message);
+    process.exit(1);
+  });
+}
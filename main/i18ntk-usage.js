@@ -35,6 +35,7 @@ const { loadTranslations, t } = require('../utils/i18n-helper');
 const { getGlobalReadline, closeGlobalReadline, askHidden } = require('../utils/cli');
 const { detectFramework } = require('../utils/framework-detector');
 const { getExtractor } = require('../utils/extractor-manager');
+const { DEFAULT_TRANSLATION_PATTERNS, createKeyFilter } = require('../utils/key-usage');
 const configManager = require('../utils/config-manager');
 const SecurityUtils = require('../utils/security');
 const AdminCLI = require('../utils/admin-cli');
@@ -70,8 +71,10 @@ class I18nUsageAnalyzer {
     
     // Initialize class properties
     this.availableKeys = new Set();
+    this.keyNamespaces = new Map(); // key -> namespaces of the en/common.json style files defining it
     this.usedKeys = new Set();
     this.fileUsage = new Map();
+    this.keyLocations = new Map(); // file -> [{ key, line, column }] from extractors that report them
     this.translationFiles = new Map(); // Track all translation files
     this.translationStats = new Map(); // Track translation completeness
     this.extractor = getExtractor(config.extractor);
@@ -149,15 +152,7 @@ class I18nUsageAnalyzer {
       
       // Ensure translation patterns are defined
       this.config = this.config || {};
-      this.config.translationPatterns = this.config.translationPatterns || [
-        /t\(['"`]([^'"`]+)['"`]/g,
-        /i18n\.t\(['"`]([^'"`]+)['"`]/g,
-        /useTranslation\(\)\.t\(['"`]([^'"`]+)['"`]/g,
-        /t\(`([^`]+)`\)/g,
-        /i18nKey=['"`]([^'"`]+)['"`]/g,
-        /\$t\(['"`]([^'"`]+)['"`]/g,
-        /getTranslation\(['"`]([^'"`]+)['"`]/g
-      ];
+      this.config.translationPatterns = this.config.translationPatterns || DEFAULT_TRANSLATION_PATTERNS.slice();
             this.extractor = getExtractor(this.config.extractor);
 
       // Ensure defaults for other config values
@@ -395,15 +390,7 @@ class I18nUsageAnalyzer {
         const uiLanguage = (this.config && this.config.uiLanguage) || 'en';
         loadTranslations(uiLanguage, path.resolve(__dirname, '..', 'resources', 'i18n', 'ui-locales'));
         if (!Array.isArray(this.config.translationPatterns)) {
-          this.config.translationPatterns = [
-            /t\(['"`]([^'"`]+)['"`]/g,
-            /i18n\.t\(['"`]([^'"`]+)['"`]/g,
-            /useTranslation\(\)\.t\(['"`]([^'"`]+)['"`]/g,
-            /t\(`([^`]+)`\)/g,
-            /i18nKey=['"`]([^'"`]+)['"`]/g,
-            /\$t\(['"`]([^'"`]+)['"`]/g,
-            /getTranslation\(['"`]([^'"`]+)['"`]/g
-          ];
+          this.config.translationPatterns = DEFAULT_TRANSLATION_PATTERNS.slice();
         }
         if (!Array.isArray(this.config.excludeDirs)) {
           this.config.excludeDirs = ['node_modules', '.git'];
@@ -670,6 +657,7 @@ Analysis Features (v1.8.3):
     const keys = new Set();
     const isStrict = process.argv.includes('--strict');
     const isDebug = process.argv.includes('--debug');
+    this.keyNamespaces = new Map();
     
     try {
       // Discover all translation files in the i18n directory
@@ -728,6 +716,7 @@ Analysis Features (v1.8.3):
           
           const fileKeys = this.extractKeysFromObject(jsonData, '', fileInfo.namespace);
           fileKeys.forEach(key => keys.add(key));
+          if (fileInfo.type === 'namespaced') this.recordKeyNamespace(fileKeys, fileInfo.namespace);
           this.collectPlaceholderKeys(jsonData, '', fileInfo.language);
           
           if (isDebug) {
@@ -786,6 +775,14 @@ Analysis Features (v1.8.3):
     return keys;
   }
 
+  // Remember the namespace file (en/common.json) that defines each key
+  recordKeyNamespace(keys, namespace) {
+    keys.forEach((key) => {
+      if (!this.keyNamespaces.has(key)) this.keyNamespaces.set(key, new Set());
+      this.keyNamespaces.get(key).add(namespace);
+    });
+  }
+
   collectPlaceholderKeys(obj, prefix = '', language) {
     const patterns = this.placeholderStyles[language] || [];
     const regexes = patterns.map(p => new RegExp(p));
@@ -810,9 +807,18 @@ Analysis Features (v1.8.3):
       // Skip JSON files entirely to prevent scanning translation files
       if (filePath.endsWith('.json')) return [];
       const rawPatterns = Array.isArray(this.config.translationPatterns) ? this.config.translationPatterns : [];
+
+      // Extractors that locate their hits (the built-in `ast`) parse
+      // JavaScript themselves and only need the patterns for other files
+      if (typeof this.extractor.extractLocations === 'function') {
+        const hits = this.extractor.extractLocations(content, { filePath, patterns: rawPatterns });
+        this.keyLocations.set(filePath, hits.filter(hit => hit.key));
+        return Array.from(new Set(hits.map(hit => hit.key).filter(Boolean)));
+      }
+
       if (rawPatterns.length === 0) return [];
 
-      return this.extractor.extract(content, rawPatterns);
+      return this.extractor.extract(content, rawPatterns, { filePath });
       
       // Null-safe translation patterns handling
     } catch (error) {
@@ -1072,53 +1078,43 @@ Analysis Features (v1.8.3):
     return { total, byLanguage };
   }
 
-  // Find unused keys
+  // Find unused keys; a key of a namespace file is used as `key` or
+  // `namespace:key`, and plural forms (`items_one`) count as their base key
   findUnusedKeys() {
-    const unused = [];
-    
-    for (const key of this.availableKeys) {
-      let isUsed = false;
-      
-      // Check exact match
-      if (this.usedKeys.has(key)) {
-        isUsed = true;
-      } else {
-        // Check if any dynamic key could match this
-        for (const usedKey of this.usedKeys) {
-          if (usedKey.endsWith('*')) {
-            const prefix = usedKey.slice(0, -1);
-            if (key.startsWith(prefix)) {
-              isUsed = true;
-              break;
-            }
-          }
-        }
-      }
-      
-      if (!isUsed) {
-        unused.push(key);
-      }
-    }
-    
-    return unused;
+    const filter = createKeyFilter(this.usedKeys);
+    return Array.from(this.availableKeys).filter((key) => {
+      const namespaces = this.keyNamespaces.has(key) ? Array.from(this.keyNamespaces.get(key)) : [null];
+      return !namespaces.some(namespace => filter.keep(key, namespace));
+    });
   }
 
   // Find missing keys (used but not available)
   findMissingKeys() {
-    const missing = [];
-    
-    for (const key of this.usedKeys) {
-      // Skip dynamic keys for missing check
-      if (key.endsWith('*')) {
-        continue;
-      }
-      
-      if (!this.availableKeys.has(key)) {
-        missing.push(key);
-      }
-    }
-    
-    return missing;
+    // Skip dynamic keys for missing check
+    return Array.from(this.usedKeys).filter(key => !key.endsWith('*') && !this.isAvailableKey(key));
+  }
+
+  // `namespace:key` is defined in that namespace's file (en/namespace.json)
+  // or nested under the namespace in a single file; plurals by their `_other` form
+  isAvailableKey(usedKey) {
+    if (this.availableKeys.has(usedKey)) return true;
+    const separator = usedKey.indexOf(':');
+    const namespace = separator === -1 ? null : usedKey.slice(0, separator);
+    const key = usedKey.slice(separator + 1);
+    return [key, `${key}_other`].some((candidate) => {
+      if (!namespace) return this.availableKeys.has(candidate);
+      const namespaces = this.keyNamespaces.get(candidate);
+      return this.availableKeys.has(`${namespace}.${candidate}`) || Boolean(namespaces && namespaces.has(namespace));
+    });
+  }
+
+  // `file:line:column` of the first use of a key in a file (relative to the
+  // source directory), or the file alone when the extractor has no locations
+  formatKeyLocation(filePath, key) {
+    const hits = this.keyLocations.get(path.join(this.sourceDir, filePath)) || [];
+    const hit = hits.find(candidate => candidate.key === key)
+      || hits.find(candidate => candidate.key.endsWith('*') && key.startsWith(candidate.key.slice(0, -1)));
+    return hit ? `${filePath}:${hit.line}:${hit.column}` : filePath;
   }
 
   // Find files that use specific keys
@@ -1267,7 +1263,7 @@ Analysis Features (v1.8.3):
         usage.slice(0, 3).forEach(({ filePath }) => {
           const framework = this.frameworkUsage && this.frameworkUsage.get(filePath);
           const frameworkInfo = framework ? ` [${framework.framework}]` : '';
-          report += `   ${t('summary.usageReportUsedIn', { filePath: filePath + frameworkInfo })}\n`;
+          report += `   ${t('summary.usageReportUsedIn', { filePath: this.formatKeyLocation(filePath, key) + frameworkInfo })}\n`;
         });
         
         if (usage.length > 3) {
@@ -1294,7 +1290,7 @@ Analysis Features (v1.8.3):
         usage.slice(0, 2).forEach(({ filePath }) => {
           const framework = this.frameworkUsage && this.frameworkUsage.get(filePath);
           const frameworkInfo = framework ? ` [${framework.framework}]` : '';
-          report += `   ${t('summary.usageReportUsedIn', { filePath: filePath + frameworkInfo })}\n`;
+          report += `   ${t('summary.usageReportUsedIn', { filePath: this.formatKeyLocation(filePath, key) + frameworkInfo })}\n`;
         });
         
         report += `\n`;
@@ -49,6 +49,8 @@ const I18nInitializer = require('./i18ntk-init');
 const JsonOutput = require('../utils/json-output');
 const ExitCodes = require('../utils/exit-codes');
 const SetupEnforcer = require('../utils/setup-enforcer');
+const { getFormatManager } = require('../utils/format-manager');
+const { findMissingPluralForms } = require('../utils/plural-forms');
 
 // Ensure setup is complete before running
 (async () => {
@@ -68,6 +70,7 @@ class I18nValidator {
     this.errors = [];
     this.warnings = [];
     this.rl = null;
+    this.formatManager = getFormatManager();
   }
   
   async initialize() {
@@ -196,16 +199,52 @@ class I18nValidator {
       const languages = fs.readdirSync(this.sourceDir)
         .filter(item => {
           const itemPath = path.join(this.sourceDir, item);
-          return fs.statSync(itemPath).isDirectory() && item !== this.config.sourceLanguage;
+          return fs.statSync(itemPath).isDirectory() && item !== this.config.sourceLanguage &&
+            this.formatManager.isLocaleDirectory(item);
         });
       
+      this.getCatalogLanguages().forEach(language => {
+        if (language !== this.formatManager.getLocaleCode(this.config.sourceLanguage) && !languages.includes(language)) {
+          languages.push(language);
+        }
+      });
+      
+      this.getMonolithLanguages().forEach(language => {
+        if (language !== this.config.sourceLanguage && !languages.includes(language)) {
+          languages.push(language);
+        }
+      });
+      
       return languages;
     } catch (error) {
       throw error;
     }
   }
 
-  // Get all JSON files from a language directory
+  // Find a monolith locale file (de.json, app_de.arb, ...) for a language
+  getMonolithFile(language) {
+    for (const ext of this.formatManager.getExtensions()) {
+      const languageFile = path.join(this.sourceDir, `${language}${ext}`);
+      if (!this.formatManager.isCatalogFile(languageFile) && SecurityUtils.safeExistsSync(languageFile) &&
+          fs.statSync(languageFile).isFile()) {
+        return languageFile;
+      }
+    }
+    return null;
+  }
+
+  // Languages stored as monolith files next to the source language's file
+  getMonolithLanguages() {
+    if (!this.getMonolithFile(this.config.sourceLanguage)) {
+      return [];
+    }
+    return fs.readdirSync(this.sourceDir)
+      .filter(file => this.formatManager.isSupportedFile(file) && !this.formatManager.isCatalogFile(file) &&
+        !this.config.excludeFiles.includes(file) && fs.statSync(path.join(this.sourceDir, file)).isFile())
+      .map(file => this.formatManager.stripExtension(file));
+  }
+
+  // Get all locale files from a language directory
   getLanguageFiles(language) {
     try {
       const sanitizedLanguage = SecurityUtils.sanitizeInput(language);
@@ -217,9 +256,17 @@ class I18nValidator {
       
       const files = fs.readdirSync(languageDir)
         .filter(file => {
-          return file.endsWith('.json') && 
+          return this.formatManager.isSupportedFile(file) && 
                  !this.config.excludeFiles.includes(file);
         });
+
+      // gettext catalogs live in <language>/LC_MESSAGES (Django, Flask-Babel)
+      const messagesDir = path.join(languageDir, 'LC_MESSAGES');
+      if (SecurityUtils.safeExistsSync(messagesDir)) {
+        fs.readdirSync(messagesDir)
+          .filter(file => this.formatManager.isSupportedFile(file) && !this.config.excludeFiles.includes(file))
+          .forEach(file => files.push(path.join('LC_MESSAGES', file)));
+      }
       
       return files;
     } catch (error) {
@@ -262,23 +309,23 @@ class I18nValidator {
     return current;
   }
 
-  // Validate JSON file syntax
-  async validateJsonSyntax(filePath) {
+  // Validate locale file syntax using the adapter registered for its extension
+  async validateJsonSyntax(filePath, language) {
     try {
       const content = SecurityUtils.safeReadFileSync(filePath, path.dirname(filePath), 'utf8');
-      const parsed = SecurityUtils.safeParseJSON(content);
+      const parsed = this.formatManager.parse(content, filePath, { language });
       
       SecurityUtils.logSecurityEvent(
         t('validate.jsonValidated'),
         'info',
-        { message: `JSON syntax validated: ${filePath}` }
+        { message: `Syntax validated: ${filePath}` }
       );
       return { valid: true, data: parsed };
     } catch (error) {
       SecurityUtils.logSecurityEvent(
         t('validate.jsonValidationError'),
         'error',
-        { message: `JSON validation error: ${error.message}` }
+        { message: `Syntax validation error: ${error.message}` }
       );
       return { 
         valid: false, 
@@ -341,8 +388,9 @@ class I18nValidator {
 
   getGenericPlaceholders(value) {
     if (value === null || value === undefined) return new Set();
-    const valueStr = String(value);
-    return new Set(valueStr.match(/%s|\{\d+\}|\{\{[^}]+\}\}|\{[^}]+\}/g) || []);
+    // '%%' is a literal percent sign, not a placeholder
+    const valueStr = String(value).replace(/%%/g, '');
+    return new Set(valueStr.match(/%#@[^@]+@|%(?:\d+\$)?[-+0#]*\d*(?:\.\d+)?(?:hh|h|ll|l|q|z|t|j)?[@dDiuUxXoOfFeEgGcCsSpaA]|\{\d+\}|\{\{[^}]+\}\}|\{[^}]+\}/g) || []);
   }
 
   checkPlaceholders(source, target, language, fileName, prefix = '') {
@@ -385,6 +433,52 @@ class I18nValidator {
     }
   }
 
+  // Formats that declare placeholders per message (Flutter ARB `@key.placeholders`)
+  // are checked against that declaration rather than the generic placeholder styles
+  checkDeclaredPlaceholders(format, sourceFilePath, source, target, language, fileName) {
+    let declared = {};
+    try {
+      declared = format.declaredPlaceholders(SecurityUtils.safeReadFileSync(sourceFilePath, path.dirname(sourceFilePath), 'utf8'));
+    } catch (error) {
+      // Syntax errors are reported when the source file is parsed
+    }
+
+    for (const [key, value] of Object.entries(target || {})) {
+      if (typeof value !== 'string' || !source || typeof source[key] !== 'string') continue;
+      const expected = new Set(declared[key] || format.placeholderNames(source[key]));
+      const used = format.placeholderNames(value);
+      used.forEach(placeholder => {
+        if (!expected.has(placeholder)) {
+          this.addError(`Undeclared placeholder in ${language}/${fileName}`, { key, placeholder });
+        }
+      });
+      expected.forEach(placeholder => {
+        if (!used.has(placeholder)) {
+          this.addError(`Missing placeholder in ${language}/${fileName}`, { key, placeholder });
+        }
+      });
+    }
+  }
+
+  // Plural categories the language needs, e.g. one/few/many/other for Russian
+  getPluralCategories(language) {
+    const locale = this.formatManager.getLocaleCode(language);
+    if (!locale) return ['other'];
+    try {
+      return new Intl.PluralRules(locale.replace(/_/g, '-')).resolvedOptions().pluralCategories;
+    } catch (error) {
+      return ['other'];
+    }
+  }
+
+  // Plural groups of the source must provide every category the target language uses
+  checkPlurals(source, target, language, fileName) {
+    const reporter = this.config.strictMode ? this.addError.bind(this) : this.addWarning.bind(this);
+    findMissingPluralForms(source, target, this.getPluralCategories(language)).forEach(({ key, missing }) => {
+      reporter(`Missing plural forms in ${language}/${fileName}`, { key, missing });
+    });
+  }
+
   detectRiskyKeys(obj, language, fileName, prefix = '') {
     for (const [key, value] of Object.entries(obj || {})) {
       const fullKey = prefix ? `${prefix}.${key}` : key;
@@ -451,6 +545,140 @@ class I18nValidator {
     return { totalKeys, translatedKeys, issues };
   }
 
+  // Run the key, placeholder and plural checks on one parsed source/target pair
+  validateFileContents(sourceContent, targetContent, language, fileName, validation, paths) {
+    // Validate structure
+    const structural = this.validateStructure(sourceContent, targetContent, language, fileName);
+    
+    // Validate translations
+    const translations = this.validateTranslation(targetContent, language, fileName);
+    const format = this.formatManager.getFormatForFile(fileName);
+    if (typeof format.declaredPlaceholders === 'function' && paths.sourceFilePath) {
+      this.checkDeclaredPlaceholders(format, paths.sourceFilePath, sourceContent, targetContent, language, fileName);
+    } else {
+      this.checkPlaceholders(sourceContent, targetContent, language, fileName);
+    }
+    this.checkPlurals(sourceContent, targetContent, language, fileName);
+    this.detectRiskyKeys(targetContent, language, fileName);
+    
+    // Store file validation results
+    validation.files[fileName] = {
+      status: 'validated',
+      structural,
+      translations,
+      ...paths
+    };
+    
+    // Update summary
+    validation.summary.validFiles++;
+    validation.summary.totalKeys += translations.totalKeys;
+    validation.summary.translatedKeys += translations.translatedKeys;
+    
+    if (!structural.isConsistent) {
+      validation.summary.structuralIssues.push({
+        fileName,
+        missingKeys: structural.missingKeys.length,
+        extraKeys: structural.extraKeys.length
+      });
+    }
+    
+    validation.summary.translationIssues.push(...translations.issues);
+  }
+
+  // Multi-language catalogs (Xcode .xcstrings) in the root of the source directory
+  getCatalogFiles() {
+    if (!SecurityUtils.safeExistsSync(this.sourceDir)) {
+      return [];
+    }
+    return fs.readdirSync(this.sourceDir)
+      .filter(file => this.formatManager.isCatalogFile(file) && !this.config.excludeFiles.includes(file));
+  }
+
+  // Languages found in catalogs, read from the catalogs themselves
+  getCatalogLanguages() {
+    const languages = new Set();
+    this.getCatalogFiles().forEach(fileName => {
+      const filePath = path.join(this.sourceDir, fileName);
+      try {
+        const content = SecurityUtils.safeReadFileSync(filePath, path.dirname(filePath), 'utf8');
+        this.formatManager.getFormatForFile(filePath).languages(content).forEach(language => languages.add(language));
+      } catch (error) {
+        // Syntax errors are reported when the catalog is validated
+      }
+    });
+    return languages;
+  }
+
+  // Validate the catalogs that contain a language. Source and target both come
+  // from the same file: the catalog's source language against `language`.
+  async validateCatalogs(language, validation) {
+    let found = false;
+    for (const fileName of this.getCatalogFiles()) {
+      const filePath = path.join(this.sourceDir, fileName);
+      const sourceValidation = await this.validateJsonSyntax(filePath);
+      const formatName = path.extname(fileName).slice(1).toUpperCase();
+
+      if (!sourceValidation.valid) {
+        this.addError(
+          `Invalid ${formatName} syntax in catalog: ${fileName}`,
+          { fileName, error: sourceValidation.error }
+        );
+        validation.summary.syntaxErrors.push({ fileName, type: 'catalog', error: sourceValidation.error });
+        continue;
+      }
+
+      const content = SecurityUtils.safeReadFileSync(filePath, path.dirname(filePath), 'utf8');
+      if (!this.formatManager.getFormatForFile(filePath).languages(content).includes(language)) {
+        continue;
+      }
+      found = true;
+      validation.summary.totalFiles++;
+
+      const targetValidation = await this.validateJsonSyntax(filePath, language);
+      this.validateFileContents(sourceValidation.data, targetValidation.data, language, fileName, validation, {
+        catalogFilePath: filePath
+      });
+    }
+    return found;
+  }
+
+  // Validate a monolith locale file (de.json, app_de.arb, ...) against the source language's file
+  async validateMonolith(language, validation) {
+    const sourceFilePath = this.getMonolithFile(this.config.sourceLanguage);
+    const targetFilePath = this.getMonolithFile(language);
+    if (!sourceFilePath || !targetFilePath) {
+      return false;
+    }
+    const fileName = path.basename(targetFilePath);
+    const formatName = path.extname(fileName).slice(1).toUpperCase();
+    validation.summary.totalFiles++;
+
+    const sourceValidation = await this.validateJsonSyntax(sourceFilePath, this.config.sourceLanguage);
+    const targetValidation = await this.validateJsonSyntax(targetFilePath, language);
+    if (!sourceValidation.valid) {
+      this.addError(
+        `Invalid ${formatName} syntax in source file: ${path.basename(sourceFilePath)}`,
+        { fileName: path.basename(sourceFilePath), language: this.config.sourceLanguage, error: sourceValidation.error }
+      );
+      validation.summary.syntaxErrors.push({ fileName: path.basename(sourceFilePath), type: 'source', error: sourceValidation.error });
+      return true;
+    }
+    if (!targetValidation.valid) {
+      this.addError(
+        `Invalid ${formatName} syntax in target file: ${fileName}`,
+        { fileName, language, error: targetValidation.error }
+      );
+      validation.summary.syntaxErrors.push({ fileName, type: 'target', error: targetValidation.error });
+      return true;
+    }
+
+    this.validateFileContents(sourceValidation.data, targetValidation.data, language, fileName, validation, {
+      sourceFilePath,
+      targetFilePath
+    });
+    return true;
+  }
+
   // Validate a single language
   async validateLanguage(language) {
     try {
@@ -480,8 +708,17 @@ class I18nValidator {
         }
       };
       
+      const inCatalog = await this.validateCatalogs(sanitizedLanguage, validation);
+      const inMonolith = await this.validateMonolith(sanitizedLanguage, validation);
+      
       // Check for missing language directory
       if (!SecurityUtils.safeExistsSync(languageDir)) {
+        if (inCatalog || inMonolith) {
+          validation.summary.percentage = validation.summary.totalKeys > 0
+            ? Math.round((validation.summary.translatedKeys / validation.summary.totalKeys) * 100)
+            : 0;
+          return validation;
+        }
         this.addError(
           `Language directory missing: ${sanitizedLanguage}`,
           { language: sanitizedLanguage, expectedPath: languageDir }
@@ -513,13 +750,14 @@ class I18nValidator {
         continue;
       }
       
-      // Validate JSON syntax for both files
-      const sourceValidation = await this.validateJsonSyntax(sourceFilePath);
-      const targetValidation = await this.validateJsonSyntax(targetFilePath);
+      // Validate syntax for both files
+      const sourceValidation = await this.validateJsonSyntax(sourceFilePath, this.config.sourceLanguage);
+      const targetValidation = await this.validateJsonSyntax(targetFilePath, sanitizedLanguage);
+      const formatName = path.extname(fileName).slice(1).toUpperCase();
       
       if (!sourceValidation.valid) {
         this.addError(
-          `Invalid JSON syntax in source file: ${this.config.sourceLanguage}/${fileName}`,
+          `Invalid ${formatName} syntax in source file: ${this.config.sourceLanguage}/${fileName}`,
           { fileName, language: this.config.sourceLanguage, error: sourceValidation.error }
         );
         validation.summary.syntaxErrors.push({ fileName, type: 'source', error: sourceValidation.error });
@@ -528,7 +766,7 @@ class I18nValidator {
       
       if (!targetValidation.valid) {
         this.addError(
-          `Invalid JSON syntax in target file: ${sanitizedLanguage}/${fileName}`,
+          `Invalid ${formatName} syntax in target file: ${sanitizedLanguage}/${fileName}`,
           { fileName, language: sanitizedLanguage, error: targetValidation.error }
         );
         validation.summary.syntaxErrors.push({ fileName, type: 'target', error: targetValidation.error });
@@ -536,40 +774,10 @@ class I18nValidator {
       }
       
       // Use parsed data from validation
-      const sourceContent = sourceValidation.data;
-      const targetContent = targetValidation.data;
-      // Validate structure
-      const structural = this.validateStructure(sourceContent, targetContent, language, fileName);
-      
-     // Validate translations
-      const translations = this.validateTranslation(targetContent, language, fileName);
-      this.checkPlaceholders(sourceContent, targetContent, language, fileName);
-      this.detectRiskyKeys(targetContent, language, fileName);
-
-      
-      // Store file validation results
-      validation.files[fileName] = {
-        status: 'validated',
-        structural,
-        translations,
+      this.validateFileContents(sourceValidation.data, targetValidation.data, language, fileName, validation, {
         sourceFilePath,
         targetFilePath
-      };
-      
-      // Update summary
-      validation.summary.validFiles++;
-      validation.summary.totalKeys += translations.totalKeys;
-      validation.summary.translatedKeys += translations.translatedKeys;
-      
-      if (!structural.isConsistent) {
-        validation.summary.structuralIssues.push({
-          fileName,
-          missingKeys: structural.missingKeys.length,
-          extraKeys: structural.extraKeys.length
-        });
-      }
-      
-      validation.summary.translationIssues.push(...translations.issues);
+      });
     }
     
     // Calculate completion percentage
@@ -672,7 +880,8 @@ class I18nValidator {
       // Validate source language directory exists
       SecurityUtils.validatePath(this.sourceLanguageDir);
       
-      if (!SecurityUtils.safeExistsSync(this.sourceLanguageDir)) {
+      if (!SecurityUtils.safeExistsSync(this.sourceLanguageDir) && this.getCatalogFiles().length === 0 &&
+          !this.getMonolithFile(this.config.sourceLanguage)) {
         const error = t('validate.sourceLanguageDirectoryNotFound', { sourceDir: this.sourceLanguageDir }) || 'Source language directory not found';
         this.addError(error, { sourceLanguage: this.config.sourceLanguage });
         
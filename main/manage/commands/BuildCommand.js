@@ -0,0 +1,63 @@
+#!/usr/bin/env node
+
+/**
+ * I18NTK BUILD COMMAND
+ *
+ * Compiles the locale files into hashed bundles with a manifest.
+ */
+
+const I18nBuilder = require('../../i18ntk-build');
+
+class BuildCommand {
+    constructor(config = {}, ui = null) {
+        this.config = config;
+        this.ui = ui;
+        this.prompt = null;
+        this.isNonInteractiveMode = false;
+        this.safeClose = null;
+    }
+
+    /**
+     * Set runtime dependencies for interactive operations
+     */
+    setRuntimeDependencies(prompt, isNonInteractiveMode, safeClose) {
+        this.prompt = prompt;
+        this.isNonInteractiveMode = isNonInteractiveMode;
+        this.safeClose = safeClose;
+    }
+
+    /**
+     * Execute the build command
+     */
+    async execute(options = {}) {
+        try {
+            const builder = new I18nBuilder();
+            await builder.run(options);
+            return { success: true, command: 'build' };
+        } catch (error) {
+            console.error(`Build command failed: ${error.message}`);
+            throw error;
+        }
+    }
+
+    /**
+     * Get command metadata
+     */
+    getMetadata() {
+        return {
+            name: 'build',
+            description: 'Compile the locale files into hashed bundles and a manifest for the runtimes',
+            category: 'development',
+            aliases: [],
+            usage: 'build [--output=<dir>] [--format=json|js] [--languages=<list>] [--inline-fallbacks] [--entry=<name>:<paths>] [--keep=<patterns>]',
+            examples: [
+                'build',
+                'build --format=js --output=public/i18n',
+                'build --inline-fallbacks',
+                'build --entry=mobile:src/mobile --keep=status.*'
+            ]
+        };
+    }
+}
+
+module.exports = BuildCommand;
@@ -22,6 +22,10 @@ const BackupCommand = require('./BackupCommand');
 const DoctorCommand = require('./DoctorCommand');
 const FixerCommand = require('./FixerCommand');
 const ScannerCommand = require('./ScannerCommand');
+const ExportCommand = require('./ExportCommand');
+const ImportCommand = require('./ImportCommand');
+const TypesCommand = require('./TypesCommand');
+const BuildCommand = require('./BuildCommand');
 
 class CommandRouter {
     constructor(config = {}, ui = null, adminAuth = null) {
@@ -44,7 +48,11 @@ class CommandRouter {
             'backup': new BackupCommand(config, ui),
             'doctor': new DoctorCommand(config, ui),
             'fix': new FixerCommand(config, ui),
-            'scanner': new ScannerCommand(config, ui)
+            'scanner': new ScannerCommand(config, ui),
+            'export': new ExportCommand(config, ui),
+            'import': new ImportCommand(config, ui),
+            'types': new TypesCommand(config, ui),
+            'build': new BuildCommand(config, ui)
         };
     }
 
@@ -137,7 +145,8 @@ class CommandRouter {
         const authRequiredCommands = [
             'init', 'analyze', 'validate', 'usage', 'scanner',
             'complete', 'fix', 'sizing', 'workflow', 'status',
-            'delete', 'settings', 'debug', 'backup', 'doctor'
+            'delete', 'settings', 'debug', 'backup', 'doctor',
+            'export', 'import', 'types', 'build'
         ];
 
         if (authRequiredCommands.includes(command)) {
@@ -229,6 +238,18 @@ class CommandRouter {
             case 'scanner':
                 return await this.commandHandlers.scanner.execute(options);
 
+            case 'export':
+                return await this.commandHandlers.export.execute(options);
+
+            case 'import':
+                return await this.commandHandlers.import.execute(options);
+
+            case 'types':
+                return await this.commandHandlers.types.execute(options);
+
+            case 'build':
+                return await this.commandHandlers.build.execute(options);
+
             case 'debug':
                 console.log('Debug functionality is not available in this version.');
                 return { success: false, message: 'Debug not available' };
@@ -275,6 +296,10 @@ class CommandRouter {
         console.log(t('help.summaryCommand'));
         console.log(t('help.debugCommand'));
         console.log(t('help.scannerCommand'));
+        console.log(t('help.exportCommand'));
+        console.log(t('help.importCommand'));
+        console.log(t('help.typesCommand'));
+        console.log(t('help.buildCommand'));
     }
 
     /**
@@ -0,0 +1,63 @@
+#!/usr/bin/env node
+
+/**
+ * I18NTK EXPORT COMMAND
+ *
+ * Handles XLIFF and CSV/TSV export for translator handoff.
+ */
+
+const I18nExporter = require('../../i18ntk-export');
+
+class ExportCommand {
+    constructor(config = {}, ui = null) {
+        this.config = config;
+        this.ui = ui;
+        this.prompt = null;
+        this.isNonInteractiveMode = false;
+        this.safeClose = null;
+    }
+
+    /**
+     * Set runtime dependencies for interactive operations
+     */
+    setRuntimeDependencies(prompt, isNonInteractiveMode, safeClose) {
+        this.prompt = prompt;
+        this.isNonInteractiveMode = isNonInteractiveMode;
+        this.safeClose = safeClose;
+    }
+
+    /**
+     * Execute the export command
+     */
+    async execute(options = {}) {
+        try {
+            const exporter = new I18nExporter();
+            await exporter.run(options);
+            return { success: true, command: 'export' };
+        } catch (error) {
+            console.error(`Export command failed: ${error.message}`);
+            throw error;
+        }
+    }
+
+    /**
+     * Get command metadata
+     */
+    getMetadata() {
+        return {
+            name: 'export',
+            description: 'Export translations to XLIFF for CAT tools or to a CSV/TSV sheet',
+            category: 'exchange',
+            aliases: [],
+            usage: 'export --format=xliff|csv|tsv [options]',
+            examples: [
+                'export --format=xliff',
+                'export --format=xliff --xliff-version=2.0',
+                'export --format=xliff --languages=de,fr --output=./handoff',
+                'export --format=csv --output=./review'
+            ]
+        };
+    }
+}
+
+module.exports = ExportCommand;
@@ -15,6 +15,7 @@ const { loadTranslations, t } = require('../../../utils/i18n-helper');
 const { getUnifiedConfig, parseCommonArgs, displayHelp } = require('../../../utils/config-helper');
 const JsonOutput = require('../../../utils/json-output');
 const SetupEnforcer = require('../../../utils/setup-enforcer');
+const { getFormatManager } = require('../../../utils/format-manager');
 
 class FixerCommand {
     constructor(config = {}, ui = null) {
@@ -30,6 +31,7 @@ class FixerCommand {
         this.backupDir = null;
         this.dryRun = false;
         this.force = false;
+        this.formatManager = getFormatManager();
     }
 
     /**
@@ -130,19 +132,20 @@ class FixerCommand {
             const directories = items
                 .filter(item => item.isDirectory())
                 .map(item => item.name)
-                .filter(name => name !== 'node_modules' && !name.startsWith('.') && name !== this.config.sourceLanguage);
+                .filter(name => name !== 'node_modules' && !name.startsWith('.') && name !== this.config.sourceLanguage)
+                .filter(name => this.formatManager.isLocaleDirectory(name));
 
-            // Check for monolith files (language.json files)
+            // Check for monolith files (en.json, de.yml, ...)
             const files = items
-                .filter(item => item.isFile() && item.name.endsWith('.json'))
+                .filter(item => item.isFile() && this.formatManager.isSupportedFile(item.name) && !this.formatManager.isCatalogFile(item.name))
                 .map(item => item.name);
 
             // Add directories as languages
             languages.push(...directories);
 
-            // Add monolith files as languages (without .json extension)
+            // Add monolith files as languages (without extension)
             const monolithLanguages = files
-                .map(file => file.replace('.json', ''))
+                .map(file => this.formatManager.stripExtension(file))
                 .filter(lang => !languages.includes(lang) && lang !== this.config.sourceLanguage);
             languages.push(...monolithLanguages);
 
@@ -153,7 +156,7 @@ class FixerCommand {
         }
     }
 
-    // Get all JSON files from a language directory
+    // Get all locale files from a language directory
     getLanguageFiles(language) {
         if (!this.sourceDir) {
             console.warn('Source directory not set');
@@ -161,13 +164,15 @@ class FixerCommand {
         }
 
         const languageDir = path.resolve(this.sourceDir, language);
-        const languageFile = path.resolve(this.sourceDir, `${language}.json`);
         const files = [];
 
         // Handle monolith file structure
-        const languageFileStat = SecurityUtils.safeStatSync(languageFile, this.sourceDir);
-        if (languageFileStat && languageFileStat.isFile()) {
-            return [path.basename(languageFile)];
+        for (const ext of this.formatManager.getExtensions()) {
+            const languageFile = path.resolve(this.sourceDir, `${language}${ext}`);
+            const languageFileStat = SecurityUtils.safeStatSync(languageFile, this.sourceDir);
+            if (languageFileStat && languageFileStat.isFile()) {
+                return [path.basename(languageFile)];
+            }
         }
 
         // Handle directory-based structure
@@ -193,7 +198,7 @@ class FixerCommand {
                         if (item.isDirectory() && !item.name.startsWith('.') && item.name !== 'node_modules') {
                             // Recursively search subdirectories
                             results.push(...findJsonFiles(fullPath));
-                        } else if (item.isFile() && item.name.endsWith('.json')) {
+                        } else if (item.isFile() && this.formatManager.isSupportedFile(item.name)) {
                             // Check exclusion patterns
                             const relativePath = path.relative(this.sourceDir, fullPath);
                             const shouldExclude = (this.config.excludeFiles || []).some(pattern => {
@@ -312,7 +317,7 @@ class FixerCommand {
 
                     // Copy file
                     if (SecurityUtils.safeExistsSync(sourcePath, this.sourceDir)) {
-                        const content = SecurityUtils.safeReadFileSync(sourcePath, this.sourceDir, 'utf8');
+                        const content = SecurityUtils.safeReadFileSync(sourcePath, process.cwd(), 'utf8');
                         SecurityUtils.safeWriteFileSync(backupPath, content, process.cwd(), 'utf8');
                     }
                 }
@@ -324,8 +329,18 @@ class FixerCommand {
         }
     }
 
-    // Analyze translation issues for fixing
-    analyzeIssues(language, fileName) {
+    // Parse a locale file with the adapter registered for its extension
+    parseLocaleFile(content, filePath, language) {
+        try {
+            return this.formatManager.parse(content, filePath, { language });
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // Analyze translation issues for fixing. Fixes are applied to targetObj
+    // when given, otherwise to a freshly parsed copy of the target file.
+    analyzeIssues(language, fileName, targetObj = null) {
         const issues = [];
         const sourceFiles = this.getLanguageFiles(this.config.sourceLanguage);
         const targetFiles = this.getLanguageFiles(language);
@@ -338,25 +353,29 @@ class FixerCommand {
         const targetFilePath = path.join(this.sourceDir, language, fileName);
 
         try {
-            const sourceContent = SecurityUtils.safeReadFileSync(sourceFilePath, this.sourceDir, 'utf8');
-            const targetContent = SecurityUtils.safeReadFileSync(targetFilePath, this.sourceDir, 'utf8');
+            const sourceContent = SecurityUtils.safeReadFileSync(sourceFilePath, process.cwd(), 'utf8');
+            const targetContent = SecurityUtils.safeReadFileSync(targetFilePath, process.cwd(), 'utf8');
 
             if (!sourceContent || !targetContent) {
                 return issues;
             }
 
-            const sourceObj = SecurityUtils.safeParseJSON(sourceContent);
-            const targetObj = SecurityUtils.safeParseJSON(targetContent);
+            const sourceObj = this.parseLocaleFile(sourceContent, sourceFilePath, this.config.sourceLanguage);
+            const target = targetObj || this.parseLocaleFile(targetContent, targetFilePath, language);
 
-            if (!sourceObj || !targetObj) {
+            if (!sourceObj || !target) {
                 return issues;
             }
 
-            const sourceKeys = this.getAllKeys(sourceObj);
+            // Flat catalogs (PO) use msgids as keys, so dots are not path separators
+            const flatKeys = this.formatManager.hasFlatKeys(targetFilePath);
+            const getValue = (obj, key) => (flatKeys ? obj[key] : this.getValueByPath(obj, key));
+            const setValue = (key, value) => (flatKeys ? (target[key] = value) : this.setValueByPath(target, key, value));
+            const sourceKeys = flatKeys ? Object.keys(sourceObj) : this.getAllKeys(sourceObj);
 
             for (const key of sourceKeys) {
-                const sourceValue = this.getValueByPath(sourceObj, key);
-                const targetValue = this.getValueByPath(targetObj, key);
+                const sourceValue = getValue(sourceObj, key);
+                const targetValue = getValue(target, key);
 
                 if (targetValue === undefined) {
                     // Missing key
@@ -364,7 +383,7 @@ class FixerCommand {
                         type: 'missing_key',
                         key,
                         sourceValue,
-                        fix: () => this.setValueByPath(targetObj, key, sourceValue)
+                        fix: () => setValue(key, sourceValue)
                     });
                 } else if (targetValue === '') {
                     // Empty value
@@ -372,7 +391,7 @@ class FixerCommand {
                         type: 'empty_value',
                         key,
                         sourceValue,
-                        fix: () => this.setValueByPath(targetObj, key, sourceValue)
+                        fix: () => setValue(key, sourceValue)
                     });
                 } else {
                     const markers = this.config.notTranslatedMarkers || [this.config.notTranslatedMarker];
@@ -382,7 +401,7 @@ class FixerCommand {
                             type: 'untranslated_marker',
                             key,
                             sourceValue,
-                            fix: () => this.setValueByPath(targetObj, key, sourceValue)
+                            fix: () => setValue(key, sourceValue)
                         });
                     }
                 }
@@ -420,15 +439,16 @@ class FixerCommand {
                 if (!this.dryRun) {
                     // Apply fixes
                     const targetFilePath = path.join(this.sourceDir, language, fileName);
+                    const sourceFilePath = path.join(this.sourceDir, this.config.sourceLanguage, fileName);
 
                     try {
-                        const targetContent = SecurityUtils.safeReadFileSync(targetFilePath, this.sourceDir, 'utf8');
+                        const targetContent = SecurityUtils.safeReadFileSync(targetFilePath, process.cwd(), 'utf8');
                         if (!targetContent) continue;
 
-                        const targetObj = SecurityUtils.safeParseJSON(targetContent);
+                        const targetObj = this.parseLocaleFile(targetContent, targetFilePath, language);
                         if (!targetObj) continue;
 
-                        for (const issue of issues) {
+                        for (const issue of this.analyzeIssues(language, fileName, targetObj)) {
                             if (typeof issue.fix === 'function') {
                                 issue.fix();
                                 fixes.files[fileName].fixed++;
@@ -436,8 +456,12 @@ class FixerCommand {
                             }
                         }
 
-                        // Write back the fixed content
-                        const fixedContent = JSON.stringify(targetObj, null, 2);
+                        // Write back the fixed content, keeping the layout of the original file
+                        const fixedContent = this.formatManager.serialize(targetObj, targetFilePath, {
+                            language,
+                            original: targetContent,
+                            template: SecurityUtils.safeReadFileSync(sourceFilePath, process.cwd(), 'utf8')
+                        });
                         SecurityUtils.safeWriteFileSync(targetFilePath, fixedContent, process.cwd(), 'utf8');
 
                     } catch (error) {
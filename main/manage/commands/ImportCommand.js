@@ -0,0 +1,62 @@
+#!/usr/bin/env node
+
+/**
+ * I18NTK IMPORT COMMAND
+ *
+ * Handles XLIFF and CSV/TSV import for translator handoff.
+ */
+
+const I18nImporter = require('../../i18ntk-import');
+
+class ImportCommand {
+    constructor(config = {}, ui = null) {
+        this.config = config;
+        this.ui = ui;
+        this.prompt = null;
+        this.isNonInteractiveMode = false;
+        this.safeClose = null;
+    }
+
+    /**
+     * Set runtime dependencies for interactive operations
+     */
+    setRuntimeDependencies(prompt, isNonInteractiveMode, safeClose) {
+        this.prompt = prompt;
+        this.isNonInteractiveMode = isNonInteractiveMode;
+        this.safeClose = safeClose;
+    }
+
+    /**
+     * Execute the import command
+     */
+    async execute(options = {}) {
+        try {
+            const importer = new I18nImporter();
+            await importer.run(options);
+            return { success: true, command: 'import' };
+        } catch (error) {
+            console.error(`Import command failed: ${error.message}`);
+            throw error;
+        }
+    }
+
+    /**
+     * Get command metadata
+     */
+    getMetadata() {
+        return {
+            name: 'import',
+            description: 'Merge translated XLIFF units or CSV/TSV sheets back into locale files',
+            category: 'exchange',
+            aliases: [],
+            usage: 'import <file.xlf|file.csv> [options]',
+            examples: [
+                'import ./handoff/de.xlf',
+                'import --file=./handoff/fr.xlf --dry-run',
+                'import ./review/translations.csv --language=de'
+            ]
+        };
+    }
+}
+
+module.exports = ImportCommand;
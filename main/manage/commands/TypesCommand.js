@@ -0,0 +1,62 @@
+#!/usr/bin/env node
+
+/**
+ * I18NTK TYPES COMMAND
+ *
+ * Generates TypeScript key types from the source locale files.
+ */
+
+const I18nTypesGenerator = require('../../i18ntk-types');
+
+class TypesCommand {
+    constructor(config = {}, ui = null) {
+        this.config = config;
+        this.ui = ui;
+        this.prompt = null;
+        this.isNonInteractiveMode = false;
+        this.safeClose = null;
+    }
+
+    /**
+     * Set runtime dependencies for interactive operations
+     */
+    setRuntimeDependencies(prompt, isNonInteractiveMode, safeClose) {
+        this.prompt = prompt;
+        this.isNonInteractiveMode = isNonInteractiveMode;
+        this.safeClose = safeClose;
+    }
+
+    /**
+     * Execute the types command
+     */
+    async execute(options = {}) {
+        try {
+            const generator = new I18nTypesGenerator();
+            await generator.run(options);
+            return { success: true, command: 'types' };
+        } catch (error) {
+            console.error(`Types command failed: ${error.message}`);
+            throw error;
+        }
+    }
+
+    /**
+     * Get command metadata
+     */
+    getMetadata() {
+        return {
+            name: 'types',
+            description: 'Generate a .d.ts file with the translation keys and their parameters',
+            category: 'development',
+            aliases: [],
+            usage: 'types [--output=<file>] [--watch]',
+            examples: [
+                'types',
+                'types --output=src/types/i18ntk-keys.d.ts',
+                'types --watch'
+            ]
+        };
+    }
+}
+
+module.exports = TypesCommand;
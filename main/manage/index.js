@@ -325,7 +325,8 @@ class I18nManager {
 
             // Define valid direct commands
             const directCommands = [
-                'init', 'analyze', 'validate', 'usage', 'scanner', 'sizing', 'complete', 'fix', 'summary', 'debug', 'workflow'
+                'init', 'analyze', 'validate', 'usage', 'scanner', 'sizing', 'complete', 'fix', 'summary', 'debug', 'workflow',
+                'export', 'import', 'types', 'build'
             ];
 
             // Handle help immediately without dependency checks
@@ -405,7 +406,11 @@ class I18nManager {
                 'help.completeCommand': '  --command=complete Run complete analysis',
                 'help.summaryCommand': '  --command=summary Generate summary report',
                 'help.debugCommand': '  --command=debug   Run debug utilities',
-                'help.scannerCommand': '  --command=scanner Scan for translation keys'
+                'help.scannerCommand': '  --command=scanner Scan for translation keys',
+                'help.exportCommand': '  --command=export  Export translations to XLIFF',
+                'help.importCommand': '  --command=import  Import translated XLIFF files',
+                'help.typesCommand': '  --command=types   Generate TypeScript key types',
+                'help.buildCommand': '  --command=build   Build hashed translation bundles'
             };
             return helpTexts[key] || key;
         };
@@ -427,6 +432,10 @@ class I18nManager {
         console.log(t('help.summaryCommand'));
         console.log(t('help.debugCommand'));
         console.log(t('help.scannerCommand'));
+        console.log(t('help.exportCommand'));
+        console.log(t('help.importCommand'));
+        console.log(t('help.typesCommand'));
+        console.log(t('help.buildCommand'));
 
         // Ensure proper exit for direct command execution
         if (process.argv.includes('--help') || process.argv.includes('-h')) {
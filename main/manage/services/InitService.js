@@ -13,7 +13,7 @@ const SecurityUtils = require('../../../utils/security');
 const configManager = require('../../../utils/config-manager');
 const { loadTranslations, t } = require('../../../utils/i18n-helper');
 const { detectFramework } = require('../../../utils/framework-detector');
-const { getFormatAdapter } = require('../../../utils/format-manager');
+const { getFormatAdapter, getFormatManager } = require('../../../utils/format-manager');
 const AdminAuth = require('../../../utils/admin-auth');
 
 // Language configurations with native names
@@ -502,7 +502,7 @@ class InitService {
   }
 
   // Create or update a language file securely (supports single/modular)
-  async createLanguageFile(sourceFile, targetLanguage, sourceContent) {
+  async createLanguageFile(sourceFile, targetLanguage, sourceContent, sourceText = null) {
     try {
       const sourceFilePath = path.join(this.sourceLanguageDir, sourceFile);
       let targetFilePath;
@@ -536,11 +536,12 @@ class InitService {
       }
 
       let targetContent;
+      let existingContent = null;
 
       // If target file exists, preserve existing translations
       if (SecurityUtils.safeExistsSync(validatedTargetPath)) {
         try {
-          const existingContent = await SecurityUtils.safeReadFile(validatedTargetPath, process.cwd());
+          existingContent = await SecurityUtils.safeReadFile(validatedTargetPath, process.cwd());
           if (existingContent) {
             targetContent = this.mergeTranslations(sourceContent, this.format.read(existingContent), targetLanguage);
           } else {
@@ -555,8 +556,13 @@ class InitService {
         targetContent = this.markWithCountryCode(sourceContent, targetLanguage);
       }
 
-      // Write the file securely
-      const success = await SecurityUtils.safeWriteFile(validatedTargetPath, this.format.serialize(targetContent), process.cwd());
+      // Write the file securely, keeping the layout of an existing file
+      const serialized = getFormatManager().serialize(targetContent, validatedTargetPath, {
+        language: targetLanguage,
+        original: existingContent,
+        template: sourceText
+      });
+      const success = await SecurityUtils.safeWriteFile(validatedTargetPath, serialized, process.cwd());
 
       if (!success) {
         SecurityUtils.logSecurityEvent('Failed to write language file', 'error', { file: validatedTargetPath });
@@ -850,7 +856,7 @@ class InitService {
 
         const sourceContent = this.format.read(sourceContentRaw);
 
-        const targetFilePath = await this.createLanguageFile(sourceFile, targetLanguage, sourceContent);
+        const targetFilePath = await this.createLanguageFile(sourceFile, targetLanguage, sourceContent, sourceContentRaw);
 
         // Get stats for this file
         const targetContentRaw = await SecurityUtils.safeReadFile(targetFilePath, process.cwd());
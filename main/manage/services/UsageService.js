@@ -538,7 +538,7 @@ class UsageService {
       const rawPatterns = Array.isArray(this.config.translationPatterns) ? this.config.translationPatterns : [];
       if (rawPatterns.length === 0) return [];
 
-      return this.extractor.extract(content, rawPatterns);
+      return this.extractor.extract(content, rawPatterns, { filePath });
 
       // Null-safe translation patterns handling
     } catch (error) {
@@ -0,0 +1,31 @@
+// runtime/browser.d.ts
+// Browser, Deno and edge runtime types for i18ntk
+
+import { RuntimeInstance, RuntimeOptions } from './core';
+
+export * from './core';
+export * from './loaders';
+export { formatMessage } from './icu';
+export { getPluralCategory } from './plurals';
+
+export function initRuntime(options?: RuntimeOptions): RuntimeInstance;
+export function createInstance(options?: RuntimeOptions): RuntimeInstance;
+
+export const t: RuntimeInstance['t'];
+export const translate: RuntimeInstance['translate'];
+export const setLanguage: RuntimeInstance['setLanguage'];
+export const getLanguage: RuntimeInstance['getLanguage'];
+export const changeLanguage: RuntimeInstance['changeLanguage'];
+export const getAvailableLanguages: RuntimeInstance['getAvailableLanguages'];
+export const loadLanguage: RuntimeInstance['loadLanguage'];
+export const loadNamespace: RuntimeInstance['loadNamespace'];
+export const preloadNamespaces: RuntimeInstance['preloadNamespaces'];
+export const on: RuntimeInstance['on'];
+export const off: RuntimeInstance['off'];
+export const addResources: RuntimeInstance['addResources'];
+export const refresh: RuntimeInstance['refresh'];
+export const interpolate: RuntimeInstance['interpolate'];
+export const addFormatter: RuntimeInstance['addFormatter'];
+export const exists: RuntimeInstance['exists'];
+export const getLanguageChain: RuntimeInstance['getLanguageChain'];
+export const negotiateLanguage: RuntimeInstance['negotiateLanguage'];
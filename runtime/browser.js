@@ -0,0 +1,53 @@
+// runtime/browser.js
+// Runtime entry for browsers, Deno and edge workers: the core plus the loaders
+// that need no Node built-ins. Configure a loader, then await the languages
+// you need before calling t():
+//   initRuntime({ loader: createFetchLoader({ url: '/locales/{lang}.json' }) });
+//   await changeLanguage('de');
+
+const { createRuntime, MissingKeyError } = require('./core');
+const { createMemoryLoader, createFetchLoader, createImportLoader, createManifestLoader } = require('./loaders');
+const { formatMessage } = require('./icu');
+const { getPluralCategory } = require('./plurals');
+
+const defaultInstance = createRuntime();
+
+// createRuntime() without a loader only knows the `resources` it was given
+function createInstance(options = {}) {
+  return createRuntime(options);
+}
+
+function initRuntime(options = {}) {
+  defaultInstance.configure(options);
+  return defaultInstance;
+}
+
+module.exports = {
+  initRuntime,
+  createInstance,
+  translate: defaultInstance.translate,
+  t: defaultInstance.translate,
+  setLanguage: defaultInstance.setLanguage,
+  getLanguage: defaultInstance.getLanguage,
+  changeLanguage: defaultInstance.changeLanguage,
+  getAvailableLanguages: defaultInstance.getAvailableLanguages,
+  loadLanguage: defaultInstance.loadLanguage,
+  loadNamespace: defaultInstance.loadNamespace,
+  preloadNamespaces: defaultInstance.preloadNamespaces,
+  on: defaultInstance.on,
+  off: defaultInstance.off,
+  addResources: defaultInstance.addResources,
+  refresh: defaultInstance.refresh,
+  interpolate: defaultInstance.interpolate,
+  addFormatter: defaultInstance.addFormatter,
+  exists: defaultInstance.exists,
+  getLanguageChain: defaultInstance.getLanguageChain,
+  negotiateLanguage: defaultInstance.negotiateLanguage,
+  formatMessage,
+  getPluralCategory,
+  MissingKeyError,
+  createMemoryLoader,
+  createFetchLoader,
+  createImportLoader,
+  createManifestLoader,
+};
@@ -0,0 +1,54 @@
+// runtime/bundle.js
+// Reading the bundles `i18ntk build` writes: a manifest lists one file per
+// language and per namespace, named by a hash of their content, as JSON or as
+// ES modules (`export default {...};`) whose body is the same JSON.
+
+const MANIFEST_FILE = 'i18ntk-manifest.json';
+const MODULE_PREFIX = 'export default ';
+
+/**
+ * Parse the text of a bundle file.
+ * @param {string} text
+ * @param {string} file - the name decides between JSON and an ES module
+ * @returns {object}
+ */
+function parseBundle(text, file = '') {
+  let body = String(text || '').trim();
+  if (/\.m?js$/i.test(file)) {
+    const start = body.indexOf(MODULE_PREFIX);
+    if (start === -1) throw new Error(`Not an i18ntk bundle: ${file}`);
+    body = body.slice(start + MODULE_PREFIX.length).replace(/;\s*$/, '');
+  }
+  const data = body ? JSON.parse(body) : {};
+  return data && typeof data === 'object' ? data : {};
+}
+
+/**
+ * File of a language, or of one of its namespaces, listed in a manifest.
+ * @param {object} manifest
+ * @param {string} lang
+ * @param {string} [namespace]
+ * @returns {string|null} path relative to the manifest
+ */
+function getBundleFile(manifest, lang, namespace) {
+  const entry = manifest && manifest.languages && manifest.languages[lang];
+  if (!entry) return null;
+  if (!namespace) return entry.file || null;
+  return (entry.namespaces && entry.namespaces[namespace]) || null;
+}
+
+// Namespace names of a language in a manifest, or null when it has none
+function getBundleNamespaces(manifest, lang) {
+  const entry = manifest && manifest.languages && manifest.languages[lang];
+  if (!entry || !entry.namespaces) return null;
+  const names = Object.keys(entry.namespaces);
+  return names.length ? names : null;
+}
+
+module.exports = {
+  MANIFEST_FILE,
+  MODULE_PREFIX,
+  parseBundle,
+  getBundleFile,
+  getBundleNamespaces
+};
@@ -0,0 +1,131 @@
+// runtime/core.d.ts
+// Storage-agnostic runtime core types for i18ntk
+
+export type TranslateParams = Record<string, unknown>;
+export type Formatter = (value: any, locale?: string, style?: string) => string;
+export type Translations = Record<string, unknown>;
+
+export interface TranslateOptions {
+  formatters?: Record<string, Formatter>;
+}
+
+/**
+ * Keys and parameters of your translations. Empty until the file generated by
+ * `i18ntk types` fills it in; from then on t() accepts only known keys and
+ * requires the parameters their messages interpolate.
+ */
+export interface TranslationRegistry {}
+
+type RegisteredParams = TranslationRegistry extends { params: infer P } ? P : {};
+
+/** A key t() accepts: any string, or the generated keys */
+export type TranslationKey = TranslationRegistry extends { keys: infer K } ? K : string;
+
+/** Keys inside a namespace, for useTranslation(ns)-style helpers */
+export type NamespaceKey<N extends string> = TranslationRegistry extends { namespaces: infer M }
+  ? (N extends keyof M ? M[N] : string)
+  : string;
+
+/** t()'s arguments after the key: parameters are required when the message has any */
+export type TranslateArgs<K, P = TranslateParams, O = TranslateOptions> = K extends keyof RegisteredParams
+  ? [params: RegisteredParams[K] & TranslateParams, options?: O]
+  : [params?: P, options?: O];
+
+/** Source of translations; `load` may answer synchronously or with a promise. */
+export interface Loader {
+  load(language: string, namespace?: string): Translations | Promise<Translations>;
+  languages?(): string[];
+  /** Namespaces of a language split into files; null loads the language whole */
+  namespaces?(language: string): string[] | null;
+  clear?(language?: string): void;
+}
+
+export interface RuntimeOptions {
+  loader?: Loader | null;
+  /** Translations to start with, by language */
+  resources?: Record<string, Translations>;
+  language?: string;
+  fallbackLanguage?: string;
+  /** Explicit fallback chains, e.g. { 'pt-BR': ['pt', 'es', 'en'] } */
+  fallbacks?: Record<string, string | string[]>;
+  keySeparator?: string;
+  /** Separator of `namespace:key`; default ':' */
+  namespaceSeparator?: string;
+  /** Load only the namespace files that keys point at (default true) */
+  lazyNamespaces?: boolean;
+  preload?: boolean;
+  formatters?: Record<string, Formatter>;
+  /** Called when no language of the chain has a key (not while its files load) */
+  onMissingKey?: ((key: string, language: string, namespace?: string) => void) | null;
+  /** What t() returns for a missing key: the key (default), `[missing: key]`, or throw MissingKeyError */
+  missingKeys?: 'key' | 'marker' | 'throw';
+}
+
+export interface NamespacesLoadedEvent {
+  language: string;
+  namespaces: string[];
+}
+
+export interface TranslationsChangedEvent {
+  language: string;
+  /** Namespaces whose files changed; empty when the whole language did */
+  namespaces: string[];
+}
+
+export interface LanguageChangedEvent {
+  language: string;
+  previous: string;
+}
+
+export interface LanguageLoadedEvent {
+  language: string;
+}
+
+export interface RuntimeEvents {
+  /** Emitted by the instance whose language changed only */
+  languageChanged: LanguageChangedEvent;
+  languageLoaded: LanguageLoadedEvent;
+  namespacesLoaded: NamespacesLoadedEvent;
+  translationsChanged: TranslationsChangedEvent;
+}
+
+export interface RuntimeInstance {
+  t<K extends TranslationKey>(key: K, ...args: TranslateArgs<K>): string;
+  translate<K extends TranslationKey>(key: K, ...args: TranslateArgs<K>): string;
+  setLanguage(language: string): void;
+  getLanguage(): string;
+  /** Load the fallback chain of `language`, then switch to it */
+  changeLanguage(language: string): Promise<void>;
+  getAvailableLanguages(): string[];
+  getLanguageChain(language?: string): string[];
+  loadLanguage(language: string): Promise<Translations>;
+  loadNamespace(language: string, namespace: string): Promise<Translations>;
+  /** Load namespaces for the current fallback chain, or the given languages */
+  preloadNamespaces(namespaces: string | string[], languages?: string[]): Promise<void>;
+  /** Whether preloadNamespaces() would have nothing left to load */
+  hasLoadedNamespaces(namespaces: string | string[], languages?: string[]): boolean;
+  on<E extends keyof RuntimeEvents>(event: E, listener: (event: RuntimeEvents[E]) => void): () => void;
+  off<E extends keyof RuntimeEvents>(event: E, listener: (event: RuntimeEvents[E]) => void): void;
+  addResources(language: string, translations: Translations): void;
+  refresh(language?: string): void;
+  /** Request again what was loaded for a language, then emit translationsChanged */
+  reloadLanguage(language: string, namespaces?: string[]): Promise<void>;
+  interpolate(template: string, params?: TranslateParams, language?: string, options?: TranslateOptions): string;
+  addFormatter(name: string, formatter: Formatter): void;
+  exists(key: string, options?: TranslateParams & { language?: string }): boolean;
+  negotiateLanguage(requested: string | readonly string[] | undefined, available?: string[], defaultLanguage?: string): string;
+  cloneInstance(overrides?: RuntimeOptions): RuntimeInstance;
+  configure(options?: RuntimeOptions): void;
+  /** Stop watching files (Node entry with `watch`) */
+  dispose(): void;
+}
+
+export class MissingKeyError extends Error {
+  key: string;
+  language: string;
+  namespace?: string;
+}
+
+export function createRuntime(options?: RuntimeOptions): RuntimeInstance;
+export function deepMerge<T extends object>(target: T, source: object): T;
+export function resolveKey(obj: unknown, key: string, separator?: string): unknown;
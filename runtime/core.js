@@ -0,0 +1,522 @@
+// runtime/core.js
+// Storage-agnostic translation core shared by the Node and browser runtimes.
+// Translations come from a loader ({ load(lang, namespace), languages() }) that
+// may answer synchronously (filesystem, memory) or with a promise (fetch,
+// import()). Nothing here uses Node built-ins, so it runs in browsers, Deno and
+// edge workers.
+
+const { formatMessage, hasIcuSyntax, isParsedMessage } = require('./icu');
+const { resolvePlural } = require('./plurals');
+const { getFallbackChain, negotiateLanguage: negotiate } = require('./locales');
+
+const MISSING_KEY_MODES = ['key', 'marker', 'throw'];
+// Events about one instance rather than the translations it shares with clones
+const INSTANCE_EVENTS = ['languageChanged'];
+
+class MissingKeyError extends Error {
+  constructor(key, language, namespace) {
+    super(`Missing translation for '${key}' in ${language}`);
+    this.name = 'MissingKeyError';
+    this.key = key;
+    this.language = language;
+    this.namespace = namespace;
+  }
+}
+
+function isPromise(value) {
+  return Boolean(value) && typeof value.then === 'function';
+}
+
+function deepMerge(target, source) {
+  if (!target || typeof target !== 'object') target = {};
+  if (!source || typeof source !== 'object') return target;
+  for (const key of Object.keys(source)) {
+    const sv = source[key];
+    const tv = target[key];
+    if (
+      sv && typeof sv === 'object' && !Array.isArray(sv) &&
+      tv && typeof tv === 'object' && !Array.isArray(tv)
+    ) {
+      target[key] = deepMerge({ ...tv }, sv);
+    } else {
+      target[key] = sv;
+    }
+  }
+  return target;
+}
+
+// Resolve a dotted key path from an object; bundles built by `i18ntk build`
+// hold the whole path as one key
+function resolveKey(obj, key, sep = '.') {
+  if (!obj || typeof obj !== 'object') return undefined;
+  if (!key || typeof key !== 'string') return undefined;
+  if (Object.prototype.hasOwnProperty.call(obj, key)) return obj[key];
+  const parts = key.split(sep);
+  let cur = obj;
+  for (const p of parts) {
+    if (cur && Object.prototype.hasOwnProperty.call(cur, p)) {
+      cur = cur[p];
+    } else {
+      return undefined;
+    }
+  }
+  return cur;
+}
+
+// Loaded translations, in-flight loads and event listeners; cloned instances
+// share one store
+function createStore() {
+  return {
+    translations: new Map(),    // lang -> merged translations
+    namespaces: new Map(),      // lang -> Map(namespace -> translations)
+    namespaceLists: new Map(),  // lang -> namespace names from the loader, or null
+    pending: new Map(),         // 'lang' or 'lang:namespace' -> Promise
+    loaded: new Set(),          // ids of pending entries whose data arrived
+    listeners: new Map(),       // event -> Set(listener)
+  };
+}
+
+/**
+ * Create a translator over a loader.
+ * Keys of languages that have not been loaded yet are requested on first use;
+ * with an asynchronous loader `t()` returns the key until the data arrives, so
+ * await loadLanguage()/changeLanguage() first.
+ * When the loader lists a language's namespaces (files such as
+ * `<lang>/checkout.json`), only the file a key points at is loaded:
+ * `checkout:summary.total` or `checkout.summary.total`. Keys that name no
+ * namespace still load the whole language.
+ * @param {object} options - { loader, resources: { lang: data }, language,
+ *   fallbackLanguage, fallbacks, keySeparator, namespaceSeparator,
+ *   lazyNamespaces, formatters, preload, onMissingKey, missingKeys }
+ * @param {object} store - internal, shared with clones
+ * @returns {object} translator API
+ */
+function createRuntime(options = {}, store = createStore()) {
+  const state = {
+    loader: options.loader || null,
+    language: options.language || 'en',
+    fallbackLanguage: options.fallbackLanguage || 'en',
+    fallbacks: options.fallbacks || {},             // explicit chains, e.g. { 'pt-BR': ['pt', 'es'] }
+    keySeparator: options.keySeparator || '.',
+    namespaceSeparator: options.namespaceSeparator || ':',
+    lazyNamespaces: options.lazyNamespaces !== false,
+    formatters: {},                                 // name -> (value, locale, style) => string
+    onMissingKey: null,                             // (key, lang, namespace) => void
+    missingKeys: 'key',                             // what t() returns for misses: key, marker or throw
+    listeners: new Map(),                           // instance events -> Set(listener)
+  };
+
+  function listenersOf(event) {
+    return INSTANCE_EVENTS.includes(event) ? state.listeners : store.listeners;
+  }
+
+  function on(event, listener) {
+    const listeners = listenersOf(event);
+    if (!listeners.has(event)) listeners.set(event, new Set());
+    listeners.get(event).add(listener);
+    return () => off(event, listener);
+  }
+
+  function off(event, listener) {
+    const listeners = listenersOf(event);
+    if (listeners.has(event)) listeners.get(event).delete(listener);
+  }
+
+  function emit(event, payload) {
+    for (const listener of listenersOf(event).get(event) || []) listener(payload);
+  }
+
+  // Merge data into a language without mutating what the loader handed out
+  function addResources(lang, data) {
+    if (!data || typeof data !== 'object') return;
+    const existing = store.translations.get(lang);
+    store.translations.set(lang, existing ? deepMerge(deepMerge({}, existing), data) : data);
+  }
+
+  // Load a language (or one of its namespaces) once. Synchronous loaders fill
+  // the store before this returns.
+  function request(lang, namespace) {
+    const id = namespace ? `${lang}:${namespace}` : lang;
+    if (store.pending.has(id)) return store.pending.get(id);
+
+    let result;
+    try {
+      result = state.loader ? state.loader.load(lang, namespace) : {};
+    } catch (error) {
+      result = Promise.reject(error);
+    }
+    const apply = (data) => {
+      addResources(lang, data);
+      if (namespace) {
+        if (!store.namespaces.has(lang)) store.namespaces.set(lang, new Map());
+        store.namespaces.get(lang).set(namespace, data || {});
+      }
+      store.loaded.add(id);
+      return data || {};
+    };
+    const loaded = isPromise(result)
+      ? result.then(apply, (error) => {
+        store.pending.delete(id);
+        throw error;
+      })
+      : Promise.resolve(apply(result));
+    // Lazy loads from t() are not awaited; callers of loadLanguage() still see errors
+    loaded.catch(() => {});
+    // Announced after the call that started the load, even for synchronous loaders
+    if (!namespace) loaded.then(() => emit('languageLoaded', { language: lang }), () => {});
+    store.pending.set(id, loaded);
+    return loaded;
+  }
+
+  function getTranslations(lang) {
+    if (!store.pending.has(lang)) request(lang);
+    return store.translations.get(lang) || {};
+  }
+
+  // Load namespaces of a language, then announce the ones that were new
+  function loadNamespaces(lang, namespaces) {
+    const fresh = namespaces.filter(namespace => !store.pending.has(`${lang}:${namespace}`));
+    return Promise.all(namespaces.map(namespace => request(lang, namespace))).then((results) => {
+      if (fresh.length) emit('namespacesLoaded', { language: lang, namespaces: fresh });
+      return results;
+    });
+  }
+
+  // Namespaces of a language split into files, or null to load it whole
+  function getNamespaceList(lang) {
+    if (!state.lazyNamespaces || !state.loader || typeof state.loader.namespaces !== 'function') return null;
+    if (!store.namespaceLists.has(lang)) {
+      const namespaces = state.loader.namespaces(lang);
+      store.namespaceLists.set(lang, Array.isArray(namespaces) && namespaces.length ? namespaces : null);
+    }
+    return store.namespaceLists.get(lang);
+  }
+
+  // The namespace a key points at, and the paths to try inside its file:
+  // `checkout:summary.total` or `checkout.summary.total`, with or without a
+  // top-level `checkout` object in checkout.json
+  function mapKey(key, namespaces) {
+    const sep = state.keySeparator;
+    const index = key.indexOf(state.namespaceSeparator);
+    if (index > 0) {
+      const namespace = key.slice(0, index);
+      if (namespaces.includes(namespace)) {
+        const rest = key.slice(index + state.namespaceSeparator.length);
+        return { namespace, explicit: true, paths: [rest, `${namespace}${sep}${rest}`] };
+      }
+    }
+    const first = key.split(sep)[0];
+    if (namespaces.includes(first)) {
+      return { namespace: first, explicit: false, paths: [key, key.slice(first.length + sep.length)] };
+    }
+    return null;
+  }
+
+  function mapKeyFor(lang, key) {
+    const namespaces = getNamespaceList(lang);
+    return namespaces && typeof key === 'string' ? mapKey(key, namespaces) : null;
+  }
+
+  function find(lang, key) {
+    const mapped = mapKeyFor(lang, key);
+    if (mapped) {
+      if (!store.pending.has(`${lang}:${mapped.namespace}`)) {
+        loadNamespaces(lang, [mapped.namespace]).catch(() => {});
+      }
+      const data = (store.namespaces.get(lang) || new Map()).get(mapped.namespace);
+      for (const candidate of mapped.paths) {
+        const value = resolveKey(data, candidate, state.keySeparator);
+        if (typeof value !== 'undefined') return value;
+      }
+      if (mapped.explicit) return undefined;
+      // Only the namespace's file is loaded for the key
+      return resolveKey(store.translations.get(lang), key, state.keySeparator);
+    }
+    // Keys that name no file may live in any of them; in a language that is
+    // not split, `checkout:total` is read as `checkout.total`
+    const translations = getTranslations(lang);
+    const value = resolveKey(translations, key, state.keySeparator);
+    const index = typeof key === 'string' ? key.indexOf(state.namespaceSeparator) : -1;
+    if (typeof value !== 'undefined' || index <= 0) return value;
+    const rest = key.slice(index + state.namespaceSeparator.length);
+    return resolveKey(translations, `${key.slice(0, index)}${state.keySeparator}${rest}`, state.keySeparator);
+  }
+
+  // ICU messages ({count, plural, ...}) go through the MessageFormat compiler;
+  // everything else keeps the simple {name} / {{name}} substitution
+  function interpolate(template, params = {}, language = state.language, interpolateOptions = {}) {
+    const formatters = interpolateOptions.formatters
+      ? { ...state.formatters, ...interpolateOptions.formatters }
+      : state.formatters;
+    if (isParsedMessage(template)) return formatMessage(template, params, language, { formatters });
+    if (typeof template !== 'string') return template;
+    if (hasIcuSyntax(template)) {
+      try {
+        return formatMessage(template, params, language, { formatters });
+      } catch (_) {
+        // Malformed ICU falls through to simple interpolation
+      }
+    }
+    return template
+      .replace(/\{\{(\w+)\}\}/g, (m, p1) => (p1 in params ? String(params[p1]) : m))
+      .replace(/\{(\w+)\}/g, (m, p1) => (p1 in params ? String(params[p1]) : m));
+  }
+
+  // Register a named formatter for `{value, name, style}` placeholders
+  function addFormatter(name, formatter) {
+    if (typeof formatter !== 'function') {
+      throw new TypeError(`Formatter '${name}' must be a function`);
+    }
+    state.formatters[name] = formatter;
+  }
+
+  // Look up a key; a numeric `count` selects the plural form for the language
+  function lookup(lang, key, params) {
+    if (params && typeof params.count === 'number') {
+      return resolvePlural(k => find(lang, k), key, params.count, lang, { ordinal: params.ordinal === true });
+    }
+    return find(lang, key);
+  }
+
+  // Languages tried for the current language: de-AT -> de -> fallbackLanguage
+  function getLanguageChain(lang = state.language) {
+    return getFallbackChain(lang, { fallbackLanguage: state.fallbackLanguage, fallbacks: state.fallbacks });
+  }
+
+  function translate(key, params = {}, translateOptions = {}) {
+    const chain = getLanguageChain();
+    for (const language of chain) {
+      const value = lookup(language, key, params);
+      if (typeof value === 'string' || isParsedMessage(value)) return interpolate(value, params, language, translateOptions);
+      if (typeof value !== 'undefined') return value;
+    }
+    return missingKey(key, chain);
+  }
+
+  // A key no language of the chain has. Keys whose files are still loading
+  // are not reported; t() returns them as they are.
+  function missingKey(key, chain) {
+    const mapped = chain.map(lang => mapKeyFor(lang, key));
+    const ready = chain.every((lang, i) => store.loaded.has(mapped[i] ? `${lang}:${mapped[i].namespace}` : lang));
+    if (!ready) return key;
+
+    const index = typeof key === 'string' ? key.indexOf(state.namespaceSeparator) : -1;
+    const namespace = mapped[0] ? mapped[0].namespace : (index > 0 ? key.slice(0, index) : undefined);
+    if (state.onMissingKey) {
+      try {
+        state.onMissingKey(key, chain[0], namespace);
+      } catch (_) {
+        // Reporting never breaks rendering
+      }
+    }
+    if (state.missingKeys === 'throw') throw new MissingKeyError(key, chain[0], namespace);
+    if (state.missingKeys === 'marker') return `[missing: ${key}]`;
+    return key;
+  }
+
+  // Whether `key` has a value in one language (the current one by default),
+  // without consulting fallbacks
+  function exists(key, existsOptions = {}) {
+    return typeof lookup(existsOptions.language || state.language, key, existsOptions) !== 'undefined';
+  }
+
+  function getAvailableLanguages() {
+    if (state.loader && typeof state.loader.languages === 'function') {
+      const languages = state.loader.languages();
+      if (languages.length) return languages;
+    }
+    return Array.from(store.translations.keys());
+  }
+
+  // Best available language for an Accept-Language header or navigator.languages
+  function negotiateLanguage(requested, available = getAvailableLanguages(), defaultLanguage = state.fallbackLanguage) {
+    return negotiate(requested, available, defaultLanguage);
+  }
+
+  function setLanguage(lang) {
+    if (!lang || typeof lang !== 'string' || lang === state.language) return;
+    const previous = state.language;
+    state.language = lang;
+    emit('languageChanged', { language: lang, previous });
+  }
+
+  function getLanguage() {
+    return state.language;
+  }
+
+  /**
+   * Load every file of a language.
+   * @param {string} lang
+   * @returns {Promise<object>} the loaded translations
+   */
+  function loadLanguage(lang) {
+    return request(lang);
+  }
+
+  /**
+   * Load one namespace (`<lang>/<ns>.json` for the file-based loaders) and
+   * merge it into the language.
+   * @param {string} lang
+   * @param {string} namespace
+   * @returns {Promise<object>} the namespace's translations
+   */
+  function loadNamespace(lang, namespace) {
+    return loadNamespaces(lang, [namespace]).then(([data]) => data);
+  }
+
+  /**
+   * Load namespaces for the current fallback chain (or the given languages);
+   * emits `namespacesLoaded` per language with the namespaces that were new.
+   * Languages that are not split into namespace files are loaded whole.
+   * @param {string|string[]} namespaces
+   * @param {string[]} languages
+   * @returns {Promise<void>}
+   */
+  function preloadNamespaces(namespaces, languages = getLanguageChain()) {
+    const list = Array.isArray(namespaces) ? namespaces : [namespaces];
+    return Promise.all(languages.map(lang => (getNamespaceList(lang) ? loadNamespaces(lang, list) : request(lang))))
+      .then(() => undefined);
+  }
+
+  // Whether preloadNamespaces() would have nothing left to load
+  function hasLoadedNamespaces(namespaces, languages = getLanguageChain()) {
+    const list = Array.isArray(namespaces) ? namespaces : [namespaces];
+    return languages.every(lang => (getNamespaceList(lang)
+      ? list.every(namespace => store.loaded.has(`${lang}:${namespace}`))
+      : store.loaded.has(lang)));
+  }
+
+  // Load the fallback chain of `lang`, then switch to it
+  async function changeLanguage(lang) {
+    await Promise.all(getLanguageChain(lang).map(loadLanguage));
+    setLanguage(lang);
+  }
+
+  // Forget a language and its namespaces; returns the ids that had been requested
+  function forget(lang) {
+    const ids = Array.from(store.pending.keys()).filter(id => id === lang || id.startsWith(`${lang}:`));
+    for (const id of ids) {
+      store.pending.delete(id);
+      store.loaded.delete(id);
+    }
+    store.translations.delete(lang);
+    store.namespaces.delete(lang);
+    store.namespaceLists.delete(lang);
+    return ids;
+  }
+
+  // Drop loaded translations of a language so they are read again
+  function refresh(lang = state.language) {
+    forget(lang);
+    if (state.loader && typeof state.loader.clear === 'function') state.loader.clear(lang);
+  }
+
+  /**
+   * Read a language again after its files changed: whatever had been loaded
+   * (the whole language, namespaces) is requested again, then
+   * `translationsChanged` is emitted. The loader's own cache is left to the
+   * caller, so only the changed files need to be re-read.
+   * @param {string} lang
+   * @param {string[]} namespaces - the namespaces that changed, if known
+   * @returns {Promise<void>}
+   */
+  function reloadLanguage(lang, namespaces = []) {
+    const ids = forget(lang);
+    const loads = ids.map(id => (id === lang ? request(lang) : request(lang, id.slice(lang.length + 1))));
+    return Promise.all(loads).then(() => {
+      emit('translationsChanged', { language: lang, namespaces });
+    });
+  }
+
+  // Instances hold no resources; the Node entry stops its file watcher here
+  function dispose() {}
+
+  // Apply initRuntime() options, keeping current values for omitted ones
+  function configure(configureOptions = {}) {
+    if (configureOptions.loader) {
+      state.loader = configureOptions.loader;
+      store.translations.clear();
+      store.namespaces.clear();
+      store.namespaceLists.clear();
+      store.pending.clear();
+      store.loaded.clear();
+    }
+    state.language = configureOptions.language || state.language;
+    state.fallbackLanguage = configureOptions.fallbackLanguage || state.fallbackLanguage;
+    state.fallbacks = configureOptions.fallbacks || state.fallbacks;
+    state.keySeparator = configureOptions.keySeparator || state.keySeparator;
+    state.namespaceSeparator = configureOptions.namespaceSeparator || state.namespaceSeparator;
+    if (typeof configureOptions.lazyNamespaces === 'boolean') state.lazyNamespaces = configureOptions.lazyNamespaces;
+    if (Object.prototype.hasOwnProperty.call(configureOptions, 'onMissingKey')) {
+      state.onMissingKey = typeof configureOptions.onMissingKey === 'function' ? configureOptions.onMissingKey : null;
+    }
+    if (configureOptions.missingKeys) {
+      if (!MISSING_KEY_MODES.includes(configureOptions.missingKeys)) {
+        throw new TypeError(`missingKeys must be one of ${MISSING_KEY_MODES.join(', ')}`);
+      }
+      state.missingKeys = configureOptions.missingKeys;
+    }
+    for (const [name, formatter] of Object.entries(configureOptions.formatters || {})) {
+      addFormatter(name, formatter);
+    }
+    for (const [lang, data] of Object.entries(configureOptions.resources || {})) {
+      addResources(lang, data);
+    }
+    if (configureOptions.preload === true) {
+      getLanguageChain().forEach(lang => request(lang));
+    }
+  }
+
+  // A new instance with this one's settings and formatters, plus overrides.
+  // It shares loaded translations unless it gets its own loader.
+  function cloneInstance(overrides = {}) {
+    return createRuntime({
+      loader: state.loader,
+      language: state.language,
+      fallbackLanguage: state.fallbackLanguage,
+      fallbacks: state.fallbacks,
+      keySeparator: state.keySeparator,
+      namespaceSeparator: state.namespaceSeparator,
+      lazyNamespaces: state.lazyNamespaces,
+      onMissingKey: state.onMissingKey,
+      missingKeys: state.missingKeys,
+      ...overrides,
+      formatters: { ...state.formatters, ...overrides.formatters },
+    }, overrides.loader ? createStore() : store);
+  }
+
+  configure({ ...options, loader: null });
+
+  return {
+    t: translate,
+    translate,
+    setLanguage,
+    getLanguage,
+    changeLanguage,
+    getAvailableLanguages,
+    getLanguageChain,
+    loadLanguage,
+    loadNamespace,
+    preloadNamespaces,
+    hasLoadedNamespaces,
+    addResources,
+    on,
+    off,
+    refresh,
+    reloadLanguage,
+    interpolate,
+    addFormatter,
+    exists,
+    negotiateLanguage,
+    cloneInstance,
+    configure,
+    dispose,
+  };
+}
+
+module.exports = {
+  createRuntime,
+  MissingKeyError,
+  deepMerge,
+  resolveKey
+};
@@ -3,16 +3,21 @@
 
 export interface TranslationParams extends Record<string, unknown> {
   count?: number;
+  ordinal?: boolean;
   context?: string;
   [key: string]: unknown;
 }
 
+export type Formatter = (value: any, locale?: string, style?: string) => string;
+
 export interface TranslationOptions {
   language?: string;
   fallbackLanguage?: string;
+  fallbacks?: Record<string, string | string[]>;
   namespace?: string;
   encryptionKey?: string;
   enableEncryption?: boolean;
+  formatters?: Record<string, Formatter>;
 }
 
 export interface TranslationResult {
@@ -27,6 +32,8 @@ export interface I18nConfig {
   baseDir: string;
   defaultLanguage: string;
   fallbackLanguage: string;
+  /** Explicit fallback chains, e.g. { 'pt-BR': ['pt', 'es', 'en'] } */
+  fallbacks: Record<string, string | string[]>;
   keySeparator: string;
   preload: boolean;
   encryption: {
@@ -47,6 +54,13 @@ export interface I18nConfig {
     maxKeyLength: number;
     maxValueLength: number;
   };
+  formatters: Record<string, Formatter>;
+  /** Called when no language of the chain has a key */
+  onMissingKey: ((key: string, language: string, namespace?: string) => void) | null;
+  /** What translate() returns for a missing key: the key, `[missing: key]`, or throw */
+  missingKeys: 'key' | 'marker' | 'throw';
+  /** Reload changed files under baseDir and emit translationsChanged (development) */
+  watch: boolean | { debounce?: number };
 }
 
 export interface TranslationKey<T = string> {
@@ -101,6 +115,7 @@ export interface I18nRuntimeInstance {
   setLanguage: (lang: string) => Promise<void>;
   getLanguage: () => string;
   getAvailableLanguages: () => string[];
+  negotiateLanguage: (requested: string | readonly string[] | undefined, available?: string[]) => string;
   refresh: (lang?: string) => Promise<void>;
   
   // Configuration
@@ -118,8 +133,18 @@ export interface I18nRuntimeInstance {
   sanitizeTranslation: (text: string) => string;
   getTranslationMetadata: (key: string) => TranslationResult;
   
+  // Custom formatters
+  addFormatter: (name: string, formatter: Formatter) => void;
+  removeFormatter: (name: string) => void;
+  
   // Type utilities
   createTypedTranslator<T>(): TypedTranslator<T>;
+
+  // Events (translation, missingKey, translationsChanged, ...)
+  on: (event: string, listener: (event: any) => void) => void;
+  off: (event: string, listener: (event: any) => void) => void;
+  /** Stop watching files and release resources */
+  dispose: () => void;
 }
 
 export interface TypedTranslator<T> {
@@ -160,9 +185,10 @@ export interface TranslationPlugin {
 
 // Event system for monitoring
 export interface TranslationEvent {
-  type: 'translation' | 'error' | 'validation' | 'encryption';
+  type: 'translation' | 'error' | 'validation' | 'encryption' | 'missingKey';
   key: string;
   language: string;
+  namespace?: string;
   params?: TranslationParams;
   result?: string;
   error?: TranslationError;
@@ -16,6 +16,11 @@ const {
 
 // Import existing runtime for backward compatibility
 const baseRuntime = require('./index.js');
+const { formatMessage, hasIcuSyntax } = require('./icu');
+const { getPluralCategory, getPluralCategories, resolvePlural } = require('./plurals');
+const { getFallbackChain, negotiateLanguage } = require('./locales');
+const { MissingKeyError } = require('./core');
+const { createFsLoader } = require('./loaders/fs');
 
 // Constants for AES-256-GCM encryption
 const ALGORITHM = 'aes-256-gcm';
@@ -34,6 +39,7 @@ class I18nEnhancedRuntime extends EventEmitter {
       baseDir: './locales',
       defaultLanguage: 'en',
       fallbackLanguage: 'en',
+      fallbacks: {},
       keySeparator: '.',
       preload: false,
       encryption: {
@@ -59,7 +65,13 @@ class I18nEnhancedRuntime extends EventEmitter {
         maxKeyLength: 1000,
         maxValueLength: 10000,
       },
+      formatters: {},
+      onMissingKey: null,
+      missingKeys: 'key', // key, marker or throw
+      watch: false, // true or { debounce } to reload changed files
     };
+    this.stopWatching = null;
+    this.baseInstance = null;
     this.encryptionKey = null;
     this.cache = new Map();
     this.cacheSize = 0; // Track total cache size in bytes
@@ -259,9 +271,10 @@ class I18nEnhancedRuntime extends EventEmitter {
       const language = mergedOptions.language || this.config.defaultLanguage;
       const fallbackLanguage = mergedOptions.fallbackLanguage || this.config.fallbackLanguage;
 
-      // Check cache
+      // Check cache; per-call formatters bypass it
+      const useCache = this.config.cache.enabled && !options.formatters;
       const cacheKey = this.getCacheKey(key, params, language);
-      if (this.config.cache.enabled && this.cache.has(cacheKey)) {
+      if (useCache && this.cache.has(cacheKey)) {
         const cached = this.cache.get(cacheKey);
         if (Date.now() - cached.timestamp < this.config.cache.ttl) {
           this.metrics.cacheHitRate++;
@@ -270,16 +283,17 @@ class I18nEnhancedRuntime extends EventEmitter {
       }
 
       // Get translation
-      let translation = await this.getTranslation(key, language, params);
-      
-      // Fallback to fallback language
-      if (!translation && fallbackLanguage && fallbackLanguage !== language) {
-        translation = await this.getTranslation(key, fallbackLanguage, params);
+      // Walk the fallback chain: de-AT -> de -> fallbackLanguage
+      let translation = null;
+      const chain = getFallbackChain(language, { fallbackLanguage, fallbacks: mergedOptions.fallbacks });
+      for (const lang of chain) {
+        translation = await this.getTranslation(key, lang, params, options.formatters);
+        if (translation) break;
       }
 
       // Use key as fallback
       if (!translation) {
-        translation = key;
+        translation = this.handleMissingKey(key, language, startTime);
       }
 
       // Apply plugins
@@ -295,7 +309,7 @@ class I18nEnhancedRuntime extends EventEmitter {
       }
 
       // Cache result
-      if (this.config.cache.enabled) {
+      if (useCache) {
         this.setCache(cacheKey, translation);
       }
 
@@ -367,34 +381,92 @@ class I18nEnhancedRuntime extends EventEmitter {
     return results;
   }
 
+  // Report a key no language of the chain has; returns what translate() yields
+  handleMissingKey(key, language, startTime = Date.now()) {
+    const index = key.indexOf(':');
+    const namespace = index > 0 ? key.slice(0, index) : undefined;
+    this.emit('missingKey', {
+      type: 'missingKey',
+      key,
+      language,
+      namespace,
+      timestamp: new Date(),
+      duration: Date.now() - startTime,
+    });
+    if (typeof this.config.onMissingKey === 'function') {
+      try {
+        this.config.onMissingKey(key, language, namespace);
+      } catch (_) {
+        // Reporting never breaks translation
+      }
+    }
+    if (this.config.missingKeys === 'throw') throw new MissingKeyError(key, language, namespace);
+    if (this.config.missingKeys === 'marker') return `[missing: ${key}]`;
+    return key;
+  }
+
   // Get translation with namespace support
-  async getTranslation(key, language, params) {
+  async getTranslation(key, language, params, formatters) {
     // Check namespaces first
     for (const [namespace, translations] of this.namespaces) {
-      if (translations[language] && translations[language][key]) {
-        return this.interpolate(translations[language][key], params);
+      const messages = translations[language];
+      if (!messages) continue;
+      const value = params && typeof params.count === 'number'
+        ? resolvePlural(k => messages[k], key, params.count, language, { ordinal: params.ordinal === true })
+        : messages[key];
+      if (typeof value === 'string' && value) {
+        return this.interpolate(value, params, language, formatters);
       }
     }
 
-    // Fall back to base runtime
-    const baseInstance = baseRuntime.initRuntime({
-      baseDir: this.config.baseDir,
-      language,
-      fallbackLanguage: this.config.fallbackLanguage,
-    });
+    // Fall back to base runtime; fallbacks are walked by translate()
+    const baseInstance = this.getBaseInstance();
+    baseInstance.setLanguage(language);
+    if (!baseInstance.exists(key, { ...params, language })) return null;
+
+    return baseInstance.translate(key, params, { formatters: this.getFormatters(formatters) });
+  }
+
+  // Base runtime reading baseDir, kept so its loaded files can be refreshed
+  getBaseInstance() {
+    if (!this.baseInstance) {
+      this.baseInstance = baseRuntime.createInstance({
+        baseDir: this.config.baseDir,
+        language: this.config.defaultLanguage,
+        fallbackLanguage: this.config.fallbackLanguage,
+      });
+    }
+    return this.baseInstance;
+  }
 
-    return baseInstance.translate(key, params);
+  // Read the files of a language (every language when omitted) again
+  refresh(lang) {
+    if (this.baseInstance) {
+      const languages = lang ? [lang] : this.baseInstance.getAvailableLanguages();
+      languages.forEach(language => this.baseInstance.refresh(language));
+    }
+    this.cache.clear();
+    this.cacheSize = 0;
   }
 
   // Interpolation with advanced features
-  interpolate(template, params) {
+  interpolate(template, params, language = this.config.defaultLanguage, formatters) {
     if (typeof template !== 'string') return template;
+
+    // ICU MessageFormat (plural, select, selectordinal, nested arguments)
+    if (hasIcuSyntax(template)) {
+      try {
+        return formatMessage(template, params, language, { formatters: this.getFormatters(formatters) });
+      } catch (error) {
+        // Malformed ICU falls back to the simple rules below
+      }
+    }
     
     let result = template;
     
     // Handle pluralization
     if (params.count !== undefined) {
-      const pluralRules = this.getPluralRules(this.config.defaultLanguage);
+      const pluralRules = this.getPluralRules(language, params.ordinal ? 'ordinal' : 'cardinal');
       const pluralForm = pluralRules.rule(params.count);
       
       // Simple pluralization support
@@ -412,25 +484,14 @@ class I18nEnhancedRuntime extends EventEmitter {
     return result;
   }
 
-  // Plural rules for different languages
-  getPluralRules(language) {
-    const rules = {
-      en: { rule: (n) => n === 1 ? 0 : 1, examples: ['one', 'other'] },
-      es: { rule: (n) => n === 1 ? 0 : 1, examples: ['one', 'other'] },
-      fr: { rule: (n) => n <= 1 ? 0 : 1, examples: ['one', 'other'] },
-      de: { rule: (n) => n === 1 ? 0 : 1, examples: ['one', 'other'] },
-      ja: { rule: () => 0, examples: ['other'] },
-      ru: { rule: (n) => {
-        const rem = n % 10;
-        const rem100 = n % 100;
-        if (rem === 1 && rem100 !== 11) return 0;
-        if (rem >= 2 && rem <= 4 && (rem100 < 10 || rem100 >= 20)) return 1;
-        return 2;
-      }, examples: ['one', 'few', 'other'] },
-      zh: { rule: () => 0, examples: ['other'] },
+  // CLDR plural rules for any language. `rule` returns the index of the
+  // category in `examples`, which is also the form used by 'a|b|c' strings.
+  getPluralRules(language, type = 'cardinal') {
+    const examples = getPluralCategories(language, type);
+    return {
+      rule: (n) => Math.max(0, examples.indexOf(getPluralCategory(n, language, type))),
+      examples,
     };
-
-    return rules[language] || rules.en;
   }
 
   // Validation methods
@@ -596,8 +657,45 @@ class I18nEnhancedRuntime extends EventEmitter {
     this.metrics.cacheEntryCount = this.cache.size;
   }
   
+  // Reload translations when files under baseDir change (development)
+  watchTranslations(options = {}) {
+    this.unwatchTranslations();
+    const { watchTranslations } = require('./watch');
+    const baseDir = path.resolve(this.config.baseDir);
+    const fsLoader = createFsLoader({ baseDir });
+    this.stopWatching = watchTranslations(baseDir, (changes) => {
+      this.cache.clear();
+      this.cacheSize = 0;
+      for (const { language, namespaces, whole, files } of changes) {
+        if (whole) fsLoader.clear(language);
+        namespaces.forEach(namespace => fsLoader.clear(language, namespace));
+        // Only the changed files are read again; other namespaces stay loaded
+        const reloaded = this.baseInstance ? this.baseInstance.reloadLanguage(language, namespaces) : Promise.resolve();
+        reloaded.catch(() => {}).then(() => {
+          this.cache.clear();
+          this.cacheSize = 0;
+          this.emit('translationsChanged', { type: 'translationsChanged', language, namespaces, files, timestamp: new Date() });
+        });
+      }
+    }, options);
+  }
+
+  unwatchTranslations() {
+    if (this.stopWatching) {
+      this.stopWatching();
+      this.stopWatching = null;
+    }
+  }
+
+  // Stop watching files and release resources
+  dispose() {
+    this.unwatchTranslations();
+    this.cleanup();
+  }
+
   // Clean up resources
   cleanup() {
+    this.unwatchTranslations();
     if (this.memoryCheckInterval) {
       clearInterval(this.memoryCheckInterval);
       this.memoryCheckInterval = null;
@@ -606,6 +704,10 @@ class I18nEnhancedRuntime extends EventEmitter {
     // Clear all caches
     this.cache.clear();
     this.cacheSize = 0;
+    if (this.baseInstance) {
+      this.baseInstance.dispose();
+      this.baseInstance = null;
+    }
     
     // Clear namespaces
     this.namespaces.clear();
@@ -671,6 +773,17 @@ class I18nEnhancedRuntime extends EventEmitter {
   async updateConfig(updates) {
     this.config = { ...this.config, ...updates };
     this.cache.clear();
+    if (updates.baseDir !== undefined || updates.fallbackLanguage !== undefined) {
+      this.baseInstance = null;
+    }
+
+    if (updates.watch !== undefined || (updates.baseDir && this.stopWatching)) {
+      if (this.config.watch) {
+        this.watchTranslations(typeof this.config.watch === 'object' ? this.config.watch : {});
+      } else {
+        this.unwatchTranslations();
+      }
+    }
     
     if (updates.encryption?.enabled && !this.encryptionKey) {
       const { key, salt } = this.generateEncryptionKey(updates.encryption.salt);
@@ -700,6 +813,40 @@ class I18nEnhancedRuntime extends EventEmitter {
     return Array.from(this.namespaces.keys());
   }
 
+  // Languages found in the base directory plus those added as namespaces
+  getAvailableLanguages() {
+    const languages = new Set(this.getBaseInstance().getAvailableLanguages());
+    for (const translations of this.namespaces.values()) {
+      Object.keys(translations).forEach(language => languages.add(language));
+    }
+    return Array.from(languages);
+  }
+
+  // Best available language for an Accept-Language header or navigator.languages
+  negotiateLanguage(requested, available = this.getAvailableLanguages()) {
+    return negotiateLanguage(requested, available, this.config.fallbackLanguage);
+  }
+
+  // Custom formatters for `{value, name, style}` placeholders
+  addFormatter(name, formatter) {
+    if (typeof formatter !== 'function') {
+      throw new ValidationError('Formatter must be a function', { name });
+    }
+    this.config.formatters = { ...this.config.formatters, [name]: formatter };
+    this.cache.clear();
+  }
+
+  removeFormatter(name) {
+    const { [name]: removed, ...rest } = this.config.formatters || {};
+    this.config.formatters = rest;
+    this.cache.clear();
+  }
+
+  // Registered formatters, overridden by per-call ones
+  getFormatters(overrides) {
+    return overrides ? { ...this.config.formatters, ...overrides } : this.config.formatters;
+  }
+
   // Plugin system
   addPlugin(plugin) {
     this.plugins.push(plugin);
@@ -781,13 +928,11 @@ async function initI18nRuntime(options = {}) {
     
     getLanguage: () => runtimeInstance.config.defaultLanguage,
     
-    getAvailableLanguages: () => {
-      // This would scan the base directory for available languages
-      return ['en', 'es', 'fr', 'de', 'ja', 'ru', 'zh'];
-    },
+    getAvailableLanguages: runtimeInstance.getAvailableLanguages.bind(runtimeInstance),
+    negotiateLanguage: runtimeInstance.negotiateLanguage.bind(runtimeInstance),
     
     refresh: async (lang) => {
-      runtimeInstance.cache.clear();
+      runtimeInstance.refresh(lang);
     },
     
     getConfig: () => runtimeInstance.getConfig(),
@@ -822,10 +967,15 @@ async function initI18nRuntime(options = {}) {
     removeNamespace: runtimeInstance.removeNamespace.bind(runtimeInstance),
     getNamespace: runtimeInstance.getNamespace.bind(runtimeInstance),
     listNamespaces: runtimeInstance.listNamespaces.bind(runtimeInstance),
+    addFormatter: runtimeInstance.addFormatter.bind(runtimeInstance),
+    removeFormatter: runtimeInstance.removeFormatter.bind(runtimeInstance),
     addPlugin: runtimeInstance.addPlugin.bind(runtimeInstance),
     removePlugin: runtimeInstance.removePlugin.bind(runtimeInstance),
     getMetrics: runtimeInstance.getMetrics.bind(runtimeInstance),
     resetMetrics: runtimeInstance.resetMetrics.bind(runtimeInstance),
+    on: runtimeInstance.on.bind(runtimeInstance),
+    off: runtimeInstance.off.bind(runtimeInstance),
+    dispose: runtimeInstance.dispose.bind(runtimeInstance),
   };
 }
 
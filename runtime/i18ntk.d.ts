@@ -2,6 +2,13 @@
 // Complete TypeScript definitions for i18ntk internationalization framework
 // Version 1.10.1 - Full TypeScript support with AES-256-GCM encryption
 
+import { TranslateArgs, TranslationKey } from './core';
+
+export { NamespaceKey, TranslateArgs, TranslationKey, TranslationRegistry } from './core';
+// t() of `i18ntk/runtime` (./index.js), checked against the generated keys;
+// these take precedence over the untyped ones re-exported from ./enhanced
+export { translate, t } from './index';
+
 /**
  * Core translation parameters interface
  */
@@ -40,7 +47,7 @@ export interface TranslationOptions {
   /**
    * Custom formatter functions
    */
-  formatters?: Record<string, (value: any) => string>;
+  formatters?: Record<string, (value: any, locale?: string, style?: string) => string>;
   
   /**
    * Namespace to use for translation
@@ -218,7 +225,7 @@ export interface I18nConfig {
   /**
    * Custom formatters
    */
-  formatters?: Record<string, (value: any) => string>;
+  formatters?: Record<string, (value: any, locale?: string, style?: string) => string>;
   
   /**
    * Plugin configuration
@@ -299,12 +306,12 @@ export interface I18nRuntime {
    * @param params Translation parameters
    * @param options Translation options
    */
-  translate(key: string, params?: TranslationParams, options?: TranslationOptions): Promise<string>;
+  translate<K extends TranslationKey>(key: K, ...args: TranslateArgs<K, TranslationParams, TranslationOptions>): Promise<string>;
   
   /**
    * Alias for translate function
    */
-  t(key: string, params?: TranslationParams, options?: TranslationOptions): Promise<string>;
+  t<K extends TranslationKey>(key: K, ...args: TranslateArgs<K, TranslationParams, TranslationOptions>): Promise<string>;
   
   /**
    * Translate with encryption
@@ -449,12 +456,12 @@ export interface BasicI18nRuntime {
   /**
    * Translate a key with parameters
    */
-  translate(key: string, params?: TranslationParams): string;
+  translate<K extends TranslationKey>(key: K, ...args: TranslateArgs<K, TranslationParams>): string;
   
   /**
    * Alias for translate function
    */
-  t(key: string, params?: TranslationParams): string;
+  t<K extends TranslationKey>(key: K, ...args: TranslateArgs<K, TranslationParams>): string;
   
   /**
    * Set language
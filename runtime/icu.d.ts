@@ -0,0 +1,25 @@
+// runtime/icu.d.ts
+// ICU MessageFormat types for i18ntk
+
+export type MessageParams = Record<string, unknown>;
+export type Formatter = (value: any, locale?: string, style?: string) => string;
+
+export interface FormatOptions {
+  formatters?: Record<string, Formatter>;
+}
+
+export declare class IcuSyntaxError extends Error {
+  offset?: number;
+}
+
+/** A message `i18ntk build` parsed ahead of time */
+export interface ParsedMessage {
+  $icu: object[];
+}
+
+export function parse(message: string): object[];
+export function compile(message: string): (params?: MessageParams, locale?: string, formatters?: Record<string, Formatter>) => string;
+export function formatMessage(message: string | ParsedMessage, params?: MessageParams, locale?: string, options?: FormatOptions): string;
+export function hasIcuSyntax(message: string): boolean;
+export function isParsedMessage(value: unknown): value is ParsedMessage;
+export function clearCache(): void;
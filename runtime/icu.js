@@ -0,0 +1,385 @@
+// runtime/icu.js
+// Zero-dependency ICU MessageFormat parser and formatter for the runtimes.
+// Supports simple arguments, plural (with offset and =N cases), select,
+// selectordinal, nested arguments, '#' and apostrophe quoting, plus the
+// number/date/time/relativetime/list argument types and custom formatters.
+// Compiled messages and Intl instances are cached.
+
+const { getPluralCategory, normalizeLocale } = require('./plurals');
+
+const MAX_CACHE_SIZE = 1000;
+const PLURAL_TYPES = ['plural', 'selectordinal'];
+const ICU_ARGUMENT_RE = /\{\s*[^\s{}',#]+\s*,\s*[A-Za-z]+/;
+
+const compiled = new Map();
+const intlCache = new Map();
+
+class IcuSyntaxError extends Error {
+  constructor(message, offset) {
+    super(offset !== undefined ? `${message} (at offset ${offset})` : message);
+    this.name = 'IcuSyntaxError';
+    this.offset = offset;
+  }
+}
+
+/**
+ * Parse an ICU message into an array of nodes.
+ * @param {string} message
+ * @returns {Array<object>}
+ */
+function parse(message) {
+  const text = String(message);
+  let i = 0;
+
+  const fail = reason => {
+    throw new IcuSyntaxError(reason, i);
+  };
+
+  const skipSpace = () => {
+    while (i < text.length && /\s/.test(text[i])) i++;
+  };
+
+  const readWord = () => {
+    const match = /^[^\s{}',#]+/.exec(text.slice(i));
+    if (!match) return null;
+    i += match[0].length;
+    return match[0];
+  };
+
+  let parseArgument;
+
+  // Text and arguments up to the end, or up to the '}' closing a branch
+  const parseNodes = (inPlural, nested) => {
+    const nodes = [];
+    let buffer = '';
+    const flush = () => {
+      if (buffer) nodes.push({ type: 'text', value: buffer });
+      buffer = '';
+    };
+
+    while (i < text.length) {
+      const ch = text[i];
+      if (ch === '\'') {
+        const next = text[i + 1];
+        if (next === '\'') {
+          buffer += '\'';
+          i += 2;
+        } else if (next === '{' || next === '}' || (inPlural && next === '#')) {
+          // Quoted literal text up to the next single apostrophe
+          i++;
+          while (i < text.length) {
+            if (text[i] === '\'') {
+              if (text[i + 1] === '\'') {
+                buffer += '\'';
+                i += 2;
+                continue;
+              }
+              i++;
+              break;
+            }
+            buffer += text[i++];
+          }
+        } else {
+          buffer += ch;
+          i++;
+        }
+      } else if (ch === '{') {
+        flush();
+        i++;
+        nodes.push(parseArgument(inPlural));
+      } else if (ch === '}') {
+        if (!nested) fail('Unexpected \'}\'');
+        break;
+      } else if (ch === '#' && inPlural) {
+        flush();
+        nodes.push({ type: 'pound' });
+        i++;
+      } else {
+        buffer += ch;
+        i++;
+      }
+    }
+    flush();
+    return nodes;
+  };
+
+  const parseOptions = (type, inPlural) => {
+    const options = {};
+    let offset = 0;
+    skipSpace();
+    if (type === 'plural' && text.startsWith('offset:', i)) {
+      i += 'offset:'.length;
+      skipSpace();
+      const match = /^\d+/.exec(text.slice(i));
+      if (!match) fail('Expected a number after offset:');
+      offset = Number(match[0]);
+      i += match[0].length;
+    }
+
+    for (;;) {
+      skipSpace();
+      if (text[i] === '}') break;
+      const selector = readWord();
+      if (!selector) fail(`Expected a ${type} selector`);
+      skipSpace();
+      if (text[i] !== '{') fail(`Expected '{' after '${selector}'`);
+      i++;
+      options[selector] = parseNodes(PLURAL_TYPES.includes(type) || inPlural, true);
+      if (text[i] !== '}') fail('Unterminated branch');
+      i++;
+    }
+    if (!options.other) fail(`Missing 'other' option in ${type}`);
+    return { options, offset };
+  };
+
+  parseArgument = inPlural => {
+    skipSpace();
+    const name = readWord();
+    if (!name) fail('Expected an argument name');
+    skipSpace();
+    if (text[i] === '}') {
+      i++;
+      return { type: 'argument', name };
+    }
+    if (text[i] !== ',') fail(`Expected ',' or '}' after '${name}'`);
+    i++;
+    skipSpace();
+    const type = readWord();
+    if (!type) fail('Expected an argument type');
+    skipSpace();
+
+    if (type === 'plural' || type === 'select' || type === 'selectordinal') {
+      if (text[i] !== ',') fail(`Expected ',' after '${type}'`);
+      i++;
+      const { options, offset } = parseOptions(type, inPlural);
+      i++;
+      return { type, name, offset, options };
+    }
+
+    // {name, number}, {name, date, short}, {name, number, ::currency/EUR}
+    let style = '';
+    if (text[i] === ',') {
+      i++;
+      const start = i;
+      let depth = 0;
+      while (i < text.length && (depth > 0 || text[i] !== '}')) {
+        if (text[i] === '{') depth++;
+        if (text[i] === '}') depth--;
+        i++;
+      }
+      style = text.slice(start, i).trim();
+    }
+    if (text[i] !== '}') fail(`Unterminated argument '${name}'`);
+    i++;
+    return { type: 'format', name, format: type, style };
+  };
+
+  return parseNodes(false, false);
+}
+
+function getIntl(Constructor, locale, options = {}) {
+  const cacheKey = `${Constructor.name}:${locale || ''}:${JSON.stringify(options)}`;
+  if (!intlCache.has(cacheKey)) {
+    intlCache.set(cacheKey, new Constructor(locale, options));
+  }
+  return intlCache.get(cacheKey);
+}
+
+const DATE_STYLES = ['short', 'medium', 'long', 'full'];
+const LIST_TYPES = ['conjunction', 'disjunction', 'unit'];
+const WIDTHS = ['long', 'short', 'narrow'];
+const RELATIVE_UNITS = [
+  ['year', 31536000],
+  ['month', 2592000],
+  ['week', 604800],
+  ['day', 86400],
+  ['hour', 3600],
+  ['minute', 60],
+  ['second', 1]
+];
+
+// Style tokens such as 'currency:EUR compact', or an ICU skeleton '::currency/EUR'
+function styleTokens(style) {
+  return String(style || '').replace(/^::/, '').split(/[\s,]+/).filter(Boolean);
+}
+
+function numberOptions(style) {
+  const options = {};
+  for (const token of styleTokens(style)) {
+    const [name, arg] = token.split(/[:/]/);
+    if (name === 'integer') {
+      options.maximumFractionDigits = 0;
+    } else if (name === 'percent') {
+      options.style = 'percent';
+    } else if (name === 'compact') {
+      options.notation = 'compact';
+    } else if (name === 'currency' && arg) {
+      options.style = 'currency';
+      options.currency = arg.toUpperCase();
+    } else if (name === 'unit' && arg) {
+      options.style = 'unit';
+      options.unit = arg;
+    }
+  }
+  return options;
+}
+
+// Numbers are amounts in the unit of the style (seconds by default); dates are
+// measured from now in the largest unit that fits
+function formatRelativeTime(value, style, locale) {
+  const tokens = styleTokens(style);
+  const unit = RELATIVE_UNITS.find(([name]) => tokens.some(token => token.replace(/s$/, '') === name));
+  const width = tokens.find(token => WIDTHS.includes(token)) || 'long';
+  const formatter = getIntl(Intl.RelativeTimeFormat, locale, { numeric: 'auto', style: width });
+
+  const amount = Number(value);
+  if (!(value instanceof Date) && Number.isFinite(amount)) {
+    return formatter.format(amount, unit ? unit[0] : 'second');
+  }
+  const date = value instanceof Date ? value : new Date(value);
+  if (Number.isNaN(date.getTime())) return String(value);
+  const seconds = (date.getTime() - Date.now()) / 1000;
+  const [name, size] = unit || RELATIVE_UNITS.find(([, length]) => Math.abs(seconds) >= length) || RELATIVE_UNITS[RELATIVE_UNITS.length - 1];
+  return formatter.format(Math.round(seconds / size), name);
+}
+
+function formatValue(node, value, context) {
+  const { locale, formatters } = context;
+  if (formatters && Object.prototype.hasOwnProperty.call(formatters, node.format)) {
+    return String(formatters[node.format](value, locale, node.style));
+  }
+  try {
+    if (node.format === 'number') {
+      const number = Number(value);
+      if (Number.isNaN(number)) return String(value);
+      return getIntl(Intl.NumberFormat, locale, numberOptions(node.style)).format(number);
+    }
+    if (node.format === 'date' || node.format === 'time') {
+      const date = value instanceof Date ? value : new Date(value);
+      if (Number.isNaN(date.getTime())) return String(value);
+      const style = DATE_STYLES.includes(node.style) ? node.style : 'medium';
+      const options = node.format === 'date' ? { dateStyle: style } : { timeStyle: style };
+      return getIntl(Intl.DateTimeFormat, locale, options).format(date);
+    }
+    if (node.format === 'relativetime') {
+      return formatRelativeTime(value, node.style, locale);
+    }
+    if (node.format === 'list') {
+      const tokens = styleTokens(node.style);
+      const options = {
+        type: tokens.find(token => LIST_TYPES.includes(token)) || 'conjunction',
+        style: tokens.find(token => WIDTHS.includes(token)) || 'long'
+      };
+      const items = Array.isArray(value) ? value.map(String) : [String(value)];
+      return getIntl(Intl.ListFormat, locale, options).format(items);
+    }
+  } catch (error) {
+    // Unknown currencies, units or locales render the raw value
+  }
+  return Array.isArray(value) ? value.join(', ') : String(value);
+}
+
+function formatNodes(nodes, params, context, pound) {
+  const { locale } = context;
+  let output = '';
+  for (const node of nodes) {
+    if (node.type === 'text') {
+      output += node.value;
+    } else if (node.type === 'pound') {
+      output += pound === undefined ? '#' : getIntl(Intl.NumberFormat, locale).format(pound);
+    } else if (!Object.prototype.hasOwnProperty.call(params, node.name)) {
+      // Missing values stay visible, as with simple interpolation
+      output += `{${node.name}}`;
+    } else if (node.type === 'argument') {
+      output += String(params[node.name]);
+    } else if (node.type === 'format') {
+      output += formatValue(node, params[node.name], context);
+    } else if (node.type === 'select') {
+      const branch = node.options[String(params[node.name])] || node.options.other;
+      output += formatNodes(branch, params, context, pound);
+    } else {
+      const value = Number(params[node.name]);
+      const exact = node.options[`=${value}`];
+      let branch = exact;
+      if (!branch) {
+        const type = node.type === 'selectordinal' ? 'ordinal' : 'cardinal';
+        const category = getPluralCategory(value - node.offset, locale, type);
+        branch = node.options[category] || node.options.other;
+      }
+      output += formatNodes(branch, params, context, value - node.offset);
+    }
+  }
+  return output;
+}
+
+/**
+ * Compile a message into a formatting function. Results are cached by message.
+ * The function takes `formatters`, named custom formatters called as
+ * `formatter(value, locale, style)` for `{name, formatter, style}` arguments.
+ * @param {string} message
+ * @returns {(params?: object, locale?: string, formatters?: object) => string}
+ */
+function compile(message) {
+  const key = String(message);
+  if (compiled.has(key)) return compiled.get(key);
+
+  const nodes = parse(key);
+  const fn = (params = {}, locale, formatters) => formatNodes(nodes, params || {}, {
+    locale: normalizeLocale(locale),
+    formatters
+  });
+  if (compiled.size >= MAX_CACHE_SIZE) {
+    compiled.delete(compiled.keys().next().value);
+  }
+  compiled.set(key, fn);
+  return fn;
+}
+
+/**
+ * Whether a message uses ICU constructs beyond simple {name} placeholders.
+ * @param {string} message
+ * @returns {boolean}
+ */
+function hasIcuSyntax(message) {
+  return typeof message === 'string' && (ICU_ARGUMENT_RE.test(message) || /'[{}]/.test(message));
+}
+
+/**
+ * Whether a value is a message `i18ntk build` parsed ahead of time:
+ * `{ $icu: nodes }` with the nodes parse() returns.
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isParsedMessage(value) {
+  return Boolean(value) && typeof value === 'object' && Array.isArray(value.$icu);
+}
+
+/**
+ * Format an ICU message for a locale.
+ * @param {string|{ $icu: Array }} message - source text or a parsed message
+ * @param {object} params
+ * @param {string} locale
+ * @param {object} options - { formatters }
+ * @returns {string}
+ */
+function formatMessage(message, params = {}, locale, options = {}) {
+  if (isParsedMessage(message)) {
+    return formatNodes(message.$icu, params || {}, { locale: normalizeLocale(locale), formatters: options.formatters });
+  }
+  return compile(message)(params, locale, options.formatters);
+}
+
+function clearCache() {
+  compiled.clear();
+  intlCache.clear();
+}
+
+module.exports = {
+  parse,
+  compile,
+  formatMessage,
+  hasIcuSyntax,
+  isParsedMessage,
+  clearCache,
+  IcuSyntaxError
+};
@@ -1,17 +1,54 @@
 // runtime/index.d.ts
 // Public runtime API types for i18ntk
 
-export interface InitOptions {
+import {
+  Formatter,
+  LanguageChangedEvent,
+  LanguageLoadedEvent,
+  Loader,
+  NamespaceKey,
+  NamespacesLoadedEvent,
+  RuntimeEvents,
+  RuntimeInstance,
+  RuntimeOptions,
+  TranslateArgs,
+  TranslateOptions,
+  TranslateParams,
+  TranslationKey,
+  TranslationRegistry,
+  Translations,
+  TranslationsChangedEvent,
+} from './core';
+
+export {
+  Formatter,
+  LanguageChangedEvent,
+  LanguageLoadedEvent,
+  Loader,
+  NamespaceKey,
+  NamespacesLoadedEvent,
+  RuntimeEvents,
+  RuntimeInstance,
+  RuntimeOptions,
+  TranslateArgs,
+  TranslateOptions,
+  TranslateParams,
+  TranslationKey,
+  TranslationRegistry,
+  Translations,
+  TranslationsChangedEvent,
+};
+export * from './loaders';
+export { MissingKeyError } from './core';
+export * from './missing-keys';
+
+export interface InitOptions extends RuntimeOptions {
   baseDir?: string;
-  language?: string;
-  fallbackLanguage?: string;
-  keySeparator?: string;
-  preload?: boolean;
+  /** Re-read changed files under baseDir and emit translationsChanged (development) */
+  watch?: boolean | { debounce?: number };
 }
 
-export type TranslateParams = Record<string, unknown>;
-
-export function translate(key: string, params?: TranslateParams): string;
+export function translate<K extends TranslationKey>(key: K, ...args: TranslateArgs<K>): string;
 export const t: typeof translate;
 
 export function initRuntime(options?: InitOptions): {
@@ -21,9 +58,42 @@ export function initRuntime(options?: InitOptions): {
   getLanguage: typeof getLanguage;
   getAvailableLanguages: typeof getAvailableLanguages;
   refresh: typeof refresh;
+  addFormatter: typeof addFormatter;
+  exists: typeof exists;
+  negotiateLanguage: typeof negotiateLanguage;
+  changeLanguage: typeof changeLanguage;
+  loadLanguage: typeof loadLanguage;
+  loadNamespace: typeof loadNamespace;
+  preloadNamespaces: typeof preloadNamespaces;
+  on: typeof on;
+  off: typeof off;
+  dispose: typeof dispose;
 };
 
+/** An isolated translator; translations are shared read-only between instances. */
+export function createInstance(options?: InitOptions): RuntimeInstance;
+/** Run `callback` with `instance` behind the module-level API (e.g. per request). */
+export function runWithInstance<T>(instance: RuntimeInstance, callback: () => T): T;
+export function runWithLanguage<T>(language: string, callback: () => T): T;
+export function getCurrentInstance(): RuntimeInstance;
+
 export function setLanguage(lang: string): void;
 export function getLanguage(): string;
+export function changeLanguage(lang: string): Promise<void>;
 export function getAvailableLanguages(): string[];
+export function loadLanguage(lang: string): Promise<Translations>;
+export function loadNamespace(lang: string, namespace: string): Promise<Translations>;
+export function preloadNamespaces(namespaces: string | string[], languages?: string[]): Promise<void>;
+export function on<E extends keyof RuntimeEvents>(event: E, listener: (event: RuntimeEvents[E]) => void): () => void;
+export function off<E extends keyof RuntimeEvents>(event: E, listener: (event: RuntimeEvents[E]) => void): void;
+/** Stop the default instance's file watcher */
+export function dispose(): void;
 export function refresh(lang?: string): void;
+export function interpolate(template: string, params?: TranslateParams, language?: string, options?: TranslateOptions): string;
+export function formatMessage(message: string, params?: TranslateParams, locale?: string): string;
+export function addFormatter(name: string, formatter: Formatter): void;
+export function exists(key: string, options?: TranslateParams & { language?: string }): boolean;
+export function getLanguageChain(language?: string): string[];
+export function negotiateLanguage(requested: string | readonly string[] | undefined, available?: string[], defaultLanguage?: string): string;
+export function getPluralCategory(count: number, locale?: string, type?: 'cardinal' | 'ordinal'): string;
+export function createFsLoader(options?: { baseDir?: string | (() => string) }): Loader;
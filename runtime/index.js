@@ -2,52 +2,28 @@
 // Lightweight, framework-agnostic runtime translation API for applications.
 // Works with both single-file and modular folder structures under a base directory.
 // Defaults to config values when available, but can be fully configured via initRuntime().
+// createInstance() gives isolated translators (e.g. one per request) and
+// runWithInstance()/runWithLanguage() scope the module-level t() to a request.
+// `watch: true` reloads changed files during development.
+// This is the Node entry: the core is in ./core and reads files through
+// ./loaders/fs; ./browser is the entry without Node built-ins.
 
-const fs = require('fs');
 const path = require('path');
+const { createRuntime, MissingKeyError } = require('./core');
+const { createFsLoader } = require('./loaders/fs');
+const { createMemoryLoader, createFetchLoader, createImportLoader, createManifestLoader } = require('./loaders');
+const { formatMessage } = require('./icu');
+const { getPluralCategory } = require('./plurals');
+const { createMissingKeyCollector } = require('./missing-keys');
 
 let configManager = null;
 try { configManager = require('../utils/config-manager'); } catch (_) { /* optional */ }
 
-const state = {
-  baseDir: null,                // absolute path to locales dir (e.g., ./locales)
-  language: 'en',
-  fallbackLanguage: 'en',
-  keySeparator: '.',
-  cache: new Map(),             // lang -> merged translations object
-};
-
-// --- Utilities ---
-function stripBOMAndComments(s) {
-  if (!s) return s;
-  if (s.charCodeAt && s.charCodeAt(0) === 0xFEFF) s = s.slice(1);
-  s = s.replace(/\/\*[\s\S]*?\*\//g, '');
-  s = s.replace(/^\s*\/\/.*$/mg, '');
-  return s;
-}
-
-function readJsonSafe(file) {
-  const raw = SecurityUtils.safeReadFileSync(file, path.dirname(file), 'utf8');
-  return JSON.parse(stripBOMAndComments(raw));
-}
-
-function deepMerge(target, source) {
-  if (!target || typeof target !== 'object') target = {};
-  if (!source || typeof source !== 'object') return target;
-  for (const key of Object.keys(source)) {
-    const sv = source[key];
-    const tv = target[key];
-    if (
-      sv && typeof sv === 'object' && !Array.isArray(sv) &&
-      tv && typeof tv === 'object' && !Array.isArray(tv)
-    ) {
-      target[key] = deepMerge({ ...tv }, sv);
-    } else {
-      target[key] = sv;
-    }
-  }
-  return target;
-}
+let storage = null;
+try {
+  const { AsyncLocalStorage } = require('async_hooks');
+  storage = new AsyncLocalStorage();
+} catch (_) { /* not available outside Node */ }
 
 function resolveBaseDir(explicitBaseDir) {
   // 1) Highest priority: explicit option
@@ -80,94 +56,105 @@ function resolveBaseDir(explicitBaseDir) {
   }
 }
 
-function listJsonFilesRecursively(dir) {
-  const results = [];
-  const stack = [dir];
-  while (stack.length) {
-    const d = stack.pop();
-    if (!SecurityUtils.safeExistsSync(d)) continue;
-    for (const entry of fs.readdirSync(d, { withFileTypes: true })) {
-      const full = path.join(d, entry.name);
-      if (entry.isDirectory()) {
-        stack.push(full);
-      } else if (entry.isFile() && entry.name.toLowerCase().endsWith('.json')) {
-        results.push(full);
-      }
-    }
-  }
-  return results;
-}
-
-function readLanguageFromBase(baseDir, lang) {
-  const merged = {};
-  const langFile = path.join(baseDir, `${lang}.json`);
-  const langDir = path.join(baseDir, lang);
+// --- Public API ---
 
-  // Prefer folder if exists, otherwise single file
-  if (SecurityUtils.safeExistsSync(langDir) && fs.statSync(langDir).isDirectory()) {
-    const files = listJsonFilesRecursively(langDir);
-    for (const file of files) {
-      try {
-        const data = readJsonSafe(file);
-        if (data && typeof data === 'object') deepMerge(merged, data);
-      } catch (e) {
-        // Skip unreadable/invalid files
+/**
+ * Create an isolated translator with its own language, fallback chain and
+ * formatters. Files under the base directory are read once and shared,
+ * read-only, by all instances; pass `loader` to read from elsewhere.
+ * With `watch` (true or { debounce }), changed files under the base directory
+ * are re-read and `translationsChanged` is emitted; call dispose() to stop.
+ * @param {object} options - same as initRuntime()
+ * @returns {object} translator API
+ */
+function createInstance(options = {}) {
+  let baseDir = options.baseDir ? resolveBaseDir(options.baseDir) : null; // resolved lazily otherwise
+  const getBaseDir = () => baseDir || (baseDir = resolveBaseDir());
+  const fsLoader = createFsLoader({ baseDir: getBaseDir });
+  const instance = createRuntime({ ...options, loader: options.loader || fsLoader });
+  let watchOption = false;
+  let stopWatching = null;
+
+  function watch(option) {
+    watchOption = option;
+    if (stopWatching) stopWatching();
+    stopWatching = null;
+    if (!option) return;
+    const { watchTranslations } = require('./watch');
+    stopWatching = watchTranslations(getBaseDir(), (changes) => {
+      for (const { language, namespaces, whole } of changes) {
+        if (whole) fsLoader.clear(language);
+        namespaces.forEach(namespace => fsLoader.clear(language, namespace));
+        instance.reloadLanguage(language, namespaces).catch(() => {});
       }
-    }
-  } else if (SecurityUtils.safeExistsSync(langFile) && fs.statSync(langFile).isFile()) {
-    try {
-      const data = readJsonSafe(langFile);
-      if (data && typeof data === 'object') deepMerge(merged, data);
-    } catch (_) { /* ignore */ }
+    }, typeof option === 'object' ? option : {});
   }
+  watch(options.watch);
 
-  return merged;
+  return {
+    ...instance,
+    // initRuntime() options; the base directory is resolved again each time
+    configure(configureOptions = {}) {
+      baseDir = resolveBaseDir(configureOptions.baseDir);
+      fsLoader.clear(); // re-read files on (re)initialisation
+      instance.configure({ loader: fsLoader, ...configureOptions });
+      // The base directory may have moved, so the watcher starts over
+      watch(configureOptions.watch !== undefined ? configureOptions.watch : watchOption);
+    },
+    dispose() {
+      watch(false);
+    },
+  };
 }
 
-function getTranslations(lang) {
-  if (state.cache.has(lang)) return state.cache.get(lang);
-  const data = readLanguageFromBase(state.baseDir, lang);
-  state.cache.set(lang, data);
-  return data;
-}
+const defaultInstance = createInstance();
 
-function interpolate(template, params) {
-  if (typeof template !== 'string') return template;
-  return template
-    .replace(/\{\{(\w+)\}\}/g, (m, p1) => (p1 in params ? String(params[p1]) : m))
-    .replace(/\{(\w+)\}/g, (m, p1) => (p1 in params ? String(params[p1]) : m));
+// The instance bound to the current async context, or the default one
+function getCurrentInstance() {
+  return (storage && storage.getStore()) || defaultInstance;
 }
 
-// Resolve a dotted key path from an object
-function resolveKey(obj, key, sep = '.') {
-  if (!obj || typeof obj !== 'object') return undefined;
-  if (!key || typeof key !== 'string') return undefined;
-  const parts = key.split(sep);
-  let cur = obj;
-  for (const p of parts) {
-    if (cur && Object.prototype.hasOwnProperty.call(cur, p)) {
-      cur = cur[p];
-    } else {
-      return undefined;
-    }
+/**
+ * Run `callback` with `instance` as the target of the module-level API, for
+ * the callback and everything it awaits (one instance per request).
+ * @param {object} instance - from createInstance()
+ * @param {Function} callback
+ * @returns {*} the callback's result
+ */
+function runWithInstance(instance, callback) {
+  if (!storage) {
+    throw new Error('runWithInstance requires AsyncLocalStorage (Node.js)');
   }
-  return cur;
+  return storage.run(instance, callback);
 }
 
-// --- Public API ---
+// runWithInstance() with a copy of the current instance set to `language`
+function runWithLanguage(language, callback) {
+  return runWithInstance(getCurrentInstance().cloneInstance({ language }), callback);
+}
+
+// Module-level API: delegates to the instance of the current async context
+const translate = (...args) => getCurrentInstance().translate(...args);
+const changeLanguage = (...args) => getCurrentInstance().changeLanguage(...args);
+const loadLanguage = (...args) => getCurrentInstance().loadLanguage(...args);
+const loadNamespace = (...args) => getCurrentInstance().loadNamespace(...args);
+const preloadNamespaces = (...args) => getCurrentInstance().preloadNamespaces(...args);
+const on = (...args) => getCurrentInstance().on(...args);
+const off = (...args) => getCurrentInstance().off(...args);
+const setLanguage = (...args) => getCurrentInstance().setLanguage(...args);
+const getLanguage = () => getCurrentInstance().getLanguage();
+const getAvailableLanguages = () => getCurrentInstance().getAvailableLanguages();
+const getLanguageChain = (...args) => getCurrentInstance().getLanguageChain(...args);
+const refresh = (...args) => getCurrentInstance().refresh(...args);
+const interpolate = (...args) => getCurrentInstance().interpolate(...args);
+const addFormatter = (...args) => getCurrentInstance().addFormatter(...args);
+const exists = (...args) => getCurrentInstance().exists(...args);
+const negotiateLanguage = (...args) => getCurrentInstance().negotiateLanguage(...args);
+// Stops the default instance's file watcher
+const dispose = () => defaultInstance.dispose();
+
 function initRuntime(options = {}) {
-  state.baseDir = resolveBaseDir(options.baseDir);
-  state.language = options.language || state.language || 'en';
-  state.fallbackLanguage = options.fallbackLanguage || state.fallbackLanguage || 'en';
-  state.keySeparator = options.keySeparator || state.keySeparator || '.';
-  // Optional prewarm caches
-  state.cache.clear();
-  if (options.preload === true) {
-    getTranslations(state.language);
-    if (state.fallbackLanguage && state.fallbackLanguage !== state.language) {
-      getTranslations(state.fallbackLanguage);
-    }
-  }
+  defaultInstance.configure(options);
   return {
     t: translate,
     translate,
@@ -175,62 +162,50 @@ function initRuntime(options = {}) {
     getLanguage,
     getAvailableLanguages,
     refresh,
+    addFormatter,
+    exists,
+    negotiateLanguage,
+    changeLanguage,
+    loadLanguage,
+    loadNamespace,
+    preloadNamespaces,
+    on,
+    off,
+    dispose,
   };
 }
 
-function translate(key, params = {}) {
-  const langData = getTranslations(state.language);
-  let value = resolveKey(langData, key, state.keySeparator);
-
-  if (typeof value === 'undefined' && state.fallbackLanguage) {
-    const fbData = getTranslations(state.fallbackLanguage);
-    value = resolveKey(fbData, key, state.keySeparator);
-  }
-
-  if (typeof value === 'string') return interpolate(value, params);
-  return typeof value === 'undefined' ? key : value;
-}
-
-function setLanguage(lang) {
-  if (!lang || typeof lang !== 'string') return;
-  state.language = lang;
-}
-
-function getLanguage() {
-  return state.language;
-}
-
-function getAvailableLanguages() {
-  const langs = new Set();
-  if (!state.baseDir) state.baseDir = resolveBaseDir();
-  if (!SecurityUtils.safeExistsSync(state.baseDir)) return ['en'];
-  for (const entry of fs.readdirSync(state.baseDir, { withFileTypes: true })) {
-    if (entry.isFile() && entry.name.toLowerCase().endsWith('.json')) {
-      langs.add(entry.name.replace(/\.json$/i, ''));
-    } else if (entry.isDirectory()) {
-      // language folder convention
-      const lang = entry.name;
-      const idx = path.join(state.baseDir, lang, `${lang}.json`);
-      if (SecurityUtils.safeExistsSync(idx)) langs.add(lang);
-      else langs.add(lang); // be permissive
-    }
-  }
-  return Array.from(langs.size ? langs : new Set(['en']));
-}
-
-function refresh(lang = state.language) {
-  if (state.cache.has(lang)) state.cache.delete(lang);
-  if (lang !== state.fallbackLanguage && state.cache.has(state.fallbackLanguage)) {
-    // do nothing; keep or clear on demand
-  }
-}
-
 module.exports = {
   initRuntime,
+  createInstance,
+  runWithInstance,
+  runWithLanguage,
+  getCurrentInstance,
   translate,
   t: translate,
   setLanguage,
   getLanguage,
+  changeLanguage,
   getAvailableLanguages,
+  loadLanguage,
+  loadNamespace,
+  preloadNamespaces,
+  on,
+  off,
+  dispose,
   refresh,
+  interpolate,
+  formatMessage,
+  getPluralCategory,
+  addFormatter,
+  exists,
+  getLanguageChain,
+  negotiateLanguage,
+  createMissingKeyCollector,
+  MissingKeyError,
+  createFsLoader,
+  createMemoryLoader,
+  createFetchLoader,
+  createImportLoader,
+  createManifestLoader,
 };
@@ -0,0 +1,41 @@
+// runtime/index.mjs
+// ES module entry for Node; the runtime itself is CommonJS (./index.js)
+
+import runtime from './index.js';
+
+export const {
+  initRuntime,
+  createInstance,
+  runWithInstance,
+  runWithLanguage,
+  getCurrentInstance,
+  translate,
+  t,
+  setLanguage,
+  getLanguage,
+  changeLanguage,
+  getAvailableLanguages,
+  loadLanguage,
+  loadNamespace,
+  preloadNamespaces,
+  on,
+  off,
+  dispose,
+  refresh,
+  interpolate,
+  formatMessage,
+  getPluralCategory,
+  addFormatter,
+  exists,
+  getLanguageChain,
+  negotiateLanguage,
+  createMissingKeyCollector,
+  MissingKeyError,
+  createFsLoader,
+  createMemoryLoader,
+  createFetchLoader,
+  createImportLoader,
+  createManifestLoader,
+} = runtime;
+
+export default runtime;
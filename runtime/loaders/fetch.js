@@ -0,0 +1,50 @@
+// runtime/loaders/fetch.js
+// Loader that fetches JSON over HTTP, for browsers, Deno and edge workers.
+// URLs are templates with {lang} and {ns}; a 404 counts as "no translations".
+
+function fillTemplate(template, lang, namespace) {
+  return template
+    .replace(/\{lang\}/g, encodeURIComponent(lang))
+    .replace(/\{ns\}/g, String(namespace || '').split('/').map(encodeURIComponent).join('/'));
+}
+
+/**
+ * Create a fetch loader.
+ * @param {object} options - { url: '/locales/{lang}.json', namespaceUrl: '/locales/{lang}/{ns}.json',
+ *   languages: [], namespaces: [], fetch: globalThis.fetch, init: {} }
+ * @returns {{ load: Function, namespaces: Function, languages: Function }}
+ */
+function createFetchLoader(options = {}) {
+  const url = options.url || '/locales/{lang}.json';
+  const namespaceUrl = options.namespaceUrl || '/locales/{lang}/{ns}.json';
+  const fetchImpl = options.fetch || (typeof fetch === 'function' ? fetch : null);
+  if (!fetchImpl) {
+    throw new Error('createFetchLoader needs a fetch implementation');
+  }
+
+  return {
+    async load(lang, namespace) {
+      const target = typeof url === 'function'
+        ? url(lang, namespace)
+        : fillTemplate(namespace ? namespaceUrl : url, lang, namespace);
+      const response = await fetchImpl(target, options.init);
+      if (response.status === 404) return {};
+      if (!response.ok) {
+        throw new Error(`Failed to load translations from ${target}: ${response.status}`);
+      }
+      return response.json();
+    },
+
+    // Namespace names given in the options enable per-namespace loading
+    namespaces(lang) {
+      const names = typeof options.namespaces === 'function' ? options.namespaces(lang) : options.namespaces;
+      return Array.isArray(names) ? names.slice() : null;
+    },
+
+    languages() {
+      return Array.isArray(options.languages) ? options.languages.slice() : [];
+    }
+  };
+}
+
+module.exports = { createFetchLoader };
@@ -0,0 +1,208 @@
+// runtime/loaders/fs.js
+// Filesystem loader for Node: reads `<baseDir>/<lang>.json` or merges every
+// JSON file under `<baseDir>/<lang>/`; namespaces are `<baseDir>/<lang>/<ns>.json`
+// and are listed so the core can load only the files that keys point at.
+// Parsed files are frozen and cached per directory, so all instances share them;
+// a folder language is merged from the cached namespace files, so clearing one
+// namespace re-reads only that file.
+// A baseDir holding an `i18ntk-manifest.json` (the output of `i18ntk build`)
+// is read through the manifest instead.
+
+const fs = require('fs');
+const path = require('path');
+const { deepMerge } = require('../core');
+const { MANIFEST_FILE, parseBundle, getBundleFile, getBundleNamespaces } = require('../bundle');
+
+const cache = new Map();
+const manifests = new Map();  // baseDir -> manifest, or null
+
+function stripBOMAndComments(s) {
+  if (!s) return s;
+  if (s.charCodeAt && s.charCodeAt(0) === 0xFEFF) s = s.slice(1);
+  s = s.replace(/\/\*[\s\S]*?\*\//g, '');
+  s = s.replace(/^\s*\/\/.*$/mg, '');
+  return s;
+}
+
+function readJsonSafe(file) {
+  const raw = fs.readFileSync(file, 'utf8');
+  return JSON.parse(stripBOMAndComments(raw));
+}
+
+function deepFreeze(value) {
+  if (value && typeof value === 'object' && !Object.isFrozen(value)) {
+    Object.freeze(value);
+    Object.values(value).forEach(deepFreeze);
+  }
+  return value;
+}
+
+function listJsonFilesRecursively(dir) {
+  const results = [];
+  const stack = [dir];
+  while (stack.length) {
+    const d = stack.pop();
+    if (!fs.existsSync(d)) continue;
+    for (const entry of fs.readdirSync(d, { withFileTypes: true })) {
+      const full = path.join(d, entry.name);
+      if (entry.isDirectory()) {
+        stack.push(full);
+      } else if (entry.isFile() && entry.name.toLowerCase().endsWith('.json')) {
+        results.push(full);
+      }
+    }
+  }
+  return results;
+}
+
+function readLanguageFromBase(baseDir, lang) {
+  const merged = {};
+  const langFile = path.join(baseDir, `${lang}.json`);
+  const langDir = path.join(baseDir, lang);
+
+  // Prefer folder if exists, otherwise single file
+  if (fs.existsSync(langDir) && fs.statSync(langDir).isDirectory()) {
+    const files = listJsonFilesRecursively(langDir);
+    for (const file of files) {
+      try {
+        const data = readJsonSafe(file);
+        if (data && typeof data === 'object') deepMerge(merged, data);
+      } catch (e) {
+        // Skip unreadable/invalid files
+      }
+    }
+  } else if (fs.existsSync(langFile) && fs.statSync(langFile).isFile()) {
+    try {
+      const data = readJsonSafe(langFile);
+      if (data && typeof data === 'object') deepMerge(merged, data);
+    } catch (_) { /* ignore */ }
+  }
+
+  return merged;
+}
+
+function readNamespace(baseDir, lang, namespace) {
+  const file = path.join(baseDir, lang, `${namespace}.json`);
+  // Namespaces come from keys; never leave the language folder
+  if (path.relative(path.join(baseDir, lang), file).startsWith('..')) return {};
+  if (!fs.existsSync(file) || !fs.statSync(file).isFile()) return {};
+  try {
+    const data = readJsonSafe(file);
+    return data && typeof data === 'object' ? data : {};
+  } catch (_) {
+    return {};
+  }
+}
+
+// Namespace names of a language folder ('checkout', 'admin/users'), or null
+function listNamespaces(baseDir, lang) {
+  const langDir = path.join(baseDir, lang);
+  if (path.relative(baseDir, langDir).startsWith('..')) return null;
+  if (!fs.existsSync(langDir) || !fs.statSync(langDir).isDirectory()) return null;
+  return listJsonFilesRecursively(langDir)
+    .map(file => path.relative(langDir, file).replace(/\.json$/i, '').split(path.sep).join('/'));
+}
+
+function readManifest(baseDir) {
+  if (!manifests.has(baseDir)) {
+    const file = path.join(baseDir, MANIFEST_FILE);
+    let manifest = null;
+    if (fs.existsSync(file) && fs.statSync(file).isFile()) {
+      try {
+        manifest = readJsonSafe(file);
+      } catch (_) {
+        // An unreadable manifest leaves the directory read as locale files
+      }
+    }
+    manifests.set(baseDir, manifest && manifest.languages ? manifest : null);
+  }
+  return manifests.get(baseDir);
+}
+
+function readBundle(baseDir, manifest, lang, namespace) {
+  const name = getBundleFile(manifest, lang, namespace);
+  if (!name) return {};
+  const file = path.join(baseDir, name);
+  if (path.relative(baseDir, file).startsWith('..') || !fs.existsSync(file)) return {};
+  try {
+    return parseBundle(fs.readFileSync(file, 'utf8'), name);
+  } catch (_) {
+    return {};
+  }
+}
+
+/**
+ * Create a filesystem loader.
+ * @param {object} options - { baseDir } as a path or a function returning one
+ * @returns {{ load: Function, namespaces: Function, languages: Function, clear: Function }}
+ */
+function createFsLoader(options = {}) {
+  const getBaseDir = () => (typeof options.baseDir === 'function' ? options.baseDir() : options.baseDir);
+
+  function load(lang, namespace) {
+    const baseDir = getBaseDir();
+    const cacheKey = `${baseDir}\n${lang}\n${namespace || ''}`;
+    if (!cache.has(cacheKey)) {
+      const manifest = readManifest(baseDir);
+      let data;
+      if (manifest) {
+        data = readBundle(baseDir, manifest, lang, namespace);
+      } else if (namespace) {
+        data = readNamespace(baseDir, lang, namespace);
+      } else {
+        const namespaces = listNamespaces(baseDir, lang);
+        data = namespaces
+          ? namespaces.reduce((merged, name) => deepMerge(merged, load(lang, name)), {})
+          : readLanguageFromBase(baseDir, lang);
+      }
+      cache.set(cacheKey, deepFreeze(data));
+    }
+    return cache.get(cacheKey);
+  }
+
+  return {
+    load,
+
+    namespaces(lang) {
+      const baseDir = getBaseDir();
+      const manifest = readManifest(baseDir);
+      return manifest ? getBundleNamespaces(manifest, lang) : listNamespaces(baseDir, lang);
+    },
+
+    languages() {
+      const baseDir = getBaseDir();
+      const langs = new Set();
+      if (!fs.existsSync(baseDir)) return ['en'];
+      const manifest = readManifest(baseDir);
+      if (manifest) return Object.keys(manifest.languages);
+      for (const entry of fs.readdirSync(baseDir, { withFileTypes: true })) {
+        if (entry.isFile() && entry.name.toLowerCase().endsWith('.json')) {
+          langs.add(entry.name.replace(/\.json$/i, ''));
+        } else if (entry.isDirectory()) {
+          // language folder convention
+          langs.add(entry.name);
+        }
+      }
+      return Array.from(langs.size ? langs : new Set(['en']));
+    },
+
+    // Forget cached files of this directory: one namespace (and the language
+    // merged from it), one language, or all of them
+    clear(lang, namespace) {
+      const baseDir = getBaseDir();
+      // A rebuild writes a new manifest
+      manifests.delete(baseDir);
+      for (const cacheKey of cache.keys()) {
+        const [dir, cachedLang, cachedNamespace] = cacheKey.split('\n');
+        if (dir !== baseDir || (lang !== undefined && cachedLang !== lang)) continue;
+        if (namespace !== undefined && cachedNamespace && cachedNamespace !== namespace) continue;
+        cache.delete(cacheKey);
+      }
+    }
+  };
+}
+
+module.exports = {
+  createFsLoader,
+  readLanguageFromBase
+};
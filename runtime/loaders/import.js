@@ -0,0 +1,36 @@
+// runtime/loaders/import.js
+// Loader over dynamic import(), so bundlers can split translations per
+// language and namespace:
+//   createImportLoader((lang, ns) => import(`./locales/${lang}/${ns || 'index'}.json`))
+
+/**
+ * Create a loader from an importer function.
+ * @param {(lang: string, namespace?: string) => Promise<object>} importer
+ * @param {object} options - { languages: [], namespaces: [] }
+ * @returns {{ load: Function, namespaces: Function, languages: Function }}
+ */
+function createImportLoader(importer, options = {}) {
+  if (typeof importer !== 'function') {
+    throw new TypeError('createImportLoader needs an importer function');
+  }
+
+  return {
+    async load(lang, namespace) {
+      const module = await importer(lang, namespace);
+      // JSON modules and `export default` arrive as { default: data }
+      return (module && module.default) || module || {};
+    },
+
+    // Namespace names given in the options enable per-namespace loading
+    namespaces(lang) {
+      const names = typeof options.namespaces === 'function' ? options.namespaces(lang) : options.namespaces;
+      return Array.isArray(names) ? names.slice() : null;
+    },
+
+    languages() {
+      return Array.isArray(options.languages) ? options.languages.slice() : [];
+    }
+  };
+}
+
+module.exports = { createImportLoader };
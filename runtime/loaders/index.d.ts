@@ -0,0 +1,59 @@
+// runtime/loaders/index.d.ts
+// Loader types for i18ntk
+
+import { Loader, Translations } from '../core';
+
+export interface MemoryLoader extends Loader {
+  /** Add or replace a bundle: add('fr', data) or add('fr/checkout', data) */
+  add(name: string, translations: Translations): void;
+}
+
+export interface FetchLoaderOptions {
+  /** Template with {lang}, or a function; default '/locales/{lang}.json' */
+  url?: string | ((language: string, namespace?: string) => string);
+  /** Template with {lang} and {ns}; default '/locales/{lang}/{ns}.json' */
+  namespaceUrl?: string;
+  languages?: string[];
+  /** Namespaces to load one by one instead of the whole language */
+  namespaces?: string[] | ((language: string) => string[] | null);
+  fetch?: (input: string, init?: any) => Promise<{ ok: boolean; status: number; json(): Promise<any> }>;
+  init?: any;
+}
+
+export interface ManifestLoaderOptions {
+  /** URL of i18ntk-manifest.json; bundle paths are relative to it */
+  url?: string;
+  /** The manifest itself, e.g. an imported JSON module */
+  manifest?: BundleManifest;
+  /** Where bundle paths start; default: the manifest's directory */
+  baseUrl?: string;
+  fetch?: (input: string, init?: any) => Promise<{ ok: boolean; status: number; text(): Promise<string> }>;
+  init?: any;
+}
+
+export interface ManifestLoader extends Loader {
+  /** Resolves once the manifest is loaded, which lists the namespaces */
+  ready(): Promise<BundleManifest>;
+}
+
+/** i18ntk-manifest.json, as written by `i18ntk build` */
+export interface BundleManifest {
+  version: number;
+  format: 'json' | 'js';
+  sourceLanguage?: string;
+  fallbacksInlined?: boolean;
+  languages: Record<string, {
+    /** The whole language */
+    file: string;
+    keys?: number;
+    namespaces?: Record<string, string>;
+  }>;
+}
+
+export function createMemoryLoader(resources?: Record<string, Translations>): MemoryLoader;
+export function createFetchLoader(options?: FetchLoaderOptions): Loader;
+export function createImportLoader(
+  importer: (language: string, namespace?: string) => Promise<unknown>,
+  options?: { languages?: string[]; namespaces?: string[] | ((language: string) => string[] | null) }
+): Loader;
+export function createManifestLoader(options: ManifestLoaderOptions): ManifestLoader;
@@ -0,0 +1,14 @@
+// runtime/loaders/index.js
+// Loaders that work without Node built-ins; the filesystem loader is in ./fs
+
+const { createMemoryLoader } = require('./memory');
+const { createFetchLoader } = require('./fetch');
+const { createImportLoader } = require('./import');
+const { createManifestLoader } = require('./manifest');
+
+module.exports = {
+  createMemoryLoader,
+  createFetchLoader,
+  createImportLoader,
+  createManifestLoader
+};
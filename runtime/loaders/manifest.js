@@ -0,0 +1,75 @@
+// runtime/loaders/manifest.js
+// Loader for the output of `i18ntk build`: fetches the manifest, then the
+// content-hashed bundle of a language or namespace it lists. Bundle paths are
+// relative to the manifest's URL (or `baseUrl`).
+//   createManifestLoader({ url: '/i18n/i18ntk-manifest.json' })
+
+const { parseBundle, getBundleFile, getBundleNamespaces } = require('../bundle');
+
+/**
+ * Create a manifest loader.
+ * @param {object} options - { url, manifest, baseUrl, fetch: globalThis.fetch, init: {} };
+ *   pass `manifest` (e.g. an imported JSON module) to skip fetching it
+ * @returns {{ load: Function, namespaces: Function, languages: Function, ready: Function }}
+ */
+function createManifestLoader(options = {}) {
+  const fetchImpl = options.fetch || (typeof fetch === 'function' ? fetch : null);
+  if (!fetchImpl) {
+    throw new Error('createManifestLoader needs a fetch implementation');
+  }
+  if (!options.url && !options.manifest) {
+    throw new Error('createManifestLoader needs a manifest or its url');
+  }
+  const baseUrl = options.baseUrl !== undefined
+    ? options.baseUrl.replace(/\/?$/, '/')
+    : String(options.url || '').slice(0, String(options.url || '').lastIndexOf('/') + 1);
+
+  let manifest = options.manifest || null;
+  let pending = null;
+
+  async function fetchText(target) {
+    const response = await fetchImpl(target, options.init);
+    if (response.status === 404) return null;
+    if (!response.ok) {
+      throw new Error(`Failed to load translations from ${target}: ${response.status}`);
+    }
+    return response.text();
+  }
+
+  // The manifest, fetched once
+  function ready() {
+    if (manifest) return Promise.resolve(manifest);
+    if (!pending) {
+      pending = fetchText(options.url).then((text) => {
+        manifest = text === null ? { languages: {} } : JSON.parse(text);
+        return manifest;
+      }).finally(() => {
+        pending = null;
+      });
+    }
+    return pending;
+  }
+
+  return {
+    async load(lang, namespace) {
+      const file = getBundleFile(await ready(), lang, namespace);
+      if (!file) return {};
+      const text = await fetchText(`${baseUrl}${file}`);
+      return text === null ? {} : parseBundle(text, file);
+    },
+
+    // Known once the manifest is in; await ready() first to load namespaces
+    // one by one from the start
+    namespaces(lang) {
+      return getBundleNamespaces(manifest, lang);
+    },
+
+    languages() {
+      return manifest && manifest.languages ? Object.keys(manifest.languages) : [];
+    },
+
+    ready
+  };
+}
+
+module.exports = { createManifestLoader };
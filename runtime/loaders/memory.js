@@ -0,0 +1,45 @@
+// runtime/loaders/memory.js
+// Loader over translations already in memory, keyed like the files they came
+// from: `{ en: {...}, 'de/checkout': {...} }` for `en.json` and `de/checkout.json`.
+
+const { deepMerge } = require('../core');
+
+/**
+ * Create an in-memory loader.
+ * @param {object} resources - translations by `lang` or `lang/namespace`
+ * @returns {{ load: Function, namespaces: Function, languages: Function, add: Function }}
+ */
+function createMemoryLoader(resources = {}) {
+  const entries = { ...resources };
+
+  return {
+    load(lang, namespace) {
+      if (namespace) return entries[`${lang}/${namespace}`] || {};
+      if (entries[lang]) return entries[lang];
+      // A language given only as namespaces is their merge, as with a folder
+      const merged = {};
+      for (const name of Object.keys(entries)) {
+        if (name.startsWith(`${lang}/`)) deepMerge(merged, entries[name]);
+      }
+      return merged;
+    },
+
+    namespaces(lang) {
+      const names = Object.keys(entries)
+        .filter(name => name.startsWith(`${lang}/`))
+        .map(name => name.slice(lang.length + 1));
+      return names.length ? names : null;
+    },
+
+    languages() {
+      return Array.from(new Set(Object.keys(entries).map(name => name.split('/')[0])));
+    },
+
+    // Add or replace a bundle, e.g. add('fr', data) or add('fr/checkout', data)
+    add(name, data) {
+      entries[name] = data;
+    }
+  };
+}
+
+module.exports = { createMemoryLoader };
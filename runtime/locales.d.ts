@@ -0,0 +1,14 @@
+// runtime/locales.d.ts
+// Locale fallback and negotiation types for i18ntk
+
+export type FallbackMap = Record<string, string | string[]>;
+
+export interface FallbackOptions {
+  fallbackLanguage?: string;
+  fallbacks?: FallbackMap;
+}
+
+export function getFallbackChain(language: string, options?: FallbackOptions): string[];
+export function parseAcceptLanguage(header?: string): string[];
+export function negotiateLanguage(requested: string | readonly string[] | undefined, available?: string[], defaultLanguage?: string): string;
+export function normalizeTag(tag: string): string;
@@ -0,0 +1,112 @@
+// runtime/locales.js
+// Locale fallback chains and BCP 47 language negotiation for the runtimes.
+// Chains go from the requested tag to its parents (de-AT -> de) unless an
+// explicit map such as { 'pt-BR': ['pt', 'es', 'en'] } says otherwise, and end
+// with the configured fallback language.
+
+// Case- and separator-insensitive form used for comparisons ('pt_BR' === 'pt-br')
+function normalizeTag(tag) {
+  return String(tag || '').trim().replace(/_/g, '-').toLowerCase();
+}
+
+// 'zh-Hant-TW' -> 'zh-Hant' -> 'zh' -> null
+function parentTag(tag) {
+  const index = Math.max(tag.lastIndexOf('-'), tag.lastIndexOf('_'));
+  return index > 0 ? tag.slice(0, index) : null;
+}
+
+function toArray(value) {
+  if (!value) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+function findEntry(map, tag) {
+  if (!map || typeof map !== 'object') return undefined;
+  if (Object.prototype.hasOwnProperty.call(map, tag)) return map[tag];
+  const wanted = normalizeTag(tag);
+  const match = Object.keys(map).find(key => normalizeTag(key) === wanted);
+  return match === undefined ? undefined : map[match];
+}
+
+/**
+ * Languages to try, in order, when looking up a key in `language`.
+ * @param {string} language
+ * @param {object} options - { fallbackLanguage, fallbacks: { 'pt-BR': ['pt', 'es'], default: ['en'] } }
+ * @returns {string[]}
+ */
+function getFallbackChain(language, options = {}) {
+  const { fallbackLanguage, fallbacks } = options;
+  const chain = [];
+  const add = (tag) => {
+    if (tag && !chain.some(existing => normalizeTag(existing) === normalizeTag(tag))) chain.push(tag);
+  };
+
+  let tag = language;
+  while (tag) {
+    add(tag);
+    const explicit = findEntry(fallbacks, tag);
+    if (explicit) {
+      toArray(explicit).forEach(add);
+      break;
+    }
+    tag = parentTag(tag);
+  }
+  toArray(fallbacks && fallbacks.default).forEach(add);
+  toArray(fallbackLanguage).forEach(add);
+  return chain;
+}
+
+/**
+ * Parse an Accept-Language header into tags ordered by quality.
+ * @param {string} header - e.g. 'de-AT,de;q=0.9,en;q=0.5'
+ * @returns {string[]}
+ */
+function parseAcceptLanguage(header) {
+  return String(header || '')
+    .split(',')
+    .map((part, index) => {
+      const [tag, ...params] = part.trim().split(';');
+      const quality = params
+        .map(param => /^\s*q\s*=\s*([\d.]+)\s*$/i.exec(param))
+        .filter(Boolean)
+        .map(match => Number(match[1]))[0];
+      return { tag: tag.trim(), quality: quality === undefined ? 1 : quality, index };
+    })
+    .filter(entry => entry.tag && entry.tag !== '*' && entry.quality > 0)
+    .sort((a, b) => b.quality - a.quality || a.index - b.index)
+    .map(entry => entry.tag);
+}
+
+/**
+ * Pick the best available language for a request.
+ * Each requested tag is matched exactly, then by its parents (de-AT -> de),
+ * then by a sibling region (en-US -> en-GB) before the next tag is tried.
+ * @param {string|string[]} requested - an Accept-Language header or navigator.languages
+ * @param {string[]} available
+ * @param {string} defaultLanguage - returned when nothing matches
+ * @returns {string}
+ */
+function negotiateLanguage(requested, available = [], defaultLanguage) {
+  const tags = Array.isArray(requested)
+    ? requested.filter(tag => typeof tag === 'string' && tag.trim())
+    : parseAcceptLanguage(requested);
+  const candidates = available.map(language => ({ language, normalized: normalizeTag(language) }));
+
+  for (const tag of tags) {
+    for (let current = tag; current; current = parentTag(current)) {
+      const match = candidates.find(candidate => candidate.normalized === normalizeTag(current));
+      if (match) return match.language;
+    }
+    const base = normalizeTag(tag).split('-')[0];
+    const sibling = candidates.find(candidate => candidate.normalized.split('-')[0] === base);
+    if (sibling) return sibling.language;
+  }
+  return defaultLanguage || available[0];
+}
+
+module.exports = {
+  getFallbackChain,
+  parseAcceptLanguage,
+  negotiateLanguage,
+  normalizeTag
+};
@@ -0,0 +1,36 @@
+// runtime/missing-keys.d.ts
+// Missing-key collector types for i18ntk
+
+export interface MissingKeyOccurrence {
+  key: string;
+  language: string;
+  namespace: string | null;
+  count: number;
+  firstSeen: string;
+  lastSeen: string;
+}
+
+/** Same shape as the usage analysis result, plus where each key was missed */
+export interface MissingKeyReport {
+  success: true;
+  source: 'runtime';
+  generatedAt: string;
+  stats: { missingKeys: number; languages: number; occurrences: number };
+  missingKeys: string[];
+  unusedKeys: string[];
+  dynamicKeys: string[];
+  occurrences: MissingKeyOccurrence[];
+}
+
+export interface MissingKeyCollector {
+  /** Absolute path of the report file */
+  file: string;
+  /** Usable as the runtime's `onMissingKey` option */
+  record(key: string, language: string, namespace?: string): void;
+  flush(): MissingKeyReport | null;
+  getReport(): MissingKeyReport;
+  /** Stop the timer and write what is pending */
+  stop(): MissingKeyReport | null;
+}
+
+export function createMissingKeyCollector(options?: { file?: string; interval?: number }): MissingKeyCollector;
@@ -0,0 +1,113 @@
+// runtime/missing-keys.js
+// Collects keys that t() could not resolve and writes them to a JSON report in
+// the shape of the usage analysis ({ stats, missingKeys, ... }), so
+// `i18ntk complete --missing-keys=<file>` can add real production misses:
+//   const collector = createMissingKeyCollector({ file: 'i18ntk-reports/missing-keys.json' });
+//   initRuntime({ onMissingKey: collector.record });
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_FILE = './i18ntk-reports/missing-keys.json';
+const DEFAULT_INTERVAL = 60000;
+
+function readReport(file) {
+  try {
+    const report = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return report && Array.isArray(report.occurrences) ? report : null;
+  } catch (_) {
+    return null;
+  }
+}
+
+function writeReport(file, report) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const temp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(temp, `${JSON.stringify(report, null, 2)}\n`, 'utf8');
+  fs.renameSync(temp, file);
+}
+
+/**
+ * Create a collector for missing keys. Misses are deduplicated per language
+ * and key, and merged into the report file every `interval` ms, on stop() and
+ * when the process exits.
+ * @param {object} options - { file, interval: 60000 (0 to write only on flush) }
+ * @returns {{ record: Function, flush: Function, getReport: Function, stop: Function }}
+ */
+function createMissingKeyCollector(options = {}) {
+  const file = path.resolve(options.file || DEFAULT_FILE);
+  const interval = typeof options.interval === 'number' ? options.interval : DEFAULT_INTERVAL;
+  const unflushed = new Map(); // 'lang\nkey' -> occurrence since the last flush
+
+  function record(key, language, namespace) {
+    const id = `${language}\n${key}`;
+    const now = new Date().toISOString();
+    const occurrence = unflushed.get(id);
+    if (occurrence) {
+      occurrence.count++;
+      occurrence.lastSeen = now;
+    } else {
+      unflushed.set(id, { key, language, namespace: namespace || null, count: 1, firstSeen: now, lastSeen: now });
+    }
+  }
+
+  // The report file merged with misses not written yet
+  function getReport() {
+    const occurrences = new Map();
+    for (const occurrence of (readReport(file) || { occurrences: [] }).occurrences) {
+      occurrences.set(`${occurrence.language}\n${occurrence.key}`, { ...occurrence });
+    }
+    for (const [id, occurrence] of unflushed) {
+      const existing = occurrences.get(id);
+      occurrences.set(id, existing
+        ? { ...existing, count: existing.count + occurrence.count, lastSeen: occurrence.lastSeen }
+        : { ...occurrence });
+    }
+
+    const list = Array.from(occurrences.values()).sort((a, b) => a.key.localeCompare(b.key) || a.language.localeCompare(b.language));
+    const missingKeys = Array.from(new Set(list.map(occurrence => occurrence.key)));
+    return {
+      success: true,
+      source: 'runtime',
+      generatedAt: new Date().toISOString(),
+      stats: {
+        missingKeys: missingKeys.length,
+        languages: new Set(list.map(occurrence => occurrence.language)).size,
+        occurrences: list.reduce((total, occurrence) => total + occurrence.count, 0)
+      },
+      missingKeys,
+      unusedKeys: [],
+      dynamicKeys: [],
+      occurrences: list
+    };
+  }
+
+  // Write pending misses; nothing is written when there are none
+  function flush() {
+    if (!unflushed.size) return null;
+    const report = getReport();
+    try {
+      writeReport(file, report);
+      unflushed.clear();
+    } catch (_) {
+      // Keep the misses for the next attempt
+    }
+    return report;
+  }
+
+  const timer = interval > 0 ? setInterval(flush, interval) : null;
+  if (timer && typeof timer.unref === 'function') timer.unref();
+  process.once('exit', flush);
+
+  function stop() {
+    if (timer) clearInterval(timer);
+    process.removeListener('exit', flush);
+    return flush();
+  }
+
+  return { file, record, flush, getReport, stop };
+}
+
+module.exports = {
+  createMissingKeyCollector
+};
@@ -0,0 +1,17 @@
+// runtime/plurals.d.ts
+// CLDR plural helpers for i18ntk
+
+export type PluralCategory = 'zero' | 'one' | 'two' | 'few' | 'many' | 'other';
+export type PluralType = 'cardinal' | 'ordinal';
+
+export function getPluralCategory(count: number, locale?: string, type?: PluralType): PluralCategory;
+export function getPluralCategories(locale?: string, type?: PluralType): PluralCategory[];
+export function isPluralObject(value: unknown): boolean;
+export function resolvePlural(
+  lookup: (key: string) => unknown,
+  key: string,
+  count: number,
+  locale?: string,
+  options?: { ordinal?: boolean }
+): unknown;
+export function normalizeLocale(locale?: string): string | undefined;
@@ -0,0 +1,98 @@
+// runtime/plurals.js
+// CLDR plural selection for the runtimes, backed by Intl.PluralRules so every
+// locale (and ordinals) is covered. Also resolves i18next-style suffix keys
+// (`items_one`, `items_other`, `place_ordinal_two`) and nested `{ one, other }`
+// plural objects.
+
+const CATEGORY_ORDER = ['zero', 'one', 'two', 'few', 'many', 'other'];
+
+const rulesCache = new Map();
+
+// Intl rejects 'en_US' and unknown tags; fall back to the default locale
+function normalizeLocale(locale) {
+  if (!locale || typeof locale !== 'string') return undefined;
+  try {
+    return Intl.getCanonicalLocales(locale.replace(/_/g, '-'))[0];
+  } catch (_) {
+    return undefined;
+  }
+}
+
+function getRules(locale, type = 'cardinal') {
+  const normalized = normalizeLocale(locale);
+  const cacheKey = `${normalized || ''}:${type}`;
+  if (!rulesCache.has(cacheKey)) {
+    rulesCache.set(cacheKey, new Intl.PluralRules(normalized, { type }));
+  }
+  return rulesCache.get(cacheKey);
+}
+
+/**
+ * CLDR plural category of a number for a locale.
+ * @param {number} count
+ * @param {string} locale
+ * @param {'cardinal'|'ordinal'} type
+ * @returns {string} zero, one, two, few, many or other
+ */
+function getPluralCategory(count, locale, type = 'cardinal') {
+  const value = Number(count);
+  if (!Number.isFinite(value)) return 'other';
+  return getRules(locale, type).select(value);
+}
+
+/**
+ * Plural categories used by a locale, in CLDR order.
+ * @param {string} locale
+ * @param {'cardinal'|'ordinal'} type
+ * @returns {string[]}
+ */
+function getPluralCategories(locale, type = 'cardinal') {
+  const categories = getRules(locale, type).resolvedOptions().pluralCategories;
+  return CATEGORY_ORDER.filter(category => categories.includes(category));
+}
+
+// { one: '...', other: '...' } as stored in nested locale files
+function isPluralObject(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return false;
+  const keys = Object.keys(value);
+  return keys.includes('other') && keys.every(key => CATEGORY_ORDER.includes(key) && typeof value[key] === 'string');
+}
+
+/**
+ * Resolve the plural form of `key` for `count`.
+ * Tries `key_zero` (for 0), `key_<category>` and `key_other` (with `_ordinal_`
+ * for ordinals), then a plural object stored under `key`, then `key` itself.
+ * @param {(key: string) => *} lookup - returns the value stored under a key
+ * @param {string} key
+ * @param {number} count
+ * @param {string} locale
+ * @param {object} options - { ordinal: false }
+ * @returns {*} the resolved value, or undefined
+ */
+function resolvePlural(lookup, key, count, locale, options = {}) {
+  const type = options.ordinal ? 'ordinal' : 'cardinal';
+  const category = getPluralCategory(count, locale, type);
+  const prefix = options.ordinal ? `${key}_ordinal_` : `${key}_`;
+  const candidates = Number(count) === 0 && !options.ordinal ? [`${key}_zero`] : [];
+  candidates.push(`${prefix}${category}`, `${prefix}other`);
+
+  for (const candidate of candidates) {
+    const value = lookup(candidate);
+    // Forms pre-parsed by `i18ntk build` are { $icu: [...] }
+    if (typeof value === 'string' || (value && Array.isArray(value.$icu))) return value;
+  }
+
+  const value = lookup(key);
+  if (isPluralObject(value)) {
+    return (Number(count) === 0 && value.zero) || value[category] || value.other;
+  }
+  return value;
+}
+
+module.exports = {
+  getPluralCategory,
+  getPluralCategories,
+  isPluralObject,
+  resolvePlural,
+  normalizeLocale
+};
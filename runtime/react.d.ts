@@ -0,0 +1,46 @@
+// runtime/react.d.ts
+// React binding types for i18ntk
+
+import { ComponentType, Context, ReactElement, ReactNode } from 'react';
+import { NamespaceKey, RuntimeInstance, TranslateOptions, TranslateParams, TranslationKey } from './core';
+
+export { parseTrans, TransNode } from './trans';
+
+export interface I18nProviderProps {
+  /** A runtime instance, e.g. createInstance() of i18ntk/runtime or i18ntk/runtime/browser */
+  i18n: RuntimeInstance;
+  /** Switch the instance to this language with changeLanguage() */
+  language?: string;
+  children?: ReactNode;
+}
+
+export interface UseI18nResult {
+  t: RuntimeInstance['t'];
+  i18n: RuntimeInstance;
+  language: string;
+  changeLanguage(language: string): Promise<void>;
+}
+
+export interface UseTranslationResult<N extends string = string> extends Omit<UseI18nResult, 't'> {
+  /** Keys of the first namespace, or keys with their own `ns:` */
+  t(key: NamespaceKey<N> | TranslationKey, params?: TranslateParams, options?: TranslateOptions): string;
+  /** The namespaces are loaded for the current fallback chain */
+  ready: boolean;
+}
+
+export interface TransProps {
+  i18nKey: string;
+  ns?: string | string[];
+  values?: TranslateParams;
+  /** Elements or components for `<0>…</0>` / `<name>…</name>` tags */
+  components?: Array<ReactElement | ComponentType<any> | string> | Record<string, ReactElement | ComponentType<any> | string>;
+  /** Message used while the key is missing */
+  defaults?: string;
+}
+
+export const I18nContext: Context<{ i18n: RuntimeInstance; version: number } | null>;
+export function I18nProvider(props: I18nProviderProps): ReactElement;
+export function useI18n(): UseI18nResult;
+/** Keys without a namespace get the first one: t('total') reads checkout:total */
+export function useTranslation<N extends string>(namespaces?: N | N[]): UseTranslationResult<N>;
+export function Trans(props: TransProps): ReactElement;
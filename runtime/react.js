@@ -0,0 +1,133 @@
+// runtime/react.js
+// React bindings (`i18ntk/react`) for a runtime instance:
+//   <I18nProvider i18n={createInstance({ loader })}><App /></I18nProvider>
+//   const { t, language, changeLanguage } = useI18n();
+//   const { t, ready } = useTranslation('checkout');   // t('total') -> checkout:total
+//   <Trans i18nKey="terms" components={{ link: <a href="/terms" /> }} />
+// Consumers re-render when the language changes, a language or namespace
+// finishes loading, or watched files are reloaded.
+
+const React = require('react');
+const { parseTrans, renderTrans } = require('./trans');
+
+const NAMESPACE_SEPARATOR = ':';
+const RENDER_EVENTS = ['languageChanged', 'languageLoaded', 'namespacesLoaded', 'translationsChanged'];
+
+const I18nContext = React.createContext(null);
+
+/**
+ * Provide a runtime instance (createInstance() of `i18ntk/runtime` or
+ * `i18ntk/runtime/browser`) to the components below.
+ * @param {object} props - { i18n, language, children }; `language` switches
+ *   the instance with changeLanguage() when it differs
+ */
+function I18nProvider({ i18n, language, children }) {
+  if (!i18n || typeof i18n.t !== 'function' || typeof i18n.on !== 'function') {
+    throw new TypeError('<I18nProvider> needs a runtime instance as its i18n prop');
+  }
+  const [version, setVersion] = React.useState(0);
+
+  React.useEffect(() => {
+    const update = () => setVersion(current => current + 1);
+    const stops = RENDER_EVENTS.map(event => i18n.on(event, update));
+    // Loads that finished between the first render and subscribing
+    update();
+    return () => stops.forEach(stop => stop());
+  }, [i18n]);
+
+  React.useEffect(() => {
+    if (language && language !== i18n.getLanguage()) {
+      i18n.changeLanguage(language).catch(() => {});
+    }
+  }, [i18n, language]);
+
+  const value = React.useMemo(() => ({ i18n, version }), [i18n, version]);
+  return React.createElement(I18nContext.Provider, { value }, children);
+}
+
+function useRuntime(hook) {
+  const context = React.useContext(I18nContext);
+  if (!context) throw new Error(`${hook}() must be used inside <I18nProvider>`);
+  return context;
+}
+
+/**
+ * @returns {{ t: Function, i18n: object, language: string, changeLanguage: Function }}
+ */
+function useI18n() {
+  const { i18n, version } = useRuntime('useI18n');
+  const language = i18n.getLanguage();
+  // A new t() per update, so memoized children that take it render again
+  return React.useMemo(() => ({
+    t: (key, params, options) => i18n.t(key, params, options),
+    i18n,
+    language,
+    changeLanguage: lang => i18n.changeLanguage(lang),
+  }), [i18n, language, version]);
+}
+
+function namespacedKey(key, namespace) {
+  return namespace && typeof key === 'string' && !key.includes(NAMESPACE_SEPARATOR)
+    ? `${namespace}${NAMESPACE_SEPARATOR}${key}`
+    : key;
+}
+
+/**
+ * useI18n() for namespaces: they are preloaded for the current language, and
+ * keys without a namespace get the first one (`total` -> `checkout:total`).
+ * @param {string|string[]} namespaces
+ * @returns {{ t: Function, i18n: object, language: string, changeLanguage: Function, ready: boolean }}
+ */
+function useTranslation(namespaces) {
+  const result = useI18n();
+  const { i18n, language } = result;
+  const list = namespaces ? [].concat(namespaces) : [];
+  const listId = list.join('\n');
+
+  React.useEffect(() => {
+    if (list.length) i18n.preloadNamespaces(list).catch(() => {});
+  }, [i18n, language, listId]);
+
+  return React.useMemo(() => ({
+    ...result,
+    t: (key, params, options) => result.t(namespacedKey(key, list[0]), params, options),
+    ready: !list.length || i18n.hasLoadedNamespaces(list),
+  }), [result, listId]);
+}
+
+// Elements are cloned with the tag's content; component types are created
+function wrapComponent(component, children, index) {
+  if (React.isValidElement(component)) {
+    return children.length
+      ? React.cloneElement(component, { key: index }, ...children)
+      : React.cloneElement(component, { key: index });
+  }
+  return React.createElement(component, { key: index }, ...children);
+}
+
+/**
+ * Render a translation whose tags (`<0>docs</0>`, `<link>terms</link>`,
+ * `<br/>`) are replaced by `components`, given as an array or by name.
+ * Keys resolve like t(), with `ns` as in useTranslation(); `defaults` is used
+ * while the key is missing.
+ * @param {object} props - { i18nKey, ns, values, components, defaults }
+ */
+function Trans({ i18nKey, ns, values, components, defaults }) {
+  const { t, i18n, language } = useTranslation(ns);
+  const key = namespacedKey(i18nKey, ns && [].concat(ns)[0]);
+  let message = t(i18nKey, values);
+  if (message === key && typeof defaults === 'string') {
+    message = i18n.interpolate(defaults, values || {}, language);
+  }
+  const rendered = renderTrans(parseTrans(message), components, wrapComponent);
+  return React.createElement(React.Fragment, null, ...rendered);
+}
+
+module.exports = {
+  I18nContext,
+  I18nProvider,
+  useI18n,
+  useTranslation,
+  Trans,
+  parseTrans,
+};
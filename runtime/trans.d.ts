@@ -0,0 +1,11 @@
+// runtime/trans.d.ts
+// Component interpolation types for i18ntk
+
+export type TransNode = string | { name: string; children: TransNode[] };
+
+export function parseTrans(message: string): TransNode[];
+export function renderTrans<T>(
+  nodes: TransNode[],
+  components: unknown[] | Record<string, unknown> | undefined,
+  wrap: (component: any, children: Array<T | string>, index: number) => T
+): Array<T | string>;
@@ -0,0 +1,91 @@
+// runtime/trans.js
+// Component interpolation for translated strings, independent of any UI
+// library: `Read the <0>docs</0> or <link>ask</link>.<br/>` becomes a tree of
+// text and tags that a binding renders with its own elements.
+
+const TAG_RE = /<(\/?)([A-Za-z0-9_-]+)\s*(\/?)>/g;
+
+/**
+ * Parse numbered (`<0>`) and named (`<link>`) tags, including self-closing
+ * ones (`<br/>`). Tags that are not closed, and closing tags without an
+ * opening one, stay text.
+ * @param {string} message
+ * @returns {Array<string|{ name: string, children: Array }>}
+ */
+function parseTrans(message) {
+  const text = String(message);
+  const root = { children: [] };
+  const stack = [root];
+  let last = 0;
+  let match;
+
+  TAG_RE.lastIndex = 0;
+  while ((match = TAG_RE.exec(text))) {
+    const [raw, closing, name, selfClosing] = match;
+    const parent = stack[stack.length - 1];
+    if (match.index > last) parent.children.push(text.slice(last, match.index));
+    last = match.index + raw.length;
+
+    if (selfClosing && !closing) {
+      parent.children.push({ name, children: [] });
+    } else if (!closing) {
+      const node = { name, children: [], raw };
+      parent.children.push(node);
+      stack.push(node);
+    } else if (stack.length > 1 && parent.name === name) {
+      stack.pop();
+    } else {
+      parent.children.push(raw);
+    }
+  }
+  if (last < text.length) stack[stack.length - 1].children.push(text.slice(last));
+
+  // Unclosed tags: put their text back around the content
+  while (stack.length > 1) {
+    const node = stack.pop();
+    const siblings = stack[stack.length - 1].children;
+    siblings.splice(siblings.indexOf(node), 1, node.raw, ...node.children);
+  }
+  return mergeText(root.children);
+}
+
+function mergeText(nodes) {
+  const merged = [];
+  for (const node of nodes) {
+    if (typeof node === 'string' && typeof merged[merged.length - 1] === 'string') {
+      merged[merged.length - 1] += node;
+    } else {
+      merged.push(typeof node === 'string' ? node : { name: node.name, children: mergeText(node.children) });
+    }
+  }
+  return merged;
+}
+
+/**
+ * Render parsed nodes. `wrap(component, children, index)` builds an element
+ * for a tag from `components[name]`; tags without a component render only
+ * their content.
+ * @param {Array} nodes - from parseTrans()
+ * @param {object|Array} components - by tag name or number
+ * @param {Function} wrap
+ * @returns {Array}
+ */
+function renderTrans(nodes, components, wrap) {
+  const output = [];
+  nodes.forEach((node, index) => {
+    if (typeof node === 'string') {
+      output.push(node);
+      return;
+    }
+    const children = renderTrans(node.children, components, wrap);
+    const component = components ? components[node.name] : undefined;
+    if (component === undefined || component === null) output.push(...children);
+    else output.push(wrap(component, children, index));
+  });
+  return output;
+}
+
+module.exports = {
+  parseTrans,
+  renderTrans
+};
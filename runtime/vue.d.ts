@@ -0,0 +1,43 @@
+// runtime/vue.d.ts
+// Vue 3 plugin types for i18ntk
+
+import { App, InjectionKey, Ref } from 'vue';
+import { NamespaceKey, RuntimeInstance, TranslateOptions, TranslateParams, TranslationKey } from './core';
+
+type Translate = RuntimeInstance['t'];
+
+export interface I18nPlugin {
+  i18n: RuntimeInstance;
+  /** The language; setting it loads the language, then switches */
+  locale: Ref<string>;
+  t: Translate;
+  /** Increments whenever translations render differently */
+  version: Ref<number>;
+  install(app: App): void;
+  /** Stop listening to the instance (done on app.unmount() with Vue 3.5+) */
+  dispose(): void;
+}
+
+export interface UseI18nOptions<N extends string = string> {
+  /** Preload these namespaces; keys without a namespace get the first one */
+  namespaces?: N | N[];
+}
+
+export interface UseI18nResult<N extends string = string> {
+  t(key: NamespaceKey<N> | TranslationKey, params?: TranslateParams, options?: TranslateOptions): string;
+  locale: Ref<string>;
+  i18n: RuntimeInstance;
+  /** The namespaces are loaded for the current fallback chain */
+  ready: Ref<boolean>;
+}
+
+export const I18N_KEY: InjectionKey<I18nPlugin>;
+export function createI18n(i18n: RuntimeInstance): I18nPlugin;
+export function useI18n<N extends string = string>(options?: UseI18nOptions<N>): UseI18nResult<N>;
+
+declare module 'vue' {
+  interface ComponentCustomProperties {
+    $t: Translate;
+    $i18n: I18nPlugin;
+  }
+}
@@ -0,0 +1,142 @@
+// runtime/vue.js
+// Vue 3 plugin (`i18ntk/vue`) for a runtime instance, with the API of vue-i18n
+// that templates and components use:
+//   app.use(createI18n(createInstance({ loader })));
+//   {{ $t('cart.title') }}  <p v-t="'cart.empty'" />  <p v-t="{ path: 'cart.items', args: { count } }" />
+//   const { t, locale } = useI18n();  locale.value = 'de';
+// Translations render again when the language changes, a language or
+// namespace finishes loading, or watched files are reloaded.
+
+const { inject, ref, shallowRef, watch, watchEffect } = require('vue');
+
+const I18N_KEY = Symbol('i18ntk');
+const NAMESPACE_SEPARATOR = ':';
+const RENDER_EVENTS = ['languageChanged', 'languageLoaded', 'namespacesLoaded', 'translationsChanged'];
+const DIRECTIVE_STATE = Symbol('i18ntk v-t');
+
+function namespacedKey(key, namespace) {
+  return namespace && typeof key === 'string' && !key.includes(NAMESPACE_SEPARATOR)
+    ? `${namespace}${NAMESPACE_SEPARATOR}${key}`
+    : key;
+}
+
+/**
+ * Create the plugin for a runtime instance (createInstance() of
+ * `i18ntk/runtime` or `i18ntk/runtime/browser`).
+ * @param {object} i18n - runtime instance
+ * @returns {{ i18n: object, locale: object, t: Function, install: Function, dispose: Function }}
+ */
+function createI18n(i18n) {
+  if (!i18n || typeof i18n.t !== 'function' || typeof i18n.on !== 'function') {
+    throw new TypeError('createI18n() needs a runtime instance');
+  }
+  // Read by t(), so templates and effects that translate depend on it
+  const version = shallowRef(0);
+  const locale = ref(i18n.getLanguage());
+
+  const stops = RENDER_EVENTS.map(event => i18n.on(event, (payload) => {
+    if (event === 'languageChanged') locale.value = payload.language;
+    version.value++;
+  }));
+
+  // Setting locale loads the language first; a failed load switches it back
+  watch(locale, (language) => {
+    if (language === i18n.getLanguage()) return;
+    i18n.changeLanguage(language).catch(() => {
+      locale.value = i18n.getLanguage();
+    });
+  });
+
+  function t(key, params, options) {
+    void version.value;
+    return i18n.t(key, params, options);
+  }
+
+  // v-t="'key'" or v-t="{ path: 'key', args: { count: 2 } }"
+  function translateBinding(value) {
+    if (value && typeof value === 'object') return t(value.path, value.args);
+    return t(value);
+  }
+
+  const directive = {
+    mounted(el, binding) {
+      const value = shallowRef(binding.value);
+      const stop = watchEffect(() => {
+        el.textContent = translateBinding(value.value);
+      });
+      el[DIRECTIVE_STATE] = { value, stop };
+    },
+    updated(el, binding) {
+      if (el[DIRECTIVE_STATE]) el[DIRECTIVE_STATE].value.value = binding.value;
+    },
+    beforeUnmount(el) {
+      if (el[DIRECTIVE_STATE]) el[DIRECTIVE_STATE].stop();
+      delete el[DIRECTIVE_STATE];
+    },
+    getSSRProps(binding) {
+      return { textContent: translateBinding(binding.value) };
+    },
+  };
+
+  function dispose() {
+    stops.forEach(stop => stop());
+  }
+
+  const plugin = {
+    i18n,
+    locale,
+    t,
+    version,
+    dispose,
+    install(app) {
+      app.provide(I18N_KEY, plugin);
+      app.config.globalProperties.$t = t;
+      app.config.globalProperties.$i18n = plugin;
+      app.directive('t', directive);
+      // Vue 3.5+
+      if (typeof app.onUnmount === 'function') app.onUnmount(dispose);
+    },
+  };
+  return plugin;
+}
+
+/**
+ * The plugin's translator for `setup()`. With `namespaces` they are preloaded
+ * for the current language, and keys without a namespace get the first one
+ * (`total` -> `checkout:total`).
+ * @param {object} options - { namespaces }
+ * @returns {{ t: Function, locale: object, i18n: object, ready: object }}
+ */
+function useI18n(options = {}) {
+  const plugin = inject(I18N_KEY, null);
+  if (!plugin) throw new Error('useI18n() needs app.use(createI18n(instance))');
+  const list = options.namespaces ? [].concat(options.namespaces) : [];
+  const ready = ref(!list.length || plugin.i18n.hasLoadedNamespaces(list));
+
+  if (list.length) {
+    // The instance's language, which follows locale once it is loaded
+    const language = () => {
+      void plugin.version.value;
+      return plugin.i18n.getLanguage();
+    };
+    watch(language, () => {
+      plugin.i18n.preloadNamespaces(list).catch(() => {});
+    }, { immediate: true });
+    watch(plugin.version, () => {
+      ready.value = plugin.i18n.hasLoadedNamespaces(list);
+    });
+  }
+
+  return {
+    t: (key, params, translateOptions) => plugin.t(namespacedKey(key, list[0]), params, translateOptions),
+    locale: plugin.locale,
+    i18n: plugin.i18n,
+    ready,
+  };
+}
+
+module.exports = {
+  createI18n,
+  useI18n,
+  I18N_KEY,
+};
@@ -0,0 +1,48 @@
+// runtime/watch.js
+// Hot reload for the Node runtimes during development: watches a locales
+// folder and reports which languages and namespaces changed.
+
+const path = require('path');
+const watchLocales = require('../utils/watch-locales');
+
+const DEFAULT_DEBOUNCE = 100;
+
+// `de.json` is the whole language; `de/checkout.json` its checkout namespace
+function describeFile(baseDir, file) {
+  const relative = path.relative(baseDir, file).split(path.sep).join('/');
+  if (!relative || relative.startsWith('..')) return null;
+  const [language, ...rest] = relative.replace(/\.json$/i, '').split('/');
+  return { language, namespace: rest.length ? rest.join('/') : null };
+}
+
+/**
+ * Watch a locales folder. Events are debounced and grouped per language.
+ * @param {string} baseDir
+ * @param {(changes: Array<{ language: string, namespaces: string[], whole: boolean, files: string[] }>) => void} onChange
+ *   `whole` is set when `<lang>.json` itself changed
+ * @param {object} options - { debounce: 100 }
+ * @returns {Function} stops watching
+ */
+function watchTranslations(baseDir, onChange, options = {}) {
+  const debounce = typeof options.debounce === 'number' ? options.debounce : DEFAULT_DEBOUNCE;
+
+  return watchLocales(baseDir, (files) => {
+    const changes = new Map();
+    for (const file of files) {
+      const described = describeFile(baseDir, file);
+      if (!described) continue;
+      if (!changes.has(described.language)) {
+        changes.set(described.language, { language: described.language, namespaces: [], whole: false, files: [] });
+      }
+      const change = changes.get(described.language);
+      if (described.namespace) change.namespaces.push(described.namespace);
+      else change.whole = true;
+      change.files.push(file);
+    }
+    if (changes.size) onChange(Array.from(changes.values()));
+  }, { debounce: Math.max(debounce, 1), persistent: false, silent: true });
+}
+
+module.exports = {
+  watchTranslations
+};
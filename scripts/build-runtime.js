@@ -0,0 +1,96 @@
+#!/usr/bin/env node
+/**
+ * Browser Runtime Build Script
+ *
+ * Bundles runtime/browser.js and the modules it requires into a single ES
+ * module, runtime/dist/i18ntk.browser.mjs, for browsers, Deno and edge
+ * workers. Only relative requires are allowed, so a Node built-in creeping
+ * into the browser runtime fails the build.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const REQUIRE_RE = /require\((['"])([^'"]+)\1\)/g;
+
+class RuntimeBuild {
+  constructor(options = {}) {
+    this.runtimeDir = path.resolve(__dirname, '..', 'runtime');
+    this.entry = options.entry || 'browser.js';
+    this.outFile = options.outFile || path.join(this.runtimeDir, 'dist', 'i18ntk.browser.mjs');
+    this.packageJson = require('../package.json');
+  }
+
+  // Module id (path relative to runtime/) for a require inside `fromId`
+  resolveId(fromId, request) {
+    if (!request.startsWith('.')) {
+      throw new Error(`${fromId} requires '${request}', which is not available in the browser runtime`);
+    }
+    let id = path.posix.normalize(path.posix.join(path.posix.dirname(fromId), request));
+    if (!id.endsWith('.js')) {
+      id = fs.existsSync(path.join(this.runtimeDir, `${id}.js`)) ? `${id}.js` : `${id}/index.js`;
+    }
+    return id;
+  }
+
+  collect() {
+    const modules = new Map();
+    const queue = [this.entry];
+    while (queue.length) {
+      const id = queue.shift();
+      if (modules.has(id)) continue;
+      let source = fs.readFileSync(path.join(this.runtimeDir, id), 'utf8');
+      source = source.replace(REQUIRE_RE, (match, quote, request) => {
+        const dependency = this.resolveId(id, request);
+        queue.push(dependency);
+        return `require(${JSON.stringify(dependency)})`;
+      });
+      modules.set(id, source);
+    }
+    return modules;
+  }
+
+  build() {
+    const modules = this.collect();
+    const exportNames = Object.keys(require(path.join(this.runtimeDir, this.entry)));
+    const definitions = Array.from(modules, ([id, source]) =>
+      `  ${JSON.stringify(id)}: function (module, exports, require) {\n${source}\n  }`
+    ).join(',\n');
+
+    const output = `// i18ntk ${this.packageJson.version} browser runtime (ES module)
+// Generated by scripts/build-runtime.js from runtime/${this.entry}; do not edit.
+
+const definitions = {
+${definitions}
+};
+const cache = {};
+function load(id) {
+  if (!cache[id]) {
+    const module = { exports: {} };
+    cache[id] = module;
+    definitions[id](module, module.exports, load);
+  }
+  return cache[id].exports;
+}
+
+const runtime = load(${JSON.stringify(this.entry)});
+export const { ${exportNames.join(', ')} } = runtime;
+export default runtime;
+`;
+    fs.mkdirSync(path.dirname(this.outFile), { recursive: true });
+    fs.writeFileSync(this.outFile, output);
+    return { outFile: this.outFile, modules: Array.from(modules.keys()), exports: exportNames };
+  }
+}
+
+if (require.main === module) {
+  try {
+    const result = new RuntimeBuild().build();
+    console.log(`✅ Built ${path.relative(process.cwd(), result.outFile)} (${result.modules.length} modules)`);
+  } catch (error) {
+    console.error(`❌ Browser runtime build failed: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+module.exports = RuntimeBuild;
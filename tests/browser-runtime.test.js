@@ -0,0 +1,87 @@
+/**
+ * Browser runtime tests
+ *
+ * Covers the storage-agnostic core with the memory, fetch and import()
+ * loaders, namespace loading from disk, and the bundled ES module build.
+ */
+
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { pathToFileURL } = require('url');
+const { createRuntime } = require('../runtime/core');
+const { createMemoryLoader, createFetchLoader, createImportLoader } = require('../runtime/loaders');
+const runtime = require('../runtime/index');
+const RuntimeBuild = require('../scripts/build-runtime');
+
+describe('Browser runtime', () => {
+  let dir;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'i18ntk-browser-'));
+    fs.mkdirSync(path.join(dir, 'de'));
+    fs.writeFileSync(path.join(dir, 'de', 'common.json'), JSON.stringify({ hello: 'Hallo' }));
+    fs.writeFileSync(path.join(dir, 'de', 'checkout.json'), JSON.stringify({ total: 'Summe' }));
+  });
+
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('translates from memory bundles and namespaces', async () => {
+    const i18n = createRuntime({
+      loader: createMemoryLoader({ en: { hello: 'Hello {name}' }, 'de/common': { hello: 'Hallo {name}' } }),
+      language: 'de',
+    });
+    assert.strictEqual(i18n.t('hello', { name: 'Ann' }), 'Hallo Ann');
+    await i18n.changeLanguage('fr');
+    assert.strictEqual(i18n.t('hello', { name: 'Ann' }), 'Hello Ann');
+  });
+
+  test('fetches languages and namespaces over HTTP', async () => {
+    const served = { '/i18n/de.json': { hello: 'Hallo' }, '/i18n/de/checkout.json': { total: 'Summe' } };
+    const requested = [];
+    const fetch = async (url) => {
+      requested.push(url);
+      return served[url]
+        ? { ok: true, status: 200, json: async () => served[url] }
+        : { ok: false, status: 404, json: async () => ({}) };
+    };
+    const i18n = createRuntime({
+      loader: createFetchLoader({ url: '/i18n/{lang}.json', namespaceUrl: '/i18n/{lang}/{ns}.json', fetch }),
+      language: 'de',
+    });
+
+    assert.strictEqual(i18n.t('hello'), 'hello');
+    await i18n.loadLanguage('de');
+    assert.deepStrictEqual(await i18n.loadNamespace('de', 'checkout'), { total: 'Summe' });
+    assert.deepStrictEqual([i18n.t('hello'), i18n.t('total')], ['Hallo', 'Summe']);
+    assert.deepStrictEqual(requested.filter(url => url.includes('/de')), ['/i18n/de.json', '/i18n/de/checkout.json']);
+  });
+
+  test('loads through import() and from disk', async () => {
+    const i18n = createRuntime({
+      loader: createImportLoader(async (lang) => ({ default: { hello: `hello (${lang})` } })),
+    });
+    await i18n.changeLanguage('es');
+    assert.strictEqual(i18n.t('hello'), 'hello (es)');
+
+    const node = runtime.createInstance({ baseDir: dir, language: 'de' });
+    assert.deepStrictEqual(await node.loadNamespace('de', 'checkout'), { total: 'Summe' });
+    assert.deepStrictEqual(await node.loadNamespace('de', '../../etc/passwd'), {});
+    assert.strictEqual(node.t('hello'), 'Hallo');
+  });
+
+  test('builds an ES module without Node built-ins', async () => {
+    const outFile = path.join(dir, 'i18ntk.browser.mjs');
+    const result = new RuntimeBuild({ outFile }).build();
+    assert.ok(!result.modules.some(id => id.includes('fs')));
+
+    const bundle = await import(pathToFileURL(outFile).href);
+    bundle.initRuntime({ resources: { en: { hi: '{count, plural, one {# item} other {# items}}' } } });
+    assert.strictEqual(bundle.t('hi', { count: 2 }), '2 items');
+    assert.throws(() => new RuntimeBuild({ entry: 'index.js', outFile }).build(), /not available in the browser runtime/);
+  });
+});
@@ -0,0 +1,134 @@
+/**
+ * Translation bundle tests
+ *
+ * Covers the bundles `i18ntk build` writes (flattened keys, parsed ICU,
+ * split plurals, stripped placeholders, inlined fallbacks, hashed names, keys
+ * limited to an entry point) and reading them back through the manifest with
+ * the Node and browser loaders.
+ */
+
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { buildBundles } = require('../utils/bundle-builder');
+const { createKeyFilter } = require('../utils/key-usage');
+const { parseBundle } = require('../runtime/bundle');
+const { createRuntime } = require('../runtime/core');
+const { createManifestLoader } = require('../runtime/loaders');
+const runtime = require('../runtime/index');
+
+const SOURCES = {
+  en: [
+    { namespace: 'common', data: { hello: 'Hello {name}', items: { one: '{count} item', other: '{count} items' } } },
+    { namespace: 'checkout', data: { checkout: { total: 'Total: {amount, number}' } } },
+  ],
+  de: [
+    { namespace: 'common', data: { hello: 'Hallo {name}', items: 'NOT_TRANSLATED' } },
+  ],
+};
+
+function filesByPath(files) {
+  return Object.fromEntries(files.map(file => [file.path, file.content]));
+}
+
+describe('Translation bundles', () => {
+  let dir;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'i18ntk-bundles-'));
+    for (const file of buildBundles(SOURCES, { inlineFallbacks: true }).files) {
+      fs.mkdirSync(path.dirname(path.join(dir, file.path)), { recursive: true });
+      fs.writeFileSync(path.join(dir, file.path), file.content);
+    }
+  });
+
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('flattens keys, parses ICU and strips untranslated values', () => {
+    const { files, manifest, stats } = buildBundles(SOURCES);
+    const en = parseBundle(filesByPath(files)[manifest.languages.en.file], manifest.languages.en.file);
+
+    assert.deepStrictEqual(Object.keys(en), ['checkout.total', 'hello', 'items_one', 'items_other']);
+    assert.strictEqual(en.hello, 'Hello {name}');
+    assert.deepStrictEqual(en['checkout.total'].$icu[1], { type: 'format', name: 'amount', format: 'number', style: '' });
+    assert.deepStrictEqual(manifest.languages.de.namespaces, { common: manifest.languages.de.namespaces.common });
+    assert.strictEqual(stats.stripped, 1);
+    assert.strictEqual(stats.inlined, 0);
+  });
+
+  test('names files by content and inlines fallbacks on request', () => {
+    const { files, manifest, stats } = buildBundles(SOURCES, { inlineFallbacks: true, format: 'js' });
+    const byPath = filesByPath(files);
+
+    assert.match(manifest.languages.de.file, /^de\.[0-9a-f]{8}\.js$/);
+    assert.match(manifest.languages.de.namespaces.checkout, /^de\/checkout\.[0-9a-f]{8}\.js$/);
+    // Same content, same hash
+    assert.strictEqual(manifest.languages.de.namespaces.checkout.slice(3), manifest.languages.en.namespaces.checkout.slice(3));
+    assert.match(byPath[manifest.languages.de.file], /^export default \{/);
+    assert.strictEqual(parseBundle(byPath[manifest.languages.de.file], manifest.languages.de.file).items_other, '{count} items');
+    assert.strictEqual(manifest.fallbacksInlined, true);
+    assert.strictEqual(stats.inlined, 3);
+    assert.ok(byPath['i18ntk-manifest.json']);
+  });
+
+  test('keeps only the keys an entry point uses', () => {
+    const { keep, dynamic } = createKeyFilter(
+      ['common:items', 'checkout.total', 'status.${state}', '${section}.title'],
+      ['admin:*']
+    );
+    const { files, manifest, stats } = buildBundles({
+      en: [
+        ...SOURCES.en,
+        { namespace: null, data: { status: { open: 'Open' }, admin: { title: 'Admin' }, hello: 'Hello' } },
+      ],
+    }, { keep, entry: 'mobile' });
+    const en = parseBundle(filesByPath(files)[manifest.languages.en.file], manifest.languages.en.file);
+
+    assert.deepStrictEqual(Object.keys(en), ['admin.title', 'checkout.total', 'items_one', 'items_other', 'status.open']);
+    assert.deepStrictEqual(dynamic, ['${section}.title']);
+    assert.strictEqual(manifest.entry, 'mobile');
+    assert.strictEqual(stats.shaken, 2);
+  });
+
+  test('the Node runtime reads a build directory through its manifest', async () => {
+    const i18n = runtime.createInstance({ baseDir: dir, language: 'de', fallbackLanguage: 'en' });
+    await i18n.preloadNamespaces(['common', 'checkout']);
+
+    assert.deepStrictEqual(i18n.getAvailableLanguages(), ['de', 'en']);
+    assert.strictEqual(i18n.t('common:hello', { name: 'Ada' }), 'Hallo Ada');
+    assert.strictEqual(i18n.t('common:items', { count: 1 }), '1 item');
+    assert.strictEqual(i18n.t('checkout:total', { amount: 1234.5 }), 'Total: 1.234,5');
+  });
+
+  test('the manifest loader fetches bundles relative to the manifest', async () => {
+    const requested = [];
+    const fetch = async (url) => {
+      requested.push(url);
+      const file = path.join(dir, url.replace(/^\/i18n\//, ''));
+      if (!fs.existsSync(file)) return { ok: false, status: 404 };
+      return { ok: true, status: 200, text: async () => fs.readFileSync(file, 'utf8') };
+    };
+    const loader = createManifestLoader({ url: '/i18n/i18ntk-manifest.json', fetch });
+    await loader.ready();
+    const i18n = createRuntime({ loader, language: 'en' });
+    await i18n.preloadNamespaces(['checkout']);
+
+    assert.strictEqual(i18n.t('checkout:total', { amount: 3 }), 'Total: 3');
+    assert.deepStrictEqual(loader.namespaces('en'), ['checkout', 'common']);
+    assert.deepStrictEqual(requested.map(url => url.replace(/\.[0-9a-f]{8}\./, '.#.')), [
+      '/i18n/i18ntk-manifest.json',
+      '/i18n/en/checkout.#.json',
+    ]);
+  });
+
+  test('the ES module entry exports the manifest loader', async () => {
+    const esm = await import('../runtime/index.mjs');
+
+    assert.strictEqual(esm.createManifestLoader, createManifestLoader);
+    assert.deepStrictEqual(Object.keys(runtime).filter(name => !(name in esm)), []);
+  });
+});
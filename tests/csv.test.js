@@ -0,0 +1,45 @@
+/**
+ * CSV/TSV exchange tests
+ *
+ * Covers the RFC 4180 reader and writer used by the spreadsheet export and
+ * import commands.
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+const { parseCsv, stringifyCsv, delimiterFor, CsvError } = require('../utils/csv');
+
+describe('CSV', () => {
+  test('round-trips quotes, delimiters and multiline cells', () => {
+    const rows = [
+      ['file', 'key', 'en', 'de'],
+      ['common.json', 'greeting', 'Hello, "friend"', 'Hallo, "Freund"'],
+      ['common.json', 'multi', 'Line one\nLine two', ''],
+      ['common.json', 'padded', ' spaced ', 'x']
+    ];
+    const csv = stringifyCsv(rows);
+    assert.ok(csv.startsWith('\uFEFFfile,key,en,de\r\n'));
+    assert.ok(csv.includes('"Hello, ""friend"""'));
+    assert.deepStrictEqual(parseCsv(csv).map(row => row.slice()), rows);
+  });
+
+  test('records the line each row starts on', () => {
+    const rows = parseCsv('a,b\r\n"one\ntwo",c\nd,e\n');
+    assert.deepStrictEqual(rows.map(row => row.line), [1, 2, 4]);
+    assert.strictEqual(rows[1][0], 'one\ntwo');
+  });
+
+  test('reads and writes tab separated sheets', () => {
+    assert.strictEqual(delimiterFor('translations.tsv'), '\t');
+    assert.strictEqual(delimiterFor('csv'), ',');
+    const tsv = stringifyCsv([['key', 'en'], ['a', 'x,y']], { delimiter: '\t', bom: false });
+    assert.strictEqual(tsv, 'key\ten\r\na\tx,y\r\n');
+    assert.deepStrictEqual(parseCsv(tsv, { delimiter: '\t' })[1].slice(), ['a', 'x,y']);
+  });
+
+  test('rejects malformed quoting with the line number', () => {
+    assert.throws(() => parseCsv('a,b\n"open,c\n'), error => error instanceof CsvError && error.line === 2);
+    assert.throws(() => parseCsv('a,"b"c\n'), /after a closing quote/);
+    assert.throws(() => parseCsv('a,b"c"\n'), /Quote inside an unquoted field/);
+  });
+});
@@ -0,0 +1,89 @@
+/**
+ * Enhanced runtime tests
+ *
+ * The enhanced runtime reads baseDir through one base instance, so refresh()
+ * picks up files edited since they were first read, and watching re-reads
+ * only the files that changed.
+ */
+
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { initI18nRuntime, I18nEnhancedRuntime } = require('../runtime/enhanced');
+
+describe('Enhanced runtime', () => {
+  let dir;
+  let rt;
+
+  before(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'i18ntk-enhanced-'));
+    fs.writeFileSync(path.join(dir, 'en.json'), JSON.stringify({ hello: 'Hello' }));
+    fs.writeFileSync(path.join(dir, 'de.json'), JSON.stringify({ hello: 'Hallo' }));
+    rt = await initI18nRuntime({ baseDir: dir, defaultLanguage: 'en', fallbackLanguage: 'en' });
+  });
+
+  after(() => {
+    rt.dispose();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('translates from the base directory', async () => {
+    assert.strictEqual(await rt.t('hello'), 'Hello');
+    assert.strictEqual(await rt.t('hello', {}, { language: 'de' }), 'Hallo');
+    assert.deepStrictEqual(rt.getAvailableLanguages().sort(), ['de', 'en']);
+  });
+
+  test('reads edited files again after refresh()', async () => {
+    assert.strictEqual(await rt.t('hello'), 'Hello');
+    fs.writeFileSync(path.join(dir, 'en.json'), JSON.stringify({ hello: 'Changed' }));
+    assert.strictEqual(await rt.t('hello'), 'Hello');
+
+    await rt.refresh('en');
+    assert.strictEqual(await rt.t('hello'), 'Changed');
+    assert.strictEqual(await rt.t('hello', {}, { language: 'de' }), 'Hallo');
+  });
+});
+
+describe('Enhanced runtime hot reload', () => {
+  let dir;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'i18ntk-enhanced-watch-'));
+    fs.mkdirSync(path.join(dir, 'en'));
+    fs.writeFileSync(path.join(dir, 'en', 'common.json'), JSON.stringify({ hello: 'Hello' }));
+    fs.writeFileSync(path.join(dir, 'en', 'checkout.json'), JSON.stringify({ total: 'Total' }));
+  });
+
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('re-reads only the changed namespace file', async () => {
+    const rt = new I18nEnhancedRuntime();
+    await rt.updateConfig({ baseDir: dir, defaultLanguage: 'en', fallbackLanguage: 'en', watch: { debounce: 20 } });
+    try {
+      assert.deepStrictEqual([await rt.translate('common:hello'), await rt.translate('checkout:total')], ['Hello', 'Total']);
+
+      const reads = [];
+      const readFileSync = fs.readFileSync;
+      fs.readFileSync = function (file, ...args) {
+        reads.push(path.relative(dir, String(file)));
+        return readFileSync.call(this, file, ...args);
+      };
+      try {
+        const changed = new Promise(resolve => rt.once('translationsChanged', resolve));
+        fs.writeFileSync(path.join(dir, 'en', 'common.json'), JSON.stringify({ hello: 'Hi' }));
+        const event = await changed;
+        assert.deepStrictEqual([event.language, event.namespaces], ['en', ['common']]);
+        assert.deepStrictEqual([await rt.translate('common:hello'), await rt.translate('checkout:total')], ['Hi', 'Total']);
+      } finally {
+        fs.readFileSync = readFileSync;
+      }
+      assert.deepStrictEqual(reads, [path.join('en', 'common.json')]);
+    } finally {
+      rt.dispose();
+    }
+  });
+});
@@ -0,0 +1,112 @@
+/**
+ * Key extractor tests
+ *
+ * Covers the tokenizer-based `ast` extractor (calls split across lines,
+ * comments and strings, constants, namespace binding, <Trans>, static
+ * prefixes, locations) and selecting it through the extractor manager.
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+const ast = require('../utils/extractors/ast');
+const regex = require('../utils/extractors/regex');
+const { getExtractor } = require('../utils/extractor-manager');
+const { DEFAULT_TRANSLATION_PATTERNS } = require('../utils/key-usage');
+
+const SOURCE = `import { useTranslation, Trans } from 'react-i18next';
+// t('commented.out')
+const TITLE = 'page.title';
+const help = "call t('in.a.string') for help";
+
+export function Page({ status }) {
+  const { t } = useTranslation('shop');
+  const { t: tc } = useTranslation(['common']);
+  return (
+    <section title={t(TITLE)}>
+      {t(
+        'cart.total',
+        { count: 2 }
+      )}
+      <Trans i18nKey="welcome" ns="common">Hi <b>there</b></Trans>
+      {tc(\`status.\${status}\`)}
+      {t(status)}
+      {i18n.t('global:ok')}
+    </section>
+  );
+}
+`;
+
+describe('AST key extractor', () => {
+  test('finds keys split across lines and skips comments and strings', () => {
+    const keys = ast.extract(SOURCE, [], { filePath: 'src/Page.jsx' });
+
+    assert.ok(keys.includes('shop:cart.total'));
+    assert.ok(!keys.some(key => /commented|in\.a\.string/.test(key)));
+    // The regex extractor reads both false positives
+    const regexKeys = regex.extract(SOURCE, DEFAULT_TRANSLATION_PATTERNS);
+    assert.ok(regexKeys.includes('commented.out') && regexKeys.includes('in.a.string'));
+  });
+
+  test('resolves constants, namespaces, <Trans> and static prefixes', () => {
+    assert.deepStrictEqual(ast.extract(SOURCE, [], { filePath: 'src/Page.jsx' }), [
+      'shop:page.title',
+      'shop:cart.total',
+      'common:welcome',
+      'common:status.*',
+      'global:ok'
+    ]);
+    assert.deepStrictEqual(ast.extract("const key = 'x';\nthis.$t('menu.' + key);", [], { filePath: 'menu.ts' }), ['menu.*']);
+  });
+
+  test('keeps namespaces and constants to the block that declares them', () => {
+    const source = [
+      'function Admin() {',
+      "  const { t } = useTranslation('admin');",
+      "  const KEY = 'title';",
+      "  if (ready) { const { t } = useTranslation('alerts'); t('saved'); }",
+      '  return t(KEY);',
+      '}',
+      "const Home = () => { return t('plain'); };",
+      "t('KEY');"
+    ].join('\n');
+
+    assert.deepStrictEqual(ast.extract(source, [], { filePath: 'src/pages.js' }), [
+      'alerts:saved',
+      'admin:title',
+      'plain',
+      'KEY'
+    ]);
+  });
+
+  test('reports the file, line and column of every hit', () => {
+    const hits = ast.extractLocations(SOURCE, { filePath: 'src/Page.jsx' });
+
+    assert.deepStrictEqual(hits.map(({ key, line, column }) => [key, line, column]), [
+      ['shop:page.title', 10, 21],
+      ['shop:cart.total', 11, 8],
+      ['common:welcome', 15, 14],
+      ['common:status.*', 16, 8],
+      [null, 17, 8],
+      ['global:ok', 18, 8]
+    ]);
+    assert.ok(hits.every(hit => hit.file === 'src/Page.jsx'));
+    assert.deepStrictEqual(hits.filter(hit => hit.dynamic).map(hit => hit.callee), ['tc', 't']);
+  });
+
+  test('reads TypeScript generics and falls back to patterns for other files', () => {
+    const ts = 'function first<T>(items: Array<T>): T {\n  return (<T>items[0]) || t("first.item");\n}';
+    assert.deepStrictEqual(ast.extract(ts, [], { filePath: 'first.ts' }), ['first.item']);
+
+    const hits = ast.extractLocations('<p>\n  {{ $t("html.key") }}\n</p>', {
+      filePath: 'Page.vue',
+      patterns: DEFAULT_TRANSLATION_PATTERNS
+    });
+    assert.deepStrictEqual(hits.map(({ key, line, column }) => [key, line, column]), [['html.key', 2, 10]]);
+  });
+
+  test('is selected by the extractor manager', () => {
+    assert.strictEqual(getExtractor('ast'), ast);
+    assert.strictEqual(getExtractor(), regex);
+    assert.strictEqual(getExtractor('regex'), regex);
+  });
+});
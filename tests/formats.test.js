@@ -0,0 +1,645 @@
+/**
+ * Locale format adapter tests
+ *
+ * Covers parsing and round-tripping of the file formats registered
+ * with the FormatManager.
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+const { getFormatManager } = require('../utils/format-manager');
+const json = require('../utils/formats/json');
+const yaml = require('../utils/formats/yaml');
+const po = require('../utils/formats/po');
+const properties = require('../utils/formats/properties');
+const android = require('../utils/formats/android');
+const strings = require('../utils/formats/strings');
+const stringsdict = require('../utils/formats/stringsdict');
+const xcstrings = require('../utils/formats/xcstrings');
+const arb = require('../utils/formats/arb');
+const php = require('../utils/formats/php');
+const toml = require('../utils/formats/toml');
+const SecurityUtils = require('../utils/security');
+
+describe('FormatManager', () => {
+  const manager = getFormatManager();
+
+  test('resolves adapters by extension and name', () => {
+    assert.strictEqual(manager.getFormat('.yml').name, 'yaml');
+    assert.strictEqual(manager.getFormat('.pot').name, 'po');
+    assert.ok(manager.hasFlatKeys('LC_MESSAGES/django.po'));
+    assert.strictEqual(manager.getFormat('yaml').name, 'yaml');
+    assert.strictEqual(manager.getFormat('.unknown').name, 'json');
+    assert.ok(manager.isSupportedFile('de.yaml'));
+    assert.ok(!manager.isSupportedFile('notes.txt'));
+    assert.strictEqual(manager.stripExtension('de.yml'), 'de');
+  });
+
+  test('only treats Android string resources as locale files', () => {
+    assert.ok(manager.isSupportedFile('values-de/strings.xml'));
+    assert.ok(manager.hasFlatKeys('messages_de.properties'));
+    assert.ok(!manager.isSupportedFile('layout/activity_main.xml'));
+    assert.ok(manager.isLocaleDirectory('values-pt-rBR'));
+    assert.ok(manager.isLocaleDirectory('de'));
+    assert.ok(!manager.isLocaleDirectory('values-night'));
+    assert.ok(!manager.isLocaleDirectory('drawable-hdpi'));
+  });
+
+  test('maps locale folders to locale codes', () => {
+    assert.strictEqual(manager.getLocaleCode('de.lproj'), 'de');
+    assert.strictEqual(manager.getLocaleCode('Base.lproj'), null);
+    assert.strictEqual(manager.getLocaleCode('values-pt-rBR'), 'pt-BR');
+    assert.strictEqual(manager.getLocaleCode('values'), null);
+    assert.strictEqual(manager.getLocaleCode('fr'), 'fr');
+    assert.ok(manager.isCatalogFile('Localizable.xcstrings'));
+  });
+
+  test('skips the Laravel vendor folder', () => {
+    assert.ok(!manager.isLocaleDirectory('vendor'));
+    assert.ok(manager.isLocaleDirectory('de'));
+  });
+
+  test('maps go-i18n file names to locale codes', () => {
+    assert.strictEqual(manager.getLocaleCode('active.pt-BR'), 'pt-BR');
+    assert.strictEqual(manager.getFormatForFile('active.en.toml').name, 'toml');
+  });
+
+  test('reads translator descriptions where the format has them', () => {
+    const arb = '{"hello": "Hi", "@hello": {"description": "Greeting on the home page"}}';
+    const po = '#. Shown after sign out\nmsgid "Bye"\nmsgstr ""\n';
+    const strings = '/* Title of the settings screen */\n"settings" = "Settings";\n';
+    const toml = '[cats]\ndescription = "Cat count"\none = "{{.Count}} cat"\nother = "{{.Count}} cats"\n';
+    assert.deepStrictEqual(manager.getDescriptions(arb, 'app_en.arb'), { hello: 'Greeting on the home page' });
+    assert.deepStrictEqual(manager.getDescriptions(po, 'messages.po'), { Bye: 'Shown after sign out' });
+    assert.deepStrictEqual(manager.getDescriptions(strings, 'Localizable.strings'), { settings: 'Title of the settings screen' });
+    assert.deepStrictEqual(manager.getDescriptions(toml, 'active.en.toml'), { cats: 'Cat count' });
+    assert.deepStrictEqual(manager.getDescriptions('{"a": "b"}', 'en.json'), {});
+  });
+});
+
+describe('JSON format', () => {
+  test('rewrites only the members that changed', () => {
+    const original = '{\r\n\t"nav": {\r\n\t\t"home": "Start",\r\n\t\t"contact": "Kontakt"\r\n\t},\r\n\t"list": [1, 2],\r\n\t"z":"Z"\r\n}\r\n';
+    assert.strictEqual(json.serialize(json.read(original), { original }), original);
+
+    const data = json.read(original);
+    data.nav.contact = 'Kontakt!';
+    delete data.z;
+    assert.strictEqual(
+      json.serialize(data, { original }),
+      '{\r\n\t"nav": {\r\n\t\t"home": "Start",\r\n\t\t"contact": "Kontakt!"\r\n\t},\r\n\t"list": [1, 2]\r\n}\r\n'
+    );
+  });
+
+  test('places new keys next to their source-order siblings', () => {
+    const manager = getFormatManager();
+    const template = '{\n    "a": "A",\n    "nav": {\n        "home": "Home",\n        "about": "About",\n        "contact": "Contact"\n    }\n}\n';
+    const original = '{\n  "nav": {\n    "home": "Start",\n    "contact": "Kontakt"\n  }\n}\n';
+    const data = json.read(original);
+    data.nav.about = 'NOT_TRANSLATED';
+    data.a = 'NOT_TRANSLATED';
+    assert.strictEqual(
+      manager.serialize(data, 'de/common.json', { original, template }),
+      '{\n  "a": "NOT_TRANSLATED",\n  "nav": {\n    "home": "Start",\n    "about": "NOT_TRANSLATED",\n    "contact": "Kontakt"\n  }\n}\n'
+    );
+    // New files take the layout of the source file
+    assert.strictEqual(manager.serialize({ a: 'A' }, 'fr/common.json', { template }), '{\n    "a": "A"\n}\n');
+  });
+
+  test('keeps compact objects on one line', () => {
+    const original = '{"a": {"b": 1}, "e": {}}';
+    assert.strictEqual(json.serialize({ a: { b: 1, c: 2 }, e: { n: 'v' } }, { original }), '{"a": {"b": 1, "c": 2}, "e": {"n": "v"}}');
+  });
+});
+
+describe('YAML format', () => {
+  test('parses nested mappings, sequences and scalars', () => {
+    const data = yaml.parse([
+      'common:',
+      '  save: Save',
+      '  answer: yes',
+      '  count: 3',
+      '  quoted: "Line\\nbreak"',
+      '  items:',
+      '  - one',
+      '  - two',
+      '  notes: |',
+      '    first',
+      '    second',
+      ''
+    ].join('\n'));
+
+    assert.deepStrictEqual(data, {
+      common: {
+        save: 'Save',
+        answer: 'yes',
+        count: 3,
+        quoted: 'Line\nbreak',
+        items: ['one', 'two'],
+        notes: 'first\nsecond\n'
+      }
+    });
+  });
+
+  test('resolves anchors, aliases and merge keys', () => {
+    const data = yaml.parse('base: &base\n  a: 1\nchild:\n  <<: *base\n  b: 2\n');
+    assert.deepStrictEqual(data.child, { a: 1, b: 2 });
+  });
+
+  test('unwraps and restores a Rails-style locale root', () => {
+    const original = 'de:\n  greeting: "Hallo: %{name}"\n';
+    const data = yaml.read(original, { language: 'de' });
+    assert.deepStrictEqual(data, { greeting: 'Hallo: %{name}' });
+
+    data.farewell = 'Tschüss';
+    const output = yaml.serialize(data, { language: 'de', original });
+    assert.deepStrictEqual(yaml.parse(output), { de: { greeting: 'Hallo: %{name}', farewell: 'Tschüss' } });
+  });
+
+  test('creates a new locale under the root of a Rails-style template', () => {
+    const template = 'en:\n    greeting: "Hello: %{name}"\n    farewell: Bye\n';
+    const output = yaml.serialize({ greeting: 'Hallo: %{name}', farewell: 'Tschüss' }, { language: 'de', template });
+
+    assert.deepStrictEqual(yaml.parse(output), { de: { greeting: 'Hallo: %{name}', farewell: 'Tschüss' } });
+    assert.match(output, /^de:\n {4}greeting:/);
+    // A template whose only key is not a locale root is left alone
+    assert.deepStrictEqual(yaml.parse(yaml.serialize({ app: { title: 'Titel' } }, { language: 'de', template: 'app:\n  title: Title\n' })), { app: { title: 'Titel' } });
+  });
+
+  test('edits the original in place, keeping comments, anchors and quoting', () => {
+    const lines = [
+      '# Shop translations',
+      'de:',
+      '  defaults: &defaults',
+      '    save: Speichern # button',
+      "    cancel: 'Abbrechen'",
+      '  dialog: *defaults',
+      '  # Checkout page',
+      '  checkout:',
+      '    title: &title Kasse',
+      '    heading: *title',
+      '    total: "Summe: %{amount}"',
+      '    items:',
+      '      - eins',
+      '      - zwei',
+      '  old: Alt',
+      ''
+    ];
+    const original = lines.join('\n');
+    const data = yaml.read(original, { language: 'de' });
+    assert.strictEqual(yaml.serialize(data, { language: 'de', original }), original);
+
+    data.checkout.total = 'Gesamt: %{amount}';
+    data.checkout.note = 'Hinweis';
+    delete data.old;
+    const output = yaml.serialize(data, { language: 'de', original: lines.join('\r\n') });
+
+    const expected = [...lines.slice(0, 10), '    total: "Gesamt: %{amount}"', ...lines.slice(11, 14), '    note: Hinweis', ''];
+    assert.strictEqual(output, expected.join('\r\n'));
+    assert.deepStrictEqual(yaml.read(output, { language: 'de' }), data);
+  });
+
+  test('writes the file out again when it cannot be edited in place', () => {
+    const original = '%YAML 1.2\n---\nde:\n  save: Speichern # button\n';
+    const output = yaml.serialize({ save: 'Sichern' }, { language: 'de', original });
+    assert.strictEqual(output, 'de:\n  save: Sichern\n');
+  });
+
+  test('round-trips strings that need quoting', () => {
+    const data = { a: 'true', b: '- dash', c: 'multi\nline', d: '', e: "it's" };
+    assert.deepStrictEqual(yaml.parse(yaml.stringify(data)), data);
+  });
+
+  test('reports syntax errors', () => {
+    assert.throws(() => yaml.parse('a: [1, 2\n'), yaml.YamlSyntaxError);
+  });
+});
+
+describe('PO format', () => {
+  const catalog = [
+    '# Translator comment',
+    'msgid ""',
+    'msgstr ""',
+    '"Language: de\\n"',
+    '"Plural-Forms: nplurals=2; plural=(n != 1);\\n"',
+    '',
+    '#. Extracted comment',
+    '#: app/views.py:12',
+    '#, fuzzy, python-format',
+    'msgid "Hello. %(name)s"',
+    'msgstr "Hallo. %(name)s"',
+    '',
+    'msgctxt "month"',
+    'msgid "May"',
+    'msgstr "Mai"',
+    '',
+    'msgid "%(count)d file"',
+    'msgid_plural "%(count)d files"',
+    'msgstr[0] "%(count)d Datei"',
+    'msgstr[1] ""',
+    '',
+    'msgid "Multi"',
+    'msgstr ""',
+    '"one\\n"',
+    '"two"',
+    '',
+    '#~ msgid "Old"',
+    '#~ msgstr "Alt"',
+    ''
+  ].join('\n');
+
+  test('reads msgids, contexts and plural forms as flat keys', () => {
+    assert.deepStrictEqual(po.read(catalog), {
+      'Hello. %(name)s': 'Hallo. %(name)s',
+      'month\u0004May': 'Mai',
+      '%(count)d file': ['%(count)d Datei', ''],
+      Multi: 'one\ntwo'
+    });
+  });
+
+  test('keeps comments, flags and headers in the parsed catalog', () => {
+    const { entries, headers } = po.parseCatalog(catalog);
+    const entry = entries.find(item => item.msgid === 'Hello. %(name)s');
+    assert.deepStrictEqual(entry.flags, ['fuzzy', 'python-format']);
+    assert.deepStrictEqual(entry.references, ['app/views.py:12']);
+    assert.deepStrictEqual(entry.extractedComments, ['Extracted comment']);
+    assert.strictEqual(headers.Language, 'de');
+  });
+
+  test('round-trips a catalog without changes', () => {
+    assert.strictEqual(po.serialize(po.read(catalog), { original: catalog }), catalog);
+  });
+
+  test('only rewrites changed msgstr lines and appends new entries', () => {
+    const data = po.read(catalog);
+    data['%(count)d file'] = ['%(count)d Datei', '%(count)d Dateien'];
+    data.Save = 'Speichern';
+    const template = '#: app/forms.py:3\nmsgid "Save"\nmsgstr ""\n';
+    const output = po.serialize(data, { original: catalog, template });
+
+    assert.ok(output.includes('msgstr[1] "%(count)d Dateien"'));
+    assert.ok(output.includes('#, fuzzy, python-format\nmsgid "Hello. %(name)s"'));
+    assert.ok(output.includes('#~ msgid "Old"'));
+    assert.ok(output.endsWith('#: app/forms.py:3\nmsgid "Save"\nmsgstr "Speichern"\n'));
+    assert.deepStrictEqual(po.read(output), data);
+  });
+
+  test('writes as many plural forms as the Plural-Forms header names', () => {
+    const polish = catalog.replace('nplurals=2; plural=(n != 1);', 'nplurals=3; plural=(n==1 ? 0 : n%10>=2 && n%10<=4 && (n%100<10 || n%100>=20) ? 1 : 2);');
+    const template = 'msgid "%(count)d photo"\nmsgid_plural "%(count)d photos"\nmsgstr[0] ""\nmsgstr[1] ""\n';
+    const data = { ...po.read(polish), '%(count)d photo': ['', ''] };
+    data['%(count)d file'] = ['%(count)d plik', '%(count)d pliki', '%(count)d plików', 'extra'];
+    const output = po.read(po.serialize(data, { original: polish, template }));
+
+    assert.strictEqual(po.pluralFormCount(polish), 3);
+    assert.strictEqual(po.pluralFormCount('msgid ""\nmsgstr ""\n'), null);
+    assert.deepStrictEqual(output['%(count)d photo'], ['', '', '']);
+    assert.deepStrictEqual(output['%(count)d file'], ['%(count)d plik', '%(count)d pliki', '%(count)d plików']);
+  });
+
+  test('reports syntax errors', () => {
+    assert.throws(() => po.read('msgid "open\n'), po.PoSyntaxError);
+  });
+});
+
+describe('Properties format', () => {
+  const bundle = [
+    '# Greeting',
+    'app.title = My App',
+    'welcome: Hello, {0}\\!',
+    'multi = first \\',
+    '        second',
+    'umlaut=Gr\\u00fc\\u00dfe',
+    'path\\ key=C:\\\\temp',
+    ''
+  ].join('\n');
+
+  test('reads escapes, unicode escapes and line continuations', () => {
+    assert.deepStrictEqual(properties.read(bundle), {
+      'app.title': 'My App',
+      welcome: 'Hello, {0}!',
+      multi: 'first second',
+      umlaut: 'Grüße',
+      'path key': 'C:\\temp'
+    });
+  });
+
+  test('round-trips a file without changes', () => {
+    assert.strictEqual(properties.serialize(properties.read(bundle), { original: bundle }), bundle);
+  });
+
+  test('only rewrites changed values and keeps the escaping style', () => {
+    const data = properties.read(bundle);
+    data['app.title'] = 'Meine Äpp';
+    delete data.welcome;
+    data['new key'] = ' leading';
+    const output = properties.serialize(data, { original: bundle });
+
+    assert.ok(output.startsWith('# Greeting\napp.title = Meine \\u00c4pp\n'));
+    assert.ok(output.includes('multi = first \\\n        second'));
+    assert.ok(output.endsWith('new\\ key = \\ leading\n'));
+    assert.deepStrictEqual(properties.read(output), data);
+  });
+});
+
+describe('Android strings.xml format', () => {
+  const resources = [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    '<resources xmlns:tools="http://schemas.android.com/tools">',
+    '    <!-- Toolbar -->',
+    '    <string name="app_name" translatable="false">Demo</string>',
+    '    <string name="welcome">Don\\\'t   stop, <b>%1$s</b>\\n</string>',
+    '    <string name="spaced">"  keep  "</string>',
+    '    <string-array name="planets">',
+    '        <item>Mercury</item>',
+    '        <item>Venus</item>',
+    '    </string-array>',
+    '    <plurals name="songs">',
+    '        <item quantity="one">%d song</item>',
+    '        <item quantity="other">%d songs</item>',
+    '    </plurals>',
+    '    <color name="accent">#ff0000</color>',
+    '</resources>',
+    ''
+  ].join('\n');
+
+  test('reads strings, arrays and plurals and skips non-translatable entries', () => {
+    assert.deepStrictEqual(android.read(resources), {
+      welcome: "Don't stop, <b>%1$s</b>\n",
+      spaced: '  keep  ',
+      planets: ['Mercury', 'Venus'],
+      songs: { one: '%d song', other: '%d songs' }
+    });
+  });
+
+  test('round-trips a file without changes', () => {
+    assert.strictEqual(android.serialize(android.read(resources), { original: resources }), resources);
+  });
+
+  test('rewrites changed elements and appends new ones before </resources>', () => {
+    const data = android.read(resources);
+    data.songs = { one: '%d Lied', other: '%d songs' };
+    delete data.spaced;
+    data.share = '@ "home" & away';
+    const template = '<resources><string name="share" formatted="false">x</string></resources>';
+    const output = android.serialize(data, { original: resources, template });
+
+    assert.ok(output.includes('<string name="app_name" translatable="false">Demo</string>'));
+    assert.ok(output.includes('        <item quantity="one">%d Lied</item>\n        <item quantity="other">%d songs</item>'));
+    assert.ok(!output.includes('spaced'));
+    assert.ok(output.includes('<color name="accent">#ff0000</color>\n    <string name="share" formatted="false">\\@ \\"home\\" &amp; away</string>\n</resources>'));
+    assert.deepStrictEqual(android.read(output), data);
+  });
+
+  test('rejects files without a resources root', () => {
+    assert.throws(() => android.read('<manifest/>'), android.AndroidResourceError);
+  });
+});
+
+describe('Apple .strings format', () => {
+  const file = [
+    '/* Title of the main screen */',
+    '"main.title" = "Welcome";',
+    '',
+    '// Greeting',
+    '"greeting" = "Hello, %@!\\nHave a \\"nice\\" day";',
+    '',
+    'plainKey = "Unquoted \\U00e9";',
+    ''
+  ].join('\n');
+
+  test('reads quoted and unquoted keys with escapes', () => {
+    assert.deepStrictEqual(strings.read(file), {
+      'main.title': 'Welcome',
+      greeting: 'Hello, %@!\nHave a "nice" day',
+      plainKey: 'Unquoted é'
+    });
+  });
+
+  test('round-trips a file without changes', () => {
+    assert.strictEqual(strings.serialize(strings.read(file), { original: file }), file);
+  });
+
+  test('rewrites changed values, drops removed entries and copies template comments', () => {
+    const data = strings.read(file);
+    data.greeting = 'Hallo, %@!';
+    delete data['main.title'];
+    data.logout = 'Abmelden';
+    const template = '/* Logout button */\n"logout" = "Log out";\n';
+    const output = strings.serialize(data, { original: file, template });
+
+    assert.ok(output.startsWith('// Greeting\n"greeting" = "Hallo, %@!";\n'));
+    assert.ok(output.endsWith('\n\n/* Logout button */\n"logout" = "Abmelden";\n'));
+    assert.deepStrictEqual(strings.read(output), data);
+  });
+
+  test('decodes UTF-16 files through SecurityUtils', () => {
+    const bytes = Buffer.concat([Buffer.from([0xFF, 0xFE]), Buffer.from('"a" = "\u00fc";', 'utf16le')]);
+    assert.deepStrictEqual(strings.read(SecurityUtils.decodeText(bytes)), { a: '\u00fc' });
+  });
+
+  test('reports syntax errors', () => {
+    assert.throws(() => strings.read('"a" = "b"'), strings.StringsSyntaxError);
+  });
+});
+
+describe('Apple .stringsdict format', () => {
+  const plist = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<!DOCTYPE plist PUBLIC "-//Apple//DTD PLIST 1.0//EN" "http://www.apple.com/DTDs/PropertyList-1.0.dtd">',
+    '<plist version="1.0">',
+    '<dict>',
+    '\t<key>%d files</key>',
+    '\t<dict>',
+    '\t\t<key>NSStringLocalizedFormatKey</key>',
+    '\t\t<string>%#@files@</string>',
+    '\t\t<key>files</key>',
+    '\t\t<dict>',
+    '\t\t\t<key>NSStringFormatSpecTypeKey</key>',
+    '\t\t\t<string>NSStringPluralRuleType</string>',
+    '\t\t\t<key>NSStringFormatValueTypeKey</key>',
+    '\t\t\t<string>d</string>',
+    '\t\t\t<key>one</key>',
+    '\t\t\t<string>%d file</string>',
+    '\t\t\t<key>other</key>',
+    '\t\t\t<string>%d files</string>',
+    '\t\t</dict>',
+    '\t</dict>',
+    '</dict>',
+    '</plist>',
+    ''
+  ].join('\n');
+
+  test('reads plural rules and writes them back in Xcode layout', () => {
+    const data = stringsdict.read(plist);
+    assert.strictEqual(data['%d files'].files.one, '%d file');
+    assert.strictEqual(stringsdict.serialize(data, { original: plist }), plist);
+  });
+
+  test('keeps format keys when building an untranslated entry', () => {
+    const value = stringsdict.untranslatedValue(stringsdict.read(plist)['%d files'], 'NOT_TRANSLATED');
+    assert.strictEqual(value.NSStringLocalizedFormatKey, '%#@files@');
+    assert.strictEqual(value.files.NSStringFormatValueTypeKey, 'd');
+    assert.strictEqual(value.files.other, 'NOT_TRANSLATED');
+  });
+});
+
+describe('Xcode .xcstrings format', () => {
+  const catalog = JSON.stringify({
+    sourceLanguage: 'en',
+    strings: {
+      Cancel: {},
+      'Hello %@': { localizations: { de: { stringUnit: { state: 'translated', value: 'Hallo %@' } } } },
+      Internal: { shouldTranslate: false },
+      '%lld items': {
+        localizations: {
+          en: { variations: { plural: { one: { stringUnit: { state: 'translated', value: '%lld item' } }, other: { stringUnit: { state: 'translated', value: '%lld items' } } } } }
+        }
+      }
+    },
+    version: '1.0'
+  }, null, 2).replace(/^(\s*"(?:[^"\\]|\\.)*"):/gm, '$1 :') + '\n';
+
+  test('reads one language at a time', () => {
+    assert.deepStrictEqual(xcstrings.languages(catalog), ['en', 'de']);
+    assert.deepStrictEqual(xcstrings.read(catalog), {
+      Cancel: 'Cancel',
+      'Hello %@': 'Hello %@',
+      '%lld items': { one: '%lld item', other: '%lld items' }
+    });
+    assert.deepStrictEqual(xcstrings.read(catalog, { language: 'de' }), { 'Hello %@': 'Hallo %@' });
+  });
+
+  test('writes only the selected language', () => {
+    const output = xcstrings.serialize({ Cancel: 'Abbrechen', 'Hello %@': 'Hallo %@' }, { language: 'de', original: catalog });
+    assert.deepStrictEqual(xcstrings.read(output, { language: 'de' }), { Cancel: 'Abbrechen', 'Hello %@': 'Hallo %@' });
+    assert.deepStrictEqual(xcstrings.read(output), xcstrings.read(catalog));
+    assert.ok(output.includes('"sourceLanguage" : "en"'));
+  });
+});
+
+describe('Flutter ARB format', () => {
+  const file = JSON.stringify({
+    '@@locale': 'en',
+    hello: 'Hello {name}',
+    '@hello': { description: 'Greeting', placeholders: { name: { type: 'String' } } },
+    items: '{count, plural, =0{No items} other{{count} items}}',
+    '@items': { placeholders: { count: { type: 'int' } } }
+  }, null, 2) + '\n';
+
+  test('reads messages without metadata', () => {
+    assert.deepStrictEqual(arb.read(file), {
+      hello: 'Hello {name}',
+      items: '{count, plural, =0{No items} other{{count} items}}'
+    });
+  });
+
+  test('keeps metadata of kept messages and drops it with removed ones', () => {
+    const output = arb.serialize({ hello: 'Hallo {name}', title: 'Titel' }, { original: file });
+    const parsed = JSON.parse(output);
+    assert.deepStrictEqual(Object.keys(parsed), ['@@locale', 'hello', '@hello', 'title']);
+    assert.strictEqual(parsed['@hello'].description, 'Greeting');
+    assert.strictEqual(arb.serialize(arb.read(file), { original: file }), file);
+  });
+
+  test('lists declared and used placeholders', () => {
+    assert.deepStrictEqual(arb.declaredPlaceholders(file), { hello: ['name'], items: ['count'] });
+    assert.deepStrictEqual(
+      [...arb.placeholderNames('{count, plural, one{{user} has one} other{{user} has {count}}} at {time}')],
+      ['count', 'user', 'time']
+    );
+    assert.deepStrictEqual([...arb.placeholderNames('{sex, select, male{He} other{They}}')], ['sex']);
+  });
+});
+
+describe('PHP array format', () => {
+  const file = [
+    '<?php',
+    '',
+    '// Laravel language lines',
+    'return [',
+    '    \'welcome\' => \'Welcome, :name!\',',
+    '    "escaped" => "Line\\nbreak \\"quoted\\"",',
+    '    \'auth\' => [',
+    '        \'failed\' => \'These credentials don\\\'t match.\',',
+    '        \'throttle\' => \'Too many \' . \'attempts.\', # joined',
+    '    ],',
+    '    \'days\' => array(\'Mon\', \'Tue\'),',
+    '];',
+    ''
+  ].join('\n');
+
+  test('reads nested arrays, both quote styles and concatenation', () => {
+    assert.deepStrictEqual(php.read(file), {
+      welcome: 'Welcome, :name!',
+      escaped: 'Line\nbreak "quoted"',
+      auth: {
+        failed: 'These credentials don\'t match.',
+        throttle: 'Too many attempts.'
+      },
+      days: ['Mon', 'Tue']
+    });
+  });
+
+  test('rejects code that would need PHP to run', () => {
+    assert.throws(() => php.read('<?php return [\'a\' => env(\'APP_NAME\')];'), php.PhpSyntaxError);
+    assert.throws(() => php.read('<?php return [\'a\' => "Hi $name"];'), php.PhpSyntaxError);
+    assert.throws(() => php.read('<?php system(\'ls\'); return [];'), php.PhpSyntaxError);
+  });
+
+  test('writes keys in data order and keeps the preamble', () => {
+    const data = php.read(file);
+    data.auth.password = 'The password is incorrect.';
+    const output = php.serialize(data, { original: file });
+
+    assert.ok(output.startsWith('<?php\n\n// Laravel language lines\nreturn [\n    \'welcome\' => \'Welcome, :name!\',\n'));
+    assert.ok(output.includes("        'throttle' => 'Too many attempts.',\n        'password' => 'The password is incorrect.',\n    ],"));
+    assert.deepStrictEqual(php.read(output), data);
+    assert.strictEqual(php.serialize(php.read(output), { original: output }), output);
+  });
+});
+
+describe('go-i18n TOML format', () => {
+  const file = [
+    '# Go i18n translations for en',
+    '',
+    'HelloWorld = "Hello World!"',
+    '',
+    '[PersonCats]',
+    'description = "The number of cats a person has"',
+    'hash = "sha1-6a65d20b7e8a7b2bf1f1a5ad1fd0ab1b2c3d4e5f"',
+    'one = "{{.Name}} has {{.Count}} cat."',
+    'other = "{{.Name}} has {{.Count}} cats."',
+    '',
+    '[errors.notFound]',
+    "other = 'Page \\d not found'",
+    ''
+  ].join('\n');
+
+  test('reads message tables as plural objects without metadata', () => {
+    assert.deepStrictEqual(toml.read(file), {
+      HelloWorld: 'Hello World!',
+      PersonCats: {
+        one: '{{.Name}} has {{.Count}} cat.',
+        other: '{{.Name}} has {{.Count}} cats.'
+      },
+      errors: { notFound: { other: 'Page \\d not found' } }
+    });
+  });
+
+  test('writes messages back with their description and hash', () => {
+    const data = toml.read(file);
+    data.PersonCats.few = '{{.Name}} ma {{.Count}} koty.';
+    delete data.HelloWorld;
+    const output = toml.serialize(data, { original: file });
+
+    assert.ok(output.startsWith('# Go i18n translations for en\n\n[PersonCats]\ndescription = "The number of cats a person has"\n'));
+    assert.ok(output.includes('few = "{{.Name}} ma {{.Count}} koty."'));
+    assert.deepStrictEqual(toml.read(output), data);
+  });
+
+  test('reports TOML syntax errors with a line number', () => {
+    assert.throws(() => toml.read('[a]\nx = "1"\nx = "2"\n'), /already defined \(line 3\)/);
+    assert.throws(() => toml.read('x = \n'), toml.TomlSyntaxError);
+  });
+});
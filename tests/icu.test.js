@@ -0,0 +1,68 @@
+/**
+ * ICU MessageFormat tests
+ *
+ * Covers the runtime message parser and formatter used by translate().
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+const { parse, formatMessage, hasIcuSyntax, IcuSyntaxError } = require('../runtime/icu');
+const { interpolate, addFormatter } = require('../runtime/index');
+
+describe('ICU MessageFormat', () => {
+  test('selects plural branches with exact matches and #', () => {
+    const message = '{count, plural, =0 {No items} one {# item} other {# items}}';
+    assert.strictEqual(formatMessage(message, { count: 0 }, 'en'), 'No items');
+    assert.strictEqual(formatMessage(message, { count: 1 }, 'en'), '1 item');
+    assert.strictEqual(formatMessage(message, { count: 1234 }, 'en'), '1,234 items');
+  });
+
+  test('uses the plural rules of the locale', () => {
+    const message = '{count, plural, one {# plik} few {# pliki} many {# plików} other {# pliku}}';
+    assert.deepStrictEqual([1, 2, 5, 22].map(count => formatMessage(message, { count }, 'pl')), ['1 plik', '2 pliki', '5 plików', '22 pliki']);
+  });
+
+  test('formats select, selectordinal, offset and nested arguments', () => {
+    const nested = '{gender, select, female {She has {count, plural, one {# cat} other {# cats}}} other {They have {count, number}}}';
+    assert.strictEqual(formatMessage(nested, { gender: 'female', count: 2 }, 'en'), 'She has 2 cats');
+    assert.strictEqual(formatMessage(nested, { gender: 'x', count: 1000 }, 'en'), 'They have 1,000');
+
+    const ordinal = '{n, selectordinal, one {#st} two {#nd} few {#rd} other {#th}}';
+    assert.deepStrictEqual([1, 2, 3, 11, 22].map(n => formatMessage(ordinal, { n }, 'en')), ['1st', '2nd', '3rd', '11th', '22nd']);
+
+    const offset = '{n, plural, offset:1 =0 {nobody} =1 {{who}} one {{who} and # other} other {{who} and # others}}';
+    assert.strictEqual(formatMessage(offset, { n: 3, who: 'Ann' }, 'en'), 'Ann and 2 others');
+  });
+
+  test('honours apostrophe quoting', () => {
+    assert.strictEqual(formatMessage('It\'\'s \'{literal}\' {count, number}', { count: 5 }, 'en'), 'It\'s {literal} 5');
+  });
+
+  test('reports syntax errors', () => {
+    assert.throws(() => parse('{count, plural, one {x}}'), IcuSyntaxError);
+    assert.throws(() => parse('{count, plural, other {x}'), /Unterminated branch|Expected/);
+  });
+
+  test('formats numbers, dates, relative times and lists through Intl', () => {
+    assert.strictEqual(formatMessage('{price, number, currency:EUR}', { price: 12.5 }, 'de'), '12,50\u00a0€');
+    assert.strictEqual(formatMessage('{when, date, short}', { when: new Date(2024, 0, 5) }, 'en-GB'), '05/01/2024');
+    assert.strictEqual(formatMessage('{ago, relativetime, day}', { ago: -1 }, 'en'), 'yesterday');
+    assert.strictEqual(formatMessage('{ago, relativetime}', { ago: new Date(Date.now() - 3 * 3600 * 1000) }, 'en'), '3 hours ago');
+    assert.strictEqual(formatMessage('{list, list, disjunction}', { list: ['a', 'b', 'c'] }, 'en'), 'a, b, or c');
+    assert.strictEqual(formatMessage('{price, number, currency:NOPE}', { price: 2 }, 'en'), '2');
+  });
+
+  test('uses custom formatters registered on the runtime', () => {
+    addFormatter('upper', (value, locale, style) => `${String(value).toUpperCase()}${style}`);
+    assert.strictEqual(interpolate('Hi {name, upper, !}', { name: 'ann' }, 'en'), 'Hi ANN!');
+    assert.strictEqual(interpolate('Hi {name, upper}', { name: 'ann' }, 'en', { formatters: { upper: () => 'x' } }), 'Hi x');
+    assert.throws(() => addFormatter('bad', 'nope'), TypeError);
+  });
+
+  test('runtime interpolation falls back to simple placeholders', () => {
+    assert.ok(!hasIcuSyntax('Hello {name}'));
+    assert.strictEqual(interpolate('Hello {name} and {{name}}', { name: 'Ann' }), 'Hello Ann and Ann');
+    assert.strictEqual(interpolate('{count, plural, one {# file} other {# files}}', { count: 2 }, 'en'), '2 files');
+    assert.strictEqual(interpolate('{count, plural, one {x}', { count: 1 }), '{count, plural, one {x}');
+  });
+});
@@ -0,0 +1,171 @@
+/**
+ * Import and export merge tests
+ *
+ * Runs I18nImporter and I18nExporter against a project on disk: XLIFF and
+ * CSV units merged into nested JSON and flat PO files, untranslated and
+ * unknown units skipped, plural forms exported and imported one unit per
+ * form, and XLIFF files for unknown locale files or languages rejected.
+ */
+
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { CsvError } = require('../utils/csv');
+const { buildXliff } = require('../utils/xliff');
+
+const SOURCE_PO = [
+  'msgid ""',
+  'msgstr ""',
+  '"Language: en\\n"',
+  '',
+  'msgid "Save"',
+  'msgstr "Save"',
+  '',
+  'msgid "%d file"',
+  'msgid_plural "%d files"',
+  'msgstr[0] "%d file"',
+  'msgstr[1] "%d files"',
+  ''
+].join('\n');
+
+const TARGET_PO = [
+  'msgid ""',
+  'msgstr ""',
+  '"Language: de\\n"',
+  '"Plural-Forms: nplurals=2; plural=(n != 1);\\n"',
+  ''
+].join('\n');
+
+function writeProject(dir) {
+  const files = {
+    'locales/en/common.json': JSON.stringify({ greeting: { hello: 'Hello', bye: 'Bye' }, limits: { max: 10 } }, null, 2),
+    'locales/de/common.json': JSON.stringify({ greeting: { hello: 'NOT_TRANSLATED' } }, null, 2),
+    'locales/en/app.po': SOURCE_PO,
+    'locales/de/app.po': TARGET_PO
+  };
+  Object.entries(files).forEach(([name, content]) => {
+    fs.mkdirSync(path.dirname(path.join(dir, name)), { recursive: true });
+    fs.writeFileSync(path.join(dir, name), content);
+  });
+}
+
+describe('Import and export', () => {
+  const cwd = process.cwd();
+  const config = { sourceDir: 'locales', sourceLanguage: 'en', notTranslatedMarker: 'NOT_TRANSLATED', excludeFiles: [] };
+  let dir;
+  let createImporter;
+  let createExporter;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'i18ntk-import-'));
+    writeProject(dir);
+    // SecurityUtils resolves every path against the project directory
+    process.chdir(dir);
+    // The commands check for a completed setup when they are loaded
+    require('../utils/setup-enforcer').checkSetupCompleteAsync = async () => true;
+    const I18nImporter = require('../main/i18ntk-import');
+    const I18nExporter = require('../main/i18ntk-export');
+    const { I18nAnalyzer } = require('../main/i18ntk-analyze');
+    const withAnalyzer = (tool) => {
+      tool.analyzer = new I18nAnalyzer(config);
+      tool.analyzer.sourceDir = config.sourceDir;
+      // The analyzer lists language folders by absolute path, which
+      // SecurityUtils rejects; the files are given here instead
+      tool.analyzer.getLanguageFiles = () => ['app.po', 'common.json'];
+      tool.analyzer.getAvailableLanguages = () => ['de'];
+      return tool;
+    };
+    createImporter = () => withAnalyzer(new I18nImporter(config));
+    createExporter = () => withAnalyzer(new I18nExporter(config));
+  });
+
+  after(() => {
+    process.chdir(cwd);
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const readLocale = name => fs.readFileSync(path.join(dir, 'locales', name), 'utf8');
+
+  test('merges translated units into nested JSON and skips the rest', () => {
+    const result = createImporter().importFile({
+      original: 'common.json',
+      units: [
+        { key: 'greeting.hello', target: 'Hallo', state: 'translated' },
+        { key: 'greeting.bye', target: 'Tschüss', state: 'needs-translation' },
+        { key: 'greeting.bye', target: 'NOT_TRANSLATED Bye', state: 'translated' },
+        { key: 'greeting.unknown', target: 'Unbekannt', state: 'translated' }
+      ]
+    }, 'de', false);
+
+    assert.deepStrictEqual(result, { file: 'common.json', updated: 1, skipped: 3 });
+    assert.deepStrictEqual(JSON.parse(readLocale('de/common.json')), { greeting: { hello: 'Hallo' } });
+  });
+
+  test('exports plural forms as units and reports values it cannot export', () => {
+    const exporter = createExporter();
+    const files = exporter.collectFiles('de');
+    const po = files.find(file => file.original === 'app.po');
+
+    assert.deepStrictEqual(po.units.map(unit => [unit.key, unit.source, unit.state]), [
+      ['Save', 'Save', 'needs-translation'],
+      ['%d file[0]', '%d file', 'needs-translation'],
+      ['%d file[1]', '%d files', 'needs-translation']
+    ]);
+    assert.deepStrictEqual(Array.from(exporter.skippedKeys), ['common.json:limits.max']);
+  });
+
+  test('merges plural form units back into a flat PO catalog', () => {
+    const result = createImporter().importFile({
+      original: 'app.po',
+      units: [
+        { key: 'Save', target: 'Speichern', state: 'translated' },
+        { key: '%d file[0]', target: '%d Datei', state: 'translated' },
+        { key: '%d file[1]', target: '%d Dateien', state: 'translated' }
+      ]
+    }, 'de', false);
+    const catalog = readLocale('de/app.po');
+
+    assert.deepStrictEqual(result, { file: 'app.po', updated: 3, skipped: 0 });
+    assert.ok(catalog.includes('msgid "%d file"\nmsgid_plural "%d files"\nmsgstr[0] "%d Datei"\nmsgstr[1] "%d Dateien"'));
+    assert.ok(catalog.includes('msgid "Save"\nmsgstr "Speichern"'));
+  });
+
+  test('imports the language columns of a CSV sheet', () => {
+    const importer = createImporter();
+    const sheet = [
+      'file,key,description,en,de,status',
+      'common.json,greeting.bye,,Bye,Tschüss,needs-translation (de)',
+      'common.json,greeting.hello,,Hello,,needs-translation (de)',
+      ''
+    ].join('\n');
+    const results = importer.readSheet(sheet, 'translations.csv')
+      .map(({ language, file }) => ({ language, ...importer.importFile(file, language, true) }));
+
+    assert.deepStrictEqual(results, [
+      { language: 'en', file: 'common.json', updated: 0, skipped: 0 },
+      { language: 'de', file: 'common.json', updated: 1, skipped: 1 }
+    ]);
+    // An unknown language column never writes anywhere
+    assert.throws(() => importer.readSheet('file,key,en,xx\n', 'translations.csv'), CsvError);
+  });
+
+  test('rejects XLIFF files for unknown locale files and invalid languages', () => {
+    const importer = createImporter();
+    const xliff = (original, targetLanguage) => buildXliff({
+      version: '1.2',
+      sourceLanguage: 'en',
+      targetLanguage,
+      files: [{ original, units: [{ key: 'greeting.bye', source: 'Bye', target: 'Tschüss', state: 'translated' }] }]
+    });
+
+    const [{ language, file }] = importer.readXliff(xliff('common.json', 'de'), 'de.xlf');
+    assert.deepStrictEqual([language, file.original], ['de', 'common.json']);
+    // Messages are the UI keys here, as no UI locale is loaded
+    assert.throws(() => importer.readXliff(xliff('new.json', 'de'), 'de.xlf'), /import\.unknownFile/);
+    assert.throws(() => importer.readXliff(xliff('common.json', '../../etc'), 'de.xlf'), /import\.invalidLanguage/);
+    assert.throws(() => importer.readXliff(xliff('common.json', 'en'), 'de.xlf'), /import\.sourceLanguageTarget/);
+    assert.ok(!fs.existsSync(path.join(dir, 'locales', 'de', 'new.json')));
+  });
+});
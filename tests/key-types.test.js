@@ -0,0 +1,119 @@
+/**
+ * Key type generation tests
+ *
+ * Covers the declaration file written by `i18ntk types`: keys per namespace,
+ * the forms t() accepts and the parameters each message needs, checked by
+ * compiling a consumer of `i18ntk/runtime` with TypeScript.
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { buildKeyTypes, getMessageParams } = require('../utils/key-types');
+
+function loadTypeScript() {
+  try {
+    return require('typescript');
+  } catch (_) {
+    return null;
+  }
+}
+
+// Type-check a consumer project that imports this package as `i18ntk`
+function compileConsumer(ts, files) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'i18ntk-types-'));
+  try {
+    fs.mkdirSync(path.join(dir, 'node_modules'));
+    fs.symlinkSync(path.resolve(__dirname, '..'), path.join(dir, 'node_modules', 'i18ntk'), 'dir');
+    const names = Object.entries(files).map(([name, content]) => {
+      fs.writeFileSync(path.join(dir, name), content);
+      return path.join(dir, name);
+    });
+    const program = ts.createProgram(names, {
+      strict: true,
+      noEmit: true,
+      skipLibCheck: true,
+      types: [],
+      target: ts.ScriptTarget.ES2020,
+      module: ts.ModuleKind.Node16,
+      moduleResolution: ts.ModuleResolutionKind.Node16,
+    });
+    return ts.getPreEmitDiagnostics(program)
+      .map(diagnostic => `${path.basename(diagnostic.file ? diagnostic.file.fileName : '')}: ${ts.flattenDiagnosticMessageText(diagnostic.messageText, '\n')}`);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+describe('Key types', () => {
+  test('lists namespaced and merged keys of a language folder', () => {
+    const { content, keys, namespaces } = buildKeyTypes([
+      { namespace: 'common', data: { nav: { home: 'Home' } } },
+      { namespace: 'admin/users', data: { 'admin/users': { title: 'Users' } } },
+    ], { language: 'en' });
+
+    assert.strictEqual(keys, 6);
+    assert.strictEqual(namespaces, 2);
+    assert.match(content, /from the en locale files/);
+    assert.match(content, /  'admin\/users':\n    \| 'title';/);
+    assert.match(content, /  common:\n    \| 'nav\.home';/);
+    assert.match(content, /=\n  \| 'admin\/users\.title'\n  \| 'admin\/users:title'\n  \| 'common\.nav\.home'\n  \| 'common:nav\.home'\n  \| 'nav\.home'\n  \| 'title';/);
+    assert.match(content, /declare module 'i18ntk\/runtime\/core' \{\n  interface TranslationRegistry \{/);
+  });
+
+  test('uses the first segment of a single-file language as the namespace', () => {
+    const { content } = buildKeyTypes([{ namespace: null, data: { settings: { title: 'Settings' }, hello: 'Hi' } }]);
+    assert.match(content, /  settings:\n    \| 'title';/);
+    assert.match(content, /\| 'hello'\n  \| 'settings\.title'\n  \| 'settings:title';/);
+  });
+
+  test('types the parameters messages interpolate', () => {
+    const { content } = buildKeyTypes([{
+      namespace: null,
+      data: {
+        cart: {
+          items_one: '{count} item',
+          items_other: '{count} items',
+          total: 'Total: {amount, number, ::currency/EUR} on {day, date, short}',
+          greeting: { one: '{gender, select, male {He} other {They}} ordered', other: 'Hi {{name}}' },
+        },
+        plain: 'No parameters',
+      },
+    }]);
+
+    assert.match(content, /  'cart\.items': \{ count: number \};/);
+    assert.match(content, /  'cart\.items_one': \{ count: string \| number \};/);
+    assert.match(content, /  'cart:total': \{ amount: number; day: Date \| number \};/);
+    assert.match(content, /  'cart\.greeting': \{ gender: string; name: string \| number; count: number \};/);
+    assert.doesNotMatch(content, /'plain': \{/);
+  });
+
+  test('makes t() of i18ntk/runtime reject unknown keys and missing parameters', { skip: !loadTypeScript() && 'typescript is not installed' }, () => {
+    const { content } = buildKeyTypes([{ namespace: null, data: { settings: { title: 'Settings' }, hello: 'Hi {name}' } }]);
+    const diagnostics = compileConsumer(loadTypeScript(), {
+      'i18ntk-keys.d.ts': content,
+      'app.ts': [
+        "import { t, translate } from 'i18ntk/runtime';",
+        "t('settings.title');",
+        "t('settings:title');",
+        "translate('hello', { name: 'Ann' });",
+        '// @ts-expect-error misspelled key',
+        "t('setings.title');",
+        '// @ts-expect-error missing parameters',
+        "t('hello');",
+        ''
+      ].join('\n'),
+    });
+
+    assert.deepStrictEqual(diagnostics, []);
+  });
+
+  test('reads malformed ICU as simple placeholders', () => {
+    // No `other` case, so the runtime substitutes {name} only
+    assert.deepStrictEqual(Array.from(getMessageParams('Hi {name}, {count, plural, one {# item}}')), [
+      ['name', 'string | number'],
+    ]);
+  });
+});
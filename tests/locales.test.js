@@ -0,0 +1,64 @@
+/**
+ * Locale fallback and negotiation tests
+ *
+ * Covers fallback chains, Accept-Language parsing and language negotiation
+ * used by the runtimes.
+ */
+
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { getFallbackChain, parseAcceptLanguage, negotiateLanguage } = require('../runtime/locales');
+const runtime = require('../runtime/index');
+
+describe('Locale fallbacks', () => {
+  test('walks from regional tags to their base language', () => {
+    assert.deepStrictEqual(getFallbackChain('de-AT', { fallbackLanguage: 'en' }), ['de-AT', 'de', 'en']);
+    assert.deepStrictEqual(getFallbackChain('zh-Hant-TW'), ['zh-Hant-TW', 'zh-Hant', 'zh']);
+    assert.deepStrictEqual(getFallbackChain('en', { fallbackLanguage: 'en' }), ['en']);
+  });
+
+  test('follows explicit fallback maps', () => {
+    const fallbacks = { 'pt-BR': ['pt', 'es', 'en'], 'de': 'fr', default: ['it'] };
+    assert.deepStrictEqual(getFallbackChain('pt_br', { fallbacks, fallbackLanguage: 'en' }), ['pt_br', 'pt', 'es', 'en', 'it']);
+    assert.deepStrictEqual(getFallbackChain('de-CH', { fallbacks, fallbackLanguage: 'en' }), ['de-CH', 'de', 'fr', 'it', 'en']);
+  });
+
+  test('negotiates a language from Accept-Language or navigator.languages', () => {
+    assert.deepStrictEqual(parseAcceptLanguage('fr;q=0.5, de-AT, *;q=0.1, en;q=0'), ['de-AT', 'fr']);
+    assert.strictEqual(negotiateLanguage('de-AT,fr;q=0.8', ['en', 'fr', 'de']), 'de');
+    assert.strictEqual(negotiateLanguage(['en-US', 'fr'], ['fr', 'en-GB']), 'en-GB');
+    assert.strictEqual(negotiateLanguage('pt-br', ['en', 'pt-BR']), 'pt-BR');
+    assert.strictEqual(negotiateLanguage('ja', ['en', 'de'], 'en'), 'en');
+    assert.strictEqual(negotiateLanguage(undefined, ['en', 'de'], 'de'), 'de');
+  });
+
+  describe('runtime translate', () => {
+    let dir;
+
+    before(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'i18ntk-locales-'));
+      fs.writeFileSync(path.join(dir, 'en.json'), JSON.stringify({ color: 'color', bye: 'bye', hi: 'hi' }));
+      fs.writeFileSync(path.join(dir, 'de.json'), JSON.stringify({ bye: 'tschüss', hi: 'hallo' }));
+      fs.writeFileSync(path.join(dir, 'de-AT.json'), JSON.stringify({ hi: 'servus' }));
+      fs.writeFileSync(path.join(dir, 'es.json'), JSON.stringify({ color: 'color (es)' }));
+      runtime.initRuntime({ baseDir: dir, language: 'de-AT', fallbackLanguage: 'en', fallbacks: { 'pt-BR': ['pt', 'es', 'en'] } });
+    });
+
+    after(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('falls back through the chain and negotiates against the locales folder', () => {
+      runtime.setLanguage('de-AT');
+      assert.deepStrictEqual(['hi', 'bye', 'color'].map(key => runtime.t(key)), ['servus', 'tschüss', 'color']);
+      runtime.setLanguage('pt-BR');
+      assert.strictEqual(runtime.t('color'), 'color (es)');
+      assert.strictEqual(runtime.negotiateLanguage('de-CH, en;q=0.5'), 'de');
+      assert.ok(runtime.exists('hi', { language: 'de-AT' }));
+      assert.ok(!runtime.exists('bye', { language: 'de-AT' }));
+    });
+  });
+});
@@ -0,0 +1,88 @@
+/**
+ * Missing-key tests
+ *
+ * The onMissingKey hook, the marker and throw modes, and the collector that
+ * writes usage-shaped reports for `i18ntk complete --missing-keys`.
+ */
+
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createRuntime } = require('../runtime/core');
+const { createMemoryLoader, createImportLoader, createMissingKeyCollector, MissingKeyError } = require('../runtime/index');
+
+describe('Missing keys', () => {
+  let dir;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'i18ntk-missing-'));
+  });
+
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('reports keys no language of the chain has', () => {
+    const misses = [];
+    const i18n = createRuntime({
+      loader: createMemoryLoader({ en: { hello: 'Hello' }, 'de/checkout': { total: 'Summe' } }),
+      language: 'de',
+      onMissingKey: (key, language, namespace) => misses.push([key, language, namespace]),
+    });
+
+    assert.strictEqual(i18n.t('hello'), 'Hello');
+    assert.strictEqual(i18n.t('checkout:tax'), 'checkout:tax');
+    assert.strictEqual(i18n.t('nav.home'), 'nav.home');
+    assert.deepStrictEqual(misses, [['checkout:tax', 'de', 'checkout'], ['nav.home', 'de', undefined]]);
+  });
+
+  test('does not report keys whose language is still loading', async () => {
+    const misses = [];
+    const i18n = createRuntime({
+      loader: createImportLoader(async () => ({ default: { hello: 'Hallo' } })),
+      language: 'de',
+      fallbackLanguage: 'de',
+      onMissingKey: key => misses.push(key),
+    });
+
+    assert.strictEqual(i18n.t('hello'), 'hello');
+    assert.deepStrictEqual(misses, []);
+    await i18n.loadLanguage('de');
+    assert.strictEqual(i18n.t('bye'), 'bye');
+    assert.deepStrictEqual(misses, ['bye']);
+  });
+
+  test('returns a marker or throws in development', () => {
+    const i18n = createRuntime({ resources: { en: { hello: 'Hello' } }, missingKeys: 'marker' });
+    assert.strictEqual(i18n.t('nope'), '[missing: nope]');
+
+    const strict = i18n.cloneInstance({ missingKeys: 'throw' });
+    assert.strictEqual(strict.t('hello'), 'Hello');
+    assert.throws(() => strict.t('nope'), error => error instanceof MissingKeyError && error.key === 'nope');
+    assert.throws(() => createRuntime({ missingKeys: 'loud' }), TypeError);
+  });
+
+  test('collector dedupes misses and merges them into the report file', () => {
+    const file = path.join(dir, 'missing-keys.json');
+    const first = createMissingKeyCollector({ file, interval: 0 });
+    first.record('checkout:tax', 'de', 'checkout');
+    first.record('checkout:tax', 'de', 'checkout');
+    first.record('nav.home', 'fr');
+    first.stop();
+
+    const second = createMissingKeyCollector({ file, interval: 0 });
+    second.record('checkout:tax', 'de', 'checkout');
+    assert.strictEqual(second.stop().stats.occurrences, 4);
+
+    const report = JSON.parse(fs.readFileSync(file, 'utf8'));
+    assert.deepStrictEqual(report.missingKeys, ['checkout:tax', 'nav.home']);
+    assert.strictEqual(report.stats.missingKeys, 2);
+    assert.deepStrictEqual(
+      report.occurrences.map(({ key, language, namespace, count }) => [key, language, namespace, count]),
+      [['checkout:tax', 'de', 'checkout', 3], ['nav.home', 'fr', null, 1]]
+    );
+    assert.strictEqual(second.flush(), null);
+  });
+});
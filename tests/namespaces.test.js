@@ -0,0 +1,81 @@
+/**
+ * Lazy namespace tests
+ *
+ * Keys such as `checkout:summary.total` or `checkout.summary.total` load only
+ * `<lang>/checkout.json`; preloadNamespaces() and the namespacesLoaded event.
+ */
+
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createRuntime } = require('../runtime/core');
+const { createFetchLoader } = require('../runtime/loaders');
+const runtime = require('../runtime/index');
+
+describe('Lazy namespaces', () => {
+  let dir;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'i18ntk-namespaces-'));
+    fs.mkdirSync(path.join(dir, 'en', 'admin'), { recursive: true });
+    fs.writeFileSync(path.join(dir, 'en', 'common.json'), JSON.stringify({ hello: 'Hello' }));
+    fs.writeFileSync(path.join(dir, 'en', 'checkout.json'), JSON.stringify({ summary: { total: 'Total' } }));
+    fs.writeFileSync(path.join(dir, 'en', 'admin', 'users.json'), JSON.stringify({ title: 'Users' }));
+  });
+
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('loads only the namespace file a key points at', () => {
+    const requested = [];
+    const base = runtime.createFsLoader({ baseDir: dir });
+    const loader = { ...base, load: (lang, ns) => { requested.push(ns || '*'); return base.load(lang, ns); } };
+    const i18n = createRuntime({ loader, language: 'en' });
+
+    assert.strictEqual(i18n.t('checkout:summary.total'), 'Total');
+    assert.strictEqual(i18n.t('checkout.summary.total'), 'Total');
+    assert.strictEqual(i18n.t('admin/users:title'), 'Users');
+    assert.strictEqual(i18n.t('checkout:missing'), 'checkout:missing');
+    assert.deepStrictEqual(requested, ['checkout', 'admin/users']);
+
+    // Keys that name no namespace load the whole language
+    assert.strictEqual(i18n.t('hello'), 'Hello');
+    assert.deepStrictEqual(requested, ['checkout', 'admin/users', '*']);
+  });
+
+  test('merges the whole folder when lazy loading is off', () => {
+    const i18n = runtime.createInstance({ baseDir: dir, language: 'en', lazyNamespaces: false });
+    assert.strictEqual(i18n.t('summary.total'), 'Total');
+    assert.strictEqual(i18n.t('checkout:summary.total'), 'checkout:summary.total');
+  });
+
+  test('preloads namespaces and emits namespacesLoaded', async () => {
+    const served = { '/locales/de/checkout.json': { total: 'Summe' }, '/locales/de/common.json': { hello: 'Hallo' } };
+    const fetch = async url => (served[url]
+      ? { ok: true, status: 200, json: async () => served[url] }
+      : { ok: false, status: 404, json: async () => ({}) });
+    const i18n = createRuntime({
+      loader: createFetchLoader({ fetch, namespaces: ['checkout', 'common'] }),
+      language: 'de',
+      fallbackLanguage: 'de',
+    });
+    const events = [];
+    const stop = i18n.on('namespacesLoaded', event => events.push(event));
+
+    assert.strictEqual(i18n.t('checkout:total'), 'checkout:total');
+    await i18n.preloadNamespaces(['checkout', 'common']);
+    assert.strictEqual(i18n.t('checkout:total'), 'Summe');
+    assert.strictEqual(i18n.t('common:hello'), 'Hallo');
+    assert.deepStrictEqual(events, [
+      { language: 'de', namespaces: ['checkout'] },
+      { language: 'de', namespaces: ['common'] },
+    ]);
+
+    stop();
+    await i18n.preloadNamespaces('common');
+    assert.strictEqual(events.length, 2);
+  });
+});
@@ -0,0 +1,99 @@
+/**
+ * Plural resolution tests
+ *
+ * Covers Intl.PluralRules category selection, the plural-suffix / nested
+ * plural object lookups used by both runtimes, and the plural group check of
+ * the validators.
+ */
+
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { getPluralCategory, getPluralCategories, resolvePlural } = require('../runtime/plurals');
+const runtime = require('../runtime/index');
+const { findMissingPluralForms } = require('../utils/plural-forms');
+
+describe('Plural rules', () => {
+  test('selects CLDR categories for any locale', () => {
+    assert.deepStrictEqual([1, 2, 5, 22].map(n => getPluralCategory(n, 'pl')), ['one', 'few', 'many', 'few']);
+    assert.deepStrictEqual([0, 1, 2, 3, 11, 100].map(n => getPluralCategory(n, 'ar')), ['zero', 'one', 'two', 'few', 'many', 'other']);
+    assert.deepStrictEqual(getPluralCategories('cy'), ['zero', 'one', 'two', 'few', 'many', 'other']);
+    assert.strictEqual(getPluralCategory(2, 'en_US', 'ordinal'), 'two');
+  });
+
+  test('resolves suffix keys, ordinals and nested plural objects', () => {
+    const messages = {
+      file_one: '{{count}} plik',
+      file_few: '{{count}} pliki',
+      file_other: '{{count}} pliku',
+      place_ordinal_one: '{{count}}st',
+      place_ordinal_other: '{{count}}th',
+      cat: { zero: 'no cats', one: 'a cat', other: 'cats' }
+    };
+    const lookup = key => messages[key];
+    assert.strictEqual(resolvePlural(lookup, 'file', 3, 'pl'), '{{count}} pliki');
+    assert.strictEqual(resolvePlural(lookup, 'file', 5, 'pl'), '{{count}} pliku');
+    assert.strictEqual(resolvePlural(lookup, 'place', 21, 'en', { ordinal: true }), '{{count}}st');
+    assert.strictEqual(resolvePlural(lookup, 'place', 12, 'en', { ordinal: true }), '{{count}}th');
+    assert.strictEqual(resolvePlural(lookup, 'cat', 0, 'en'), 'no cats');
+    assert.strictEqual(resolvePlural(lookup, 'cat', 1, 'en'), 'a cat');
+  });
+
+  describe('runtime translate', () => {
+    let dir;
+
+    before(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'i18ntk-plurals-'));
+      fs.writeFileSync(path.join(dir, 'en.json'), JSON.stringify({
+        items_one: '{{count}} item',
+        items_other: '{{count}} items',
+        inbox: { messages: { one: 'One message', other: '{count} messages' } }
+      }));
+      fs.writeFileSync(path.join(dir, 'ru.json'), JSON.stringify({
+        items_one: '{{count}} файл',
+        items_few: '{{count}} файла',
+        items_many: '{{count}} файлов'
+      }));
+      runtime.initRuntime({ baseDir: dir, language: 'ru', fallbackLanguage: 'en' });
+    });
+
+    after(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('picks the plural form for the current language', () => {
+      runtime.setLanguage('ru');
+      assert.strictEqual(runtime.t('items', { count: 3 }), '3 файла');
+      assert.strictEqual(runtime.t('items', { count: 11 }), '11 файлов');
+      assert.strictEqual(runtime.t('inbox.messages', { count: 4 }), '4 messages');
+      runtime.setLanguage('en');
+      assert.strictEqual(runtime.t('items', { count: 1 }), '1 item');
+      assert.strictEqual(runtime.t('inbox.messages', { count: 1 }), 'One message');
+    });
+  });
+});
+
+describe('Plural group check', () => {
+  test('reports plural groups that lack categories of the target language', () => {
+    const source = {
+      files: { one: '{count} file', other: '{count} files' },
+      cart: { items: { one: '{count} item', other: '{count} items' } },
+      // Objects with other keys are not plural groups, nor is `other` alone
+      sizes: { one: 'Small', other: 'Other', large: 'Large' },
+      message: { other: 'Hello' }
+    };
+    const target = {
+      files: { one: '{count} файл', many: '{count} файлов', other: '{count} файла' },
+      cart: { items: { other: '{count} товаров' } },
+      sizes: { other: 'Другой' },
+      message: { other: 'Привет' }
+    };
+
+    assert.deepStrictEqual(findMissingPluralForms(source, target, getPluralCategories('ru')), [
+      { key: 'files', missing: ['few'] },
+      { key: 'cart.items', missing: ['one', 'few', 'many'] }
+    ]);
+  });
+});
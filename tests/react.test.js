@@ -0,0 +1,279 @@
+/**
+ * React binding tests
+ *
+ * Runs I18nProvider, useI18n(), useTranslation() and <Trans> against a stub
+ * of `react` (hooks, context and a renderer to an HTML string): components
+ * render again on runtime events, namespaces prefix keys, and <Trans> fills
+ * numbered and named tags and falls back to its defaults.
+ */
+
+const { describe, test, before } = require('node:test');
+const assert = require('node:assert');
+const Module = require('module');
+const { createRuntime } = require('../runtime/core');
+const { createMemoryLoader } = require('../runtime/loaders');
+
+// Just enough of React for the bindings; a root renders its whole tree again
+// on every state change and runs effects afterwards, synchronously
+function createReactStub() {
+  const ELEMENT = Symbol('element');
+  const Fragment = Symbol('Fragment');
+  let root = null;
+  let frame = null;
+
+  function createElement(type, props, ...children) {
+    const merged = { ...props };
+    if (children.length) merged.children = children.length === 1 ? children[0] : children;
+    return { $$typeof: ELEMENT, type, props: merged };
+  }
+
+  const isValidElement = value => Boolean(value) && value.$$typeof === ELEMENT;
+
+  function cloneElement(element, props, ...children) {
+    return createElement(element.type, { ...element.props, ...props }, ...children);
+  }
+
+  function slot(init) {
+    const index = frame.index++;
+    if (!(index in frame.slots)) frame.slots[index] = init();
+    return frame.slots[index];
+  }
+
+  const changed = (previous, deps) => !previous || !deps || deps.some((dep, i) => !Object.is(dep, previous[i]));
+
+  function useState(initial) {
+    const current = root;
+    const state = slot(() => {
+      const cell = { value: initial };
+      cell.set = (next) => {
+        cell.value = typeof next === 'function' ? next(cell.value) : next;
+        current.schedule();
+      };
+      return cell;
+    });
+    return [state.value, state.set];
+  }
+
+  function useMemo(create, deps) {
+    const memo = slot(() => ({}));
+    if (changed(memo.deps, deps)) {
+      memo.value = create();
+      memo.deps = deps;
+    }
+    return memo.value;
+  }
+
+  function useEffect(effect, deps) {
+    const cell = slot(() => ({}));
+    if (!changed(cell.deps, deps)) return;
+    cell.deps = deps;
+    root.effects.push(() => {
+      if (typeof cell.cleanup === 'function') cell.cleanup();
+      cell.cleanup = effect();
+    });
+  }
+
+  function createContext(defaultValue) {
+    const context = { values: [defaultValue] };
+    context.Provider = { context };
+    return context;
+  }
+
+  const useContext = context => context.values[context.values.length - 1];
+
+  const attributes = props => Object.entries(props)
+    .filter(([name, value]) => name !== 'children' && typeof value === 'string')
+    .map(([name, value]) => ` ${name}="${value}"`)
+    .join('');
+
+  function renderNode(node, path) {
+    if (node === null || node === undefined || typeof node === 'boolean') return '';
+    if (Array.isArray(node)) return node.map((child, index) => renderNode(child, `${path}.${index}`)).join('');
+    if (!isValidElement(node)) return String(node);
+    const { type, props } = node;
+    if (type === Fragment) return renderNode(props.children, path);
+    if (type && type.context) {
+      type.context.values.push(props.value);
+      try {
+        return renderNode(props.children, `${path}>Provider`);
+      } finally {
+        type.context.values.pop();
+      }
+    }
+    if (typeof type === 'function') {
+      const id = `${path}>${type.name}`;
+      if (!root.hooks.has(id)) root.hooks.set(id, []);
+      const previous = frame;
+      frame = { slots: root.hooks.get(id), index: 0 };
+      try {
+        return renderNode(type(props), id);
+      } finally {
+        frame = previous;
+      }
+    }
+    return `<${type}${attributes(props)}>${renderNode(props.children, `${path}>${type}`)}</${type}>`;
+  }
+
+  function render(element) {
+    let running = false;
+    let dirty = false;
+    root = {
+      html: '',
+      hooks: new Map(),
+      effects: [],
+      schedule() {
+        if (running) {
+          dirty = true;
+          return;
+        }
+        running = true;
+        try {
+          do {
+            dirty = false;
+            this.html = renderNode(element, 'root');
+            const effects = this.effects.splice(0);
+            effects.forEach(run => run());
+          } while (dirty);
+        } finally {
+          running = false;
+        }
+      },
+      update(next) {
+        element = next;
+        this.schedule();
+      },
+      unmount() {
+        for (const slots of this.hooks.values()) {
+          slots.forEach(cell => typeof cell.cleanup === 'function' && cell.cleanup());
+        }
+        this.hooks.clear();
+      },
+    };
+    root.schedule();
+    return root;
+  }
+
+  return {
+    createElement,
+    cloneElement,
+    isValidElement,
+    createContext,
+    useContext,
+    useState,
+    useMemo,
+    useEffect,
+    Fragment,
+    render,
+  };
+}
+
+// Runtime events resolve on later ticks
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+describe('React bindings', () => {
+  const React = createReactStub();
+  const h = React.createElement;
+  let bindings;
+
+  before(() => {
+    // `react` is a peer dependency; the stub stands in for it
+    const resolve = Module._resolveFilename;
+    Module._resolveFilename = function (request, ...rest) {
+      return request === 'react' ? 'react' : resolve.call(this, request, ...rest);
+    };
+    require.cache.react = { id: 'react', filename: 'react', loaded: true, exports: React };
+    bindings = require('../runtime/react');
+  });
+
+  const createI18n = loader => createRuntime({
+    loader: loader || createMemoryLoader({
+      en: { hi: 'Hi', terms: 'Read the <link>terms</link> and <0>rules</0>.<br/>' },
+      de: { hi: 'Hallo', terms: 'Lies die <link>AGB</link> und <0>Regeln</0>.<br/>' },
+    }),
+    language: 'en',
+  });
+
+  test('renders again when the language or translations change', async () => {
+    const loader = createMemoryLoader({ en: { hi: 'Hi' }, de: { hi: 'Hallo' } });
+    const i18n = createI18n(loader);
+    await i18n.loadLanguage('en');
+    function Greeting() {
+      const { t, language } = bindings.useI18n();
+      return h('p', null, t('hi'), ' ', language);
+    }
+    const root = React.render(h(bindings.I18nProvider, { i18n }, h(Greeting)));
+    assert.strictEqual(root.html, '<p>Hi en</p>');
+
+    await i18n.changeLanguage('de');
+    assert.strictEqual(root.html, '<p>Hallo de</p>');
+
+    root.update(h(bindings.I18nProvider, { i18n, language: 'en' }, h(Greeting)));
+    await settle();
+    assert.strictEqual(root.html, '<p>Hi en</p>');
+
+    loader.add('en', { hi: 'Hello' });
+    await i18n.reloadLanguage('en');
+    assert.strictEqual(root.html, '<p>Hello en</p>');
+
+    root.unmount();
+    await i18n.changeLanguage('de');
+    assert.strictEqual(root.html, '<p>Hello en</p>');
+  });
+
+  test('useTranslation() loads its namespace and prefixes keys with it', async () => {
+    const loader = createMemoryLoader({
+      'en/checkout': { total: 'Total' },
+      'en/common': { total: 'Sum of all' },
+    });
+    // Loads finish after the first render, as with files fetched over the network
+    const i18n = createI18n({ ...loader, load: async (...args) => loader.load(...args) });
+    function Total() {
+      const { t, ready } = bindings.useTranslation(['checkout', 'common']);
+      return h('p', null, ready ? [t('total'), ' / ', t('common:total')] : 'Loading');
+    }
+    const root = React.render(h(bindings.I18nProvider, { i18n }, h(Total)));
+    assert.strictEqual(root.html, '<p>Loading</p>');
+
+    await settle();
+    assert.strictEqual(root.html, '<p>Total / Sum of all</p>');
+    root.unmount();
+  });
+
+  test('<Trans> fills named and numbered tags with components', async () => {
+    const i18n = createI18n();
+    await i18n.loadLanguage('en');
+    const terms = () => h(bindings.Trans, {
+      i18nKey: 'terms',
+      components: { link: h('a', { href: '/terms' }), 0: 'b', br: 'br' },
+    });
+    const root = React.render(h(bindings.I18nProvider, { i18n }, terms()));
+    assert.strictEqual(root.html, 'Read the <a href="/terms">terms</a> and <b>rules</b>.<br></br>');
+
+    await i18n.changeLanguage('de');
+    assert.strictEqual(root.html, 'Lies die <a href="/terms">AGB</a> und <b>Regeln</b>.<br></br>');
+    root.unmount();
+  });
+
+  test('<Trans> renders its defaults while the key is missing', async () => {
+    const i18n = createI18n();
+    await i18n.loadLanguage('en');
+    const root = React.render(h(bindings.I18nProvider, { i18n }, h(bindings.Trans, {
+      i18nKey: 'welcome',
+      ns: 'onboarding',
+      defaults: 'Welcome, <0>{name}</0>',
+      values: { name: 'Ann' },
+      components: [h('strong')],
+    })));
+
+    assert.strictEqual(root.html, 'Welcome, <strong>Ann</strong>');
+    root.unmount();
+  });
+
+  test('needs a provider with a runtime instance', () => {
+    function Orphan() {
+      return bindings.useI18n().t('hi');
+    }
+    assert.throws(() => React.render(h(Orphan)), /useI18n\(\) must be used inside <I18nProvider>/);
+    assert.throws(() => React.render(h(bindings.I18nProvider, { i18n: {} })), TypeError);
+  });
+});
@@ -0,0 +1,56 @@
+/**
+ * Runtime instance tests
+ *
+ * Covers isolated translators from createInstance() and request scoping of the
+ * module-level API through AsyncLocalStorage.
+ */
+
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const runtime = require('../runtime/index');
+
+describe('Runtime instances', () => {
+  let dir;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'i18ntk-instances-'));
+    fs.writeFileSync(path.join(dir, 'en.json'), JSON.stringify({ hello: 'Hello {name}', nested: { bye: 'Bye' } }));
+    fs.writeFileSync(path.join(dir, 'de.json'), JSON.stringify({ hello: 'Hallo {name}' }));
+    fs.writeFileSync(path.join(dir, 'fr.json'), JSON.stringify({ hello: 'Bonjour {name}' }));
+    runtime.initRuntime({ baseDir: dir, language: 'en' });
+  });
+
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('keep their own language and share read-only translations', () => {
+    const de = runtime.createInstance({ baseDir: dir, language: 'de' });
+    const fr = runtime.createInstance({ baseDir: dir, language: 'fr' });
+    fr.setLanguage('de');
+    fr.setLanguage('fr');
+
+    assert.strictEqual(de.t('hello', { name: 'Ann' }), 'Hallo Ann');
+    assert.strictEqual(fr.t('hello', { name: 'Ann' }), 'Bonjour Ann');
+    assert.strictEqual(de.t('nested.bye'), 'Bye');
+    assert.strictEqual(runtime.getLanguage(), 'en');
+    assert.ok(Object.isFrozen(de.t('nested')));
+  });
+
+  test('scope the module-level t() to the current async context', async () => {
+    const request = async (language, delay) => runtime.runWithLanguage(language, async () => {
+      await new Promise(resolve => setTimeout(resolve, delay));
+      return runtime.t('hello', { name: runtime.getLanguage() });
+    });
+
+    const results = await Promise.all([request('de', 20), request('fr', 5), request('en', 10)]);
+    assert.deepStrictEqual(results, ['Hallo de', 'Bonjour fr', 'Hello en']);
+    assert.strictEqual(runtime.t('hello', { name: 'x' }), 'Hello x');
+
+    const instance = runtime.createInstance({ baseDir: dir, language: 'fr' });
+    assert.strictEqual(runtime.runWithInstance(instance, () => runtime.getCurrentInstance()), instance);
+  });
+});
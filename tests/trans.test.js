@@ -0,0 +1,77 @@
+/**
+ * Tests for what the React bindings build on
+ *
+ * Tag parsing for <Trans>, and the runtime events and namespace helpers that
+ * make bound components render again.
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+const { parseTrans, renderTrans } = require('../runtime/trans');
+const { createRuntime } = require('../runtime/core');
+const { createMemoryLoader } = require('../runtime/loaders');
+
+// Renders tags as [name, ...children] so results are easy to compare
+const wrap = (component, children) => [component, ...children];
+
+describe('Trans', () => {
+  test('parses numbered, named, nested and self-closing tags', () => {
+    assert.deepStrictEqual(parseTrans('Read the <0>docs</0>.<br/>Or <link>ask <1>us</1></link>'), [
+      'Read the ',
+      { name: '0', children: ['docs'] },
+      '.',
+      { name: 'br', children: [] },
+      'Or ',
+      { name: 'link', children: ['ask ', { name: '1', children: ['us'] }] },
+    ]);
+  });
+
+  test('keeps unmatched tags as text', () => {
+    assert.deepStrictEqual(parseTrans('a <0>b</1> c'), ['a <0>b</1> c']);
+    assert.deepStrictEqual(parseTrans('1 < 2 and 3 > 2'), ['1 < 2 and 3 > 2']);
+  });
+
+  test('renders tags with their components and drops unknown ones', () => {
+    const nodes = parseTrans('Hi <0>Ann</0>, see <b>this</b>');
+    assert.deepStrictEqual(renderTrans(nodes, ['strong'], wrap), ['Hi ', ['strong', 'Ann'], ', see ', 'this']);
+    assert.deepStrictEqual(renderTrans(nodes, { b: 'em' }, wrap), ['Hi ', 'Ann', ', see ', ['em', 'this']]);
+  });
+});
+
+describe('Runtime events for bindings', () => {
+  test('announces language changes to the instance that changed', async () => {
+    const i18n = createRuntime({ resources: { en: { hi: 'Hi' }, de: { hi: 'Hallo' } } });
+    const clone = i18n.cloneInstance();
+    const changes = [];
+    i18n.on('languageChanged', event => changes.push(event));
+
+    clone.setLanguage('de');
+    i18n.setLanguage('en');
+    await i18n.changeLanguage('de');
+    assert.deepStrictEqual(changes, [{ language: 'de', previous: 'en' }]);
+  });
+
+  test('announces loaded languages and namespaces once they are usable', async () => {
+    const i18n = createRuntime({
+      loader: createMemoryLoader({ en: { title: 'Title' }, 'de/checkout': { total: 'Summe' }, 'de/common': {} }),
+      language: 'de',
+      fallbackLanguage: 'en',
+    });
+    const loaded = [];
+    i18n.on('languageLoaded', event => loaded.push(event.language));
+
+    assert.strictEqual(i18n.hasLoadedNamespaces('checkout'), false);
+    await i18n.preloadNamespaces('checkout');
+    assert.strictEqual(i18n.hasLoadedNamespaces('checkout'), true);
+    assert.strictEqual(i18n.hasLoadedNamespaces(['checkout', 'common']), false);
+    // en is not split, so it was loaded whole
+    assert.deepStrictEqual(loaded, ['en']);
+    assert.strictEqual(i18n.t('checkout:total'), 'Summe');
+  });
+
+  test('reads namespace:key as a nested key in languages that are not split', () => {
+    const i18n = createRuntime({ resources: { en: { checkout: { total: 'Total' } } } });
+    assert.strictEqual(i18n.t('checkout:total'), 'Total');
+    assert.strictEqual(i18n.t('checkout:missing'), 'checkout:missing');
+  });
+});
@@ -0,0 +1,49 @@
+/**
+ * Usage analysis tests
+ *
+ * Keys the `ast` extractor reports with their namespace (`shop:cart.total`,
+ * `common:status.*`) are matched against the keys of namespace files, which
+ * are read without one, and plural forms count as their base key.
+ */
+
+const { describe, test, before } = require('node:test');
+const assert = require('node:assert');
+const ast = require('../utils/extractors/ast');
+
+const SOURCE = `export function Cart({ status }) {
+  const { t } = useTranslation('shop');
+  return [t('cart.total'), t('common:hello'), t('common:items', { count: 2 }), t(\`common:status.\${status}\`), t('shop:gone'), t('nav:home')];
+}
+`;
+
+const FILES = {
+  common: { hello: 'Hello', items_one: '{{count}} item', items_other: '{{count}} items', status: { ok: 'OK', failed: 'Failed' }, bye: 'Bye' },
+  shop: { cart: { total: 'Total', empty: 'Empty' } },
+};
+
+describe('Usage analysis', () => {
+  let analyzer;
+
+  before(() => {
+    // The analyzer checks for a completed setup when it is loaded
+    require('../utils/setup-enforcer').checkSetupCompleteAsync = async () => true;
+    const I18nUsageAnalyzer = require('../main/i18ntk-usage');
+    analyzer = new I18nUsageAnalyzer({ extractor: 'ast' });
+    for (const [namespace, data] of Object.entries(FILES)) {
+      const keys = analyzer.extractKeysFromObject(data);
+      keys.forEach(key => analyzer.availableKeys.add(key));
+      analyzer.recordKeyNamespace(keys, namespace);
+    }
+    // A language file without namespaces nests them instead
+    analyzer.availableKeys.add('nav.home');
+    ast.extract(SOURCE, [], { filePath: 'src/Cart.jsx' }).forEach(key => analyzer.usedKeys.add(key));
+  });
+
+  test('counts namespaced keys, prefixes and plural forms as used', () => {
+    assert.deepStrictEqual(analyzer.findUnusedKeys(), ['bye', 'cart.empty']);
+  });
+
+  test('looks up namespaced keys in their namespace', () => {
+    assert.deepStrictEqual(analyzer.findMissingKeys(), ['shop:gone']);
+  });
+});
@@ -0,0 +1,185 @@
+/**
+ * Vue plugin tests
+ *
+ * Runs createI18n() and useI18n() against a stub of `vue` (synchronous refs,
+ * watch and watchEffect) and a stub app: $t and locale follow language
+ * switches, and v-t renders again when the language changes.
+ */
+
+const { describe, test, before } = require('node:test');
+const assert = require('node:assert');
+const Module = require('module');
+const { createRuntime } = require('../runtime/core');
+const { createMemoryLoader } = require('../runtime/loaders');
+
+// Just enough of Vue's reactivity for the plugin; effects run synchronously
+function createVueStub() {
+  const provided = new Map();
+  let active = null;
+
+  function untracked(fn) {
+    const previous = active;
+    active = null;
+    try {
+      return fn();
+    } finally {
+      active = previous;
+    }
+  }
+
+  function ref(initial) {
+    const effects = new Set();
+    let current = initial;
+    return {
+      get value() {
+        if (active) effects.add(active);
+        return current;
+      },
+      set value(next) {
+        if (next === current) return;
+        current = next;
+        Array.from(effects).forEach(run => run());
+      },
+    };
+  }
+
+  function watchEffect(fn) {
+    let stopped = false;
+    const run = () => {
+      if (stopped) return;
+      const previous = active;
+      active = run;
+      try {
+        fn();
+      } finally {
+        active = previous;
+      }
+    };
+    run();
+    return () => {
+      stopped = true;
+    };
+  }
+
+  function watch(source, callback, options = {}) {
+    const read = typeof source === 'function' ? source : () => source.value;
+    let first = true;
+    let old;
+    return watchEffect(() => {
+      const value = read();
+      const previous = old;
+      old = value;
+      if (first) {
+        first = false;
+        if (options.immediate) untracked(() => callback(value, undefined));
+      } else if (value !== previous) {
+        untracked(() => callback(value, previous));
+      }
+    });
+  }
+
+  return {
+    ref,
+    shallowRef: ref,
+    watch,
+    watchEffect,
+    inject: (key, fallback) => (provided.has(key) ? provided.get(key) : fallback),
+    provided,
+  };
+}
+
+function createApp(vue) {
+  return {
+    config: { globalProperties: {} },
+    directives: {},
+    provide: (key, value) => vue.provided.set(key, value),
+    directive(name, definition) {
+      this.directives[name] = definition;
+    },
+  };
+}
+
+describe('Vue plugin', () => {
+  const vue = createVueStub();
+  let createI18n;
+  let useI18n;
+
+  before(() => {
+    // `vue` is a peer dependency; the stub stands in for it
+    const resolve = Module._resolveFilename;
+    Module._resolveFilename = function (request, ...rest) {
+      return request === 'vue' ? 'vue' : resolve.call(this, request, ...rest);
+    };
+    require.cache.vue = { id: 'vue', filename: 'vue', loaded: true, exports: vue };
+    ({ createI18n, useI18n } = require('../runtime/vue'));
+  });
+
+  const createPlugin = () => createI18n(createRuntime({
+    loader: createMemoryLoader({
+      en: { hi: 'Hi', items: '{count} items' },
+      de: { hi: 'Hallo', items: '{count} Artikel' },
+      'de/checkout': { total: 'Summe' },
+      'en/checkout': { total: 'Total' },
+    }),
+    language: 'en',
+  }));
+
+  test('follows language switches through locale and the instance', async () => {
+    const plugin = createPlugin();
+    const app = createApp(vue);
+    plugin.install(app);
+    const { $t } = app.config.globalProperties;
+    await plugin.i18n.changeLanguage('en');
+    assert.strictEqual($t('hi'), 'Hi');
+
+    const changed = new Promise(resolve => plugin.i18n.on('languageChanged', resolve));
+    plugin.locale.value = 'de';
+    assert.deepStrictEqual(await changed, { language: 'de', previous: 'en' });
+    assert.strictEqual($t('hi'), 'Hallo');
+    assert.strictEqual(app.config.globalProperties.$i18n, plugin);
+
+    plugin.i18n.setLanguage('en');
+    assert.strictEqual(plugin.locale.value, 'en');
+    assert.strictEqual($t('hi'), 'Hi');
+    plugin.dispose();
+  });
+
+  test('renders v-t again when the language or binding changes', async () => {
+    const plugin = createPlugin();
+    const app = createApp(vue);
+    plugin.install(app);
+    const directive = app.directives.t;
+    await plugin.i18n.changeLanguage('en');
+    const el = {};
+
+    directive.mounted(el, { value: 'hi' });
+    assert.strictEqual(el.textContent, 'Hi');
+    await plugin.i18n.changeLanguage('de');
+    assert.strictEqual(el.textContent, 'Hallo');
+    directive.updated(el, { value: { path: 'items', args: { count: 2 } } });
+    assert.strictEqual(el.textContent, '2 Artikel');
+    assert.deepStrictEqual(directive.getSSRProps({ value: 'hi' }), { textContent: 'Hallo' });
+
+    directive.beforeUnmount(el);
+    await plugin.i18n.changeLanguage('en');
+    assert.strictEqual(el.textContent, '2 Artikel');
+    plugin.dispose();
+  });
+
+  test('useI18n() prefixes keys with its namespace once loaded', async () => {
+    const plugin = createPlugin();
+    plugin.install(createApp(vue));
+    await plugin.i18n.changeLanguage('de');
+    const { t, ready } = useI18n({ namespaces: 'checkout' });
+
+    await plugin.i18n.preloadNamespaces('checkout');
+    assert.strictEqual(ready.value, true);
+    assert.strictEqual(t('total'), 'Summe');
+    assert.strictEqual(t('checkout:total'), 'Summe');
+    plugin.dispose();
+
+    vue.provided.clear();
+    assert.throws(() => useI18n(), /app\.use\(createI18n/);
+    assert.throws(() => createI18n({}), TypeError);
+  });
+});
@@ -0,0 +1,83 @@
+/**
+ * Hot reload tests
+ *
+ * `watch: true` re-reads only the changed files, emits translationsChanged,
+ * and dispose() stops the watcher.
+ */
+
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const runtime = require('../runtime/index');
+
+function nextEvent(instance, event) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`No ${event} event`)), 5000);
+    const stop = instance.on(event, (payload) => {
+      clearTimeout(timer);
+      stop();
+      resolve(payload);
+    });
+  });
+}
+
+describe('Hot reload', () => {
+  let dir;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'i18ntk-watch-'));
+    fs.mkdirSync(path.join(dir, 'en'));
+    fs.writeFileSync(path.join(dir, 'en', 'common.json'), JSON.stringify({ hello: 'Hello' }));
+    fs.writeFileSync(path.join(dir, 'en', 'checkout.json'), JSON.stringify({ total: 'Total' }));
+    fs.writeFileSync(path.join(dir, 'de.json'), JSON.stringify({ hello: 'Hallo' }));
+  });
+
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('re-reads changed namespace files and emits translationsChanged', async () => {
+    const i18n = runtime.createInstance({ baseDir: dir, watch: { debounce: 20 } });
+    try {
+      assert.deepStrictEqual([i18n.t('hello'), i18n.t('checkout:total')], ['Hello', 'Total']);
+
+      const reads = [];
+      const readFileSync = fs.readFileSync;
+      fs.readFileSync = function (file, ...args) {
+        reads.push(path.relative(dir, String(file)));
+        return readFileSync.call(this, file, ...args);
+      };
+      try {
+        const changed = nextEvent(i18n, 'translationsChanged');
+        fs.writeFileSync(path.join(dir, 'en', 'common.json'), JSON.stringify({ hello: 'Hi' }));
+        assert.deepStrictEqual(await changed, { language: 'en', namespaces: ['common'] });
+      } finally {
+        fs.readFileSync = readFileSync;
+      }
+
+      assert.deepStrictEqual([i18n.t('hello'), i18n.t('checkout:total')], ['Hi', 'Total']);
+      assert.deepStrictEqual(reads, [path.join('en', 'common.json')]);
+    } finally {
+      i18n.dispose();
+    }
+  });
+
+  test('reloads single-file languages and stops on dispose()', async () => {
+    const i18n = runtime.createInstance({ baseDir: dir, language: 'de', watch: { debounce: 20 } });
+    assert.strictEqual(i18n.t('hello'), 'Hallo');
+
+    const changed = nextEvent(i18n, 'translationsChanged');
+    fs.writeFileSync(path.join(dir, 'de.json'), JSON.stringify({ hello: 'Servus' }));
+    assert.deepStrictEqual(await changed, { language: 'de', namespaces: [] });
+    assert.strictEqual(i18n.t('hello'), 'Servus');
+
+    i18n.dispose();
+    let events = 0;
+    i18n.on('translationsChanged', () => events++);
+    fs.writeFileSync(path.join(dir, 'de.json'), JSON.stringify({ hello: 'Moin' }));
+    await new Promise(resolve => setTimeout(resolve, 200));
+    assert.strictEqual(events, 0);
+  });
+});
@@ -0,0 +1,73 @@
+/**
+ * XLIFF exchange tests
+ *
+ * Covers the XLIFF 1.2 / 2.0 writer and reader used by the export and
+ * import commands.
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+const { buildXliff, parseXliff, isTranslatedUnit, XliffError } = require('../utils/xliff');
+
+const doc = {
+  sourceLanguage: 'en',
+  targetLanguage: 'de',
+  files: [{
+    original: 'common.json',
+    units: [
+      { key: 'greeting.hello', source: 'Hello <b>{name}</b> & co', target: 'Hallo <b>{name}</b> & Co', state: 'translated' },
+      { key: 'greeting.bye', source: 'Bye', target: '', state: 'needs-translation' }
+    ]
+  }]
+};
+
+describe('XLIFF', () => {
+  ['1.2', '2.0'].forEach(version => {
+    test(`round-trips units through XLIFF ${version}`, () => {
+      const parsed = parseXliff(buildXliff({ ...doc, version }));
+      assert.strictEqual(parsed.version, version);
+      assert.strictEqual(parsed.files[0].original, 'common.json');
+      assert.strictEqual(parsed.files[0].targetLanguage, 'de');
+
+      const [hello, bye] = parsed.files[0].units;
+      assert.strictEqual(hello.key, 'greeting.hello');
+      assert.strictEqual(hello.source, 'Hello <b>{name}</b> & co');
+      assert.strictEqual(hello.target, 'Hallo <b>{name}</b> & Co');
+      assert.ok(isTranslatedUnit(hello));
+      assert.ok(!isTranslatedUnit(bye));
+    });
+  });
+
+  test('marks untranslated units with needs-translation in 1.2', () => {
+    const xml = buildXliff({ ...doc, version: '1.2' });
+    assert.ok(xml.includes('<target state="needs-translation"></target>'));
+    assert.ok(xml.includes('xmlns="urn:oasis:names:tc:xliff:document:1.2"'));
+  });
+
+  test('reads CAT tool output with groups, inline markup and CDATA', () => {
+    const xml = [
+      '<?xml version="1.0"?>',
+      '<xliff version="1.2" xmlns="urn:oasis:names:tc:xliff:document:1.2">',
+      '  <file original="nav.json" source-language="en" target-language="fr">',
+      '    <body><group id="g1">',
+      '      <trans-unit id="nav.home"><source>Home</source><target state="final">Acc<g id="1">ue</g>il</target></trans-unit>',
+      '      <trans-unit id="nav.note"><source>Note</source><target><![CDATA[<i>Remarque</i>]]></target></trans-unit>',
+      '      <trans-unit id="nav.todo"><source>Todo</source><target state="new">NOT_TRANSLATED</target></trans-unit>',
+      '    </group></body>',
+      '  </file>',
+      '</xliff>'
+    ].join('\n');
+
+    const units = parseXliff(xml).files[0].units;
+    assert.deepStrictEqual(units.map(unit => [unit.key, unit.target, isTranslatedUnit(unit)]), [
+      ['nav.home', 'Accueil', true],
+      ['nav.note', '<i>Remarque</i>', true],
+      ['nav.todo', 'NOT_TRANSLATED', false]
+    ]);
+  });
+
+  test('rejects malformed documents', () => {
+    assert.throws(() => parseXliff('<xliff version="1.2"><file></xliff>'), XliffError);
+    assert.throws(() => parseXliff('<xliff version="3.0"></xliff>'), XliffError);
+  });
+});
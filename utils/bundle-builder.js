@@ -0,0 +1,192 @@
+/**
+ * Translation bundle builder
+ *
+ * Compiles locale files into the bundles `i18ntk build` writes: one file per
+ * language and per namespace with flattened keys, ICU messages parsed ahead
+ * of time, plural objects split into `key_<category>` entries and untranslated
+ * placeholders removed, optionally limited to the keys an entry point uses.
+ * File names carry a hash of their content, and a manifest lists them for the
+ * runtimes' loaders.
+ */
+
+const crypto = require('crypto');
+const { parse, hasIcuSyntax } = require('../runtime/icu');
+const { isPluralObject } = require('../runtime/plurals');
+const { getFallbackChain } = require('../runtime/locales');
+const { MANIFEST_FILE, MODULE_PREFIX } = require('../runtime/bundle');
+
+const MANIFEST_VERSION = 1;
+const FORMATS = ['json', 'js'];
+
+/**
+ * Flatten a locale tree to dotted keys, dropping values that are only a
+ * not-translated marker and keys `keep` rejects. Plural objects become
+ * `key_one`, `key_other`, ...
+ * @param {object} data
+ * @param {object} options - { flatKeys: false, markers: ['NOT_TRANSLATED'], keep: (key) => true }
+ * @returns {{ messages: Map<string, *>, stripped: number, shaken: number }}
+ */
+function flattenBundle(data, options = {}) {
+  const markers = options.markers || ['NOT_TRANSLATED'];
+  const messages = new Map();
+  let stripped = 0;
+  let shaken = 0;
+
+  const add = (key, value) => {
+    if (options.keep && !options.keep(key)) shaken++;
+    else if (typeof value === 'string' && markers.includes(value)) stripped++;
+    else messages.set(key, value);
+  };
+
+  const walk = (obj, prefix) => {
+    for (const [key, value] of Object.entries(obj || {})) {
+      const fullKey = prefix ? `${prefix}.${key}` : key;
+      if (isPluralObject(value)) {
+        Object.entries(value).forEach(([category, form]) => add(`${fullKey}_${category}`, form));
+      } else if (!options.flatKeys && value && typeof value === 'object' && !Array.isArray(value)) {
+        walk(value, fullKey);
+      } else if (value !== null && value !== undefined) {
+        add(fullKey, value);
+      }
+    }
+  };
+
+  walk(data, '');
+  return { messages, stripped, shaken };
+}
+
+// ICU messages are stored parsed; text that does not parse stays as it is,
+// as the runtime interpolates it with simple placeholders
+function compileMessage(value) {
+  if (typeof value !== 'string' || !hasIcuSyntax(value)) return value;
+  try {
+    return { $icu: parse(value) };
+  } catch (_) {
+    return value;
+  }
+}
+
+function serialize(messages, format) {
+  const data = {};
+  Array.from(messages.keys()).sort().forEach((key) => {
+    data[key] = compileMessage(messages.get(key));
+  });
+  const json = JSON.stringify(data);
+  return format === 'js' ? `${MODULE_PREFIX}${json};\n` : `${json}\n`;
+}
+
+function contentHash(content) {
+  return crypto.createHash('sha256').update(content).digest('hex').slice(0, 8);
+}
+
+// Keys of the fallback languages the bundle lacks
+function inlineFallbacks(messages, fallbackMessages) {
+  let inlined = 0;
+  for (const fallback of fallbackMessages) {
+    for (const [key, value] of fallback) {
+      if (!messages.has(key)) {
+        messages.set(key, value);
+        inlined++;
+      }
+    }
+  }
+  return inlined;
+}
+
+/**
+ * Build the bundles and manifest of a set of languages.
+ * @param {Object<string, Array<{ namespace: string|null, data: object, flatKeys?: boolean }>>} languages -
+ *   the locale files of each language; `namespace` is the file's name inside a
+ *   language folder (`checkout`, `admin/users`), or null for a single-file language
+ * @param {object} options - { sourceLanguage: 'en', format: 'json', inlineFallbacks: false,
+ *   fallbacks: { 'pt-BR': ['pt'] }, markers: ['NOT_TRANSLATED'], entry: 'mobile',
+ *   keep: (key, namespace) => boolean } - `keep` limits the bundles to the keys an
+ *   entry point uses; `namespace` is the file's namespace, or null
+ * @returns {{ files: Array<{ path: string, content: string }>, manifest: object, stats: object }}
+ */
+function buildBundles(languages, options = {}) {
+  const format = options.format || 'json';
+  if (!FORMATS.includes(format)) {
+    throw new Error(`Unknown bundle format '${format}' (expected ${FORMATS.join(' or ')})`);
+  }
+  const sourceLanguage = options.sourceLanguage || 'en';
+  const stats = { languages: 0, namespaces: 0, keys: 0, stripped: 0, inlined: 0, shaken: 0 };
+
+  // lang -> { whole: Map, namespaces: Map(namespace -> Map) }
+  const flattened = new Map();
+  for (const [lang, files] of Object.entries(languages)) {
+    const whole = new Map();
+    const namespaces = new Map();
+    for (const file of files) {
+      const keep = options.keep ? key => options.keep(key, file.namespace || null) : null;
+      const { messages, stripped, shaken } = flattenBundle(file.data, { flatKeys: file.flatKeys, markers: options.markers, keep });
+      stats.stripped += stripped;
+      stats.shaken += shaken;
+      messages.forEach((value, key) => whole.set(key, value));
+      if (file.namespace) {
+        const existing = namespaces.get(file.namespace) || new Map();
+        messages.forEach((value, key) => existing.set(key, value));
+        namespaces.set(file.namespace, existing);
+      }
+    }
+    flattened.set(lang, { whole, namespaces });
+  }
+
+  const files = [];
+  const manifest = {
+    version: MANIFEST_VERSION,
+    format,
+    sourceLanguage,
+    fallbacksInlined: Boolean(options.inlineFallbacks),
+    languages: {}
+  };
+  if (options.entry) manifest.entry = options.entry;
+  const emit = (name, messages) => {
+    const content = serialize(messages, format);
+    const filePath = `${name}.${contentHash(content)}.${format}`;
+    files.push({ path: filePath, content });
+    return filePath;
+  };
+
+  for (const lang of Array.from(flattened.keys()).sort()) {
+    const { whole, namespaces } = flattened.get(lang);
+    const fallbackLanguages = options.inlineFallbacks
+      ? getFallbackChain(lang, { fallbackLanguage: sourceLanguage, fallbacks: options.fallbacks })
+        .slice(1)
+        .filter(fallback => flattened.has(fallback))
+      : [];
+
+    // Namespaces of the fallbacks are inlined too, so a language missing a
+    // file still gets a bundle for it
+    const namespaceNames = new Set(namespaces.keys());
+    fallbackLanguages.forEach(fallback => flattened.get(fallback).namespaces.forEach((_, name) => namespaceNames.add(name)));
+
+    stats.inlined += inlineFallbacks(whole, fallbackLanguages.map(fallback => flattened.get(fallback).whole));
+    const entry = { file: emit(lang, whole), keys: whole.size };
+
+    if (namespaceNames.size) {
+      entry.namespaces = {};
+      for (const name of Array.from(namespaceNames).sort()) {
+        const messages = new Map(namespaces.get(name) || []);
+        inlineFallbacks(messages, fallbackLanguages
+          .map(fallback => flattened.get(fallback).namespaces.get(name))
+          .filter(Boolean));
+        entry.namespaces[name] = emit(`${lang}/${name}`, messages);
+        stats.namespaces++;
+      }
+    }
+
+    manifest.languages[lang] = entry;
+    stats.languages++;
+    stats.keys += whole.size;
+  }
+
+  files.push({ path: MANIFEST_FILE, content: `${JSON.stringify(manifest, null, 2)}\n` });
+  return { files, manifest, stats };
+}
+
+module.exports = {
+  buildBundles,
+  flattenBundle,
+  FORMATS
+};
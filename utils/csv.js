@@ -0,0 +1,127 @@
+// RFC 4180 CSV (and tab-separated) reader and writer used by the spreadsheet
+// export and import. Quoted fields may contain delimiters, doubled quotes and
+// line breaks; a UTF-8 BOM is written for Excel and ignored when reading.
+
+class CsvError extends Error {
+  constructor(message, line) {
+    super(line ? `${message} (line ${line})` : message);
+    this.name = 'CsvError';
+    this.line = line;
+  }
+}
+
+/**
+ * Parse CSV text into rows of cells.
+ * Each row carries the line it starts on as `row.line` for error messages.
+ * @param {string} content
+ * @param {object} options - { delimiter: ',' }
+ * @returns {string[][]}
+ */
+function parseCsv(content, options = {}) {
+  const delimiter = options.delimiter || ',';
+  const text = String(content || '').replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let line = 1;
+  let rowLine = 1;
+  let quoted = false;
+  let i = 0;
+
+  const endCell = () => {
+    row.push(cell);
+    cell = '';
+  };
+  const endRow = () => {
+    endCell();
+    row.line = rowLine;
+    rows.push(row);
+    row = [];
+  };
+
+  while (i < text.length) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"') {
+        if (text[i + 1] === '"') {
+          cell += '"';
+          i += 2;
+          continue;
+        }
+        quoted = false;
+        i++;
+        if (i < text.length && text[i] !== delimiter && text[i] !== '\r' && text[i] !== '\n') {
+          throw new CsvError('Unexpected character after a closing quote', line);
+        }
+        continue;
+      }
+      if (ch === '\n') line++;
+      cell += ch;
+      i++;
+      continue;
+    }
+
+    if (ch === '"') {
+      if (cell !== '') {
+        throw new CsvError('Quote inside an unquoted field', line);
+      }
+      quoted = true;
+      i++;
+    } else if (ch === delimiter) {
+      endCell();
+      i++;
+    } else if (ch === '\r' || ch === '\n') {
+      endRow();
+      i += ch === '\r' && text[i + 1] === '\n' ? 2 : 1;
+      line++;
+      rowLine = line;
+    } else {
+      cell += ch;
+      i++;
+    }
+  }
+
+  if (quoted) {
+    throw new CsvError('Unterminated quoted field', rowLine);
+  }
+  // No empty row for a trailing line break
+  if (cell !== '' || row.length > 0) {
+    endRow();
+  }
+  return rows;
+}
+
+/**
+ * Write rows as CSV. Fields are quoted only when they need to be.
+ * @param {Array<Array<*>>} rows
+ * @param {object} options - { delimiter: ',', bom: true, eol: '\r\n' }
+ * @returns {string}
+ */
+function stringifyCsv(rows, options = {}) {
+  const delimiter = options.delimiter || ',';
+  const eol = options.eol || '\r\n';
+  const bom = options.bom !== false;
+
+  const formatCell = value => {
+    const text = value === null || value === undefined ? '' : String(value);
+    if (text.includes(delimiter) || /["\r\n]/.test(text) || /^\s|\s$/.test(text)) {
+      return `"${text.replace(/"/g, '""')}"`;
+    }
+    return text;
+  };
+
+  const body = rows.map(row => row.map(formatCell).join(delimiter)).join(eol);
+  return `${bom ? '\uFEFF' : ''}${body}${rows.length ? eol : ''}`;
+}
+
+// Delimiter for a spreadsheet file name or format ('csv', 'tsv', 'de.tsv')
+function delimiterFor(name) {
+  return /(^|\.)tsv$/i.test(String(name || '')) ? '\t' : ',';
+}
+
+module.exports = {
+  parseCsv,
+  stringifyCsv,
+  delimiterFor,
+  CsvError
+};
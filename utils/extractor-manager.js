@@ -1,7 +1,16 @@
 const { loadOptionalModule } = require('./plugin-loader');
 const defaultExtractor = require('./extractors/regex');
 
+// Extractors shipped with i18ntk, selected by the `extractor` setting
+const builtinExtractors = {
+  regex: defaultExtractor,
+  ast: require('./extractors/ast')
+};
+
 function getExtractor(name) {
+  if (name && Object.prototype.hasOwnProperty.call(builtinExtractors, name)) {
+    return builtinExtractors[name];
+  }
   if (name) {
     const plugin = loadOptionalModule(name) || loadOptionalModule(`i18ntk-extractor-${name}`);
     if (plugin && typeof plugin.extract === 'function') {
@@ -11,4 +20,4 @@ function getExtractor(name) {
   return defaultExtractor;
 }
 
-module.exports = { getExtractor };
\ No newline at end of file
+module.exports = { getExtractor };
@@ -0,0 +1,529 @@
+/**
+ * Tokenizer-based key extractor for JavaScript, TypeScript and JSX
+ *
+ * Reads source files token by token instead of matching regular expressions,
+ * so keys inside comments and ordinary strings are ignored and calls split
+ * across lines are found. Resolves:
+ *   t('key'), i18n.t('key'), $t('key'), this.$t('key')
+ *   const KEY = 'key'; t(KEY)
+ *   const { t } = useTranslation('checkout'); t('total')   -> checkout:total
+ *     (within the block that declares it)
+ *   <Trans i18nKey="key" ns="checkout" />
+ *   t(`status.${s}`), t('status.' + s)                     -> status.*
+ * Other files fall back to the regex patterns. Every hit carries its file,
+ * line and column.
+ */
+
+const path = require('path');
+
+const JS_EXTENSIONS = ['.js', '.jsx', '.mjs', '.cjs', '.ts', '.tsx', '.mts', '.cts'];
+const TRANSLATE_METHODS = ['t', '$t', 'translate'];
+const NAMESPACE_HOOKS = ['useTranslation', 'useI18n'];
+const DECLARATIONS = ['const', 'let', 'var'];
+// Keywords after which `/` starts a regex and `<` an element
+const EXPRESSION_KEYWORDS = new Set([
+  'return', 'typeof', 'instanceof', 'in', 'of', 'new', 'delete', 'void', 'throw',
+  'case', 'do', 'else', 'yield', 'await', 'export', 'default', 'extends'
+]);
+const STRING_ESCAPES = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f', v: '\v', 0: '\0' };
+
+class JsxSyntaxError extends Error {}
+
+const isIdentifierStart = ch => /[A-Za-z_$À-￿]/.test(ch);
+const isIdentifierPart = ch => /[\w$À-￿]/.test(ch);
+const isPunct = (token, value) => Boolean(token) && token.type === 'punct' && token.value === value;
+
+/**
+ * Split source text into tokens. Comments and whitespace are dropped;
+ * template literals and JSX elements become single tokens holding the
+ * tokens of their embedded expressions in `children`.
+ * @param {string} source
+ * @param {object} options - { jsx: true }
+ * @returns {Array<object>} tokens with a `start` offset
+ */
+function tokenize(source, options = {}) {
+  const jsx = options.jsx !== false;
+  const length = source.length;
+  let pos = 0;
+
+  function skipComment() {
+    if (source[pos] !== '/') return false;
+    if (source[pos + 1] === '/') {
+      const end = source.indexOf('\n', pos);
+      pos = end === -1 ? length : end;
+      return true;
+    }
+    if (source[pos + 1] === '*') {
+      const end = source.indexOf('*/', pos + 2);
+      pos = end === -1 ? length : end + 2;
+      return true;
+    }
+    return false;
+  }
+
+  function skipWhitespace() {
+    while (pos < length && /\s/.test(source[pos])) pos++;
+  }
+
+  function readString(quote) {
+    let value = '';
+    pos++;
+    while (pos < length && source[pos] !== quote && source[pos] !== '\n') {
+      if (source[pos] === '\\') {
+        const next = source[pos + 1];
+        value += STRING_ESCAPES[next] !== undefined ? STRING_ESCAPES[next] : (next === '\n' ? '' : next);
+        pos += 2;
+      } else {
+        value += source[pos++];
+      }
+    }
+    pos++;
+    return value;
+  }
+
+  function readTemplate() {
+    const start = pos;
+    const children = [];
+    let text = '';
+    let prefix = null;
+    pos++;
+    while (pos < length) {
+      const ch = source[pos];
+      if (ch === '\\') {
+        const next = source[pos + 1];
+        text += STRING_ESCAPES[next] !== undefined ? STRING_ESCAPES[next] : next;
+        pos += 2;
+      } else if (ch === '`') {
+        pos++;
+        break;
+      } else if (ch === '$' && source[pos + 1] === '{') {
+        if (prefix === null) prefix = text;
+        pos += 2;
+        children.push(...readTokens(true));
+      } else {
+        text += ch;
+        pos++;
+      }
+    }
+    return prefix === null
+      ? { type: 'template', start, value: text, children }
+      : { type: 'template', start, value: null, prefix, children };
+  }
+
+  function readRegex() {
+    let inClass = false;
+    pos++;
+    while (pos < length && source[pos] !== '\n') {
+      const ch = source[pos];
+      if (ch === '\\') {
+        pos += 2;
+        continue;
+      }
+      pos++;
+      if (ch === '[') inClass = true;
+      else if (ch === ']') inClass = false;
+      else if (ch === '/' && !inClass) break;
+    }
+    while (pos < length && /[a-z]/i.test(source[pos])) pos++;
+  }
+
+  // Whether the previous token ends an expression, making `/` a division
+  // and `<` a comparison
+  function expectsExpression(tokens) {
+    const last = tokens[tokens.length - 1];
+    if (!last) return true;
+    if (last.type === 'name') return EXPRESSION_KEYWORDS.has(last.value);
+    if (last.type === 'punct') return ![')', ']', '}'].includes(last.value);
+    return false;
+  }
+
+  function readJsxName() {
+    const start = pos;
+    while (pos < length && /[\w$.:-]/.test(source[pos])) pos++;
+    return source.slice(start, pos);
+  }
+
+  function readJsxElement() {
+    const start = pos;
+    pos++;
+    skipWhitespace();
+    const name = readJsxName();
+    if (!name && source[pos] !== '>') throw new JsxSyntaxError();
+    const attributes = {};
+    const children = [];
+    const element = () => ({ type: 'jsx', start, name, attributes, children });
+
+    for (;;) {
+      skipWhitespace();
+      if (pos >= length) throw new JsxSyntaxError();
+      if (source.startsWith('/>', pos)) {
+        pos += 2;
+        return element();
+      }
+      if (source[pos] === '>') {
+        pos++;
+        break;
+      }
+      if (source[pos] === '{') {
+        pos++;
+        children.push(...readTokens(true));
+        continue;
+      }
+      const attributeStart = pos;
+      const attribute = readJsxName();
+      if (!attribute) throw new JsxSyntaxError();
+      skipWhitespace();
+      if (source[pos] !== '=') {
+        attributes[attribute] = { type: 'boolean', start: attributeStart };
+        continue;
+      }
+      pos++;
+      skipWhitespace();
+      const quote = source[pos];
+      if (quote === '"' || quote === '\'') {
+        const end = source.indexOf(quote, pos + 1);
+        if (end === -1) throw new JsxSyntaxError();
+        attributes[attribute] = { type: 'string', start: attributeStart, value: source.slice(pos + 1, end) };
+        pos = end + 1;
+      } else if (quote === '{') {
+        pos++;
+        const tokens = readTokens(true);
+        attributes[attribute] = { type: 'expression', start: attributeStart, tokens };
+        children.push(...tokens);
+      } else if (quote === '<') {
+        children.push(readJsxElement());
+      } else {
+        throw new JsxSyntaxError();
+      }
+    }
+
+    while (pos < length) {
+      const ch = source[pos];
+      if (ch === '<' && source[pos + 1] === '/') {
+        const end = source.indexOf('>', pos);
+        if (end === -1) throw new JsxSyntaxError();
+        pos = end + 1;
+        return element();
+      }
+      if (ch === '<') {
+        children.push(readJsxElement());
+      } else if (ch === '{') {
+        pos++;
+        children.push(...readTokens(true));
+      } else {
+        pos++;
+      }
+    }
+    throw new JsxSyntaxError();
+  }
+
+  // `<` in expression position that does not parse as JSX (TypeScript
+  // generics and casts) is read as punctuation
+  function tryJsxElement() {
+    const saved = pos;
+    try {
+      return readJsxElement();
+    } catch (error) {
+      if (!(error instanceof JsxSyntaxError)) throw error;
+      pos = saved;
+      return null;
+    }
+  }
+
+  // Reads up to the end of the source, or with `untilBrace` up to the `}`
+  // closing an embedded expression
+  function readTokens(untilBrace) {
+    const tokens = [];
+    let depth = 0;
+    while (pos < length) {
+      const ch = source[pos];
+      if (/\s/.test(ch)) {
+        pos++;
+        continue;
+      }
+      if (skipComment()) continue;
+      const start = pos;
+      if (ch === '\'' || ch === '"') {
+        tokens.push({ type: 'string', start, value: readString(ch) });
+      } else if (ch === '`') {
+        tokens.push(readTemplate());
+      } else if (isIdentifierStart(ch)) {
+        while (pos < length && isIdentifierPart(source[pos])) pos++;
+        tokens.push({ type: 'name', start, value: source.slice(start, pos) });
+      } else if (/\d/.test(ch)) {
+        while (pos < length && /[\w.]/.test(source[pos])) pos++;
+        tokens.push({ type: 'number', start });
+      } else if (ch === '/' && expectsExpression(tokens)) {
+        readRegex();
+        tokens.push({ type: 'regex', start });
+      } else {
+        const element = ch === '<' && jsx && expectsExpression(tokens) && /[\w$>]/.test(source[pos + 1] || '')
+          ? tryJsxElement()
+          : null;
+        if (element) {
+          tokens.push(element);
+          continue;
+        }
+        if (ch === '{') depth++;
+        if (ch === '}') {
+          if (untilBrace && depth === 0) {
+            pos++;
+            return tokens;
+          }
+          depth--;
+        }
+        tokens.push({ type: 'punct', start, value: ch });
+        pos++;
+      }
+    }
+    return tokens;
+  }
+
+  return readTokens(false);
+}
+
+// Namespace of useTranslation('ns'), useTranslation(['ns', ...]) or
+// useI18n({ namespaces: ['ns'] }); `i` is the index after the `(`
+function readNamespaceArgument(tokens, i) {
+  let token = tokens[i];
+  if (isPunct(token, '{')) {
+    for (let j = i + 1; j < tokens.length && !isPunct(tokens[j], '}'); j++) {
+      if (tokens[j].type === 'name' && ['ns', 'namespaces'].includes(tokens[j].value) && isPunct(tokens[j + 1], ':')) {
+        return readNamespaceArgument(tokens, j + 2);
+      }
+    }
+    return null;
+  }
+  if (isPunct(token, '[')) token = tokens[i + 1];
+  return token && token.type === 'string' ? token.value : null;
+}
+
+// Declarations that bind a translation function or a constant key:
+//   const { t } = useTranslation('ns'); const { t: translate } = useI18n(...)
+//   const [t] = useTranslation('ns');   const KEY = 'key';
+function readDeclaration(tokens, i, scope) {
+  const target = tokens[i + 1];
+  if (!target) return;
+
+  if (target.type === 'name') {
+    const value = tokens[i + 3];
+    const after = tokens[i + 4];
+    if (isPunct(tokens[i + 2], '=') && value && (value.type === 'string' || (value.type === 'template' && value.value !== null))
+      && !(after && after.type === 'punct' && ['+', '.', '(', '?', '['].includes(after.value))) {
+      scope.constants.set(target.value, value.value);
+    }
+    return;
+  }
+
+  if (!isPunct(target, '{') && !isPunct(target, '[')) return;
+  const close = target.value === '{' ? '}' : ']';
+  const bindings = [];
+  let j = i + 2;
+  for (; j < tokens.length && !isPunct(tokens[j], close); j++) {
+    const token = tokens[j];
+    if (token.type !== 'name') continue;
+    if (target.value === '[') {
+      if (bindings.length === 0) bindings.push(token.value);
+    } else if (TRANSLATE_METHODS.includes(token.value) && !isPunct(tokens[j - 1], ':')) {
+      const alias = isPunct(tokens[j + 1], ':') && tokens[j + 2] && tokens[j + 2].type === 'name' ? tokens[j + 2].value : null;
+      bindings.push(alias || token.value);
+    }
+  }
+  const hook = tokens[j + 2];
+  if (!bindings.length || !isPunct(tokens[j + 1], '=') || !hook || !NAMESPACE_HOOKS.includes(hook.value) || !isPunct(tokens[j + 3], '(')) {
+    return;
+  }
+  const namespace = readNamespaceArgument(tokens, j + 4);
+  bindings.forEach(binding => scope.translators.set(binding, namespace));
+}
+
+// The translation call named by tokens[i], or null
+function readCallee(tokens, i, scope) {
+  const name = tokens[i].value;
+  const previous = tokens[i - 1];
+  if (isPunct(previous, '.')) {
+    const object = isPunct(tokens[i - 2], '?') ? tokens[i - 3] : tokens[i - 2];
+    if (!TRANSLATE_METHODS.includes(name) || !object || object.type !== 'name') return null;
+    if (name !== '$t' && object.value !== 'this' && !/i18n/i.test(object.value)) return null;
+    return { callee: `${object.value}.${name}`, namespace: null, start: object.start };
+  }
+  if (previous && previous.type === 'name' && previous.value === 'function') return null;
+  if (!scope.translators.has(name)) return null;
+  return { callee: name, namespace: scope.translators.get(name), start: tokens[i].start };
+}
+
+// The key passed as the first argument at tokens[i]: a literal, a constant,
+// a static prefix (`status.*`), or null when computed at runtime
+function readKeyArgument(tokens, i, scope) {
+  const argument = tokens[i];
+  const next = tokens[i + 1];
+  const complete = isPunct(next, ',') || isPunct(next, ')');
+  if (argument.type === 'string' || (argument.type === 'template' && argument.value !== null)) {
+    if (complete) return { key: argument.value, dynamic: false };
+    if (isPunct(next, '+') && argument.value) return { key: `${argument.value}*`, dynamic: true };
+  } else if (argument.type === 'template' && argument.prefix) {
+    return { key: `${argument.prefix}*`, dynamic: true };
+  } else if (argument.type === 'name' && complete && scope.constants.has(argument.value)) {
+    return { key: scope.constants.get(argument.value), dynamic: false };
+  }
+  return { key: null, dynamic: true };
+}
+
+function withNamespace(key, namespace) {
+  return key && namespace && !key.includes(':') ? `${namespace}:${key}` : key;
+}
+
+// <Trans i18nKey="key" ns="ns">, with either attribute given as a string
+// or a string expression
+function readTrans(element, scope) {
+  const attributeValue = (attribute) => {
+    if (!attribute) return undefined;
+    if (attribute.type === 'string') return attribute.value;
+    if (attribute.type === 'expression' && attribute.tokens.length === 1) {
+      const [token] = attribute.tokens;
+      if (token.type === 'string' || (token.type === 'template' && token.value !== null)) return token.value;
+      if (token.type === 'name' && scope.constants.has(token.value)) return scope.constants.get(token.value);
+      if (token.type === 'template' && token.prefix) return `${token.prefix}*`;
+    }
+    return null;
+  };
+  const keyAttribute = element.attributes.i18nKey;
+  if (!keyAttribute) return null;
+  const key = attributeValue(keyAttribute);
+  const namespace = attributeValue(element.attributes.ns);
+  return {
+    start: keyAttribute.start,
+    key: withNamespace(key, namespace),
+    dynamic: key === null || key.endsWith('*'),
+    callee: 'Trans'
+  };
+}
+
+// The scope inside a block: declarations made there are dropped when it closes
+const blockScope = scope => ({ translators: new Map(scope.translators), constants: new Map(scope.constants) });
+
+function collectHits(tokens, outerScope, hits) {
+  const blocks = [];
+  let scope = outerScope;
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+    if (isPunct(token, '{')) {
+      blocks.push(scope);
+      scope = blockScope(scope);
+      continue;
+    }
+    if (isPunct(token, '}') && blocks.length) {
+      scope = blocks.pop();
+      continue;
+    }
+    if (token.type === 'jsx') {
+      if (token.name === 'Trans' || token.name.endsWith('.Trans')) {
+        const hit = readTrans(token, scope);
+        if (hit) hits.push(hit);
+      }
+      collectHits(token.children, scope, hits);
+      continue;
+    }
+    if (token.type === 'template') {
+      collectHits(token.children, scope, hits);
+      continue;
+    }
+    if (token.type !== 'name') continue;
+    if (DECLARATIONS.includes(token.value)) {
+      readDeclaration(tokens, i, scope);
+      continue;
+    }
+    if (!isPunct(tokens[i + 1], '(') || !tokens[i + 2] || isPunct(tokens[i + 2], ')')) continue;
+    const call = readCallee(tokens, i, scope);
+    if (!call) continue;
+    const { key, dynamic } = readKeyArgument(tokens, i + 2, scope);
+    hits.push({ start: call.start, key: withNamespace(key, call.namespace), dynamic, callee: call.callee });
+  }
+  return hits;
+}
+
+// Line and column (1-based) of an offset
+function createLocator(content) {
+  const lineStarts = [0];
+  for (let i = 0; i < content.length; i++) {
+    if (content[i] === '\n') lineStarts.push(i + 1);
+  }
+  return (offset) => {
+    let low = 0;
+    let high = lineStarts.length - 1;
+    while (low < high) {
+      const middle = (low + high + 1) >> 1;
+      if (lineStarts[middle] <= offset) low = middle;
+      else high = middle - 1;
+    }
+    return { line: low + 1, column: offset - lineStarts[low] + 1 };
+  };
+}
+
+function isScript(filePath) {
+  return !filePath || JS_EXTENSIONS.includes(path.extname(filePath).toLowerCase());
+}
+
+// Regex hits for files that are not JavaScript (templates, markup, ...),
+// located at the captured key so overlapping patterns report it once
+function matchPatterns(content, patterns) {
+  const hits = new Map();
+  for (const pattern of Array.isArray(patterns) ? patterns : []) {
+    try {
+      const regex = pattern instanceof RegExp ? new RegExp(pattern.source, 'g') : new RegExp(pattern, 'g');
+      let match;
+      while ((match = regex.exec(content)) !== null) {
+        if (match[1]) {
+          const start = match.index + Math.max(match[0].indexOf(match[1]), 0);
+          hits.set(`${start}:${match[1]}`, { start, key: match[1], dynamic: match[1].includes('${'), callee: null });
+        }
+        if (match[0] === '') regex.lastIndex++;
+      }
+    } catch (e) {
+      // skip invalid patterns
+    }
+  }
+  return Array.from(hits.values()).sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Every translation call in a file, in source order.
+ * @param {string} content
+ * @param {object} options - { filePath, patterns } - `filePath` picks the
+ *   parser by extension (JSX is read in all but .ts/.mts/.cts files);
+ *   `patterns` are used for files that are not JavaScript
+ * @returns {Array<{ key: string|null, file: string|null, line: number, column: number,
+ *   callee: string|null, dynamic: boolean }>} `key` is null for keys computed at runtime
+ *   and ends in `*` for keys with a static prefix
+ */
+function extractLocations(content, options = {}) {
+  if (content === null || content === undefined) return [];
+  const source = String(content);
+  const filePath = options.filePath || null;
+  let hits;
+  if (isScript(filePath)) {
+    const extension = filePath ? path.extname(filePath).toLowerCase() : '';
+    const scope = { translators: new Map([['t', null], ['$t', null]]), constants: new Map() };
+    hits = collectHits(tokenize(source, { jsx: !['.ts', '.mts', '.cts'].includes(extension) }), scope, []);
+  } else {
+    hits = matchPatterns(source, options.patterns);
+  }
+  const locate = createLocator(source);
+  return hits.map(({ start, key, dynamic, callee }) => ({ key, file: filePath, ...locate(start), callee, dynamic }));
+}
+
+/**
+ * Keys used in a file; same interface as the regex extractor.
+ * @param {string} content
+ * @param {Array<RegExp|string>} patterns - used for files that are not JavaScript
+ * @param {object} options - { filePath }
+ * @returns {string[]}
+ */
+function extract(content, patterns = [], options = {}) {
+  const keys = extractLocations(content, { ...options, patterns })
+    .map(hit => hit.key)
+    .filter(Boolean);
+  return Array.from(new Set(keys));
+}
+
+module.exports = { extract, extractLocations, tokenize, JS_EXTENSIONS };
@@ -1,10 +1,30 @@
-
+const path = require('path');
 const defaultFormat = require('./formats/json');
+const yamlFormat = require('./formats/yaml');
+const poFormat = require('./formats/po');
+const propertiesFormat = require('./formats/properties');
+const androidFormat = require('./formats/android');
+const stringsFormat = require('./formats/strings');
+const stringsdictFormat = require('./formats/stringsdict');
+const xcstringsFormat = require('./formats/xcstrings');
+const arbFormat = require('./formats/arb');
+const phpFormat = require('./formats/php');
+const tomlFormat = require('./formats/toml');
 
 class FormatManager {
   constructor() {
     this.formats = new Map();
     this.registerFormat(defaultFormat);
+    this.registerFormat(yamlFormat);
+    this.registerFormat(poFormat);
+    this.registerFormat(propertiesFormat);
+    this.registerFormat(androidFormat);
+    this.registerFormat(stringsFormat);
+    this.registerFormat(stringsdictFormat);
+    this.registerFormat(xcstringsFormat);
+    this.registerFormat(arbFormat);
+    this.registerFormat(phpFormat);
+    this.registerFormat(tomlFormat);
   }
 
   registerFormat(format) {
@@ -14,15 +34,150 @@ class FormatManager {
     });
   }
 
+  // Accepts an extension ('.yml'), a bare extension ('yml') or a format name ('yaml')
   getFormat(ext) {
-    return this.formats.get(ext) || this.formats.get('.json');
+    if (typeof ext === 'string' && ext) {
+      const normalized = ext.startsWith('.') ? ext.toLowerCase() : `.${ext.toLowerCase()}`;
+      if (this.formats.has(normalized)) return this.formats.get(normalized);
+      for (const format of this.formats.values()) {
+        if (format.name === ext.toLowerCase()) return format;
+      }
+    }
+    return this.formats.get('.json');
+  }
+
+  getExtensions() {
+    return Array.from(this.formats.keys());
+  }
+
+  getFormatForFile(filePath) {
+    return this.getFormat(path.extname(String(filePath || '')));
+  }
+
+  // True when a registered adapter can read the file. Adapters for generic
+  // extensions (Android's .xml) narrow this down with a matches() check.
+  isSupportedFile(fileName) {
+    const ext = path.extname(String(fileName || '')).toLowerCase();
+    const format = ext ? this.formats.get(ext) : null;
+    return Boolean(format) && (!format.matches || format.matches(path.basename(String(fileName))));
+  }
+
+  // False for directories that sit beside the language folders but never hold
+  // translations (Android's layout/, drawable-hdpi/, values-night/, ...)
+  isLocaleDirectory(name) {
+    return !Array.from(new Set(this.formats.values()))
+      .some(format => typeof format.skipDirectory === 'function' && format.skipDirectory(name));
+  }
+
+  // File name without its locale-format extension (e.g. 'de.yml' -> 'de')
+  stripExtension(fileName) {
+    const name = String(fileName || '');
+    const ext = path.extname(name);
+    return this.isSupportedFile(name) ? name.slice(0, -ext.length) : name;
+  }
+
+  // Locale code for a language folder name: 'de.lproj' -> 'de', 'values-pt-rBR' -> 'pt-BR'.
+  // Returns null for folders without a locale (Base.lproj, values) and the name itself otherwise.
+  getLocaleCode(language) {
+    for (const format of new Set(this.formats.values())) {
+      if (typeof format.localeFromDirectory === 'function') {
+        const locale = format.localeFromDirectory(language);
+        if (locale !== undefined) return locale;
+      }
+    }
+    return language;
+  }
+
+  // True for files that hold every language at once (Xcode .xcstrings catalogs)
+  isCatalogFile(fileName) {
+    return this.isSupportedFile(fileName) && Boolean(this.getFormatForFile(fileName).multiLanguage);
+  }
+
+  // True when keys of this file are literal strings (e.g. PO msgids) rather than dot paths
+  hasFlatKeys(filePath) {
+    return Boolean(this.getFormatForFile(filePath).flatKeys);
+  }
+
+  // Parse file content with the adapter registered for its extension.
+  // Throws when the content is invalid for that format.
+  parse(content, filePath, options = {}) {
+    const format = this.getFormatForFile(filePath);
+    return format.read(content, options);
+  }
+
+  // Serialize for writing to `filePath`. With `original` (the current file
+  // content) and `template` (the source language file content), existing keys
+  // keep their order and new keys are placed next to their source-order
+  // siblings; adapters keep the layout of the original.
+  serialize(data, filePath, options = {}) {
+    const format = this.getFormatForFile(filePath);
+    if (options.template && data && typeof data === 'object' && !Array.isArray(data)) {
+      const readOrEmpty = content => {
+        try {
+          return content ? format.read(content, options) : {};
+        } catch (error) {
+          return {};
+        }
+      };
+      data = this.arrangeKeys(data, readOrEmpty(options.original), readOrEmpty(options.template));
+    }
+    return format.serialize(data, options);
+  }
+
+  // Order the keys of `data` like `original`, inserting keys it lacks after
+  // their preceding sibling in `template` (or before the following one)
+  arrangeKeys(data, original, template) {
+    const isObject = value => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+    if (!isObject(data)) return data;
+    const originalData = isObject(original) ? original : {};
+    const templateData = isObject(template) ? template : {};
+    const has = (obj, key) => Object.prototype.hasOwnProperty.call(obj, key);
+
+    const keys = Object.keys(originalData).filter(key => has(data, key));
+    const templateKeys = Object.keys(templateData);
+    Object.keys(data).filter(key => !has(originalData, key)).forEach(key => {
+      const at = templateKeys.indexOf(key);
+      let index = keys.length;
+      if (at !== -1) {
+        const before = templateKeys.slice(0, at).reverse().find(sibling => keys.includes(sibling));
+        const after = templateKeys.slice(at + 1).find(sibling => keys.includes(sibling));
+        if (before !== undefined) {
+          index = keys.indexOf(before) + 1;
+        } else if (after !== undefined) {
+          index = keys.indexOf(after);
+        }
+      }
+      keys.splice(index, 0, key);
+    });
+
+    const result = {};
+    keys.forEach(key => {
+      result[key] = this.arrangeKeys(data[key], originalData[key], templateData[key]);
+    });
+    return result;
+  }
+
+  // Translator notes keyed like the parsed data; empty for formats without any
+  getDescriptions(content, filePath) {
+    const format = this.getFormatForFile(filePath);
+    return format.descriptions ? format.descriptions(content) : {};
+  }
+}
+
+let sharedManager = null;
+
+function getFormatManager() {
+  if (!sharedManager) {
+    sharedManager = new FormatManager();
   }
+  return sharedManager;
 }
 
 // Export both the class and utility functions
 module.exports = FormatManager;
+module.exports.getFormatManager = getFormatManager;
 module.exports.getFormatAdapter = function(format) {
-  const manager = new FormatManager();
+  const manager = getFormatManager();
   const adapter = manager.getFormat(format);
   // Ensure we always return a valid adapter with all required methods
   return adapter || {
@@ -32,4 +187,4 @@ module.exports.getFormatAdapter = function(format) {
     serialize: (data) => JSON.stringify(data, null, 2),
     deserialize: (content) => JSON.parse(content)
   };
-};
\ No newline at end of file
+};
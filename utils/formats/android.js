@@ -0,0 +1,362 @@
+// Zero-dependency Android string resource adapter (res/values-*/strings.xml).
+// <string> maps to a string, <string-array> to an array and <plurals> to an
+// object keyed by quantity. Resource names are literal keys, so the adapter is
+// flat. Entries marked translatable="false" are not exposed as translations
+// but are kept when writing. Writing with the `original` option keeps
+// comments, other resources and unchanged elements exactly as they were.
+
+const ENTRY_PATTERN = /<!--[\s\S]*?-->|<(string-array|plurals|string)(?=[\s/>])((?:\s+[\w:.-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(?:\/>|>([\s\S]*?)<\/\1\s*>)/g;
+const ITEM_PATTERN = /<item((?:\s+[\w:.-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(?:\/>|>([\s\S]*?)<\/item\s*>)/g;
+const MARKUP_PATTERN = /<!\[CDATA\[[\s\S]*?\]\]>|<\/?[A-Za-z][\w:.-]*(?:\s+[\w:.-]+\s*=\s*(?:"[^"]*"|'[^']*'))*\s*\/?>/g;
+const PLURAL_QUANTITIES = ['zero', 'one', 'two', 'few', 'many', 'other'];
+
+// Resource type directories that sit next to values-* but never hold strings
+const RESOURCE_TYPES = ['anim', 'animator', 'color', 'drawable', 'font', 'interpolator', 'layout', 'menu', 'mipmap', 'navigation', 'raw', 'transition', 'xml'];
+
+class AndroidResourceError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'AndroidResourceError';
+  }
+}
+
+function escapeXml(value) {
+  return String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+function unescapeXml(value) {
+  return String(value).replace(/&(#x[0-9a-fA-F]+|#[0-9]+|amp|lt|gt|quot|apos);/g, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1] === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return String.fromCodePoint(code);
+    }
+    return { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" }[entity];
+  });
+}
+
+function parseAttributes(text) {
+  const attributes = {};
+  const pattern = /([\w:.-]+)\s*=\s*("([^"]*)"|'([^']*)')/g;
+  let match;
+  while ((match = pattern.exec(text || '')) !== null) {
+    attributes[match[1]] = unescapeXml(match[3] !== undefined ? match[3] : match[4]);
+  }
+  return attributes;
+}
+
+/**
+ * Decode the content of a <string> or <item> the way aapt does: unquoted
+ * whitespace collapses, double quotes preserve it, backslash escapes are
+ * resolved. Inline markup (<b>, <xliff:g>, CDATA) is kept verbatim.
+ */
+function decodeValue(inner) {
+  let result = '';
+  let pendingSpace = false;
+  let inQuotes = false;
+  const append = text => {
+    if (pendingSpace && result) result += ' ';
+    pendingSpace = false;
+    result += text;
+  };
+
+  const tokens = String(inner || '').match(/<!\[CDATA\[[\s\S]*?\]\]>|<[^>]*>|[^<]+/g) || [];
+  tokens.forEach(token => {
+    if (token[0] === '<') {
+      append(token);
+      return;
+    }
+    const text = unescapeXml(token);
+    for (let i = 0; i < text.length; i++) {
+      const ch = text[i];
+      if (ch === '\\' && i + 1 < text.length) {
+        const next = text[++i];
+        if (next === 'u' && /^[0-9a-fA-F]{4}$/.test(text.slice(i + 1, i + 5))) {
+          append(String.fromCharCode(parseInt(text.slice(i + 1, i + 5), 16)));
+          i += 4;
+        } else {
+          append(next === 'n' ? '\n' : next === 't' ? '\t' : next);
+        }
+      } else if (ch === '"') {
+        inQuotes = !inQuotes;
+      } else if (/\s/.test(ch) && !inQuotes) {
+        pendingSpace = true;
+      } else {
+        append(ch);
+      }
+    }
+  });
+
+  return result;
+}
+
+function encodeText(text) {
+  return String(text)
+    .replace(/\\/g, '\\\\')
+    .replace(/\n/g, '\\n')
+    .replace(/\t/g, '\\t')
+    .replace(/"/g, '\\"')
+    .replace(/'/g, "\\'")
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;');
+}
+
+// Inverse of decodeValue; markup that looks like an XML tag is written as-is
+function encodeValue(value) {
+  const text = String(value === null || value === undefined ? '' : value);
+  let result = '';
+  let lastIndex = 0;
+  let match;
+  MARKUP_PATTERN.lastIndex = 0;
+  while ((match = MARKUP_PATTERN.exec(text)) !== null) {
+    result += encodeText(text.slice(lastIndex, match.index)) + match[0];
+    lastIndex = MARKUP_PATTERN.lastIndex;
+  }
+  result += encodeText(text.slice(lastIndex));
+
+  // A leading @ or ? would be read as a resource reference
+  result = result.replace(/^[@?]/, ch => `\\${ch}`);
+  // Whitespace that aapt would collapse has to be quoted
+  return /^\s|\s$|\s\s/.test(text) ? `"${result}"` : result;
+}
+
+function sameValue(a, b) {
+  if (Array.isArray(a) || Array.isArray(b)) {
+    return Array.isArray(a) && Array.isArray(b) && a.length === b.length && a.every((v, i) => v === b[i]);
+  }
+  if (a && b && typeof a === 'object' && typeof b === 'object') {
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length && keys.every(key => a[key] === b[key]);
+  }
+  return a === b;
+}
+
+function kindFor(value) {
+  if (Array.isArray(value)) return 'string-array';
+  return value && typeof value === 'object' ? 'plurals' : 'string';
+}
+
+/**
+ * Locate the resource entries of a strings.xml document.
+ * Entries keep their offsets so unchanged elements are written back as-is.
+ * @param {string} content
+ * @returns {{text: string, bodyStart: number, bodyEnd: number, entries: Array, eol: string, indent: string}}
+ */
+function parseResources(content) {
+  const text = String(content || '').replace(/^\uFEFF/, '');
+  const open = /<resources(\s[^>]*?)?(\/?)>/.exec(text);
+  if (!open) {
+    throw new AndroidResourceError('Missing <resources> root element');
+  }
+
+  const bodyStart = open.index + open[0].length;
+  const bodyEnd = open[2] ? bodyStart : text.lastIndexOf('</resources>');
+  if (bodyEnd < bodyStart) {
+    throw new AndroidResourceError('Unclosed <resources> element');
+  }
+
+  const body = text.slice(bodyStart, bodyEnd);
+  const entries = [];
+  let match;
+  ENTRY_PATTERN.lastIndex = 0;
+  while ((match = ENTRY_PATTERN.exec(body)) !== null) {
+    if (!match[1]) continue;
+    const attributes = parseAttributes(match[2]);
+    if (!attributes.name) {
+      throw new AndroidResourceError(`<${match[1]}> without a name attribute`);
+    }
+
+    const entry = {
+      kind: match[1],
+      name: attributes.name,
+      attributes,
+      openTag: `<${match[1]}${match[2]}>`,
+      raw: match[0],
+      start: bodyStart + match.index,
+      end: bodyStart + ENTRY_PATTERN.lastIndex,
+      translatable: attributes.translatable !== 'false'
+    };
+
+    if (entry.kind === 'string') {
+      entry.value = decodeValue(match[3]);
+    } else {
+      entry.items = [];
+      let item;
+      ITEM_PATTERN.lastIndex = 0;
+      while ((item = ITEM_PATTERN.exec(match[3] || '')) !== null) {
+        entry.items.push({ attributes: parseAttributes(item[1]), raw: item[0], value: decodeValue(item[2]) });
+      }
+      if (entry.kind === 'string-array') {
+        entry.value = entry.items.map(item => item.value);
+      } else {
+        entry.value = {};
+        entry.items.forEach(item => {
+          entry.value[item.attributes.quantity || 'other'] = item.value;
+        });
+      }
+    }
+    entries.push(entry);
+  }
+
+  const firstEntry = entries[0];
+  const indentMatch = firstEntry ? /[ \t]*$/.exec(text.slice(0, firstEntry.start)) : null;
+  return {
+    text,
+    bodyStart,
+    bodyEnd,
+    entries,
+    eol: text.includes('\r\n') ? '\r\n' : '\n',
+    indent: indentMatch && indentMatch[0] ? indentMatch[0] : '    '
+  };
+}
+
+/**
+ * Read a strings.xml file into a flat name -> value object.
+ */
+function read(content) {
+  const result = {};
+  parseResources(content).entries.forEach(entry => {
+    if (entry.translatable) {
+      result[entry.name] = entry.value;
+    }
+  });
+  return result;
+}
+
+// Build one resource element; `entry` supplies the opening tag and items to reuse
+function buildElement(name, value, indent, eol, entry) {
+  const kind = kindFor(value);
+  const openTag = entry && entry.kind === kind ? entry.openTag : `<${kind} name="${escapeXml(name)}">`;
+
+  if (kind === 'string') {
+    return `${openTag}${encodeValue(value)}</string>`;
+  }
+
+  const oldItems = entry && entry.kind === kind ? entry.items : [];
+  const lines = [openTag];
+  if (kind === 'string-array') {
+    value.forEach((item, index) => {
+      const old = oldItems[index];
+      lines.push(`${indent}${indent}${old && old.value === item ? old.raw : `<item>${encodeValue(item)}</item>`}`);
+    });
+  } else {
+    const quantities = Object.keys(value).sort((a, b) => PLURAL_QUANTITIES.indexOf(a) - PLURAL_QUANTITIES.indexOf(b));
+    quantities.forEach(quantity => {
+      const old = oldItems.find(item => (item.attributes.quantity || 'other') === quantity);
+      const item = old && old.value === value[quantity]
+        ? old.raw
+        : `<item quantity="${escapeXml(quantity)}">${encodeValue(value[quantity])}</item>`;
+      lines.push(`${indent}${indent}${item}`);
+    });
+  }
+  lines.push(`${indent}</${kind}>`);
+  return lines.join(eol);
+}
+
+/**
+ * Serialize a flat object as an Android strings.xml document.
+ * @param {object} data
+ * @param {object} options - { original, template } where `template` is the
+ *   source-language file whose element attributes (formatted="false", ...) new entries copy
+ */
+function serialize(data, options = {}) {
+  const values = data || {};
+  // An empty <resources/> root is opened up so new entries have a body to go into
+  const original = options.original
+    ? String(options.original).replace(/<resources(\s[^>]*?)?\/>/, (match, attributes) => `<resources${attributes || ''}>\n</resources>`)
+    : '<?xml version="1.0" encoding="utf-8"?>\n<resources>\n</resources>\n';
+  const parsed = parseResources(original);
+  const { text, eol, indent } = parsed;
+  const templateEntries = new Map();
+  if (options.template) {
+    try {
+      parseResources(options.template).entries.forEach(entry => templateEntries.set(entry.name, entry));
+    } catch (error) {
+      // A broken template only costs the copied attributes
+    }
+  }
+
+  const written = new Set();
+  let output = text.slice(0, parsed.bodyStart);
+  let cursor = parsed.bodyStart;
+
+  parsed.entries.forEach(entry => {
+    output += text.slice(cursor, entry.start);
+    cursor = entry.end;
+
+    if (!entry.translatable) {
+      output += entry.raw;
+      return;
+    }
+    if (!Object.prototype.hasOwnProperty.call(values, entry.name)) {
+      // Drop the element together with the indentation and line break before it
+      output = output.replace(/\r?\n[ \t]*$/, '');
+      return;
+    }
+    written.add(entry.name);
+    const value = values[entry.name];
+    output += sameValue(value, entry.value) ? entry.raw : buildElement(entry.name, value, indent, eol, entry);
+  });
+
+  const additions = Object.keys(values)
+    .filter(name => !written.has(name))
+    .map(name => {
+      const template = templateEntries.get(name);
+      const reusable = template ? { kind: template.kind, openTag: template.openTag, items: [] } : null;
+      return `${indent}${buildElement(name, values[name], indent, eol, reusable)}`;
+    });
+
+  let tail = text.slice(cursor, parsed.bodyEnd);
+  if (additions.length) {
+    // New entries go on their own lines right before </resources>
+    const closingIndent = /[ \t]*$/.exec(tail)[0];
+    tail = tail.slice(0, tail.length - closingIndent.length);
+    if (!/\n$/.test(tail) && !/\n$/.test(output + tail)) {
+      tail += eol;
+    }
+    tail += additions.join(eol) + eol + closingIndent;
+  }
+  output += tail;
+
+  const bom = options.original && String(options.original).startsWith('\uFEFF') ? '\uFEFF' : '';
+  return bom + output + text.slice(parsed.bodyEnd);
+}
+
+// True for res/ subdirectories that are not translation folders:
+// layout/, drawable-hdpi/, values-night/, values-v21/, ...
+function skipDirectory(name) {
+  const [type, ...qualifiers] = String(name || '').split('-');
+  if (RESOURCE_TYPES.includes(type)) return true;
+  if (type !== 'values' || qualifiers.length === 0) return false;
+  const language = qualifiers.find(qualifier => !/^(mcc|mnc)\d+$/.test(qualifier));
+  return !language || !/^([a-z]{2,3}|b\+[a-zA-Z0-9+]+)$/.test(language);
+}
+
+// values -> null (default resources), values-de -> de, values-pt-rBR -> pt-BR, values-b+sr+Latn -> sr-Latn
+function localeFromDirectory(name) {
+  const match = /^values(?:-(.+))?$/.exec(String(name || ''));
+  if (!match || skipDirectory(name)) return undefined;
+  if (!match[1]) return null;
+  const qualifiers = match[1].split('-').filter(qualifier => !/^(mcc|mnc)\d+$/.test(qualifier));
+  if (qualifiers[0].startsWith('b+')) {
+    return qualifiers[0].slice(2).split('+').join('-');
+  }
+  const region = /^r([A-Z]{2})$/.exec(qualifiers[1] || '');
+  return region ? `${qualifiers[0]}-${region[1]}` : qualifiers[0];
+}
+
+module.exports = {
+  name: 'android',
+  extension: '.xml',
+  extensions: ['.xml'],
+  flatKeys: true,
+  // Only string resource files; layouts, manifests and other XML are not locale files
+  matches: fileName => /^(strings|plurals|arrays)([._-][^/\\]*)?\.xml$/i.test(fileName),
+  skipDirectory,
+  localeFromDirectory,
+  read,
+  serialize,
+  parseResources,
+  decodeValue,
+  encodeValue,
+  AndroidResourceError
+};
@@ -0,0 +1,189 @@
+// Zero-dependency Flutter Application Resource Bundle (.arb) adapter.
+// ARB files are JSON where `@key` entries describe `key` (description,
+// placeholders) and `@@locale`-style entries describe the file. Only the
+// messages are exposed as translations; metadata is kept when writing with
+// the `original` option and dropped together with a removed message.
+
+const SELECT_TYPES = ['plural', 'select', 'selectordinal'];
+
+class ArbSyntaxError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ArbSyntaxError';
+  }
+}
+
+function parseArb(content) {
+  let parsed;
+  try {
+    parsed = JSON.parse(String(content || '{}').replace(/^\uFEFF/, '') || '{}');
+  } catch (error) {
+    throw new ArbSyntaxError(error.message);
+  }
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    throw new ArbSyntaxError('ARB content must be a JSON object');
+  }
+  return parsed;
+}
+
+/**
+ * Read an .arb file into a flat key -> message object, skipping metadata.
+ */
+function read(content) {
+  const result = {};
+  Object.entries(parseArb(content)).forEach(([key, value]) => {
+    if (!key.startsWith('@')) {
+      result[key] = value;
+    }
+  });
+  return result;
+}
+
+/**
+ * Serialize messages as .arb. With `original`, key order, `@@` entries and the
+ * `@key` block of every kept message are preserved; new messages are appended.
+ * @param {object} data
+ * @param {object} options - { original }
+ */
+function serialize(data, options = {}) {
+  const values = data || {};
+  const original = options.original ? parseArb(options.original) : {};
+  const output = {};
+
+  Object.keys(original).forEach(key => {
+    if (key.startsWith('@@')) {
+      output[key] = original[key];
+    } else if (key.startsWith('@')) {
+      const message = key.slice(1);
+      if (Object.prototype.hasOwnProperty.call(values, message)) {
+        output[key] = original[key];
+      }
+    } else if (Object.prototype.hasOwnProperty.call(values, key)) {
+      output[key] = values[key];
+    }
+  });
+  Object.keys(values).forEach(key => {
+    if (!Object.prototype.hasOwnProperty.call(output, key)) {
+      output[key] = values[key];
+    }
+  });
+
+  const indentMatch = /\n([ \t]+)"/.exec(String(options.original || ''));
+  const eol = String(options.original || '').includes('\r\n') ? '\r\n' : '\n';
+  const json = JSON.stringify(output, null, indentMatch ? indentMatch[1] : 2);
+  return json.replace(/\n/g, eol) + eol;
+}
+
+/**
+ * Placeholders declared in `@key` blocks, keyed by message.
+ * Messages without a `placeholders` object are left out.
+ * @param {string} content
+ * @returns {Object<string, string[]>}
+ */
+function declaredPlaceholders(content) {
+  const result = {};
+  Object.entries(parseArb(content)).forEach(([key, value]) => {
+    if (key.startsWith('@') && !key.startsWith('@@') && value && typeof value.placeholders === 'object') {
+      result[key.slice(1)] = Object.keys(value.placeholders || {});
+    }
+  });
+  return result;
+}
+
+// Message descriptions from `@key` blocks, for translators
+function descriptions(content) {
+  const result = {};
+  Object.entries(parseArb(content)).forEach(([key, value]) => {
+    if (key.startsWith('@') && !key.startsWith('@@') && value && typeof value.description === 'string') {
+      result[key.slice(1)] = value.description;
+    }
+  });
+  return result;
+}
+
+/**
+ * Argument names used by an ICU message, including the selector of
+ * plural/select arguments and arguments nested in their branches.
+ * @param {string} message
+ * @returns {Set<string>}
+ */
+function placeholderNames(message) {
+  const text = String(message === null || message === undefined ? '' : message);
+  const names = new Set();
+  let i = 0;
+
+  // Skip to the brace that closes the current block
+  const skipBlock = () => {
+    let depth = 1;
+    while (i < text.length && depth > 0) {
+      if (text[i] === '{') depth++;
+      if (text[i] === '}') depth--;
+      i++;
+    }
+  };
+
+  const parseMessage = nested => {
+    while (i < text.length) {
+      if (text[i] === '{') {
+        i++;
+        parseArgument();
+      } else if (text[i] === '}' && nested) {
+        return;
+      } else {
+        i++;
+      }
+    }
+  };
+
+  const parseArgument = () => {
+    const name = /^\s*([^\s,{}]+)\s*/.exec(text.slice(i));
+    if (!name) {
+      skipBlock();
+      return;
+    }
+    names.add(name[1]);
+    i += name[0].length;
+    if (text[i] !== ',') {
+      skipBlock();
+      return;
+    }
+
+    const type = /^,\s*(\w+)\s*/.exec(text.slice(i));
+    if (!type || !SELECT_TYPES.includes(type[1])) {
+      skipBlock();
+      return;
+    }
+    i += type[0].length;
+    if (text[i] === ',') i++;
+
+    // selector {branch} pairs until the closing brace
+    while (i < text.length) {
+      const selector = /^\s*(?:offset:\s*\d+\s*)?([^\s{}]*)\s*/.exec(text.slice(i));
+      i += selector[0].length;
+      if (text[i] === '{') {
+        i++;
+        parseMessage(true);
+        i++;
+      } else {
+        if (text[i] === '}') i++;
+        return;
+      }
+    }
+  };
+
+  parseMessage(false);
+  return names;
+}
+
+module.exports = {
+  name: 'arb',
+  extension: '.arb',
+  extensions: ['.arb'],
+  flatKeys: true,
+  read,
+  serialize,
+  declaredPlaceholders,
+  descriptions,
+  placeholderNames,
+  ArbSyntaxError
+};
@@ -1,11 +1,215 @@
-const fs = require('fs');
+// JSON locale adapter. Writing with the `original` option edits the original
+// text in place: unchanged members keep their exact text, changed values are
+// replaced, removed members are cut out and new members are inserted at the
+// position of the key in the data. Indentation, line endings, a BOM and the
+// trailing newline of the original are kept.
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function sameValue(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Locate the objects and members of a JSON document.
+ * Objects are `{ start, end, members }`; each member records the offsets of its
+ * key and value, and `object` when the value is itself an object.
+ * @param {string} text - valid JSON
+ * @returns {object|null} the root object, or null when the root is not an object
+ */
+function scan(text) {
+  let i = 0;
+
+  const skipSpace = () => {
+    while (i < text.length && /\s/.test(text[i])) i++;
+  };
+
+  const skipString = () => {
+    i++;
+    while (text[i] !== '"') {
+      i += text[i] === '\\' ? 2 : 1;
+    }
+    i++;
+  };
+
+  let scanValue;
+
+  const scanObject = () => {
+    const node = { start: i, end: 0, members: [] };
+    i++;
+    skipSpace();
+    while (text[i] !== '}') {
+      const member = { start: i };
+      skipString();
+      member.key = JSON.parse(text.slice(member.start, i));
+      skipSpace();
+      i++; // ':'
+      skipSpace();
+      member.valueStart = i;
+      member.object = scanValue();
+      member.valueEnd = i;
+      node.members.push(member);
+      skipSpace();
+      if (text[i] === ',') {
+        i++;
+        skipSpace();
+      }
+    }
+    i++;
+    node.end = i;
+    return node;
+  };
+
+  scanValue = () => {
+    if (text[i] === '{') return scanObject();
+    if (text[i] === '"') {
+      skipString();
+    } else if (text[i] === '[') {
+      let depth = 0;
+      do {
+        if (text[i] === '"') {
+          skipString();
+          continue;
+        }
+        if (text[i] === '[' || text[i] === '{') depth++;
+        if (text[i] === ']' || text[i] === '}') depth--;
+        i++;
+      } while (depth > 0);
+    } else {
+      while (i < text.length && /[^\s,\]}]/.test(text[i])) i++;
+    }
+    return null;
+  };
+
+  skipSpace();
+  return text[i] === '{' ? scanObject() : null;
+}
+
+// Whitespace at the start of the line that contains `offset`
+function lineIndent(text, offset) {
+  const lineStart = text.lastIndexOf('\n', offset - 1) + 1;
+  return /^[ \t]*/.exec(text.slice(lineStart))[0];
+}
+
+/**
+ * Rewrite `original` so that it holds `data`, touching only what changed.
+ * @param {object} data
+ * @param {string} original - JSON text without a BOM, with \n line endings
+ * @param {string} indent - one indentation step
+ * @returns {string|null} null when the original has no root object
+ */
+function patch(data, original, indent) {
+  const root = scan(original);
+  if (!root) return null;
+
+  const formatValue = (value, pad, inline) => {
+    if (inline) return JSON.stringify(value);
+    return JSON.stringify(value, null, indent).replace(/\n/g, `\n${pad}`);
+  };
+
+  const writeObject = (node, value, parentInline = false) => {
+    const members = node.members;
+    let leading;
+    let trailing;
+    let separator;
+    if (members.length === 0) {
+      // An empty object follows the layout of its parent
+      const pad = lineIndent(original, node.start);
+      leading = parentInline ? '' : `\n${pad}${indent}`;
+      trailing = parentInline ? '' : `\n${pad}`;
+      separator = parentInline ? ', ' : `,${leading}`;
+    } else {
+      leading = original.slice(node.start + 1, members[0].start);
+      trailing = original.slice(members[members.length - 1].valueEnd, node.end - 1);
+      separator = members.length > 1
+        ? original.slice(members[0].valueEnd, members[1].start)
+        : `,${leading.includes('\n') ? leading : ' '}`;
+    }
+    const inline = !leading.includes('\n');
+    const memberPad = inline ? '' : leading.slice(leading.lastIndexOf('\n') + 1);
+    const colon = members.length > 0
+      ? original.slice(members[0].start, members[0].valueStart).replace(/^"(?:[^"\\]|\\.)*"/, '')
+      : ': ';
+
+    const byKey = new Map(members.map((member, index) => [member.key, { member, index }]));
+    const keys = Object.keys(value);
+    if (keys.length === 0) {
+      return members.length === 0 ? original.slice(node.start, node.end) : '{}';
+    }
+
+    let output = `{${leading}`;
+    keys.forEach((key, position) => {
+      const existing = byKey.get(key);
+      if (position > 0) {
+        const previous = byKey.get(keys[position - 1]);
+        // Keep the exact separator between members that were neighbours before
+        output += previous && existing && existing.index === previous.index + 1
+          ? original.slice(previous.member.valueEnd, existing.member.start)
+          : separator;
+      }
+      if (!existing) {
+        output += `${JSON.stringify(key)}${colon}${formatValue(value[key], memberPad, inline)}`;
+        return;
+      }
+      const { member } = existing;
+      const keyText = original.slice(member.start, member.valueStart);
+      if (member.object && isPlainObject(value[key])) {
+        output += keyText + writeObject(member.object, value[key], inline);
+      } else if (sameValue(JSON.parse(original.slice(member.valueStart, member.valueEnd)), value[key])) {
+        output += original.slice(member.start, member.valueEnd);
+      } else {
+        output += keyText + formatValue(value[key], memberPad, inline);
+      }
+    });
+    return `${output}${trailing}}`;
+  };
+
+  return original.slice(0, root.start) + writeObject(root, data) + original.slice(root.end);
+}
+
+// Indentation, line ending and final newline of existing JSON text
+function detectLayout(content) {
+  const text = content.replace(/^\uFEFF/, '');
+  const indentMatch = /\n([ \t]+)\S/.exec(text);
+  return {
+    indent: indentMatch ? indentMatch[1] : '  ',
+    eol: text.includes('\r\n') ? '\r\n' : '\n',
+    finalNewline: /\n\s*$/.test(text) ? '\n' : ''
+  };
+}
 
 module.exports = {
+  name: 'json',
   extension: '.json',
+  extensions: ['.json'],
   read(content) {
-    return JSON.parse(content);
+    return JSON.parse(String(content).replace(/^\uFEFF/, ''));
   },
-  serialize(data) {
-    return JSON.stringify(data, null, 2);
+  /**
+   * Serialize translations as JSON.
+   * @param {object} data
+   * @param {object} options - { original } keeps the layout of an existing file;
+   *   without it a `template` (the source language file) lends its layout
+   */
+  serialize(data, options = {}) {
+    const original = String(options.original || '');
+    const layout = detectLayout(original.trim() ? original : String(options.template || ''));
+    const text = original.replace(/^\uFEFF/, '').replace(/\r\n/g, '\n');
+
+    let output = null;
+    if (text.trim() && isPlainObject(data)) {
+      try {
+        JSON.parse(text);
+        output = patch(data, text, layout.indent);
+      } catch (error) {
+        // Invalid originals are replaced, keeping only their layout
+      }
+    }
+    if (output === null) {
+      output = JSON.stringify(data, null, layout.indent) + layout.finalNewline;
+    }
+    return (original.startsWith('\uFEFF') ? '\uFEFF' : '') + output.replace(/\n/g, layout.eol);
   }
-};
\ No newline at end of file
+};
@@ -0,0 +1,237 @@
+// Zero-dependency PHP array adapter (Laravel lang/{locale}/*.php, plain PHP catalogs).
+// Files are parsed, never executed: only `return [...]` / `return array(...)`
+// with string, number, boolean and null literals (and string concatenation)
+// is accepted. Anything else - constants, function calls, interpolated
+// variables - is rejected with a PhpSyntaxError. Writing keeps the key order
+// of the data, the `<?php` preamble, the indentation and array syntax
+// (integer keys come first, as in any JavaScript object).
+
+const DOUBLE_QUOTE_ESCAPES = { n: '\n', t: '\t', r: '\r', v: '\v', e: '\x1b', f: '\f', '\\': '\\', $: '$', '"': '"' };
+
+class PhpSyntaxError extends Error {
+  constructor(message, line) {
+    super(line ? `${message} (line ${line})` : message);
+    this.name = 'PhpSyntaxError';
+    this.line = line;
+  }
+}
+
+/**
+ * Parse the array returned by a PHP file.
+ * @param {string} content
+ * @returns {{value: *, preamble: string, longSyntax: boolean}}
+ */
+function parsePhp(content) {
+  const text = String(content || '').replace(/^\uFEFF/, '');
+  let i = 0;
+
+  const fail = message => {
+    throw new PhpSyntaxError(message, text.slice(0, i).split('\n').length);
+  };
+
+  const skipTrivia = () => {
+    for (;;) {
+      const match = /^(?:\s+|\/\/[^\n]*|#(?!\[)[^\n]*|\/\*[\s\S]*?\*\/)/.exec(text.slice(i));
+      if (!match) return;
+      i += match[0].length;
+    }
+  };
+
+  const parseSingleQuoted = () => {
+    const match = /^'((?:[^'\\]|\\[\s\S])*)'/.exec(text.slice(i));
+    if (!match) fail('Unterminated string');
+    i += match[0].length;
+    return match[1].replace(/\\(['\\])/g, '$1');
+  };
+
+  const parseDoubleQuoted = () => {
+    const match = /^"((?:[^"\\]|\\[\s\S])*)"/.exec(text.slice(i));
+    if (!match) fail('Unterminated string');
+    if (/(^|[^\\])(\\\\)*(\$[A-Za-z_{]|\{\$)/.test(match[1])) {
+      fail('Variable interpolation is not supported');
+    }
+    i += match[0].length;
+    return match[1].replace(/\\(?:u\{([0-9a-fA-F]+)\}|x([0-9a-fA-F]{1,2})|([0-7]{1,3})|([\s\S]))/g, (all, unicode, hex, octal, ch) => {
+      if (unicode) return String.fromCodePoint(parseInt(unicode, 16));
+      if (hex) return String.fromCharCode(parseInt(hex, 16));
+      if (octal) return String.fromCharCode(parseInt(octal, 8) & 0xff);
+      return Object.prototype.hasOwnProperty.call(DOUBLE_QUOTE_ESCAPES, ch) ? DOUBLE_QUOTE_ESCAPES[ch] : all;
+    });
+  };
+
+  const parseString = () => (text[i] === '"' ? parseDoubleQuoted() : parseSingleQuoted());
+
+  let parseValue;
+
+  const parseArray = close => {
+    const entries = [];
+    let nextIndex = 0;
+    for (;;) {
+      skipTrivia();
+      if (text[i] === close) {
+        i++;
+        break;
+      }
+      let key = nextIndex;
+      let value = parseValue();
+      skipTrivia();
+      if (text.startsWith('=>', i)) {
+        i += 2;
+        if (typeof value !== 'string' && typeof value !== 'number') fail('Array keys must be strings or integers');
+        key = value;
+        value = parseValue();
+        skipTrivia();
+      }
+      if (typeof key === 'number' || /^(0|-?[1-9]\d*)$/.test(key)) {
+        key = Number(key);
+        nextIndex = Math.max(nextIndex, key + 1);
+      }
+      entries.push([key, value]);
+      if (text[i] === ',') {
+        i++;
+      } else if (text[i] !== close) {
+        fail(`Expected ',' or '${close}'`);
+      }
+    }
+
+    // A plain list (0, 1, 2, ...) becomes an array, anything else an object
+    if (entries.every(([key], index) => key === index)) {
+      return entries.map(([, value]) => value);
+    }
+    const result = {};
+    entries.forEach(([key, value]) => {
+      result[key] = value;
+    });
+    return result;
+  };
+
+  parseValue = () => {
+    skipTrivia();
+    const rest = text.slice(i);
+    if (rest[0] === '[') {
+      i++;
+      return parseArray(']');
+    }
+    const longArray = /^array\s*\(/i.exec(rest);
+    if (longArray) {
+      i += longArray[0].length;
+      return parseArray(')');
+    }
+    if (rest[0] === '\'' || rest[0] === '"') {
+      let value = parseString();
+      // 'a' . 'b'
+      for (;;) {
+        skipTrivia();
+        if (text[i] !== '.' || /\d/.test(text[i + 1] || '')) break;
+        i++;
+        skipTrivia();
+        if (text[i] !== '\'' && text[i] !== '"') fail('Only string literals can be concatenated');
+        value += parseString();
+      }
+      return value;
+    }
+    const number = /^-?(?:\d+\.\d*|\.\d+|\d+)(?:[eE][-+]?\d+)?/.exec(rest);
+    if (number) {
+      i += number[0].length;
+      return Number(number[0]);
+    }
+    const keyword = /^(true|false|null)\b/i.exec(rest);
+    if (keyword) {
+      i += keyword[0].length;
+      const word = keyword[1].toLowerCase();
+      return word === 'null' ? null : word === 'true';
+    }
+    return fail('Unsupported expression; only literal arrays can be read');
+  };
+
+  skipTrivia();
+  if (!text.startsWith('<?php', i)) fail('Missing <?php open tag');
+  i += 5;
+
+  // declare/namespace/use statements may come before the return
+  for (;;) {
+    skipTrivia();
+    if (/^return\b/i.test(text.slice(i))) break;
+    const statement = /^(?:declare\s*\([^)]*\)|namespace\s+[\w\\]+|use\s+[\w\\]+(?:\s+as\s+\w+)?)\s*;/i.exec(text.slice(i));
+    if (!statement) fail('Expected a return statement');
+    i += statement[0].length;
+  }
+  const preamble = text.slice(0, i);
+  i += 'return'.length;
+  skipTrivia();
+  const longSyntax = /^array\s*\(/i.test(text.slice(i));
+  const value = parseValue();
+  if (!value || typeof value !== 'object') fail('The file must return an array');
+  skipTrivia();
+  if (text[i] === ';') i++;
+  skipTrivia();
+  if (i < text.length && !text.startsWith('?>', i)) fail('Unexpected content after the return statement');
+
+  return { value, preamble, longSyntax };
+}
+
+/**
+ * Read a PHP return-array file into a (nested) object.
+ */
+function read(content) {
+  return parsePhp(content).value;
+}
+
+function quote(value) {
+  return `'${String(value).replace(/\\/g, '\\\\').replace(/'/g, '\\\'')}'`;
+}
+
+/**
+ * Serialize an object as a PHP return-array file.
+ * @param {object} data
+ * @param {object} options - { original } keeps the preamble and layout of an existing file
+ */
+function serialize(data, options = {}) {
+  const original = String(options.original || '');
+  let layout = { preamble: '<?php\n\n', longSyntax: false };
+  if (original) {
+    try {
+      layout = parsePhp(original);
+    } catch (error) {
+      // Unreadable originals are replaced with the default layout
+    }
+  }
+  const indentMatch = /\n([ \t]+)['"\d]/.exec(original);
+  const indent = indentMatch ? indentMatch[1] : '    ';
+  const trailingComma = !original || /,\s*[\])]/.test(original);
+  const [open, close] = layout.longSyntax ? ['array(', ')'] : ['[', ']'];
+  const eol = original.includes('\r\n') ? '\r\n' : '\n';
+
+  const writeValue = (value, depth) => {
+    if (value === null || value === undefined) return 'null';
+    if (typeof value === 'boolean' || typeof value === 'number') return String(value);
+    if (typeof value !== 'object') return quote(value);
+
+    const entries = Array.isArray(value)
+      ? value.map(item => [null, item])
+      : Object.entries(value);
+    if (entries.length === 0) return `${open}${close}`;
+    const pad = indent.repeat(depth + 1);
+    const lines = entries.map(([key, item], index) => {
+      const prefix = key === null ? '' : `${/^(0|[1-9]\d*)$/.test(key) ? key : quote(key)} => `;
+      const comma = index < entries.length - 1 || trailingComma ? ',' : '';
+      return `${pad}${prefix}${writeValue(item, depth + 1)}${comma}`;
+    });
+    return [open, ...lines, `${indent.repeat(depth)}${close}`].join('\n');
+  };
+
+  const output = `${layout.preamble}return ${writeValue(data || {}, 0)};\n`;
+  return output.replace(/\r?\n/g, eol);
+}
+
+module.exports = {
+  name: 'php',
+  extension: '.php',
+  extensions: ['.php'],
+  read,
+  serialize,
+  // Laravel keeps package overrides in lang/vendor/<package>/<locale>
+  skipDirectory: name => name === 'vendor',
+  parsePhp,
+  PhpSyntaxError
+};
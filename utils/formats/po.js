@@ -0,0 +1,343 @@
+// Zero-dependency gettext PO/POT adapter (Django, Flask-Babel, WordPress).
+// Translations are exposed as a flat object keyed by msgid. Entries with a
+// msgctxt use gettext's own `context\u0004msgid` key and plural entries map
+// to an array of msgstr[n] values. Writing with the `original` option keeps
+// every comment, reference, flag, obsolete entry and unchanged line as-is.
+
+const CONTEXT_SEPARATOR = '\u0004';
+
+const ESCAPES = { n: '\n', t: '\t', r: '\r', a: '\x07', b: '\b', f: '\f', v: '\v', '"': '"', '\\': '\\' };
+const UNESCAPES = { '\n': '\\n', '\t': '\\t', '\r': '\\r', '\x07': '\\a', '\b': '\\b', '\f': '\\f', '\v': '\\v', '"': '\\"', '\\': '\\\\' };
+
+class PoSyntaxError extends Error {
+  constructor(message, line) {
+    super(line ? `${message} (line ${line})` : message);
+    this.name = 'PoSyntaxError';
+    this.line = line;
+  }
+}
+
+function unescapeString(text, lineNo) {
+  return text.replace(/\\(?:([0-7]{1,3})|x([0-9a-fA-F]{1,2})|(.))/g, (match, octal, hex, ch) => {
+    if (octal) return String.fromCharCode(parseInt(octal, 8));
+    if (hex) return String.fromCharCode(parseInt(hex, 16));
+    if (Object.prototype.hasOwnProperty.call(ESCAPES, ch)) return ESCAPES[ch];
+    throw new PoSyntaxError(`Invalid escape sequence \\${ch}`, lineNo);
+  });
+}
+
+function escapeString(text) {
+  return String(text).replace(/[\n\t\r\x07\b\f\v"\\]/g, ch => UNESCAPES[ch]);
+}
+
+// Read the quoted string that makes up the rest of a keyword or continuation line
+function readQuoted(text, lineNo) {
+  const match = /^"((?:[^"\\]|\\.)*)"\s*$/.exec(text.trim());
+  if (!match) {
+    throw new PoSyntaxError('Expected a quoted string', lineNo);
+  }
+  return unescapeString(match[1], lineNo);
+}
+
+function keyFor(entry) {
+  return entry.msgctxt !== undefined ? `${entry.msgctxt}${CONTEXT_SEPARATOR}${entry.msgid}` : entry.msgid;
+}
+
+function entryValue(entry) {
+  return entry.msgidPlural !== undefined ? entry.msgstr.slice() : (entry.msgstr[0] || '');
+}
+
+function sameValue(a, b) {
+  if (Array.isArray(a) || Array.isArray(b)) {
+    return Array.isArray(a) && Array.isArray(b) && a.length === b.length && a.every((v, i) => v === b[i]);
+  }
+  return a === b;
+}
+
+// Split a catalog into entries. Each entry keeps its raw lines so unchanged
+// entries can be written back byte for byte.
+function parseCatalog(content) {
+  const text = String(content || '').replace(/^\uFEFF/, '');
+  const eol = text.includes('\r\n') ? '\r\n' : '\n';
+  const lines = text.split(/\r\n|\n/);
+  const items = [];
+  let entry = null;
+  let field = null;
+  let pendingBlank = [];
+
+  const startEntry = () => {
+    entry = {
+      lines: [],
+      msgstrStart: -1,
+      translatorComments: [],
+      extractedComments: [],
+      references: [],
+      flags: [],
+      previous: [],
+      obsolete: false,
+      msgstr: []
+    };
+    items.push(...pendingBlank.map(raw => ({ raw })));
+    pendingBlank = [];
+    items.push(entry);
+    field = null;
+  };
+
+  lines.forEach((raw, index) => {
+    const lineNo = index + 1;
+    const line = raw.trim();
+
+    if (!line) {
+      entry = null;
+      field = null;
+      pendingBlank.push(raw);
+      return;
+    }
+
+    const isComment = line.startsWith('#');
+    const isObsolete = line.startsWith('#~');
+    // A comment or keyword after the msgstr block starts the next entry
+    if (!entry || (entry.msgstrStart !== -1 && (isComment || /^(msgctxt|msgid)\b/.test(line)) && !(entry.obsolete && isObsolete))) {
+      startEntry();
+    }
+    entry.lines.push(raw);
+
+    if (isObsolete) {
+      entry.obsolete = true;
+      entry.msgstrStart = entry.msgstrStart === -1 && /^#~\s*msgstr/.test(line) ? entry.lines.length - 1 : entry.msgstrStart;
+      return;
+    }
+    if (isComment) {
+      const marker = line.charAt(1);
+      const body = line.slice(2).trim();
+      if (marker === '.') entry.extractedComments.push(body);
+      else if (marker === ':') entry.references.push(...body.split(/\s+/).filter(Boolean));
+      else if (marker === ',') entry.flags.push(...body.split(',').map(f => f.trim()).filter(Boolean));
+      else if (marker === '|') entry.previous.push(body);
+      else entry.translatorComments.push(line.slice(1).replace(/^ /, ''));
+      return;
+    }
+
+    const keyword = /^(msgctxt|msgid_plural|msgid|msgstr(?:\[(\d+)\])?)\s+(.*)$/.exec(line);
+    if (keyword) {
+      const value = readQuoted(keyword[3], lineNo);
+      if (keyword[1] === 'msgctxt') {
+        field = { name: 'msgctxt' };
+        entry.msgctxt = value;
+      } else if (keyword[1] === 'msgid') {
+        field = { name: 'msgid' };
+        entry.msgid = value;
+      } else if (keyword[1] === 'msgid_plural') {
+        field = { name: 'msgidPlural' };
+        entry.msgidPlural = value;
+      } else {
+        if (entry.msgid === undefined) {
+          throw new PoSyntaxError('msgstr without msgid', lineNo);
+        }
+        if (entry.msgstrStart === -1) entry.msgstrStart = entry.lines.length - 1;
+        const slot = keyword[2] !== undefined ? parseInt(keyword[2], 10) : 0;
+        field = { name: 'msgstr', slot };
+        entry.msgstr[slot] = value;
+      }
+      return;
+    }
+
+    if (line.startsWith('"')) {
+      if (!field) {
+        throw new PoSyntaxError('String continuation without a keyword', lineNo);
+      }
+      const value = readQuoted(line, lineNo);
+      if (field.name === 'msgstr') entry.msgstr[field.slot] += value;
+      else entry[field.name] += value;
+      return;
+    }
+
+    throw new PoSyntaxError(`Unexpected content "${line}"`, lineNo);
+  });
+
+  items.push(...pendingBlank.map(raw => ({ raw })));
+
+  const entries = items.filter(item => item.lines);
+  entries.forEach(item => {
+    if (!item.obsolete && item.msgid === undefined) {
+      throw new PoSyntaxError('Entry without msgid');
+    }
+    for (let i = 0; i < item.msgstr.length; i++) {
+      if (item.msgstr[i] === undefined) item.msgstr[i] = '';
+    }
+  });
+
+  const header = entries.find(item => !item.obsolete && item.msgid === '' && item.msgctxt === undefined);
+  const headers = {};
+  if (header) {
+    (header.msgstr[0] || '').split('\n').forEach(row => {
+      const colon = row.indexOf(':');
+      if (colon > 0) headers[row.slice(0, colon).trim()] = row.slice(colon + 1).trim();
+    });
+  }
+
+  return { items, entries, header, headers, eol };
+}
+
+// Write a keyword line, splitting on embedded newlines the way msgmerge does
+function formatField(keyword, value) {
+  const str = String(value === undefined || value === null ? '' : value);
+  const parts = str.split(/(?<=\n)/).filter(Boolean);
+  if (parts.length <= 1) {
+    return [`${keyword} "${escapeString(str)}"`];
+  }
+  return [`${keyword} ""`, ...parts.map(part => `"${escapeString(part)}"`)];
+}
+
+// nplurals of a `Plural-Forms: nplurals=3; plural=...` header, or null
+function headerPluralCount(headers) {
+  const match = /nplurals\s*=\s*(\d+)/.exec((headers && headers['Plural-Forms']) || '');
+  const count = match ? parseInt(match[1], 10) : 0;
+  return count > 0 ? count : null;
+}
+
+// Number of msgstr[n] forms a catalog's plural entries need, from its header
+function pluralFormCount(content) {
+  return headerPluralCount(parseCatalog(content).headers);
+}
+
+// Plural entries get the catalog's nplurals forms when its header names
+// them (msgfmt -c rejects any other count), else as many as they have
+function formatMsgstr(entry, value, nplurals) {
+  if (entry.msgidPlural === undefined) {
+    return formatField('msgstr', Array.isArray(value) ? value[0] : value);
+  }
+  const count = nplurals || Math.max(Array.isArray(value) ? value.length : 0, entry.msgstr.length, 2);
+  const lines = [];
+  for (let i = 0; i < count; i++) {
+    const form = Array.isArray(value) ? value[i] : value;
+    lines.push(...formatField(`msgstr[${i}]`, form === undefined ? '' : form));
+  }
+  return lines;
+}
+
+// Build the lines of an entry that does not exist in the file yet. Comments,
+// references and flags are copied from the template (usually the source
+// catalog or a POT file) when it has the same key.
+function buildEntry(key, value, templateEntry, nplurals) {
+  const separator = key.indexOf(CONTEXT_SEPARATOR);
+  const entry = {
+    msgctxt: separator === -1 ? undefined : key.slice(0, separator),
+    msgid: separator === -1 ? key : key.slice(separator + 1),
+    msgidPlural: templateEntry ? templateEntry.msgidPlural : undefined,
+    msgstr: templateEntry ? templateEntry.msgstr.map(() => '') : []
+  };
+  if (entry.msgidPlural === undefined && Array.isArray(value)) {
+    entry.msgidPlural = entry.msgid;
+  }
+
+  const lines = [];
+  if (templateEntry) {
+    templateEntry.extractedComments.forEach(comment => lines.push(`#. ${comment}`));
+    if (templateEntry.references.length) lines.push(`#: ${templateEntry.references.join(' ')}`);
+    const flags = templateEntry.flags.filter(flag => flag !== 'fuzzy');
+    if (flags.length) lines.push(`#, ${flags.join(', ')}`);
+  }
+  if (entry.msgctxt !== undefined) lines.push(...formatField('msgctxt', entry.msgctxt));
+  lines.push(...formatField('msgid', entry.msgid));
+  if (entry.msgidPlural !== undefined) lines.push(...formatField('msgid_plural', entry.msgidPlural));
+  lines.push(...formatMsgstr(entry, value, nplurals));
+  return lines;
+}
+
+function defaultHeader(language) {
+  const rows = ['MIME-Version: 1.0\n', 'Content-Type: text/plain; charset=UTF-8\n', 'Content-Transfer-Encoding: 8bit\n'];
+  if (language) rows.push(`Language: ${language}\n`);
+  return ['msgid ""', 'msgstr ""', ...rows.map(row => `"${escapeString(row)}"`)];
+}
+
+function read(content) {
+  const { entries } = parseCatalog(content);
+  const data = {};
+  entries.forEach(entry => {
+    if (entry.obsolete || (entry.msgid === '' && entry.msgctxt === undefined)) return;
+    data[keyFor(entry)] = entryValue(entry);
+  });
+  return data;
+}
+
+// Extracted (#.) comments are the developer notes for translators
+function descriptions(content) {
+  const result = {};
+  parseCatalog(content).entries.forEach(entry => {
+    if (entry.obsolete || entry.msgid === '' || entry.extractedComments.length === 0) return;
+    result[keyFor(entry)] = entry.extractedComments.join('\n');
+  });
+  return result;
+}
+
+function serialize(data, options = {}) {
+  const values = data && typeof data === 'object' ? data : {};
+  const template = options.template ? parseCatalog(options.template) : null;
+  const templateEntries = new Map();
+  if (template) {
+    template.entries.forEach(entry => {
+      if (!entry.obsolete) templateEntries.set(keyFor(entry), entry);
+    });
+  }
+
+  const catalog = parseCatalog(options.original || '');
+  const nplurals = headerPluralCount(catalog.headers);
+  const output = [];
+  const written = new Set();
+
+  catalog.items.forEach(item => {
+    if (!item.lines) {
+      output.push(item.raw);
+      return;
+    }
+    if (item.obsolete || item === catalog.header) {
+      output.push(...item.lines);
+      return;
+    }
+    const key = keyFor(item);
+    if (!Object.prototype.hasOwnProperty.call(values, key)) {
+      // Entry was removed from the data; keep the surrounding blank lines tidy
+      if (output.length && output[output.length - 1].trim() === '') output.pop();
+      return;
+    }
+    written.add(key);
+    const value = values[key];
+    if (sameValue(value, entryValue(item))) {
+      output.push(...item.lines);
+    } else {
+      output.push(...item.lines.slice(0, item.msgstrStart), ...formatMsgstr(item, value, nplurals));
+    }
+  });
+
+  // Drop trailing blank lines; they are restored after the new entries
+  while (output.length && output[output.length - 1].trim() === '') output.pop();
+
+  if (!catalog.header && !options.original) {
+    output.push(...defaultHeader(options.language));
+  }
+
+  Object.keys(values).forEach(key => {
+    if (written.has(key)) return;
+    if (output.length) output.push('');
+    output.push(...buildEntry(key, values[key], templateEntries.get(key), nplurals));
+  });
+
+  const eol = options.original ? catalog.eol : '\n';
+  return output.join(eol) + eol;
+}
+
+module.exports = {
+  name: 'po',
+  extension: '.po',
+  extensions: ['.po', '.pot'],
+  // Keys are msgids and may contain dots, so they must not be split into paths
+  flatKeys: true,
+  contextSeparator: CONTEXT_SEPARATOR,
+  read,
+  serialize,
+  descriptions,
+  parseCatalog,
+  pluralFormCount,
+  PoSyntaxError
+};
@@ -0,0 +1,184 @@
+// Zero-dependency Java .properties adapter (ResourceBundle, Spring MessageSource).
+// Keys are literal strings - `app.title` is one key, not a nested path - so the
+// adapter is flat. Writing with the `original` option keeps comments, blank
+// lines, key order and the separator style; only changed values are rewritten.
+
+const ESCAPES = { t: '\t', n: '\n', r: '\r', f: '\f' };
+
+class PropertiesSyntaxError extends Error {
+  constructor(message, line) {
+    super(line ? `${message} (line ${line})` : message);
+    this.name = 'PropertiesSyntaxError';
+    this.line = line;
+  }
+}
+
+function unescapeText(text, lineNo) {
+  return text.replace(/\\(?:u([0-9a-fA-F]{0,4})|([\s\S]))/g, (match, hex, ch) => {
+    if (hex !== undefined) {
+      if (hex.length !== 4) {
+        throw new PropertiesSyntaxError('Malformed \\uXXXX escape', lineNo);
+      }
+      return String.fromCharCode(parseInt(hex, 16));
+    }
+    return Object.prototype.hasOwnProperty.call(ESCAPES, ch) ? ESCAPES[ch] : ch;
+  });
+}
+
+function escapeText(text, isKey, asciiOnly) {
+  let result = String(text)
+    .replace(/\\/g, '\\\\')
+    .replace(/\t/g, '\\t')
+    .replace(/\n/g, '\\n')
+    .replace(/\r/g, '\\r')
+    .replace(/\f/g, '\\f');
+
+  if (isKey) {
+    result = result.replace(/[ =:#!]/g, ch => `\\${ch}`);
+  } else {
+    // Leading whitespace would be swallowed by the separator
+    result = result.replace(/^ /, '\\ ');
+  }
+  if (asciiOnly) {
+    result = result.replace(/[^\x00-\x7f]/g, ch => `\\u${ch.charCodeAt(0).toString(16).padStart(4, '0')}`);
+  }
+  return result;
+}
+
+// A line continues when it ends with an odd number of backslashes
+function continues(line) {
+  const match = /\\+$/.exec(line);
+  return Boolean(match) && match[0].length % 2 === 1;
+}
+
+/**
+ * Split a .properties file into logical entries.
+ * Every entry keeps its raw lines so unchanged entries are written back as-is.
+ * @param {string} content
+ * @returns {{entries: Array, eol: string, bom: boolean}}
+ */
+function parseProperties(content) {
+  const raw = String(content || '');
+  const bom = raw.startsWith('\uFEFF');
+  const text = bom ? raw.slice(1) : raw;
+  const eol = text.includes('\r\n') ? '\r\n' : '\n';
+  const lines = text.split(/\r?\n/);
+  const entries = [];
+
+  // split() leaves one empty element after a trailing newline
+  if (lines.length && lines[lines.length - 1] === '') {
+    lines.pop();
+  }
+
+  for (let i = 0; i < lines.length; i++) {
+    const lineNo = i + 1;
+    const first = lines[i];
+    const trimmed = first.replace(/^[ \t\f]+/, '');
+
+    if (trimmed === '' || trimmed[0] === '#' || trimmed[0] === '!') {
+      entries.push({ type: 'other', lines: [first] });
+      continue;
+    }
+
+    const rawLines = [first];
+    let logical = trimmed;
+    while (continues(logical) && i + 1 < lines.length) {
+      i++;
+      rawLines.push(lines[i]);
+      logical = logical.slice(0, -1) + lines[i].replace(/^[ \t\f]+/, '');
+    }
+    if (continues(logical)) {
+      logical = logical.slice(0, -1);
+    }
+
+    // The key ends at the first unescaped '=', ':' or whitespace
+    let keyEnd = 0;
+    while (keyEnd < logical.length && !/[=:\s]/.test(logical[keyEnd])) {
+      keyEnd += logical[keyEnd] === '\\' ? 2 : 1;
+    }
+    keyEnd = Math.min(keyEnd, logical.length);
+    const separator = /^[ \t\f]*[=:]?[ \t\f]*/.exec(logical.slice(keyEnd))[0];
+
+    entries.push({
+      type: 'entry',
+      lines: rawLines,
+      line: lineNo,
+      indent: first.slice(0, first.length - trimmed.length),
+      rawKey: logical.slice(0, keyEnd),
+      separator,
+      key: unescapeText(logical.slice(0, keyEnd), lineNo),
+      value: unescapeText(logical.slice(keyEnd + separator.length), lineNo)
+    });
+  }
+
+  return { entries, eol, bom };
+}
+
+/**
+ * Read a .properties file into a flat key -> string object.
+ * Later duplicates win, like java.util.Properties.
+ */
+function read(content) {
+  const result = {};
+  parseProperties(content).entries.forEach(entry => {
+    if (entry.type === 'entry') {
+      result[entry.key] = entry.value;
+    }
+  });
+  return result;
+}
+
+/**
+ * Serialize a flat object as .properties.
+ * @param {object} data
+ * @param {object} options - { original } keeps the layout of an existing file
+ */
+function serialize(data, options = {}) {
+  const values = data || {};
+  const parsed = options.original ? parseProperties(options.original) : { entries: [], eol: '\n', bom: false };
+  // Files kept in ISO-8859-1 style (\uXXXX escapes, no raw non-ASCII) stay that way
+  const asciiOnly = Boolean(options.original) && /\\u[0-9a-fA-F]{4}/.test(options.original) &&
+    !/[^\x00-\x7f\uFEFF]/.test(options.original);
+  const firstEntry = parsed.entries.find(entry => entry.type === 'entry');
+  const separator = firstEntry && firstEntry.separator ? firstEntry.separator : '=';
+  const written = new Set();
+  const lines = [];
+
+  parsed.entries.forEach(entry => {
+    if (entry.type !== 'entry') {
+      lines.push(...entry.lines);
+      return;
+    }
+    if (!Object.prototype.hasOwnProperty.call(values, entry.key)) {
+      return;
+    }
+    written.add(entry.key);
+    const value = values[entry.key] === null || values[entry.key] === undefined ? '' : String(values[entry.key]);
+    if (value === entry.value) {
+      lines.push(...entry.lines);
+    } else {
+      lines.push(`${entry.indent}${entry.rawKey}${entry.separator || separator}${escapeText(value, false, asciiOnly)}`);
+    }
+  });
+
+  Object.keys(values).forEach(key => {
+    if (written.has(key)) return;
+    const value = values[key] === null || values[key] === undefined ? '' : String(values[key]);
+    lines.push(`${escapeText(key, true, asciiOnly)}${separator}${escapeText(value, false, asciiOnly)}`);
+  });
+
+  const trailingEol = !options.original || /\n$/.test(options.original);
+  const body = lines.join(parsed.eol) + (lines.length && trailingEol ? parsed.eol : '');
+  return (parsed.bom ? '\uFEFF' : '') + body;
+}
+
+module.exports = {
+  name: 'properties',
+  extension: '.properties',
+  extensions: ['.properties'],
+  flatKeys: true,
+  read,
+  serialize,
+  parseProperties,
+  PropertiesSyntaxError
+};
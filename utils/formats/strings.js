@@ -0,0 +1,223 @@
+// Zero-dependency Apple .strings adapter (Localizable.strings, InfoPlist.strings).
+// Keys are literal strings, so the adapter is flat. UTF-16 files are decoded by
+// SecurityUtils.safeReadFileSync before they reach read(); files are written
+// back as UTF-8, which Xcode accepts as input. Writing with the `original`
+// option keeps comments and unchanged entries exactly as they were; new
+// entries copy their translator comment from the `template` (source) file.
+
+const ESCAPES = { n: '\n', t: '\t', r: '\r', '"': '"', '\\': '\\', "'": "'" };
+
+class StringsSyntaxError extends Error {
+  constructor(message, line) {
+    super(line ? `${message} (line ${line})` : message);
+    this.name = 'StringsSyntaxError';
+    this.line = line;
+  }
+}
+
+function lineAt(text, offset) {
+  return text.slice(0, offset).split('\n').length;
+}
+
+function unescapeString(text, lineNo) {
+  return text.replace(/\\(?:[uU]([0-9a-fA-F]{4})|([0-7]{1,3})|([\s\S]))/g, (match, hex, octal, ch) => {
+    if (hex) return String.fromCharCode(parseInt(hex, 16));
+    if (octal) return String.fromCharCode(parseInt(octal, 8));
+    if (Object.prototype.hasOwnProperty.call(ESCAPES, ch)) return ESCAPES[ch];
+    throw new StringsSyntaxError(`Invalid escape sequence \\${ch}`, lineNo);
+  });
+}
+
+function quote(value) {
+  return `"${String(value === null || value === undefined ? '' : value)
+    .replace(/\\/g, '\\\\')
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, '\\n')
+    .replace(/\t/g, '\\t')
+    .replace(/\r/g, '\\r')}"`;
+}
+
+/**
+ * Split a .strings file into entries. Each entry records its offsets (including
+ * the comment right above it) so the file can be rewritten without reformatting.
+ * @param {string} content
+ * @returns {{text: string, entries: Array, eol: string}}
+ */
+function parseStrings(content) {
+  const text = String(content || '').replace(/^\uFEFF/, '');
+  const pattern = /\s+|\/\*[\s\S]*?\*\/|\/\/[^\n]*|"((?:[^"\\]|\\[\s\S])*)"|([A-Za-z0-9_.$:/-]+)|([=;])|([\s\S])/g;
+  const tokens = [];
+  let match;
+
+  while ((match = pattern.exec(text)) !== null) {
+    const start = match.index;
+    if (match[0].startsWith('/*') || match[0].startsWith('//')) {
+      if (match[0].startsWith('/*') && !match[0].endsWith('*/')) {
+        throw new StringsSyntaxError('Unterminated comment', lineAt(text, start));
+      }
+      tokens.push({ type: 'comment', start, end: pattern.lastIndex, text: match[0] });
+    } else if (match[1] !== undefined) {
+      tokens.push({ type: 'string', start, end: pattern.lastIndex, value: unescapeString(match[1], lineAt(text, start)) });
+    } else if (match[2] !== undefined) {
+      tokens.push({ type: 'string', start, end: pattern.lastIndex, value: match[2] });
+    } else if (match[3] !== undefined) {
+      tokens.push({ type: match[3], start, end: pattern.lastIndex });
+    } else if (match[4] !== undefined) {
+      const message = match[4] === '"' ? 'Unterminated string' : `Unexpected character '${match[4]}'`;
+      throw new StringsSyntaxError(message, lineAt(text, start));
+    }
+  }
+
+  const entries = [];
+  let comment = null;
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+    if (token.type === 'comment') {
+      comment = token;
+      continue;
+    }
+    if (token.type !== 'string') {
+      throw new StringsSyntaxError(`Unexpected '${token.type}'`, lineAt(text, token.start));
+    }
+
+    // "key" = "value"; or the short form "key"; where the value is the key
+    const entry = { key: token.value, keyToken: token, comment, start: token.start };
+    if (tokens[i + 1] && tokens[i + 1].type === '=') {
+      const valueToken = tokens[i + 2];
+      if (!valueToken || valueToken.type !== 'string') {
+        throw new StringsSyntaxError('Expected a value after \'=\'', lineAt(text, tokens[i + 1].start));
+      }
+      entry.value = valueToken.value;
+      entry.valueToken = valueToken;
+      i += 2;
+    } else {
+      entry.value = token.value;
+    }
+    if (!tokens[i + 1] || tokens[i + 1].type !== ';') {
+      throw new StringsSyntaxError('Missing \';\'', lineAt(text, tokens[i].end));
+    }
+    i++;
+    entry.end = tokens[i].end;
+
+    // A comment that sits directly above the entry belongs to it
+    if (comment && /^[ \t]*\r?\n?[ \t]*$/.test(text.slice(comment.end, entry.start))) {
+      entry.start = comment.start;
+    } else {
+      entry.comment = null;
+    }
+    comment = null;
+    entries.push(entry);
+  }
+
+  return { text, entries, eol: text.includes('\r\n') ? '\r\n' : '\n' };
+}
+
+/**
+ * Read a .strings file into a flat key -> string object.
+ */
+function read(content) {
+  const result = {};
+  parseStrings(content).entries.forEach(entry => {
+    result[entry.key] = entry.value;
+  });
+  return result;
+}
+
+/**
+ * Serialize a flat object as a .strings file.
+ * @param {object} data
+ * @param {object} options - { original, template }
+ */
+function serialize(data, options = {}) {
+  const values = data || {};
+  const parsed = parseStrings(options.original || '');
+  const { text, eol } = parsed;
+  const templateComments = new Map();
+  if (options.template) {
+    try {
+      parseStrings(options.template).entries.forEach(entry => {
+        if (entry.comment) templateComments.set(entry.key, entry.comment.text);
+      });
+    } catch (error) {
+      // A broken template only costs the copied comments
+    }
+  }
+
+  const written = new Set();
+  let output = '';
+  let cursor = 0;
+
+  parsed.entries.forEach(entry => {
+    output += text.slice(cursor, entry.start);
+    cursor = entry.end;
+
+    if (!Object.prototype.hasOwnProperty.call(values, entry.key)) {
+      // Drop the entry, its comment and the rest of its line
+      output = output.replace(/[ \t]*$/, '');
+      const rest = /^[ \t]*\r?\n/.exec(text.slice(cursor));
+      if (rest && (output === '' || /\n$/.test(output))) {
+        cursor += rest[0].length;
+        // Keep a single separator line between the neighbours
+        const blank = /^[ \t]*\r?\n/.exec(text.slice(cursor));
+        if (blank && (output === '' || /\n[ \t]*\r?\n$/.test(output))) {
+          cursor += blank[0].length;
+        }
+      }
+      return;
+    }
+
+    written.add(entry.key);
+    const value = values[entry.key] === null || values[entry.key] === undefined ? '' : String(values[entry.key]);
+    if (value === entry.value) {
+      output += text.slice(entry.start, entry.end);
+    } else {
+      const keyEnd = entry.valueToken ? entry.valueToken.start : entry.keyToken.end;
+      const prefix = text.slice(entry.start, keyEnd);
+      output += entry.valueToken ? `${prefix}${quote(value)};` : `${prefix} = ${quote(value)};`;
+    }
+  });
+  output += text.slice(cursor);
+
+  // genstrings separates entries with a blank line; compact files stay compact
+  const separator = !options.original || /;[ \t]*\r?\n[ \t]*\r?\n/.test(text) ? eol : '';
+  Object.keys(values).forEach(key => {
+    if (written.has(key)) return;
+    if (output && !/\n$/.test(output)) output += eol;
+    if (output) output += separator;
+    if (templateComments.has(key)) output += templateComments.get(key) + eol;
+    output += `${quote(key)} = ${quote(values[key])};${eol}`;
+  });
+
+  return output;
+}
+
+// The comment above an entry, without its comment markers
+function descriptions(content) {
+  const result = {};
+  parseStrings(content).entries.forEach(entry => {
+    if (!entry.comment) return;
+    const text = entry.comment.text.replace(/^\/\*|\*\/$|^\/\//g, '').trim();
+    if (text) result[entry.key] = text;
+  });
+  return result;
+}
+
+// en.lproj -> en; Base.lproj holds the development language and has no locale
+function localeFromDirectory(name) {
+  const match = /^(.+)\.lproj$/.exec(String(name || ''));
+  if (!match) return undefined;
+  return match[1] === 'Base' ? null : match[1];
+}
+
+module.exports = {
+  name: 'strings',
+  extension: '.strings',
+  extensions: ['.strings'],
+  flatKeys: true,
+  read,
+  serialize,
+  descriptions,
+  localeFromDirectory,
+  parseStrings,
+  StringsSyntaxError
+};
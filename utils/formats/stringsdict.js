@@ -0,0 +1,136 @@
+// Zero-dependency Apple .stringsdict adapter (plural rules stored as XML plists).
+// Each top-level key maps to its plist dictionary, e.g.
+//   { '%d files': { NSStringLocalizedFormatKey: '%#@files@',
+//                   files: { NSStringFormatSpecTypeKey: 'NSStringPluralRuleType',
+//                            NSStringFormatValueTypeKey: 'd', one: '%d file', other: '%d files' } } }
+// Keys are literal format strings, so the adapter is flat.
+
+const { parseXml, childElements, firstChild, textContent, escapeXml, XmlSyntaxError } = require('../xml');
+const { localeFromDirectory } = require('./strings');
+
+const PLURAL_CATEGORIES = ['zero', 'one', 'two', 'few', 'many', 'other'];
+const PLIST_HEADER = '<?xml version="1.0" encoding="UTF-8"?>\n' +
+  '<!DOCTYPE plist PUBLIC "-//Apple//DTD PLIST 1.0//EN" "http://www.apple.com/DTDs/PropertyList-1.0.dtd">';
+
+class StringsdictSyntaxError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'StringsdictSyntaxError';
+  }
+}
+
+function elementsOf(element) {
+  return element.children.filter(child => typeof child === 'object');
+}
+
+function readValue(element) {
+  switch (element.name) {
+    case 'dict': {
+      const result = {};
+      const children = elementsOf(element);
+      for (let i = 0; i < children.length; i += 2) {
+        if (children[i].name !== 'key' || !children[i + 1]) {
+          throw new StringsdictSyntaxError('Expected <key> followed by a value in <dict>');
+        }
+        result[textContent(children[i])] = readValue(children[i + 1]);
+      }
+      return result;
+    }
+    case 'array':
+      return elementsOf(element).map(readValue);
+    case 'string':
+    case 'date':
+    case 'data':
+      return textContent(element);
+    case 'integer':
+    case 'real':
+      return Number(textContent(element).trim());
+    case 'true':
+      return true;
+    case 'false':
+      return false;
+    default:
+      throw new StringsdictSyntaxError(`Unsupported plist element <${element.name}>`);
+  }
+}
+
+function writeValue(value, indent, depth) {
+  const pad = indent.repeat(depth);
+  if (Array.isArray(value)) {
+    if (value.length === 0) return `${pad}<array/>`;
+    return [`${pad}<array>`, ...value.map(item => writeValue(item, indent, depth + 1)), `${pad}</array>`].join('\n');
+  }
+  if (value && typeof value === 'object') {
+    const lines = [`${pad}<dict>`];
+    Object.entries(value).forEach(([key, item]) => {
+      lines.push(`${pad}${indent}<key>${escapeXml(key)}</key>`);
+      lines.push(writeValue(item, indent, depth + 1));
+    });
+    lines.push(`${pad}</dict>`);
+    return lines.join('\n');
+  }
+  if (typeof value === 'boolean') return `${pad}<${value}/>`;
+  if (typeof value === 'number') return `${pad}<${Number.isInteger(value) ? 'integer' : 'real'}>${value}</${Number.isInteger(value) ? 'integer' : 'real'}>`;
+  return `${pad}<string>${escapeXml(value === null || value === undefined ? '' : value)}</string>`;
+}
+
+/**
+ * Read a .stringsdict plist into a flat key -> dictionary object.
+ */
+function read(content) {
+  let root;
+  try {
+    root = parseXml(content);
+  } catch (error) {
+    throw error instanceof XmlSyntaxError ? new StringsdictSyntaxError(error.message) : error;
+  }
+  const plist = firstChild(root, 'plist');
+  const dict = plist ? firstChild(plist, 'dict') : null;
+  if (!dict) {
+    throw new StringsdictSyntaxError('Missing <plist><dict> root element');
+  }
+  return readValue(dict);
+}
+
+/**
+ * Serialize a flat object as a .stringsdict plist. The indentation of the
+ * original file is kept (Xcode writes tabs).
+ */
+function serialize(data, options = {}) {
+  const original = String(options.original || '');
+  const indentMatch = /\n([ \t]+)<key>/.exec(original);
+  const indent = indentMatch ? indentMatch[1] : '\t';
+  const eol = original.includes('\r\n') ? '\r\n' : '\n';
+  const body = writeValue(data || {}, indent, 0);
+  return [PLIST_HEADER, '<plist version="1.0">', body, '</plist>', ''].join('\n').replace(/\n/g, eol);
+}
+
+// Copy of a source entry with every plural form replaced by `value`;
+// format keys and value types stay as they are
+function untranslatedValue(sourceValue, value) {
+  if (!sourceValue || typeof sourceValue !== 'object' || Array.isArray(sourceValue)) {
+    return value;
+  }
+  const isRule = Object.prototype.hasOwnProperty.call(sourceValue, 'NSStringFormatSpecTypeKey');
+  const result = {};
+  Object.entries(sourceValue).forEach(([key, item]) => {
+    if (item && typeof item === 'object') {
+      result[key] = untranslatedValue(item, value);
+    } else {
+      result[key] = isRule && PLURAL_CATEGORIES.includes(key) ? value : item;
+    }
+  });
+  return result;
+}
+
+module.exports = {
+  name: 'stringsdict',
+  extension: '.stringsdict',
+  extensions: ['.stringsdict'],
+  flatKeys: true,
+  read,
+  serialize,
+  untranslatedValue,
+  localeFromDirectory,
+  StringsdictSyntaxError
+};
@@ -0,0 +1,388 @@
+// Zero-dependency TOML adapter for go-i18n message files (active.en.toml, translate.de.toml).
+// A message table such as
+//   [PersonCats]
+//   description = "Cats owned by a person"
+//   one = "{{.Name}} has {{.Count}} cat."
+//   other = "{{.Name}} has {{.Count}} cats."
+// is read as { PersonCats: { one: '...', other: '...' } }, so plural forms line
+// up with the checks used for JSON plural objects; `HelloWorld = "Hi"` stays a
+// string. id/description/hash/delimiter fields are metadata: they are not
+// exposed as translations but are written back for messages that are kept.
+// Dotted tables ([errors.notFound]) are nested message IDs, as in go-i18n v2.
+
+const PLURAL_FIELDS = ['zero', 'one', 'two', 'few', 'many', 'other'];
+const META_FIELDS = ['id', 'description', 'hash', 'leftdelim', 'rightdelim'];
+const ESCAPES = { b: '\b', t: '\t', n: '\n', f: '\f', r: '\r', '"': '"', '\\': '\\' };
+
+class TomlSyntaxError extends Error {
+  constructor(message, line) {
+    super(line ? `${message} (line ${line})` : message);
+    this.name = 'TomlSyntaxError';
+    this.line = line;
+  }
+}
+
+/**
+ * Parse the TOML subset used by message files: tables, dotted and quoted keys,
+ * all four string kinds, numbers, booleans, arrays and inline tables.
+ * Dates are kept as strings; arrays of tables are rejected.
+ * @param {string} content
+ * @returns {object}
+ */
+function parseToml(content) {
+  const text = String(content || '').replace(/^\uFEFF/, '');
+  const root = {};
+  const defined = new Set();
+  let current = root;
+  let i = 0;
+
+  const fail = message => {
+    throw new TomlSyntaxError(message, text.slice(0, i).split('\n').length);
+  };
+  const skipSpaces = () => {
+    while (text[i] === ' ' || text[i] === '\t') i++;
+  };
+  const skipBlank = () => {
+    for (;;) {
+      const match = /^(?:[ \t\r\n]+|#[^\n]*)/.exec(text.slice(i));
+      if (!match) return;
+      i += match[0].length;
+    }
+  };
+  const expectLineEnd = () => {
+    skipSpaces();
+    if (text[i] === '#') {
+      while (i < text.length && text[i] !== '\n') i++;
+    }
+    if (text[i] === '\r') i++;
+    if (i < text.length && text[i] !== '\n') fail('Expected the end of the line');
+  };
+
+  const unescape = raw => raw.replace(/\\(?:u([0-9a-fA-F]{4})|U([0-9a-fA-F]{8})|\r?\n\s*|([\s\S]))/g, (all, u4, u8, ch) => {
+    if (u4 || u8) return String.fromCodePoint(parseInt(u4 || u8, 16));
+    if (ch === undefined) return '';
+    if (!Object.prototype.hasOwnProperty.call(ESCAPES, ch)) fail(`Invalid escape sequence \\${ch}`);
+    return ESCAPES[ch];
+  });
+
+  const parseString = () => {
+    const rest = text.slice(i);
+    let match;
+    if ((match = /^"""\r?\n?((?:[^\\]|\\[\s\S])*?)"""(?!")/.exec(rest))) {
+      i += match[0].length;
+      return unescape(match[1]);
+    }
+    if ((match = /^'''\r?\n?([\s\S]*?)'''(?!')/.exec(rest))) {
+      i += match[0].length;
+      return match[1];
+    }
+    if ((match = /^"((?:[^"\\\n]|\\.)*)"/.exec(rest))) {
+      i += match[0].length;
+      return unescape(match[1]);
+    }
+    if ((match = /^'([^'\n]*)'/.exec(rest))) {
+      i += match[0].length;
+      return match[1];
+    }
+    return fail('Unterminated string');
+  };
+
+  const parseKey = () => {
+    const parts = [];
+    for (;;) {
+      skipSpaces();
+      if (text[i] === '"' || text[i] === '\'') {
+        parts.push(parseString());
+      } else {
+        const bare = /^[A-Za-z0-9_-]+/.exec(text.slice(i));
+        if (!bare) fail('Expected a key');
+        parts.push(bare[0]);
+        i += bare[0].length;
+      }
+      skipSpaces();
+      if (text[i] !== '.') return parts;
+      i++;
+    }
+  };
+
+  const tableAt = (parts, target, path) => {
+    let table = target;
+    parts.forEach((part, index) => {
+      const location = path.concat(parts.slice(0, index + 1)).join('\u0000');
+      if (!Object.prototype.hasOwnProperty.call(table, part)) {
+        table[part] = {};
+      } else if (!table[part] || typeof table[part] !== 'object' || Array.isArray(table[part]) ||
+          (index < parts.length - 1 && defined.has(`value:${location}`))) {
+        fail(`Key '${parts.slice(0, index + 1).join('.')}' is already defined`);
+      }
+      table = table[part];
+    });
+    return table;
+  };
+
+  let parseValue;
+
+  const parseArray = () => {
+    const items = [];
+    i++;
+    for (;;) {
+      skipBlank();
+      if (text[i] === ']') {
+        i++;
+        return items;
+      }
+      items.push(parseValue());
+      skipBlank();
+      if (text[i] === ',') {
+        i++;
+      } else if (text[i] !== ']') {
+        fail('Expected \',\' or \']\' in array');
+      }
+    }
+  };
+
+  const parseInlineTable = () => {
+    const table = {};
+    i++;
+    skipSpaces();
+    if (text[i] === '}') {
+      i++;
+      return table;
+    }
+    for (;;) {
+      const parts = parseKey();
+      if (text[i] !== '=') fail('Expected \'=\' after key');
+      i++;
+      skipSpaces();
+      const parent = tableAt(parts.slice(0, -1), table, []);
+      const key = parts[parts.length - 1];
+      if (Object.prototype.hasOwnProperty.call(parent, key)) fail(`Key '${parts.join('.')}' is already defined`);
+      parent[key] = parseValue();
+      skipSpaces();
+      if (text[i] === '}') {
+        i++;
+        return table;
+      }
+      if (text[i] !== ',') fail('Expected \',\' or \'}\' in inline table');
+      i++;
+    }
+  };
+
+  parseValue = () => {
+    const rest = text.slice(i);
+    if (rest[0] === '"' || rest[0] === '\'') return parseString();
+    if (rest[0] === '[') return parseArray();
+    if (rest[0] === '{') return parseInlineTable();
+    const keyword = /^(true|false)(?![A-Za-z0-9_-])/.exec(rest);
+    if (keyword) {
+      i += keyword[0].length;
+      return keyword[1] === 'true';
+    }
+    // Dates and times have no JavaScript literal; keep their text
+    const date = /^\d{4}-\d{2}-\d{2}(?:[Tt ]\d{2}:\d{2}:\d{2}(?:\.\d+)?(?:[Zz]|[+-]\d{2}:\d{2})?)?|^\d{2}:\d{2}:\d{2}(?:\.\d+)?/.exec(rest);
+    if (date) {
+      i += date[0].length;
+      return date[0];
+    }
+    const number = /^[+-]?(?:inf|nan|0x[0-9a-fA-F_]+|0o[0-7_]+|0b[01_]+|\d[\d_]*(?:\.\d[\d_]*)?(?:[eE][+-]?\d[\d_]*)?)/.exec(rest);
+    if (number) {
+      i += number[0].length;
+      const raw = number[0].replace(/_/g, '');
+      if (/inf$/.test(raw)) return raw.startsWith('-') ? -Infinity : Infinity;
+      if (/nan$/.test(raw)) return NaN;
+      if (/^[+-]?0[xob]/.test(raw)) {
+        const sign = raw.startsWith('-') ? -1 : 1;
+        return sign * Number(raw.replace(/^[+-]/, ''));
+      }
+      return Number(raw);
+    }
+    return fail('Invalid value');
+  };
+
+  let tablePath = [];
+  for (;;) {
+    skipBlank();
+    if (i >= text.length) break;
+
+    if (text.startsWith('[[', i)) {
+      fail('Arrays of tables are not supported in message files');
+    }
+    if (text[i] === '[') {
+      i++;
+      const parts = parseKey();
+      if (text[i] !== ']') fail('Expected \']\' after table name');
+      i++;
+      const name = `table:${parts.join('\u0000')}`;
+      if (defined.has(name)) fail(`Table '${parts.join('.')}' is defined twice`);
+      defined.add(name);
+      tablePath = parts;
+      current = tableAt(parts, root, []);
+      expectLineEnd();
+      continue;
+    }
+
+    const parts = parseKey();
+    if (text[i] !== '=') fail('Expected \'=\' after key');
+    i++;
+    skipSpaces();
+    const parent = tableAt(parts.slice(0, -1), current, tablePath);
+    const key = parts[parts.length - 1];
+    if (Object.prototype.hasOwnProperty.call(parent, key)) fail(`Key '${parts.join('.')}' is already defined`);
+    parent[key] = parseValue();
+    defined.add(`value:${tablePath.concat(parts).join('\u0000')}`);
+    expectLineEnd();
+  }
+
+  return root;
+}
+
+// go-i18n treats a table with any message field as one message
+function isMessage(table) {
+  return Object.entries(table).some(([field, value]) =>
+    typeof value === 'string' && (PLURAL_FIELDS.includes(field.toLowerCase()) || META_FIELDS.includes(field.toLowerCase())));
+}
+
+function toMessages(table) {
+  const result = {};
+  Object.entries(table).forEach(([key, value]) => {
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      if (isMessage(value)) {
+        const forms = {};
+        Object.entries(value).forEach(([field, text]) => {
+          if (PLURAL_FIELDS.includes(field.toLowerCase())) forms[field.toLowerCase()] = text;
+        });
+        result[key] = forms;
+      } else {
+        result[key] = toMessages(value);
+      }
+    } else {
+      result[key] = value;
+    }
+  });
+  return result;
+}
+
+/**
+ * Read a go-i18n TOML file into a (nested) message object.
+ */
+function read(content) {
+  return toMessages(parseToml(content));
+}
+
+// Message descriptions keyed by dotted message path
+function descriptions(content) {
+  const result = {};
+  const walk = (table, prefix) => {
+    Object.entries(table).forEach(([key, value]) => {
+      if (!value || typeof value !== 'object' || Array.isArray(value)) return;
+      const keyPath = prefix ? `${prefix}.${key}` : key;
+      if (!isMessage(value)) {
+        walk(value, keyPath);
+        return;
+      }
+      const field = Object.keys(value).find(name => name.toLowerCase() === 'description');
+      if (field && typeof value[field] === 'string') result[keyPath] = value[field];
+    });
+  };
+  walk(parseToml(content), '');
+  return result;
+}
+
+function quoteString(value) {
+  return `"${String(value === null || value === undefined ? '' : value)
+    .replace(/\\/g, '\\\\')
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, '\\n')
+    .replace(/\r/g, '\\r')
+    .replace(/\t/g, '\\t')
+    .replace(/[\u0000-\u001f\u007f]/g, ch => `\\u${ch.charCodeAt(0).toString(16).padStart(4, '0')}`)}"`;
+}
+
+function quoteKey(key) {
+  return /^[A-Za-z0-9_-]+$/.test(key) ? key : quoteString(key);
+}
+
+function formatValue(value) {
+  if (Array.isArray(value)) return `[${value.map(formatValue).join(', ')}]`;
+  if (typeof value === 'boolean' || typeof value === 'number') return String(value);
+  return quoteString(value);
+}
+
+// Plural objects ({ one, other }) are written as message tables
+function isPluralGroup(value) {
+  const keys = Object.keys(value);
+  return keys.length > 0 && keys.every(key => PLURAL_FIELDS.includes(key));
+}
+
+/**
+ * Serialize messages as go-i18n TOML. With `original`, the leading comment
+ * block and each kept message's metadata (description, hash, ...) survive.
+ * @param {object} data
+ * @param {object} options - { original }
+ */
+function serialize(data, options = {}) {
+  const original = String(options.original || '');
+  let source = {};
+  try {
+    source = original ? parseToml(original) : {};
+  } catch (error) {
+    // Unreadable originals lose their metadata
+  }
+  const header = (/^(?:[ \t]*#[^\n]*\n)+/.exec(original.replace(/^\uFEFF/, '').replace(/\r\n/g, '\n')) || [''])[0];
+  const eol = original.includes('\r\n') ? '\r\n' : '\n';
+  const blocks = [];
+
+  const writeTable = (table, path, sourceTable) => {
+    const lines = [];
+    const tables = [];
+    Object.entries(table || {}).forEach(([key, value]) => {
+      if (value && typeof value === 'object' && !Array.isArray(value)) {
+        tables.push([key, value]);
+      } else {
+        lines.push(`${quoteKey(key)} = ${formatValue(value)}`);
+      }
+    });
+    if (path.length && (lines.length || tables.length === 0)) {
+      blocks.push([`[${path.map(quoteKey).join('.')}]`, ...lines].join('\n'));
+    } else if (lines.length) {
+      blocks.push(lines.join('\n'));
+    }
+
+    tables.forEach(([key, value]) => {
+      const previous = sourceTable && sourceTable[key] && typeof sourceTable[key] === 'object' ? sourceTable[key] : null;
+      if (isPluralGroup(value)) {
+        const meta = {};
+        if (previous && isMessage(previous)) {
+          Object.entries(previous).forEach(([field, text]) => {
+            if (META_FIELDS.includes(field.toLowerCase())) meta[field] = text;
+          });
+        }
+        writeTable({ ...meta, ...value }, path.concat(key), null);
+      } else {
+        writeTable(value, path.concat(key), previous);
+      }
+    });
+  };
+
+  writeTable(data || {}, [], source);
+  const body = blocks.join('\n\n');
+  return `${header ? `${header}${body ? '\n' : ''}` : ''}${body}\n`.replace(/\n/g, eol);
+}
+
+// go-i18n names files <name>.<locale>.toml; 'active.pt-BR' -> 'pt-BR'
+function localeFromDirectory(name) {
+  const match = /^(?:active|translate)\.([A-Za-z]{2,3}(?:[-_][A-Za-z0-9]+)*)$/.exec(String(name || ''));
+  return match ? match[1] : undefined;
+}
+
+module.exports = {
+  name: 'toml',
+  extension: '.toml',
+  extensions: ['.toml'],
+  read,
+  serialize,
+  descriptions,
+  localeFromDirectory,
+  parseToml,
+  TomlSyntaxError
+};
@@ -0,0 +1,163 @@
+// Zero-dependency Xcode String Catalog (.xcstrings) adapter.
+// A catalog holds every language in one JSON file, so read() and serialize()
+// work on the localization selected by `options.language` (default: the
+// catalog's source language). Plural variations map to an object keyed by
+// plural category. Entries marked shouldTranslate: false are not exposed.
+// Writing only touches the selected language and keeps Xcode's layout
+// (two-space indent, `"key" : value`, sorted keys).
+
+class XcstringsSyntaxError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'XcstringsSyntaxError';
+  }
+}
+
+function parseCatalog(content) {
+  let catalog;
+  try {
+    catalog = JSON.parse(String(content || '').replace(/^\uFEFF/, ''));
+  } catch (error) {
+    throw new XcstringsSyntaxError(error.message);
+  }
+  if (!catalog || typeof catalog !== 'object' || typeof catalog.strings !== 'object') {
+    throw new XcstringsSyntaxError('Missing "strings" object in string catalog');
+  }
+  return catalog;
+}
+
+function unitValue(unit) {
+  return unit && unit.stringUnit ? unit.stringUnit.value : undefined;
+}
+
+function localizationValue(localization) {
+  if (!localization) return undefined;
+  if (localization.stringUnit) return unitValue(localization);
+  const plural = localization.variations && localization.variations.plural;
+  if (plural) {
+    const result = {};
+    Object.entries(plural).forEach(([category, unit]) => {
+      result[category] = unitValue(unit);
+    });
+    return result;
+  }
+  return undefined;
+}
+
+function sameValue(a, b) {
+  if (a && b && typeof a === 'object' && typeof b === 'object') {
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length && keys.every(key => a[key] === b[key]);
+  }
+  return a === b;
+}
+
+function buildLocalization(value) {
+  if (value && typeof value === 'object') {
+    const plural = {};
+    Object.entries(value).forEach(([category, text]) => {
+      plural[category] = { stringUnit: { state: 'translated', value: String(text) } };
+    });
+    return { variations: { plural } };
+  }
+  return { stringUnit: { state: 'translated', value: String(value === null || value === undefined ? '' : value) } };
+}
+
+function sortKeys(value) {
+  if (Array.isArray(value)) return value.map(sortKeys);
+  if (!value || typeof value !== 'object') return value;
+  return Object.keys(value).sort().reduce((result, key) => {
+    result[key] = sortKeys(value[key]);
+    return result;
+  }, {});
+}
+
+/**
+ * Languages present in a catalog, source language first.
+ * @param {string} content
+ * @returns {string[]}
+ */
+function languages(content) {
+  const catalog = parseCatalog(content);
+  const found = new Set(catalog.sourceLanguage ? [catalog.sourceLanguage] : []);
+  Object.values(catalog.strings).forEach(entry => {
+    Object.keys((entry && entry.localizations) || {}).forEach(language => found.add(language));
+  });
+  return Array.from(found);
+}
+
+/**
+ * Read the strings of one language from a catalog.
+ * Source-language entries without a localization use their key as the text.
+ */
+function read(content, options = {}) {
+  const catalog = parseCatalog(content);
+  const language = options.language || catalog.sourceLanguage;
+  const result = {};
+
+  Object.entries(catalog.strings).forEach(([key, entry]) => {
+    if (entry && entry.shouldTranslate === false) return;
+    const value = localizationValue(entry && entry.localizations && entry.localizations[language]);
+    if (value !== undefined) {
+      result[key] = value;
+    } else if (language === catalog.sourceLanguage) {
+      result[key] = key;
+    }
+  });
+
+  return result;
+}
+
+/**
+ * Write the strings of one language back into a catalog.
+ * @param {object} data
+ * @param {object} options - { language, original }
+ */
+function serialize(data, options = {}) {
+  const values = data || {};
+  const catalog = options.original
+    ? parseCatalog(options.original)
+    : { sourceLanguage: options.language || 'en', strings: {}, version: '1.0' };
+  const language = options.language || catalog.sourceLanguage;
+
+  Object.entries(catalog.strings).forEach(([key, entry]) => {
+    if (!entry || entry.shouldTranslate === false) return;
+    const localizations = entry.localizations || {};
+    if (!Object.prototype.hasOwnProperty.call(values, key)) {
+      delete localizations[language];
+    } else if (!sameValue(values[key], localizationValue(localizations[language]))) {
+      // Keys of the source language double as its text; no localization needed
+      if (language === catalog.sourceLanguage && values[key] === key && !localizations[language]) return;
+      localizations[language] = buildLocalization(values[key]);
+    }
+    if (Object.keys(localizations).length) {
+      entry.localizations = localizations;
+    } else {
+      delete entry.localizations;
+    }
+  });
+
+  Object.keys(values).forEach(key => {
+    if (catalog.strings[key]) return;
+    catalog.strings[key] = { localizations: { [language]: buildLocalization(values[key]) } };
+  });
+
+  const eol = options.original && options.original.includes('\r\n') ? '\r\n' : '\n';
+  // Xcode writes `"key" : value`
+  const output = JSON.stringify(sortKeys(catalog), null, 2).replace(/^(\s*"(?:[^"\\]|\\.)*"):/gm, '$1 :');
+  const trailingEol = !options.original || /\n$/.test(options.original);
+  return output.replace(/\n/g, eol) + (trailingEol ? eol : '');
+}
+
+module.exports = {
+  name: 'xcstrings',
+  extension: '.xcstrings',
+  extensions: ['.xcstrings'],
+  flatKeys: true,
+  // One file holds every language; pass `language` to read and serialize
+  multiLanguage: true,
+  read,
+  serialize,
+  languages,
+  XcstringsSyntaxError
+};
@@ -0,0 +1,923 @@
+// Zero-dependency YAML adapter for locale files (Rails, Symfony, Hugo style).
+// Supports block mappings and sequences, flow collections, plain, quoted and
+// block scalars, anchors/aliases and `<<` merge keys. Tags are ignored except
+// `!!str`, which forces a string value.
+// Writing with the `original` option edits the original text in place like the
+// JSON adapter: unchanged entries keep their text (comments, anchors, aliases,
+// quoting), changed scalars are replaced on their line and new entries are
+// inserted at the position of the key in the data. Files that cannot be
+// edited that way (directives, several documents, a root with `<<` merge keys)
+// are written out again.
+
+const NULL_RE = /^(?:~|null|Null|NULL)?$/;
+const BOOL_RE = /^(?:true|True|TRUE|false|False|FALSE)$/;
+const INT_RE = /^[-+]?(?:0|[1-9][0-9_]*)$/;
+const HEX_RE = /^0x[0-9a-fA-F_]+$/;
+const OCT_RE = /^0o[0-7_]+$/;
+const FLOAT_RE = /^[-+]?(?:\.[0-9]+|[0-9][0-9_]*(?:\.[0-9_]*)?)(?:[eE][-+]?[0-9]+)?$/;
+const INF_RE = /^[-+]?\.(?:inf|Inf|INF)$/;
+const NAN_RE = /^\.(?:nan|NaN|NAN)$/;
+
+class YamlSyntaxError extends Error {
+  constructor(message, line) {
+    super(line ? `${message} (line ${line})` : message);
+    this.name = 'YamlSyntaxError';
+    this.line = line;
+  }
+}
+
+function resolvePlainScalar(text) {
+  if (NULL_RE.test(text)) return null;
+  if (BOOL_RE.test(text)) return text.toLowerCase() === 'true';
+  if (INT_RE.test(text)) return parseInt(text.replace(/_/g, ''), 10);
+  if (HEX_RE.test(text)) return parseInt(text.slice(2).replace(/_/g, ''), 16);
+  if (OCT_RE.test(text)) return parseInt(text.slice(2).replace(/_/g, ''), 8);
+  if (FLOAT_RE.test(text) && /[0-9]/.test(text)) return parseFloat(text.replace(/_/g, ''));
+  if (INF_RE.test(text)) return text[0] === '-' ? -Infinity : Infinity;
+  if (NAN_RE.test(text)) return NaN;
+  return text;
+}
+
+const DOUBLE_ESCAPES = {
+  '0': '\0', a: '\x07', b: '\b', t: '\t', '\t': '\t', n: '\n', v: '\v', f: '\f',
+  r: '\r', e: '\x1b', ' ': ' ', '"': '"', '/': '/', '\\': '\\',
+  N: '\u0085', _: '\u00a0', L: '\u2028', P: '\u2029'
+};
+
+// Remove a trailing comment from a plain fragment (`#` must follow whitespace).
+function stripComment(text) {
+  const match = /(^|\s)#/.exec(text);
+  return (match ? text.slice(0, match.index) : text).trimEnd();
+}
+
+class YamlParser {
+  constructor(content) {
+    const text = String(content || '').replace(/^\uFEFF/, '');
+    this.lines = text.split(/\r\n|\r|\n/).map((raw, index) => ({
+      raw,
+      indent: raw.length - raw.replace(/^ +/, '').length,
+      lineNo: index + 1
+    }));
+    this.pos = 0;
+    this.anchors = new Map();
+  }
+
+  // Body of a line, starting after its indentation.
+  body(line) {
+    return line.raw.slice(line.indent);
+  }
+
+  isBlank(line) {
+    const body = this.body(line).trim();
+    return body === '' || body.startsWith('#');
+  }
+
+  skipBlank() {
+    while (this.pos < this.lines.length && this.isBlank(this.lines[this.pos])) this.pos++;
+  }
+
+  peek() {
+    this.skipBlank();
+    return this.pos < this.lines.length ? this.lines[this.pos] : null;
+  }
+
+  parseDocument() {
+    // Skip directives and the explicit document start marker
+    this.skipBlank();
+    while (this.pos < this.lines.length) {
+      const body = this.body(this.lines[this.pos]);
+      if (body.startsWith('%')) {
+        this.pos++;
+        this.skipBlank();
+      } else if (/^---(\s|$)/.test(body)) {
+        const rest = stripComment(body.slice(3)).trim();
+        if (rest) {
+          this.lines[this.pos] = { raw: rest, indent: 0, lineNo: this.lines[this.pos].lineNo };
+        } else {
+          this.pos++;
+        }
+        break;
+      } else {
+        break;
+      }
+    }
+    // Only the first document is read; anything after `---` or `...` is ignored
+    for (let i = this.pos; i < this.lines.length; i++) {
+      if (this.lines[i].indent === 0 && /^(---|\.\.\.)(\s|$)/.test(this.lines[i].raw)) {
+        this.lines.length = i;
+        break;
+      }
+    }
+    const first = this.peek();
+    if (!first) return null;
+    const value = this.parseNode(first.indent, -1);
+    const rest = this.peek();
+    if (rest) {
+      throw new YamlSyntaxError('Unexpected content', rest.lineNo);
+    }
+    return value;
+  }
+
+  // Parse the block node that starts at the current line with the given indent.
+  parseNode(indent, parentIndent) {
+    const line = this.peek();
+    if (!line || line.indent <= parentIndent) return null;
+    const body = this.body(line);
+    if (body === '-' || body.startsWith('- ')) {
+      return this.parseSequence(line.indent);
+    }
+    if (this.findMappingColon(body) !== -1) {
+      return this.parseMapping(line.indent);
+    }
+    // A bare scalar node (root document or more-indented block value)
+    this.pos++;
+    return this.parseInlineValue(body, line, parentIndent);
+  }
+
+  parseSequence(indent) {
+    const result = [];
+    while (true) {
+      const line = this.peek();
+      if (!line || line.indent !== indent) break;
+      const body = this.body(line);
+      if (body !== '-' && !body.startsWith('- ')) break;
+      const rest = body.slice(1);
+      const offset = rest.length - rest.replace(/^ +/, '').length;
+      const content = rest.trim();
+      if (!content || content.startsWith('#')) {
+        this.pos++;
+        result.push(this.parseNode(indent + 1, indent));
+      } else {
+        // Re-read the rest of the line as a node indented past the dash
+        this.lines[this.pos] = { raw: ' '.repeat(indent + 1 + offset) + rest.slice(offset), indent: indent + 1 + offset, lineNo: line.lineNo };
+        result.push(this.parseNode(indent + 1 + offset, indent));
+      }
+    }
+    return result;
+  }
+
+  // Index of the `:` separating a key from its value, or -1.
+  findMappingColon(body) {
+    let i = 0;
+    if (body[0] === '"' || body[0] === '\'') {
+      const quote = body[0];
+      i = 1;
+      while (i < body.length) {
+        if (quote === '"' && body[i] === '\\') { i += 2; continue; }
+        if (body[i] === quote) {
+          if (quote === '\'' && body[i + 1] === '\'') { i += 2; continue; }
+          break;
+        }
+        i++;
+      }
+      if (i >= body.length) return -1;
+      const after = body.slice(i + 1).replace(/^ */, '');
+      const colon = body.length - after.length;
+      return after[0] === ':' && (after.length === 1 || /\s/.test(after[1])) ? colon : -1;
+    }
+    if (/^[[{&*!|>%@`]/.test(body) || body.startsWith('? ')) {
+      if (!body.startsWith('<<')) return -1;
+    }
+    for (; i < body.length; i++) {
+      const ch = body[i];
+      if (ch === '#' && i > 0 && /\s/.test(body[i - 1])) return -1;
+      if (ch === ':' && (i + 1 === body.length || /\s/.test(body[i + 1]))) return i;
+    }
+    return -1;
+  }
+
+  parseKey(raw, line) {
+    const text = raw.trim();
+    if (text[0] === '"' || text[0] === '\'') {
+      return this.parseQuoted(text, line).value;
+    }
+    return text;
+  }
+
+  parseMapping(indent) {
+    const result = {};
+    const merges = [];
+    while (true) {
+      const line = this.peek();
+      if (!line || line.indent !== indent) {
+        if (line && line.indent > indent) {
+          throw new YamlSyntaxError('Bad indentation of a mapping entry', line.lineNo);
+        }
+        break;
+      }
+      const body = this.body(line);
+      const colon = this.findMappingColon(body);
+      if (colon === -1) {
+        if (body === '-' || body.startsWith('- ')) break;
+        throw new YamlSyntaxError('Expected a mapping entry', line.lineNo);
+      }
+      const key = this.parseKey(body.slice(0, colon), line);
+      const rest = body.slice(colon + 1);
+      this.pos++;
+      const value = this.parseEntryValue(rest, line, indent);
+      if (key === '<<') {
+        merges.push(...(Array.isArray(value) ? value : [value]));
+      } else {
+        result[key] = value;
+      }
+    }
+    for (const source of merges) {
+      if (source && typeof source === 'object' && !Array.isArray(source)) {
+        for (const [k, v] of Object.entries(source)) {
+          if (!Object.prototype.hasOwnProperty.call(result, k)) result[k] = v;
+        }
+      }
+    }
+    return result;
+  }
+
+  // Value following `key:` or `- ` for an entry at `indent`.
+  parseEntryValue(rest, line, indent) {
+    let text = rest.trim();
+    let anchor = null;
+    let forceString = false;
+
+    while (text.startsWith('&') || text.startsWith('!')) {
+      const match = /^(\S+)\s*/.exec(text);
+      if (match[1][0] === '&') anchor = match[1].slice(1);
+      else if (match[1] === '!!str') forceString = true;
+      text = text.slice(match[0].length);
+    }
+
+    let value;
+    if (!text || text.startsWith('#')) {
+      const next = this.peek();
+      if (next && next.indent > indent) {
+        value = this.parseNode(next.indent, indent);
+      } else if (next && next.indent === indent && /^-( |$)/.test(this.body(next))) {
+        // Sequences may sit at the same indentation as their parent key
+        value = this.parseSequence(indent);
+      } else {
+        value = forceString ? '' : null;
+      }
+    } else {
+      value = this.parseInlineValue(text, line, indent, forceString);
+    }
+
+    if (anchor) this.anchors.set(anchor, value);
+    return value;
+  }
+
+  parseInlineValue(text, line, indent, forceString = false) {
+    text = text.trim();
+    if (text.startsWith('*')) {
+      const name = stripComment(text).slice(1);
+      if (!this.anchors.has(name)) {
+        throw new YamlSyntaxError(`Unknown alias "*${name}"`, line.lineNo);
+      }
+      return this.anchors.get(name);
+    }
+    if (text[0] === '|' || text[0] === '>') {
+      return this.parseBlockScalar(text, line, indent);
+    }
+    if (text[0] === '"' || text[0] === '\'') {
+      const { value, rest } = this.parseQuoted(this.gatherQuoted(text, indent), line);
+      if (stripComment(rest).trim()) {
+        throw new YamlSyntaxError('Unexpected characters after quoted scalar', line.lineNo);
+      }
+      return value;
+    }
+    if (text[0] === '[' || text[0] === '{') {
+      return this.parseFlow(this.gatherFlow(text, indent), line);
+    }
+    let plain = stripComment(text);
+    // Multi-line plain scalars continue on more-indented lines
+    while (this.pos < this.lines.length) {
+      const next = this.lines[this.pos];
+      const nextBody = this.body(next).trim();
+      if (nextBody === '') {
+        let j = this.pos + 1;
+        while (j < this.lines.length && this.body(this.lines[j]).trim() === '') j++;
+        if (j < this.lines.length && this.lines[j].indent > indent && !this.isBlank(this.lines[j]) &&
+            this.findMappingColon(this.body(this.lines[j])) === -1) {
+          plain += '\n'.repeat(j - this.pos);
+          this.pos = j;
+          continue;
+        }
+        break;
+      }
+      if (next.indent <= indent || nextBody.startsWith('#') || this.findMappingColon(this.body(next)) !== -1) break;
+      plain += (plain.endsWith('\n') ? '' : ' ') + stripComment(nextBody);
+      this.pos++;
+    }
+    return forceString ? plain : resolvePlainScalar(plain);
+  }
+
+  // Join continuation lines of a multi-line quoted scalar.
+  gatherQuoted(text, indent) {
+    const quote = text[0];
+    const isClosed = (s) => {
+      for (let i = 1; i < s.length; i++) {
+        if (quote === '"' && s[i] === '\\') { i++; continue; }
+        if (s[i] === quote) {
+          if (quote === '\'' && s[i + 1] === '\'') { i++; continue; }
+          return true;
+        }
+      }
+      return false;
+    };
+    let joined = text;
+    while (!isClosed(joined) && this.pos < this.lines.length) {
+      joined += '\n' + this.lines[this.pos].raw.trim();
+      this.pos++;
+    }
+    return joined;
+  }
+
+  parseQuoted(text, line) {
+    const quote = text[0];
+    let out = '';
+    let i = 1;
+    let closed = false;
+    while (i < text.length) {
+      const ch = text[i];
+      if (ch === quote) {
+        if (quote === '\'' && text[i + 1] === '\'') {
+          out += '\'';
+          i += 2;
+          continue;
+        }
+        closed = true;
+        i++;
+        break;
+      }
+      if (ch === '\n') {
+        // Line folding: a single break becomes a space, empty lines become breaks
+        out = out.replace(/[ \t]+$/, '');
+        let breaks = 0;
+        while (text[i] === '\n') {
+          breaks++;
+          i++;
+          while (text[i] === ' ' || text[i] === '\t') i++;
+        }
+        out += breaks > 1 ? '\n'.repeat(breaks - 1) : ' ';
+        continue;
+      }
+      if (quote === '"' && ch === '\\') {
+        const esc = text[i + 1];
+        if (esc === 'x' || esc === 'u' || esc === 'U') {
+          const len = esc === 'x' ? 2 : esc === 'u' ? 4 : 8;
+          const hex = text.slice(i + 2, i + 2 + len);
+          if (!/^[0-9a-fA-F]+$/.test(hex) || hex.length !== len) {
+            throw new YamlSyntaxError(`Invalid escape "\\${esc}${hex}"`, line.lineNo);
+          }
+          out += String.fromCodePoint(parseInt(hex, 16));
+          i += 2 + len;
+          continue;
+        }
+        if (esc === '\n') {
+          i += 2;
+          while (text[i] === ' ' || text[i] === '\t') i++;
+          continue;
+        }
+        if (!(esc in DOUBLE_ESCAPES)) {
+          throw new YamlSyntaxError(`Invalid escape "\\${esc}"`, line.lineNo);
+        }
+        out += DOUBLE_ESCAPES[esc];
+        i += 2;
+        continue;
+      }
+      out += ch;
+      i++;
+    }
+    if (!closed) {
+      throw new YamlSyntaxError('Unterminated quoted scalar', line.lineNo);
+    }
+    return { value: out, rest: text.slice(i) };
+  }
+
+  parseBlockScalar(header, line, indent) {
+    const match = /^([|>])([1-9]?)([-+]?)([1-9]?)\s*(#.*)?$/.exec(header.trim());
+    if (!match) {
+      throw new YamlSyntaxError('Invalid block scalar header', line.lineNo);
+    }
+    const folded = match[1] === '>';
+    const chomping = match[3];
+    const explicit = parseInt(match[2] || match[4], 10);
+
+    const contentLines = [];
+    let contentIndent = Number.isNaN(explicit) ? null : Math.max(indent, 0) + explicit;
+    while (this.pos < this.lines.length) {
+      const next = this.lines[this.pos];
+      if (next.raw.trim() === '') {
+        contentLines.push('');
+        this.pos++;
+        continue;
+      }
+      if (contentIndent === null) {
+        if (next.indent <= indent) break;
+        contentIndent = next.indent;
+      }
+      if (next.indent < contentIndent) break;
+      contentLines.push(next.raw.slice(contentIndent));
+      this.pos++;
+    }
+
+    // Trailing blank lines belong to the scalar only for the purpose of chomping
+    let trailing = 0;
+    while (contentLines.length && contentLines[contentLines.length - 1] === '') {
+      contentLines.pop();
+      trailing++;
+    }
+    let value;
+    if (!folded) {
+      value = contentLines.join('\n');
+    } else {
+      // Folding joins adjacent normal lines with a space; blank and
+      // more-indented lines keep their line breaks
+      value = '';
+      let previous = null;
+      let breaks = 0;
+      for (const text of contentLines) {
+        if (text === '') {
+          breaks++;
+          continue;
+        }
+        const moreIndented = /^[ \t]/.test(text);
+        if (previous === null) {
+          value += '\n'.repeat(breaks) + text;
+        } else if (previous === 'normal' && !moreIndented) {
+          value += (breaks === 0 ? ' ' : '\n'.repeat(breaks)) + text;
+        } else {
+          value += '\n'.repeat(breaks + 1) + text;
+        }
+        previous = moreIndented ? 'more' : 'normal';
+        breaks = 0;
+      }
+    }
+
+    if (contentLines.length === 0) return chomping === '+' ? '\n'.repeat(trailing) : '';
+    if (chomping === '-') return value;
+    if (chomping === '+') return value + '\n' + '\n'.repeat(trailing);
+    return value + '\n';
+  }
+
+  // Join lines until the brackets of a flow collection are balanced.
+  gatherFlow(text, indent) {
+    let joined = stripComment(text);
+    const depth = (s) => {
+      let d = 0;
+      let quote = null;
+      for (let i = 0; i < s.length; i++) {
+        const ch = s[i];
+        if (quote) {
+          if (quote === '"' && ch === '\\') { i++; continue; }
+          if (ch === quote) quote = null;
+        } else if (ch === '"' || ch === '\'') {
+          quote = ch;
+        } else if (ch === '[' || ch === '{') {
+          d++;
+        } else if (ch === ']' || ch === '}') {
+          d--;
+        }
+      }
+      return d;
+    };
+    while (depth(joined) > 0 && this.pos < this.lines.length) {
+      joined += ' ' + stripComment(this.lines[this.pos].raw.trim());
+      this.pos++;
+    }
+    return joined;
+  }
+
+  parseFlow(text, line) {
+    let i = 0;
+    const skipSpace = () => { while (i < text.length && /\s/.test(text[i])) i++; };
+
+    const parseFlowScalar = (terminators) => {
+      skipSpace();
+      const ch = text[i];
+      if (ch === '"' || ch === '\'') {
+        const { value, rest } = this.parseQuoted(text.slice(i), line);
+        i = text.length - rest.length;
+        return value;
+      }
+      if (ch === '*') {
+        const match = /^\*([^\s,\]}]+)/.exec(text.slice(i));
+        i += match[0].length;
+        if (!this.anchors.has(match[1])) {
+          throw new YamlSyntaxError(`Unknown alias "*${match[1]}"`, line.lineNo);
+        }
+        return this.anchors.get(match[1]);
+      }
+      let start = i;
+      while (i < text.length && !terminators.includes(text[i])) {
+        if (text[i] === ':' && terminators.includes(':') && /[\s,\]}]/.test(text[i + 1] || ' ')) break;
+        i++;
+      }
+      return resolvePlainScalar(text.slice(start, i).trim());
+    };
+
+    const parseFlowNode = (terminators) => {
+      skipSpace();
+      if (text[i] === '[') return parseFlowSequence();
+      if (text[i] === '{') return parseFlowMapping();
+      return parseFlowScalar(terminators);
+    };
+
+    const parseFlowSequence = () => {
+      const result = [];
+      i++;
+      skipSpace();
+      while (i < text.length && text[i] !== ']') {
+        result.push(parseFlowNode([',', ']']));
+        skipSpace();
+        if (text[i] === ',') i++;
+        skipSpace();
+      }
+      if (text[i] !== ']') throw new YamlSyntaxError('Unterminated flow sequence', line.lineNo);
+      i++;
+      return result;
+    };
+
+    const parseFlowMapping = () => {
+      const result = {};
+      i++;
+      skipSpace();
+      while (i < text.length && text[i] !== '}') {
+        const key = parseFlowScalar([':', ',', '}']);
+        skipSpace();
+        let value = null;
+        if (text[i] === ':') {
+          i++;
+          value = parseFlowNode([',', '}']);
+        }
+        result[key === null ? '' : String(key)] = value;
+        skipSpace();
+        if (text[i] === ',') i++;
+        skipSpace();
+      }
+      if (text[i] !== '}') throw new YamlSyntaxError('Unterminated flow mapping', line.lineNo);
+      i++;
+      return result;
+    };
+
+    const value = parseFlowNode([]);
+    skipSpace();
+    if (i < text.length) {
+      throw new YamlSyntaxError('Unexpected characters after flow collection', line.lineNo);
+    }
+    return value;
+  }
+}
+
+function parse(content) {
+  return new YamlParser(content).parseDocument();
+}
+
+// --- Serialization ---
+
+const SPECIAL_START = /^[-?:,[\]{}#&*!|>'"%@`]/;
+
+function needsQuotes(str) {
+  if (str === '') return true;
+  if (str !== str.trim()) return true;
+  if (SPECIAL_START.test(str) && !/^-[^\s-]/.test(str)) return true;
+  if (/:(\s|$)|\s#/.test(str)) return true;
+  if (/[\x00-\x08\x0b-\x1f\x7f\n]/.test(str)) return true;
+  if (resolvePlainScalar(str) !== str) return true;
+  if (/^(?:y|Y|yes|Yes|YES|n|N|no|No|NO|on|On|ON|off|Off|OFF)$/.test(str)) return true;
+  return false;
+}
+
+function quoteDouble(str) {
+  return '"' + str
+    .replace(/\\/g, '\\\\')
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, '\\n')
+    .replace(/\t/g, '\\t')
+    .replace(/\r/g, '\\r')
+    .replace(/[\x00-\x08\x0b\x0c\x0e-\x1f\x7f]/g, ch => `\\x${ch.charCodeAt(0).toString(16).padStart(2, '0')}`) + '"';
+}
+
+function formatScalar(value) {
+  if (value === null || value === undefined) return 'null';
+  if (typeof value === 'boolean') return value ? 'true' : 'false';
+  if (typeof value === 'number') {
+    if (Number.isNaN(value)) return '.nan';
+    if (!Number.isFinite(value)) return value > 0 ? '.inf' : '-.inf';
+    return String(value);
+  }
+  const str = String(value);
+  if (!needsQuotes(str)) return str;
+  if (/[\x00-\x1f\x7f]/.test(str)) return quoteDouble(str);
+  return `'${str.replace(/'/g, '\'\'')}'`;
+}
+
+function formatKey(key) {
+  return formatScalar(String(key));
+}
+
+// Multi-line strings are written as literal block scalars when that is lossless.
+function formatBlockScalar(str, pad) {
+  if (!str.includes('\n') || /^[ \t]/.test(str) || /[\x00-\x08\x0b-\x1f\x7f]/.test(str) || /[ \t]\n/.test(str)) {
+    return null;
+  }
+  const trailing = /\n*$/.exec(str)[0].length;
+  const chomp = trailing === 0 ? '-' : trailing === 1 ? '' : '+';
+  const body = str.slice(0, str.length - trailing);
+  const lines = body.split('\n').map(l => (l ? pad + l : ''));
+  const extra = chomp === '+' ? '\n'.repeat(trailing - 1) : '';
+  return `|${chomp}\n${lines.join('\n')}${extra}`;
+}
+
+function stringifyNode(value, level, indentSize) {
+  const pad = ' '.repeat(level * indentSize);
+  const lines = [];
+
+  if (Array.isArray(value)) {
+    value.forEach(item => {
+      if (item && typeof item === 'object' && Object.keys(item).length > 0) {
+        const nested = stringifyNode(item, level + 1, indentSize).split('\n');
+        const first = nested[0].slice((level + 1) * indentSize);
+        lines.push(`${pad}-${' '.repeat(indentSize - 1)}${first}`, ...nested.slice(1));
+      } else {
+        lines.push(`${pad}- ${formatInline(item, level + 1, indentSize)}`);
+      }
+    });
+    return lines.join('\n');
+  }
+
+  for (const [key, item] of Object.entries(value)) {
+    const prefix = `${pad}${formatKey(key)}:`;
+    if (item && typeof item === 'object' && Object.keys(item).length > 0) {
+      lines.push(prefix, stringifyNode(item, level + 1, indentSize));
+    } else {
+      lines.push(`${prefix} ${formatInline(item, level + 1, indentSize)}`);
+    }
+  }
+  return lines.join('\n');
+}
+
+function formatInline(value, level, indentSize) {
+  return formatInlineAt(value, ' '.repeat(level * indentSize));
+}
+
+// A value after `key: `; block scalar lines are indented by `pad`
+function formatInlineAt(value, pad) {
+  if (Array.isArray(value)) return '[]';
+  if (value && typeof value === 'object') return '{}';
+  if (typeof value === 'string') {
+    const block = formatBlockScalar(value, pad);
+    if (block) return block;
+  }
+  return formatScalar(value);
+}
+
+function stringify(data, options = {}) {
+  const indentSize = options.indent || 2;
+  if (data === null || typeof data !== 'object') {
+    return formatScalar(data) + '\n';
+  }
+  if (Object.keys(data).length === 0) {
+    return (Array.isArray(data) ? '[]' : '{}') + '\n';
+  }
+  return stringifyNode(data, 0, indentSize) + '\n';
+}
+
+// --- Editing in place ---
+
+// Thrown when the original cannot be edited in place
+class PatchFallback extends Error {}
+
+const isMapping = value => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+const indentOf = raw => raw.length - raw.replace(/^ +/, '').length;
+const isTrivia = raw => raw.trim() === '' || raw.trim().startsWith('#');
+
+/**
+ * Locate the entries of the block mapping on lines [start, end). Every entry
+ * has its key, the comment and blank lines before it (from `leadStart`), its
+ * key `line` and the line after its value (`end`). A value is described as
+ * `nested` (a block mapping, scanned the same way), `scalar` (the offsets and
+ * quote of a single-line scalar on the key line) or neither.
+ * @returns {{ indent: number, entries: object[], tailStart: number, end: number, merged: boolean }}
+ */
+function scanMapping(lines, start, end, helper) {
+  let first = start;
+  while (first < end && isTrivia(lines[first])) first++;
+  const indent = first < end ? indentOf(lines[first]) : 0;
+  const entries = [];
+  let current = null;
+
+  for (let i = first; i < end; i++) {
+    const raw = lines[i];
+    if (isTrivia(raw)) continue;
+    const lineIndent = indentOf(raw);
+    const body = raw.slice(lineIndent);
+    const sequenceItem = /^-( |$)/.test(body);
+    // More-indented lines and a sequence at the key's indentation belong to the entry
+    if (current && (lineIndent > indent || (lineIndent === indent && sequenceItem))) {
+      current.end = i + 1;
+      continue;
+    }
+    if (lineIndent !== indent || sequenceItem) throw new PatchFallback();
+    const colon = helper.findMappingColon(body);
+    if (colon === -1) throw new PatchFallback();
+    current = {
+      key: helper.parseKey(body.slice(0, colon), { lineNo: i + 1 }),
+      leadStart: current ? current.end : start,
+      line: i,
+      end: i + 1,
+      colon: lineIndent + colon
+    };
+    entries.push(current);
+  }
+
+  entries.forEach(entry => describeEntry(lines, entry, indent, helper));
+  return {
+    indent,
+    entries,
+    tailStart: current ? current.end : start,
+    end,
+    merged: entries.some(entry => entry.key === '<<')
+  };
+}
+
+function describeEntry(lines, entry, indent, helper) {
+  const raw = lines[entry.line];
+  // Anchors and tags stay in front of the value
+  const head = /^ *((?:[&!]\S*(?: +|$))*)/.exec(raw.slice(entry.colon + 1));
+  const valueStart = entry.colon + 1 + head[0].length;
+  const text = raw.slice(valueStart);
+  entry.head = head[1].trim();
+
+  if (!text.trim() || text.trim().startsWith('#')) {
+    if (entry.end === entry.line + 1) return;
+    try {
+      const nested = scanMapping(lines, entry.line + 1, entry.end, helper);
+      if (nested.indent > indent && nested.entries.length) entry.nested = nested;
+    } catch (error) {
+      // Sequences and other blocks are written out again when they change
+      if (!(error instanceof PatchFallback)) throw error;
+    }
+    return;
+  }
+  if (entry.end !== entry.line + 1 || /^[*|>[{]/.test(text)) return;
+  if (text[0] === '"' || text[0] === '\'') {
+    try {
+      const { rest } = helper.parseQuoted(text, { lineNo: entry.line + 1 });
+      if (stripComment(rest).trim()) return;
+      entry.scalar = { start: valueStart, end: raw.length - rest.length, quote: text[0] };
+    } catch (_) {
+      // Left for the full rewrite check
+    }
+    return;
+  }
+  entry.scalar = { start: valueStart, end: valueStart + stripComment(text).length, quote: '' };
+}
+
+// A changed single-line string keeps the quotes it had
+function formatScalarLike(value, quote, pad) {
+  if (typeof value !== 'string' || !quote || value.includes('\n')) return formatInlineAt(value, pad);
+  return quote === '"' ? JSON.stringify(value) : `'${value.replace(/'/g, "''")}'`;
+}
+
+// `key:` followed by a freshly written value
+function renderEntry(keyText, head, value, pad, indentSize) {
+  if (value && typeof value === 'object' && Object.keys(value).length > 0) {
+    const body = stringifyNode(value, 0, indentSize).split('\n').map(line => (line ? pad + line : line));
+    return [head ? `${keyText} ${head}` : keyText, ...body];
+  }
+  return `${keyText} ${head ? `${head} ` : ''}${formatInlineAt(value, pad)}`.split('\n');
+}
+
+function writeMapping(node, value, original, lines, indentSize) {
+  const byKey = new Map(node.entries.map(entry => [entry.key, entry]));
+  const pad = ' '.repeat(node.indent);
+  const childPad = pad + ' '.repeat(indentSize);
+  const output = [];
+
+  for (const key of Object.keys(value)) {
+    const entry = byKey.get(key);
+    const item = value[key];
+    if (!entry) {
+      output.push(...renderEntry(`${pad}${formatKey(key)}:`, '', item, childPad, indentSize));
+      continue;
+    }
+    const raw = lines[entry.line];
+    output.push(...lines.slice(entry.leadStart, entry.line));
+    if (Object.prototype.hasOwnProperty.call(original, key) && sameValue(original[key], item)) {
+      output.push(...lines.slice(entry.line, entry.end));
+    } else if (entry.nested && !entry.nested.merged && isMapping(item) && Object.keys(item).length > 0) {
+      const previous = isMapping(original[key]) ? original[key] : {};
+      output.push(raw, ...writeMapping(entry.nested, item, previous, lines, indentSize));
+    } else if (entry.scalar && (item === null || typeof item !== 'object')) {
+      const [first, ...rest] = formatScalarLike(item, entry.scalar.quote, childPad).split('\n');
+      output.push(raw.slice(0, entry.scalar.start) + first + raw.slice(entry.scalar.end), ...rest);
+    } else {
+      const nestedPad = entry.nested ? ' '.repeat(entry.nested.indent) : childPad;
+      output.push(...renderEntry(raw.slice(0, entry.colon + 1), entry.head, item, nestedPad, indentSize));
+    }
+  }
+  output.push(...lines.slice(node.tailStart, node.end));
+  return output;
+}
+
+/**
+ * Rewrite `original` so that it holds `data`, touching only what changed.
+ * @param {object} data
+ * @param {string} original - YAML text without a BOM, with \n line endings
+ * @param {number} indentSize
+ * @returns {string|null} null when the original has to be written out again
+ */
+function patch(data, original, indentSize) {
+  const lines = original.split('\n');
+  let start = 0;
+  while (start < lines.length && isTrivia(lines[start])) start++;
+  // A leading document marker is kept; directives and further documents are not edited
+  start = lines[start] === '---' ? start + 1 : 0;
+  if (lines.slice(start).some(raw => /^(?:---|\.\.\.|%)/.test(raw))) return null;
+
+  const parsed = parse(original);
+  if (!isMapping(parsed) || !isMapping(data)) return null;
+  try {
+    const root = scanMapping(lines, start, lines.length, new YamlParser(''));
+    if (root.merged) return null;
+    const output = [...lines.slice(0, start), ...writeMapping(root, data, parsed, lines, indentSize)].join('\n');
+    return sameValue(parse(output), data) ? output : null;
+  } catch (error) {
+    if (error instanceof PatchFallback || error instanceof YamlSyntaxError) return null;
+    throw error;
+  }
+}
+
+// Rails-style files nest everything under the locale (`en:`); detect that root.
+function hasLocaleRoot(data, language) {
+  if (!language || !data || typeof data !== 'object' || Array.isArray(data)) return false;
+  const keys = Object.keys(data);
+  return keys.length === 1 && keys[0] === language &&
+    data[language] !== null && typeof data[language] === 'object' && !Array.isArray(data[language]);
+}
+
+// A template (the source language file) nested under its own locale root
+// (`en:`) while `data` holds what is under it, as a new target file does
+function hasTemplateRoot(template, data) {
+  if (!template || typeof template !== 'object' || Array.isArray(template) || !data || typeof data !== 'object') return false;
+  const keys = Object.keys(template);
+  if (keys.length !== 1 || keys[0] in data) return false;
+  const inner = template[keys[0]];
+  return hasLocaleRoot(template, keys[0]) && Object.keys(data).some(key => key in inner);
+}
+
+function parseOrNull(content) {
+  try {
+    return parse(content);
+  } catch (_) {
+    // Unparseable files are simply rewritten without a root
+    return null;
+  }
+}
+
+module.exports = {
+  name: 'yaml',
+  extension: '.yml',
+  extensions: ['.yml', '.yaml'],
+  /**
+   * Parse YAML locale content. When `options.language` is given and the
+   * document has a single root key equal to it, that root is unwrapped.
+   */
+  read(content, options = {}) {
+    const data = parse(content);
+    if (data === null) return {};
+    return hasLocaleRoot(data, options.language) ? data[options.language] : data;
+  },
+  /**
+   * Serialize translations to YAML. An existing file (`options.original`) is
+   * edited in place; its locale root is kept, and a new file gets the root
+   * of `options.template` when that has one. Indentation and line endings of
+   * the original (or of the template) are kept.
+   */
+  serialize(data, options = {}) {
+    const layoutSource = String(options.original || options.template || '');
+    const indentMatch = /\n( +)[^\s-]/.exec(layoutSource);
+    const eol = layoutSource.includes('\r\n') ? '\r\n' : '\n';
+    const stringifyOptions = indentMatch && !options.indent ? { ...options, indent: indentMatch[1].length } : options;
+    let output = data;
+    if (options.language) {
+      const rooted = String(options.original || '').trim()
+        ? hasLocaleRoot(parseOrNull(options.original), options.language)
+        : Boolean(options.template) && hasTemplateRoot(parseOrNull(options.template), data);
+      if (rooted) output = { [options.language]: data };
+    }
+    const original = String(options.original || '').replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+    let text = null;
+    if (original.trim()) {
+      try {
+        text = patch(output, original, stringifyOptions.indent || 2);
+      } catch (_) {
+        // Unparseable originals are written out again
+      }
+    }
+    if (text === null) text = stringify(output, stringifyOptions);
+    return text.replace(/\n/g, eol);
+  },
+  parse,
+  stringify,
+  YamlSyntaxError
+};
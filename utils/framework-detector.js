@@ -25,14 +25,15 @@ const FRAMEWORKS = {
   'i18ntk-runtime': {
     name: 'i18ntk-runtime',
     description: 'Lightweight i18n runtime for i18ntk',
-    deps: ['i18ntk/runtime', 'i18ntk-runtime'],
+    deps: ['i18ntk/runtime', 'i18ntk/react', 'i18ntk-runtime'],
     globs: ['src/**/*.{js,jsx,ts,tsx}'],
     patterns: [
       /\bi18n\.t\(\s*['\"`]([^'\"`]+)['\"`]\s*(?:,|\/\*|\*\/|\/\/|$)/g,  // i18n.t('key')
       /\bi18n\.translate\(\s*['\"`]([^'\"`]+)['\"`]\s*(?:,|\/\*|\*\/|\/\/|$)/g,  // i18n.translate('key')
       /\buseI18n\(\s*\)\s*\.\s*t\(\s*['\"`]([^'\"`]+)['\"`]\s*(?:,|\/\*|\*\/|\/\/|$)/g,  // useI18n().t('key')
       /\buseTranslation\(\s*['\"`][^'\"`]*['\"`]?\s*\)\s*\{\s*\w*\s*,\s*t\s*\}/.source + '\s*' + /t\(\s*['\"`]([^'\"`]+)['\"`]\s*(?:,|\/\*|\*\/|\/\/|$)/.source,  // const { t } = useTranslation()
-      /\$\{\s*t\(\s*['\"`]([^'\"`]+)['\"`]\s*(?:,|\/\*|\*\/|\/\/|$)/g  // ${t('key')} in template literals
+      /\$\{\s*t\(\s*['\"`]([^'\"`]+)['\"`]\s*(?:,|\/\*|\*\/|\/\/|$)/g,  // ${t('key')} in template literals
+      /<Trans\b[^>]*?\bi18nKey=\{?\s*['\"`]([^'\"`]+)['\"`]/g  // <Trans i18nKey="key"> from i18ntk/react
     ],
     configFile: 'i18n.js',
     configFilePatterns: [
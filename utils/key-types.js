@@ -0,0 +1,202 @@
+/**
+ * Key type generation
+ *
+ * Turns the source-language locale files into a `.d.ts` file that lists the
+ * valid translation keys (per namespace and in the forms t() resolves) and
+ * the interpolation parameters each key needs. The file fills in the
+ * runtime's `TranslationRegistry`, which makes t() check both.
+ */
+
+const { parse, hasIcuSyntax } = require('../runtime/icu');
+const { isPluralObject } = require('../runtime/plurals');
+
+const DEFAULT_MODULE = 'i18ntk/runtime/core';
+const PLURAL_SUFFIX_RE = /^(.+?)_(?:ordinal_)?(?:zero|one|two|few|many|other)$/;
+const IDENTIFIER_RE = /^[A-Za-z_$][\w$]*$/;
+const GENERIC_PARAM = 'string | number';
+const FORMAT_TYPES = {
+  number: 'number',
+  date: 'Date | number',
+  time: 'Date | number',
+  relativetime: 'number',
+  list: 'string[]'
+};
+
+function quote(value) {
+  return `'${String(value).replace(/\\/g, '\\\\').replace(/'/g, '\\\'')}'`;
+}
+
+function propertyName(name) {
+  return IDENTIFIER_RE.test(name) ? name : quote(name);
+}
+
+// A more specific type replaces the generic one of a plain `{name}`
+function addParam(params, name, type) {
+  if (!params.has(name) || params.get(name) === GENERIC_PARAM) params.set(name, type);
+}
+
+function collectIcuParams(nodes, params) {
+  for (const node of nodes) {
+    if (node.type === 'argument') {
+      addParam(params, node.name, GENERIC_PARAM);
+    } else if (node.type === 'format') {
+      addParam(params, node.name, FORMAT_TYPES[node.format] || 'unknown');
+    } else if (node.type === 'plural' || node.type === 'selectordinal' || node.type === 'select') {
+      addParam(params, node.name, node.type === 'select' ? 'string' : 'number');
+      Object.values(node.options).forEach(option => collectIcuParams(option, params));
+    }
+  }
+}
+
+/**
+ * Parameters a message interpolates, by name, with their TypeScript types.
+ * @param {string} message
+ * @param {Map<string, string>} params - added to
+ * @returns {Map<string, string>}
+ */
+function getMessageParams(message, params = new Map()) {
+  if (hasIcuSyntax(message)) {
+    try {
+      collectIcuParams(parse(message), params);
+      return params;
+    } catch (_) {
+      // Malformed ICU is interpolated as simple placeholders by the runtime
+    }
+  }
+  const placeholder = /\{\{(\w+)\}\}|\{(\w+)\}/g;
+  let match;
+  while ((match = placeholder.exec(message))) {
+    addParam(params, match[1] || match[2], GENERIC_PARAM);
+  }
+  return params;
+}
+
+/**
+ * Messages of a locale tree by dotted key, flattened like getAllKeys() but
+ * keeping only values t() can render: strings, and plural objects
+ * ({ one, other }) as one message.
+ * @param {object} obj
+ * @param {boolean} flatKeys - keys are already full paths (.properties, PO, ...)
+ * @returns {Map<string, string|string[]>} key -> message, or the forms of a plural object
+ */
+function flattenMessages(obj, flatKeys = false, prefix = '', result = new Map()) {
+  for (const [key, value] of Object.entries(obj || {})) {
+    const fullKey = prefix ? `${prefix}.${key}` : key;
+    if (typeof value === 'string') {
+      result.set(fullKey, value);
+    } else if (isPluralObject(value)) {
+      result.set(fullKey, Object.values(value).filter(form => typeof form === 'string'));
+    } else if (!flatKeys && value && typeof value === 'object' && !Array.isArray(value)) {
+      flattenMessages(value, flatKeys, fullKey, result);
+    }
+  }
+  return result;
+}
+
+// Keys of one file with their parameters; `items_one`/`items_other` also
+// make `items` valid with a count
+function describeMessages(messages) {
+  const described = new Map();
+  const describe = (key, forms, plural) => {
+    const params = described.get(key) || new Map();
+    forms.forEach(form => getMessageParams(form, params));
+    if (plural) params.set('count', 'number');
+    described.set(key, params);
+  };
+
+  for (const [key, message] of messages) {
+    const forms = [].concat(message);
+    describe(key, forms, Array.isArray(message));
+    const suffixed = PLURAL_SUFFIX_RE.exec(key);
+    if (suffixed) describe(suffixed[1], forms, true);
+  }
+  return described;
+}
+
+/**
+ * Build the declaration file.
+ * @param {Array<{ namespace: string|null, data: object, flatKeys?: boolean }>} files -
+ *   `namespace` is the file's name inside a language folder (`checkout`,
+ *   `admin/users`), or null for a single-file language, whose first key
+ *   segment acts as the namespace
+ * @param {object} options - { language, moduleName: 'i18ntk/runtime/core' }
+ * @returns {{ content: string, keys: number, namespaces: number }}
+ */
+function buildKeyTypes(files, options = {}) {
+  const moduleName = options.moduleName || DEFAULT_MODULE;
+  const keys = new Map();        // key as passed to t() -> params
+  const namespaces = new Map();  // namespace -> Set(key inside it)
+
+  const addKey = (key, params) => {
+    const existing = keys.get(key);
+    if (existing) params.forEach((type, name) => addParam(existing, name, type));
+    else keys.set(key, new Map(params));
+  };
+
+  for (const file of files) {
+    let data = file.data;
+    // checkout.json may wrap its keys in a `checkout` object
+    if (file.namespace && data && Object.keys(data).length === 1 && data[file.namespace] && typeof data[file.namespace] === 'object') {
+      data = data[file.namespace];
+    }
+
+    for (const [key, params] of describeMessages(flattenMessages(data, file.flatKeys))) {
+      let namespace = file.namespace;
+      let rest = key;
+      if (!namespace && key.includes('.')) {
+        namespace = key.slice(0, key.indexOf('.'));
+        rest = key.slice(namespace.length + 1);
+      }
+      addKey(key, params);
+      if (namespace) {
+        addKey(`${namespace}:${rest}`, params);
+        // The runtime also reads `checkout.total` from checkout.json
+        if (file.namespace) addKey(`${namespace}.${rest}`, params);
+        if (!namespaces.has(namespace)) namespaces.set(namespace, new Set());
+        namespaces.get(namespace).add(rest);
+      }
+    }
+  }
+
+  const sortedKeys = Array.from(keys.keys()).sort();
+  const union = (values, indent) => (values.length
+    ? values.map(value => `\n${indent}| ${quote(value)}`).join('')
+    : ' never');
+
+  const lines = [
+    `// Generated by \`i18ntk types\`${options.language ? ` from the ${options.language} locale files` : ''}; do not edit.`,
+    '',
+    `import ${quote(moduleName)};`,
+    '',
+    'export interface TranslationNamespaces {',
+    ...Array.from(namespaces.keys()).sort().map(namespace =>
+      `  ${propertyName(namespace)}:${union(Array.from(namespaces.get(namespace)).sort(), '    ')};`),
+    '}',
+    '',
+    `export type TranslationKeys =${union(sortedKeys, '  ')};`,
+    '',
+    'export interface TranslationKeyParams {',
+    ...sortedKeys.filter(key => keys.get(key).size).map((key) => {
+      const params = Array.from(keys.get(key)).map(([name, type]) => `${propertyName(name)}: ${type}`);
+      return `  ${quote(key)}: { ${params.join('; ')} };`;
+    }),
+    '}',
+    '',
+    `declare module ${quote(moduleName)} {`,
+    '  interface TranslationRegistry {',
+    '    keys: TranslationKeys;',
+    '    namespaces: TranslationNamespaces;',
+    '    params: TranslationKeyParams;',
+    '  }',
+    '}',
+    ''
+  ];
+
+  return { content: lines.join('\n'), keys: sortedKeys.length, namespaces: namespaces.size };
+}
+
+module.exports = {
+  buildKeyTypes,
+  flattenMessages,
+  getMessageParams
+};
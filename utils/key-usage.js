@@ -0,0 +1,84 @@
+/**
+ * Key usage matching
+ *
+ * Decides which locale keys a set of source files needs, from the keys
+ * `i18ntk usage` extracts. Template literals with a static prefix
+ * (`status.${s}`) keep every key under the prefix; keys computed entirely at
+ * runtime cannot be traced and have to be listed in an allowlist of patterns
+ * such as `status.*`.
+ */
+
+// Patterns of the default extractor when no framework is detected
+const DEFAULT_TRANSLATION_PATTERNS = [
+  /t\(['"`]([^'"`]+)['"`]/g,
+  /i18n\.t\(['"`]([^'"`]+)['"`]/g,
+  /useTranslation\(\)\.t\(['"`]([^'"`]+)['"`]/g,
+  /t\(`([^`]+)`\)/g,
+  /i18nKey=['"`]([^'"`]+)['"`]/g,
+  /\$t\(['"`]([^'"`]+)['"`]/g,
+  /getTranslation\(['"`]([^'"`]+)['"`]/g
+];
+
+const PLURAL_SUFFIX_RE = /_(?:ordinal_)?(?:zero|one|two|few|many|other)$/;
+
+/**
+ * A key as found in code, as a pattern in dotted form: `checkout:total` is
+ * `checkout.total` and `${...}` parts become `*`.
+ * @param {string} key
+ * @returns {string|null} null for keys that start with a runtime value
+ */
+function normalizeUsedKey(key) {
+  const pattern = String(key || '').trim()
+    .replace(/\$\{[^}]*\}/g, '*')
+    .replace(/:/, '.');
+  return !pattern || pattern.startsWith('*') ? null : pattern;
+}
+
+function toMatcher(pattern) {
+  if (!pattern.includes('*')) return key => key === pattern;
+  const source = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+  const regex = new RegExp(`^${source}$`);
+  return key => regex.test(key);
+}
+
+/**
+ * Filter for the locale keys used in code or allowed explicitly.
+ * A key of a namespace file matches as `key` and as `namespace.key`, and
+ * plural forms (`items_one`) match their base key.
+ * @param {Iterable<string>} usedKeys - keys as extracted from the source files
+ * @param {string[]} allowlist - patterns such as `status.*` or `admin:*`
+ * @returns {{ keep: (key: string, namespace?: string|null) => boolean, dynamic: string[] }}
+ *   `dynamic` lists the keys that could not be traced
+ */
+function createKeyFilter(usedKeys, allowlist = []) {
+  const exact = new Set();
+  const matchers = [];
+  const dynamic = [];
+
+  const add = (pattern) => {
+    if (pattern.includes('*')) matchers.push(toMatcher(pattern));
+    else exact.add(pattern);
+  };
+
+  for (const key of usedKeys) {
+    const pattern = normalizeUsedKey(key);
+    if (pattern) add(pattern);
+    else dynamic.push(key);
+  }
+  allowlist.map(normalizeUsedKey).filter(Boolean).forEach(add);
+
+  const matches = key => exact.has(key) || matchers.some(match => match(key));
+
+  function keep(key, namespace) {
+    const candidates = namespace ? [key, `${namespace}.${key}`] : [key];
+    return candidates.some(candidate => matches(candidate) || matches(candidate.replace(PLURAL_SUFFIX_RE, '')));
+  }
+
+  return { keep, dynamic };
+}
+
+module.exports = {
+  DEFAULT_TRANSLATION_PATTERNS,
+  normalizeUsedKey,
+  createKeyFilter
+};
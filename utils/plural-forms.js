@@ -0,0 +1,44 @@
+// Plural checks shared by the validate command and its manager version.
+
+const { isPluralObject } = require('../runtime/plurals');
+
+// A plural group has `other` and only CLDR categories besides it; a group
+// with just `other` is a plain go-i18n message, not a plural.
+function isPluralGroup(value) {
+  return isPluralObject(value) && Object.keys(value).length > 1;
+}
+
+/**
+ * Plural groups of the source ({ one, other } objects, .stringsdict rules,
+ * Android <plurals>, go-i18n tables) whose translation lacks one of the
+ * categories the target language uses.
+ * @param {object} source - Source locale data
+ * @param {object} target - Target locale data
+ * @param {string[]} categories - Plural categories of the target language
+ * @returns {Array<{ key: string, missing: string[] }>}
+ */
+function findMissingPluralForms(source, target, categories, prefix = '') {
+  const results = [];
+  for (const [key, value] of Object.entries(source || {})) {
+    const fullKey = prefix ? `${prefix}.${key}` : key;
+    const targetValue = target && typeof target === 'object' ? target[key] : undefined;
+    if (!value || typeof value !== 'object' || Array.isArray(value) ||
+        !targetValue || typeof targetValue !== 'object' || Array.isArray(targetValue)) {
+      continue;
+    }
+
+    if (isPluralGroup(value)) {
+      const missing = categories.filter(form => !(form in targetValue));
+      if (missing.length > 0) {
+        results.push({ key: fullKey, missing });
+      }
+    } else {
+      results.push(...findMissingPluralForms(value, targetValue, categories, fullKey));
+    }
+  }
+  return results;
+}
+
+module.exports = {
+  findMissingPluralForms
+};
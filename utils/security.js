@@ -269,13 +269,32 @@ class SecurityUtils {
         return null;
       }
 
-      return fs.readFileSync(validatedPath, encoding);
+      const buffer = fs.readFileSync(validatedPath);
+      return /^utf-?8$/i.test(String(encoding)) ? this.decodeText(buffer) : buffer.toString(encoding);
     } catch (error) {
       console.warn(i18n.t('security.file_read_error', { errorMessage: error.message }));
       return null;
     }
   }
 
+  /**
+   * Decode file contents read as UTF-8, honouring UTF-16 byte order marks
+   * (Apple .strings files are often saved as UTF-16).
+   * @param {Buffer} buffer
+   * @returns {string}
+   */
+  static decodeText(buffer) {
+    if (buffer.length >= 2 && buffer[0] === 0xFF && buffer[1] === 0xFE) {
+      return buffer.toString('utf16le', 2);
+    }
+    if (buffer.length >= 2 && buffer[0] === 0xFE && buffer[1] === 0xFF) {
+      const swapped = Buffer.from(buffer.subarray(2, buffer.length - (buffer.length % 2)));
+      swapped.swap16();
+      return swapped.toString('utf16le');
+    }
+    return buffer.toString('utf8');
+  }
+
   static safeWriteFileSync(filePath, content, basePath, encoding = 'utf8') {
     const validatedPath = this.validatePath(filePath, basePath);
     if (!validatedPath) {
@@ -304,6 +323,45 @@ class SecurityUtils {
     }
   }
 
+  static safeStatSync(filePath, basePath) {
+    const validatedPath = this.validatePath(filePath, basePath);
+    if (!validatedPath) {
+      return null;
+    }
+    try {
+      return fs.statSync(validatedPath);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  static safeReaddirSync(dirPath, basePath, options = {}) {
+    const validatedPath = this.validatePath(dirPath, basePath);
+    if (!validatedPath) {
+      return null;
+    }
+    try {
+      return fs.readdirSync(validatedPath, options);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  static safeMkdirSync(dirPath, basePath, options = {}) {
+    const validatedPath = this.validatePath(dirPath, basePath);
+    if (!validatedPath) {
+      return false;
+    }
+    try {
+      fs.mkdirSync(validatedPath, options);
+      return true;
+    } catch (error) {
+      const i18n = getI18n();
+      console.warn(i18n.t('security.file_write_error', { errorMessage: error.message }));
+      return false;
+    }
+  }
+
   static sanitizeInput(input, options = {}) {
     if (!input || typeof input !== 'string') {
       return '';
@@ -1,29 +1,62 @@
 const fs = require('fs');
 const path = require('path');
-const SecurityUtils = require('./security');
 
-function watchDirectory(dir, callback, watchers) {
-  if (!SecurityUtils.safeExistsSync(dir)) return;
-  const watcher = fs.watch(dir, (event, filename) => {
-    if (filename && filename.endsWith('.json')) {
-      callback(path.join(dir, filename));
+function watchDirectory(dir, callback, watchers, options) {
+  if (!fs.existsSync(dir) || !fs.statSync(dir).isDirectory()) return;
+  const watcher = fs.watch(dir, { persistent: options.persistent !== false }, (event, filename) => {
+    if (filename && options.extensions.some(ext => filename.toString().toLowerCase().endsWith(ext))) {
+      callback(path.join(dir, filename.toString()));
     }
   });
+  // A removed directory closes its watcher instead of crashing the process
+  watcher.on('error', () => watcher.close());
   watchers.push(watcher);
 
   fs.readdirSync(dir, { withFileTypes: true }).forEach(entry => {
     if (entry.isDirectory()) {
-      watchDirectory(path.join(dir, entry.name), callback, watchers);
+      watchDirectory(path.join(dir, entry.name), callback, watchers, options);
     }
   });
 }
 
-function watchLocales(dirs, onChange) {
+/**
+ * Watch locale directories, including subdirectories, for locale file changes
+ * (JSON unless `extensions` says otherwise).
+ * @param {string|string[]} dirs
+ * @param {Function} onChange - called with the changed file; with `debounce`,
+ *   called once with every file changed until the events stop for that long
+ * @param {object} options - { debounce: ms, persistent: true, silent: false,
+ *   extensions: ['.json'] }
+ * @returns {Function} stops watching
+ */
+function watchLocales(dirs, onChange, options = {}) {
+  options = { ...options, extensions: options.extensions || ['.json'] };
   const directories = Array.isArray(dirs) ? dirs : [dirs];
   const watchers = [];
-  directories.forEach(d => watchDirectory(path.resolve(d), onChange, watchers));
-  console.log(`Watching for changes in: ${directories.join(', ')}`);
-  return () => watchers.forEach(w => w.close());
+  let changed = new Set();
+  let timer = null;
+
+  const notify = options.debounce > 0
+    ? (file) => {
+      changed.add(file);
+      clearTimeout(timer);
+      timer = setTimeout(() => {
+        const files = Array.from(changed);
+        changed = new Set();
+        onChange(files);
+      }, options.debounce);
+      if (options.persistent === false && typeof timer.unref === 'function') timer.unref();
+    }
+    : onChange;
+
+  directories.forEach(d => watchDirectory(path.resolve(d), notify, watchers, options));
+  if (!options.silent) {
+    console.log(`Watching for changes in: ${directories.join(', ')}`);
+  }
+  return () => {
+    clearTimeout(timer);
+    watchers.forEach(w => w.close());
+  };
 }
 
-module.exports = watchLocales;
\ No newline at end of file
+module.exports = watchLocales;
@@ -0,0 +1,217 @@
+// XLIFF 1.2 / 2.0 reader and writer used by the export and import commands.
+// Only the parts CAT tools need for a key/value handoff are supported:
+// files, units, source, target and the translation state.
+
+const { parseXml, childElements, firstChild, textContent, escapeXml, XmlSyntaxError } = require('./xml');
+
+const XLIFF_NAMESPACES = {
+  '1.2': 'urn:oasis:names:tc:xliff:document:1.2',
+  '2.0': 'urn:oasis:names:tc:xliff:document:2.0'
+};
+
+// States that mean the target text can be merged back into the locale files
+const TRANSLATED_STATES = new Set(['translated', 'signed-off', 'final', 'reviewed', 'needs-review-translation']);
+
+class XliffError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'XliffError';
+  }
+}
+
+function normalizeVersion(version) {
+  const value = String(version || '1.2');
+  if (value === '2' || value === '2.0') return '2.0';
+  if (value === '1' || value === '1.2') return '1.2';
+  throw new XliffError(`Unsupported XLIFF version: ${value}`);
+}
+
+/**
+ * Build an XLIFF document.
+ * @param {object} doc - { version, sourceLanguage, targetLanguage, files: [{ original, units: [{ key, source, target, state, note }] }] }
+ * @returns {string}
+ */
+function buildXliff(doc) {
+  const version = normalizeVersion(doc.version);
+  const lines = ['<?xml version="1.0" encoding="UTF-8"?>'];
+
+  if (version === '1.2') {
+    lines.push(`<xliff version="1.2" xmlns="${XLIFF_NAMESPACES['1.2']}">`);
+    doc.files.forEach(file => {
+      lines.push(`  <file original="${escapeXml(file.original)}" source-language="${escapeXml(doc.sourceLanguage)}" target-language="${escapeXml(doc.targetLanguage)}" datatype="plaintext">`);
+      lines.push('    <body>');
+      file.units.forEach(unit => {
+        lines.push(`      <trans-unit id="${escapeXml(unit.key)}" resname="${escapeXml(unit.key)}">`);
+        lines.push(`        <source>${escapeXml(unit.source)}</source>`);
+        lines.push(`        <target state="${unit.state}">${escapeXml(unit.target || '')}</target>`);
+        if (unit.note) lines.push(`        <note>${escapeXml(unit.note)}</note>`);
+        lines.push('      </trans-unit>');
+      });
+      lines.push('    </body>');
+      lines.push('  </file>');
+    });
+  } else {
+    lines.push(`<xliff xmlns="${XLIFF_NAMESPACES['2.0']}" version="2.0" srcLang="${escapeXml(doc.sourceLanguage)}" trgLang="${escapeXml(doc.targetLanguage)}">`);
+    doc.files.forEach((file, fileIndex) => {
+      lines.push(`  <file id="f${fileIndex + 1}" original="${escapeXml(file.original)}">`);
+      file.units.forEach((unit, unitIndex) => {
+        // 2.0 ids must be NMTOKENs, so the key goes into the name attribute
+        lines.push(`    <unit id="u${unitIndex + 1}" name="${escapeXml(unit.key)}">`);
+        if (unit.note) lines.push(`      <notes><note>${escapeXml(unit.note)}</note></notes>`);
+        lines.push(`      <segment state="${unit.state === 'needs-translation' ? 'initial' : unit.state}">`);
+        lines.push(`        <source>${escapeXml(unit.source)}</source>`);
+        if (unit.target) lines.push(`        <target>${escapeXml(unit.target)}</target>`);
+        lines.push('      </segment>');
+        lines.push('    </unit>');
+      });
+      lines.push('  </file>');
+    });
+  }
+
+  lines.push('</xliff>');
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Parse an XLIFF 1.2 or 2.0 document.
+ * @param {string} content
+ * @returns {{version: string, sourceLanguage: string, targetLanguage: string, files: Array}}
+ */
+function parseXliff(content) {
+  let root;
+  try {
+    root = parseXml(content);
+  } catch (error) {
+    throw error instanceof XmlSyntaxError ? new XliffError(error.message) : error;
+  }
+  const xliff = firstChild(root, 'xliff');
+  if (!xliff) {
+    throw new XliffError('Missing <xliff> root element');
+  }
+  const version = normalizeVersion(xliff.attributes.version);
+  const result = {
+    version,
+    sourceLanguage: xliff.attributes.srcLang || '',
+    targetLanguage: xliff.attributes.trgLang || '',
+    files: []
+  };
+
+  childElements(xliff, 'file').forEach(file => {
+    const entry = {
+      original: file.attributes.original || '',
+      sourceLanguage: file.attributes['source-language'] || result.sourceLanguage,
+      targetLanguage: file.attributes['target-language'] || result.targetLanguage,
+      units: []
+    };
+
+    if (version === '1.2') {
+      const body = firstChild(file, 'body') || file;
+      const collect = parent => {
+        parent.children.forEach(child => {
+          if (typeof child !== 'object') return;
+          if (child.name === 'group') {
+            collect(child);
+          } else if (child.name === 'trans-unit') {
+            const target = firstChild(child, 'target');
+            entry.units.push({
+              key: child.attributes.resname || child.attributes.id,
+              source: textContent(firstChild(child, 'source')),
+              target: target ? textContent(target) : null,
+              state: target ? (target.attributes.state || '') : ''
+            });
+          }
+        });
+      };
+      collect(body);
+    } else {
+      const collect = parent => {
+        parent.children.forEach(child => {
+          if (typeof child !== 'object') return;
+          if (child.name === 'group') {
+            collect(child);
+          } else if (child.name === 'unit') {
+            const segments = childElements(child, 'segment');
+            const targets = segments.map(segment => firstChild(segment, 'target'));
+            entry.units.push({
+              key: child.attributes.name || child.attributes.id,
+              source: segments.map(segment => textContent(firstChild(segment, 'source'))).join(''),
+              target: targets.some(Boolean) ? targets.map(textContent).join('') : null,
+              state: segments.length ? (segments[segments.length - 1].attributes.state || '') : ''
+            });
+          }
+        });
+      };
+      collect(file);
+    }
+
+    result.files.push(entry);
+  });
+
+  return result;
+}
+
+/**
+ * True when a value is a translation: a non-empty string without the
+ * not-translated marker. Export and import both decide with this.
+ */
+function isTranslatedValue(value, notTranslatedMarker = 'NOT_TRANSLATED') {
+  return typeof value === 'string' && value !== '' && !(notTranslatedMarker && value.includes(notTranslatedMarker));
+}
+
+/**
+ * True when a parsed unit carries a translation that may be merged back.
+ * Units without a state attribute count as translated when they have a target.
+ */
+function isTranslatedUnit(unit, notTranslatedMarker = 'NOT_TRANSLATED') {
+  if (!isTranslatedValue(unit.target, notTranslatedMarker)) {
+    return false;
+  }
+  return !unit.state || TRANSLATED_STATES.has(unit.state);
+}
+
+// Plural forms and string arrays (PO msgstr[n], Android <plurals> and
+// <string-array>) are exchanged as one unit per form: `key[0]`, `key[one]`
+function formKey(key, form) {
+  return `${key}[${form}]`;
+}
+
+function parseFormKey(key) {
+  const match = /^([\s\S]+)\[([\w-]+)\]$/.exec(key);
+  return match ? { key: match[1], form: match[2] } : null;
+}
+
+const isStringForms = value => Object.values(value).every(form => typeof form === 'string');
+
+/**
+ * Flatten a parsed locale file into unit key -> text pairs.
+ * @param {object} data
+ * @param {boolean} flatKeys - keys are not split into paths (catalog formats)
+ * @param {Set<string>} [skipped] - collects keys whose values hold no exportable text
+ * @returns {Map<string, string>}
+ */
+function flattenUnits(data, flatKeys, skipped = null, prefix = '', result = new Map()) {
+  for (const [key, value] of Object.entries(data || {})) {
+    const fullKey = prefix ? `${prefix}.${key}` : key;
+    if (typeof value === 'string') {
+      result.set(fullKey, value);
+    } else if (value && typeof value === 'object' && (Array.isArray(value) || flatKeys) && isStringForms(value)) {
+      Object.entries(value).forEach(([form, text]) => result.set(formKey(fullKey, form), text));
+    } else if (!flatKeys && value && typeof value === 'object' && !Array.isArray(value)) {
+      flattenUnits(value, flatKeys, skipped, fullKey, result);
+    } else if (skipped && value !== null && value !== undefined) {
+      skipped.add(fullKey);
+    }
+  }
+  return result;
+}
+
+module.exports = {
+  buildXliff,
+  parseXliff,
+  isTranslatedValue,
+  isTranslatedUnit,
+  flattenUnits,
+  formKey,
+  parseFormKey,
+  XliffError
+};
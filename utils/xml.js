@@ -0,0 +1,109 @@
+// Minimal XML reader and escaping helpers shared by the XLIFF and plist code.
+// Supports elements, attributes, text and CDATA; comments, processing
+// instructions and doctype declarations are skipped.
+
+class XmlSyntaxError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'XmlSyntaxError';
+  }
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function unescapeXml(value) {
+  return String(value).replace(/&(#x[0-9a-fA-F]+|#[0-9]+|amp|lt|gt|quot|apos);/g, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1] === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return String.fromCodePoint(code);
+    }
+    return { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" }[entity];
+  });
+}
+
+function parseAttributes(text) {
+  const attributes = {};
+  const pattern = /([\w:.-]+)\s*=\s*("([^"]*)"|'([^']*)')/g;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    attributes[match[1]] = unescapeXml(match[3] !== undefined ? match[3] : match[4]);
+  }
+  return attributes;
+}
+
+/**
+ * Build an element tree: { name, attributes, children } where children are
+ * elements or strings. Namespace prefixes are dropped from element names.
+ * @param {string} content
+ * @returns {object} the document root
+ */
+function parseXml(content) {
+  const root = { name: '#root', attributes: {}, children: [] };
+  const stack = [root];
+  const text = String(content || '').replace(/^\uFEFF/, '');
+  const pattern = /<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<!DOCTYPE[^>]*>|<!\[CDATA\[([\s\S]*?)\]\]>|<\/([\w:.-]+)\s*>|<([\w:.-]+)((?:\s+[\w:.-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)/g;
+  let match;
+  let lastIndex = 0;
+
+  while ((match = pattern.exec(text)) !== null) {
+    if (match.index !== lastIndex) {
+      throw new XmlSyntaxError(`Malformed XML near offset ${lastIndex}`);
+    }
+    lastIndex = pattern.lastIndex;
+    const current = stack[stack.length - 1];
+
+    if (match[1] !== undefined) {
+      current.children.push(match[1]);
+    } else if (match[2]) {
+      if (current.name !== match[2].replace(/^.*:/, '')) {
+        throw new XmlSyntaxError(`Unexpected closing tag </${match[2]}>`);
+      }
+      stack.pop();
+    } else if (match[3]) {
+      const element = { name: match[3].replace(/^.*:/, ''), attributes: parseAttributes(match[4] || ''), children: [] };
+      current.children.push(element);
+      if (!match[5]) stack.push(element);
+    } else if (match[6] !== undefined) {
+      current.children.push(unescapeXml(match[6]));
+    }
+  }
+
+  if (lastIndex !== text.length) {
+    throw new XmlSyntaxError(`Malformed XML near offset ${lastIndex}`);
+  }
+  if (stack.length !== 1) {
+    throw new XmlSyntaxError(`Unclosed element <${stack[stack.length - 1].name}>`);
+  }
+  return root;
+}
+
+function childElements(element, name) {
+  return element.children.filter(child => typeof child === 'object' && child.name === name);
+}
+
+function firstChild(element, name) {
+  return childElements(element, name)[0] || null;
+}
+
+// Text content of an element; inline markup (<g>, <ph>, <pc>...) keeps only its text
+function textContent(element) {
+  if (!element) return '';
+  return element.children.map(child => (typeof child === 'string' ? child : textContent(child))).join('');
+}
+
+module.exports = {
+  parseXml,
+  childElements,
+  firstChild,
+  textContent,
+  escapeXml,
+  unescapeXml,
+  XmlSyntaxError
+};